@@ -198,7 +198,7 @@ var NotionOAuth = {
         const parentPageId = pages.results[0].id;
         _logOAuth('debug', 'Using parent page for database', { parentPageId });
 
-        // 2. Create database with export schema
+        // 2. Create database with export schema (notion-schema.js)
         const createResponse = await fetch('https://api.notion.com/v1/databases', {
             method: 'POST',
             headers: {
@@ -209,23 +209,7 @@ var NotionOAuth = {
             body: JSON.stringify({
                 parent: { page_id: parentPageId },
                 title: [{ text: { content: '🤖 AI Chats Export' } }],
-                properties: {
-                    'Title': { title: {} },
-                    'Platform': {
-                        select: {
-                            options: [
-                                { name: 'Perplexity', color: 'blue' },
-                                { name: 'ChatGPT', color: 'green' },
-                                { name: 'Claude', color: 'orange' },
-                                { name: 'Gemini', color: 'purple' },
-                                { name: 'Grok', color: 'red' },
-                                { name: 'DeepSeek', color: 'pink' }
-                            ]
-                        }
-                    },
-                    'Exported': { date: {} },
-                    'URL': { url: {} }
-                }
+                properties: NotionSchema.databaseProperties()
             })
         });
 
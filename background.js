@@ -2,7 +2,7 @@
 // background.js - Enterprise Background Service Worker (Phase 10-12)
 
 try {
-    importScripts('logger.js', 'config.js', 'auth/notion-oauth.js');
+    importScripts('logger.js', 'conversation-schema.js', 'markdown-renderer.js', 'notion-blocks.js', 'notion-page-sync.js', 'notion-schema.js', 'config.js', 'auth/notion-oauth.js');
 } catch (e) {
     console.error("Failed to load dependencies:", e);
 }
@@ -89,21 +89,6 @@ class ResilientDataExtractor {
     }
 }
 
-// ============================================
-// PLATFORM URL GENERATOR
-// ============================================
-function getPlatformUrl(platform, uuid) {
-    const urls = {
-        'Perplexity': `https://www.perplexity.ai/search/${uuid}`,
-        'ChatGPT': `https://chatgpt.com/c/${uuid}`,
-        'Claude': `https://claude.ai/chat/${uuid}`,
-        'Gemini': `https://gemini.google.com/app/${uuid}`,
-        'Grok': `https://grok.com/conversation/${uuid}`,
-        'DeepSeek': `https://chat.deepseek.com/c/${uuid}`
-    };
-    return urls[platform] || urls['Perplexity'];
-}
-
 // ============================================
 // GLOBAL SYNC LOCK (Fix #1)
 // ============================================
@@ -276,12 +261,14 @@ async function performAutoSync() {
 
     try {
         const settings = await chrome.storage.local.get([
-            'autoSyncEnabled', 'autoSyncNotion', 'notionApiKey', 'notionKey', 'notionDbId', 'exportedUuids', 'notion_auth_method'
+            'autoSyncEnabled', 'autoSyncNotion', 'notionApiKey', 'notionKey', 'notionDbId', 'exportedUuids', 'notion_auth_method',
+            'notionResyncMode', 'notionPropertyMap', ...NotionPageSync.SETTINGS
         ]);
 
         Logger.debug('AutoSync', 'Settings loaded', { enabled: settings.autoSyncEnabled, dbId: settings.notionDbId ? 'Present' : 'Missing', notionAuth: settings.notion_auth_method });
 
-        if (!settings.autoSyncEnabled || !settings.notionDbId) {
+        const destination = NotionPageSync.destination(settings);
+        if (!settings.autoSyncEnabled || (!destination.databaseId && !destination.pageId)) {
             Logger.warn('AutoSync', 'Skipped: Not configured or disabled');
             await releaseSyncLock();
             return;
@@ -354,11 +341,12 @@ async function performAutoSync() {
                 return;
             }
             const exportedUuids = new Set(settings.exportedUuids || []);
+            const pageMap = await NotionPageSync.pageMap();
 
-            // Filter out already exported
-            const newThreads = threads.filter(t => !exportedUuids.has(t.uuid));
+            // Skip already exported threads unless they changed since their page was synced
+            const newThreads = threads.filter(t => !exportedUuids.has(t.uuid) || NotionPageSync.isStale(pageMap[t.uuid], t.last_query_datetime));
 
-            Logger.info('AutoSync', `Found ${newThreads.length} new threads since checkpoint`, { total: threads.length, newCount: newThreads.length });
+            Logger.info('AutoSync', `Found ${newThreads.length} new or updated threads since checkpoint`, { total: threads.length, newCount: newThreads.length });
 
             if (newThreads.length === 0) {
                 // Update checkpoint even if no new threads
@@ -397,7 +385,7 @@ async function performAutoSync() {
                         }
 
                         console.log(`[AutoSync] Syncing thread "${detailResponse.data?.title || thread.uuid}" to Notion...`);
-                        const syncResult = await syncToNotion(detailResponse.data, settings);
+                        const syncResult = await syncToNotion(detailResponse.data, settings, { threadUpdatedAt: thread.last_query_datetime });
 
                         if (syncResult.success) {
                             successCount++;
@@ -443,136 +431,58 @@ async function performAutoSync() {
     }
 }
 
-async function syncToNotion(data, settings) {
+async function syncToNotion(data, settings, { threadUpdatedAt = null } = {}) {
     try {
-        const entries = data.detail?.entries || [];
-        const children = [];
         const token = await NotionOAuth.getActiveToken();
+        const destination = NotionPageSync.destination(settings);
 
-        // First, fetch database schema to know which properties exist
+        // First, fetch database schema to know which properties exist (pages under a
+        // parent page only have a title)
         let dbSchema = null;
-        try {
-            const schemaResponse = await fetch(
-                `https://api.notion.com/v1/databases/${settings.notionDbId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Notion-Version': '2022-06-28'
+        if (destination.databaseId) {
+            try {
+                const schemaResponse = await fetch(
+                    `https://api.notion.com/v1/databases/${destination.databaseId}`,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${token}`,
+                            'Notion-Version': '2022-06-28'
+                        }
                     }
+                );
+                if (schemaResponse.ok) {
+                    dbSchema = await schemaResponse.json();
+                    console.log('[AutoSync] Database properties:', Object.keys(dbSchema.properties || {}));
                 }
-            );
-            if (schemaResponse.ok) {
-                dbSchema = await schemaResponse.json();
-                console.log('[AutoSync] Database properties:', Object.keys(dbSchema.properties || {}));
-            }
-        } catch (schemaErr) {
-            console.warn('[AutoSync] Could not fetch schema, using defaults:', schemaErr.message);
-        }
-
-        // Find the title property (could be named differently)
-        let titlePropertyName = 'Title';
-        if (dbSchema?.properties) {
-            for (const [name, prop] of Object.entries(dbSchema.properties)) {
-                if (prop.type === 'title') {
-                    titlePropertyName = name;
-                    break;
-                }
-            }
-        }
-
-        // Build properties dynamically based on what exists in the database
-        const properties = {};
-
-        // Title is always required
-        properties[titlePropertyName] = {
-            title: [{ type: "text", text: { content: (data.title || "Untitled").slice(0, 2000) } }]
-        };
-
-        // Only add optional properties if they exist in the schema
-        if (dbSchema?.properties) {
-            if (dbSchema.properties['URL'] && dbSchema.properties['URL'].type === 'url') {
-                properties['URL'] = { url: getPlatformUrl(data.platform, data.uuid) };
-            }
-            if (dbSchema.properties['Tags'] && dbSchema.properties['Tags'].type === 'multi_select') {
-                properties['Tags'] = { multi_select: [{ name: data.platform || 'AI' }] };
-            }
-            if (dbSchema.properties['Platform'] && dbSchema.properties['Platform'].type === 'select') {
-                properties['Platform'] = { select: { name: data.platform || 'AI' } };
-            }
-            if (dbSchema.properties['Chat Time'] && dbSchema.properties['Chat Time'].type === 'date') {
-                properties['Chat Time'] = { date: { start: new Date().toISOString().split('T')[0] } };
-            }
-            if (dbSchema.properties['Exported'] && dbSchema.properties['Exported'].type === 'date') {
-                properties['Exported'] = { date: { start: new Date().toISOString().split('T')[0] } };
+            } catch (schemaErr) {
+                console.warn('[AutoSync] Could not fetch schema, using defaults:', schemaErr.message);
             }
         }
 
-        children.push({
-            type: "callout",
-            callout: {
-                icon: { emoji: "🤖" },
-                color: "blue_background",
-                rich_text: [{ type: "text", text: { content: `Auto-synced from ${data.platform || 'AI'} at ${new Date().toLocaleString()}` } }]
-            }
-        });
-        children.push({ type: "divider", divider: {} });
-
-        entries.slice(0, 5).forEach((entry) => {
-            const query = entry.query || entry.query_str || '';
-            if (query) {
-                children.push({
-                    type: "heading_2",
-                    heading_2: {
-                        rich_text: [{ type: "text", text: { content: query.slice(0, 2000) } }]
-                    }
-                });
-            }
+        // Only columns that exist in the database with a compatible type are filled
+        const properties = NotionSchema.pageProperties(data, dbSchema, { platform: data.platform, mapping: settings.notionPropertyMap });
 
-            // Extract answer from blocks or direct properties
-            let answer = '';
-            if (entry.blocks && Array.isArray(entry.blocks)) {
-                entry.blocks.forEach(block => {
-                    if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                        answer += (block.markdown_block.answer || block.markdown_block.chunks?.join('\n') || '') + '\n\n';
-                    }
-                });
-            }
-            if (!answer.trim()) answer = entry.answer || entry.text || '';
-
-            if (answer.trim()) {
-                children.push({
-                    type: "paragraph",
-                    paragraph: {
-                        rich_text: [{ type: "text", text: { content: answer.slice(0, 1900) } }]
-                    }
-                });
-            }
+        const { header, turns, complete } = NotionBlocks.fromConversation(data, data.platform, {
+            note: `Auto-synced from ${data.platform || 'AI'} at ${new Date().toLocaleString()}`
         });
 
-        console.log('[AutoSync] Creating page with properties:', Object.keys(properties));
-
-        const response = await fetch('https://api.notion.com/v1/pages', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'Notion-Version': '2022-06-28'
-            },
-            body: JSON.stringify({
-                parent: { database_id: settings.notionDbId },
-                properties,
-                children: children.slice(0, 100) // Notion limit
-            })
+        console.log('[AutoSync] Saving page with properties:', Object.keys(properties));
+
+        // Creates the page, or appends to / rewrites the one synced before
+        const pages = new NotionPageSync({ token, databaseId: destination.databaseId, pageId: destination.pageId });
+        const { action } = await pages.save(data.uuid, {
+            properties,
+            header,
+            turns,
+            complete,
+            mode: settings.notionResyncMode,
+            schema: dbSchema,
+            threadUpdatedAt,
+            group: NotionSchema.groupTitle(data, destination.grouping, { platform: data.platform })
         });
 
-        if (!response.ok) {
-            const err = await response.json();
-            console.error('[AutoSync] Notion API Error:', err);
-            return { success: false, error: err.message || err.code || 'API Error' };
-        }
-
-        console.log('[AutoSync] ✓ Page created successfully');
-        return { success: true };
+        console.log(`[AutoSync] ✓ Page ${action}`);
+        return { success: true, action };
     } catch (e) {
         console.error('[AutoSync] syncToNotion exception:', e);
         return { success: false, error: e.message };
@@ -154,6 +154,8 @@ class ContentScriptManager {
                 await handleGetThreadListOffset(adapter, request.payload, sendResponse);
             } else if (request.type === "GET_SPACES") {
                 await handleGetSpaces(adapter, sendResponse);
+            } else if (request.type === "GET_SPACE_DETAIL") {
+                await handleGetSpaceDetail(adapter, request.payload.spaceId, sendResponse);
             } else if (request.type === "GET_PLATFORM_INFO") {
                 sendResponse({ success: true, platform: adapter.name });
             }
@@ -171,91 +173,31 @@ window.addEventListener('beforeunload', () => manager.cleanup());
 
 
 /**
- * Normalize entries from any adapter format to expected blocks format
- * This ensures all platforms return data in the format popup.js expects
- * 
- * Adapters return various formats:
- * - ChatGPT: { entries: [{query_str, blocks}], title }
- * - Perplexity: Similar blocks format
- * - Gemini/Grok/DeepSeek: { detail: { entries: [{query, answer}] } }
- * - Or sometimes: { entries: [{query, answer}] }
+ * Normalize any adapter result to the canonical conversation schema
+ * Adapters emit ConversationSchema conversations; older result shapes
+ * ({ entries }, { detail: { entries } }, { messages }) go through the shim.
  */
-function normalizeEntries(detail, platform) {
-    // Handle various possible data structures
-    let entries = [];
+function normalizeConversation(detail, adapter, uuid, fallbackTitle) {
+    const conversation = ConversationSchema.from(detail, { id: uuid, platform: adapter.name });
 
-    // Priority 1: Check if detail has entries directly (ChatGPT, Perplexity return this)
-    if (detail?.entries && Array.isArray(detail.entries)) {
-        entries = detail.entries;
-    }
-    // Priority 2: Check nested detail.detail.entries (Gemini/Grok/DeepSeek)
-    else if (detail?.detail?.entries && Array.isArray(detail.detail.entries)) {
-        entries = detail.detail.entries;
-    }
-    // Priority 3: If detail itself is an array
-    else if (Array.isArray(detail)) {
-        entries = detail;
+    conversation.id = conversation.id || uuid;
+    conversation.platform = adapter.name;
+    if (!detail?.title && fallbackTitle) {
+        conversation.title = fallbackTitle;
     }
-    // Priority 4: For adapters returning messages directly
-    else if (detail?.messages && Array.isArray(detail.messages)) {
-        entries = detail.messages;
-    }
-
-    // If no entries found, return empty
-    if (!entries || entries.length === 0) {
-        return [];
-    }
-
-    return entries.map((entry, index) => {
-        // If already in expected format with valid blocks, return as-is
-        if (entry.blocks && Array.isArray(entry.blocks) && entry.blocks.length > 0) {
-            // Verify the blocks have content
-            const hasContent = entry.blocks.some(b =>
-                b?.markdown_block?.answer || b?.markdown_block?.chunks
-            );
-            if (hasContent) {
-                return entry;
-            }
-        }
-
-        // Extract query - try multiple possible keys
-        const query = entry.query_str || entry.query || entry.question || entry.prompt || '';
-
-        // Extract answer - try multiple possible keys
-        let answer = '';
-
-        // Check blocks first (might have empty blocks)
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block?.markdown_block?.answer) {
-                    answer += block.markdown_block.answer + '\n\n';
-                } else if (block?.markdown_block?.chunks) {
-                    answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                }
-            });
-        }
-
-        // Fallback to flat answer fields
-        if (!answer.trim()) {
-            answer = entry.answer || entry.response || entry.text || entry.content || '';
-        }
 
+    return conversation;
+}
 
-        // Convert to expected format
-        return {
-            query_str: query,
-            query: query, // Keep for backward compatibility
-            blocks: [{
-                intended_usage: 'ask_text',
-                markdown_block: {
-                    answer: answer.trim()
-                }
-            }],
-            // Preserve original fields
-            created_datetime: entry.created_datetime || entry.create_time || new Date().toISOString(),
-            updated_datetime: entry.updated_datetime || entry.update_time
-        };
-    });
+/**
+ * Apply user export settings that shape extracted content
+ */
+async function applyExportSettings(conversation) {
+    try {
+        const { includeReasoning } = await chrome.storage.local.get('includeReasoning');
+        if (includeReasoning === false) return ConversationSchema.withoutReasoning(conversation);
+    } catch (e) { /* storage unavailable - keep everything */ }
+    return conversation;
 }
 
 /**
@@ -268,21 +210,13 @@ async function handleExtraction(adapter, sendResponse) {
 
         const detail = await adapter.getThreadDetail(uuid);
 
-        // Normalize entries to expected format
-        const normalizedEntries = normalizeEntries(detail, adapter.name);
-
-        // Get title from various sources
-        const title = detail?.title || document.title?.replace(` - ${adapter.name}`, '').trim() || 'Untitled';
+        // Fall back to the page title when the adapter has none
+        const pageTitle = document.title?.replace(` - ${adapter.name}`, '').trim() || 'Untitled';
+        const conversation = await applyExportSettings(normalizeConversation(detail, adapter, uuid, pageTitle));
 
         sendResponse({
             success: true,
-            data: {
-                title: title,
-                uuid: uuid,
-                detail: { entries: normalizedEntries },
-                platform: adapter.name,
-                debug: detail.debug
-            }
+            data: ConversationSchema.toExportData(conversation)
         });
     } catch (error) {
         if (typeof Logger !== 'undefined') Logger.error('Content', 'Extraction error', { error: error.message });
@@ -297,20 +231,11 @@ async function handleExtraction(adapter, sendResponse) {
 async function handleExtractionByUuid(adapter, uuid, sendResponse) {
     try {
         const detail = await adapter.getThreadDetail(uuid);
-
-        // Normalize entries to expected format
-        const normalizedEntries = normalizeEntries(detail, adapter.name);
-        const title = detail?.title || `Thread_${uuid}`;
+        const conversation = await applyExportSettings(normalizeConversation(detail, adapter, uuid, `Thread_${uuid}`));
 
         sendResponse({
             success: true,
-            data: {
-                title: title,
-                uuid: uuid,
-                detail: { entries: normalizedEntries },
-                platform: adapter.name,
-                debug: detail.debug
-            }
+            data: ConversationSchema.toExportData(conversation)
         });
     } catch (error) {
         if (typeof Logger !== 'undefined') Logger.error('Content', 'ExtractionByUuid error', { error: error.message, uuid });
@@ -395,6 +320,19 @@ async function handleGetThreadListOffset(adapter, payload, sendResponse) {
             });
         }
         // ENTERPRISE: ChatGPT with native offset support + anti-bot headers
+        else if (adapter.name === 'ChatGPT' && payload.cursor) {
+            // Archived and project chats after the main list, one page per request
+            try {
+                const page = await adapter.getExtraThreadsPage(payload.cursor, limit);
+                sendResponse({
+                    success: true,
+                    data: { threads: page.threads, offset, hasMore: !!page.cursor, done: !page.cursor, cursor: page.cursor }
+                });
+            } catch (e) {
+                console.error('[ChatGPT] Error:', e.message);
+                sendResponse({ success: false, error: e.message });
+            }
+        }
         else if (adapter.name === 'ChatGPT') {
             try {
                 const baseUrl = 'https://chatgpt.com/backend-api';
@@ -412,14 +350,14 @@ async function handleGetThreadListOffset(adapter, payload, sendResponse) {
 
                 if (response.ok) {
                     const data = await response.json();
-                    const threads = (data.items || []).map(t => ({
-                        uuid: t.id,
-                        title: t.title || 'ChatGPT Chat',
-                        last_query_datetime: t.update_time
-                    }));
+                    const threads = await adapter._labelThreads((data.items || []).map(t => adapter._toThread(t)));
+
+                    // After the last page, `cursor` asks for the archived and
+                    // project chats, which come in their own paged requests
+                    const done = threads.length < limit;
                     sendResponse({
                         success: true,
-                        data: { threads, offset, hasMore: threads.length === limit, total: data.total }
+                        data: { threads, offset, hasMore: !done, done, total: data.total, cursor: done ? {} : null }
                     });
                 } else if (response.status === 403 || response.status === 429) {
                     // Bot detection likely - use DOM fallback
@@ -541,6 +479,16 @@ async function handleGetSpaces(adapter, sendResponse) {
     }
 }
 
+async function handleGetSpaceDetail(adapter, spaceId, sendResponse) {
+    try {
+        if (!adapter.getSpaceDetail) throw new Error(`${adapter.name} does not support Space export.`);
+        const space = await adapter.getSpaceDetail(spaceId);
+        sendResponse({ success: true, data: space });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
 // --- Platform Detection & Adapters (Fix #5: Capability Validation) ---
 
 /**
@@ -662,15 +610,94 @@ const PerplexityAdapter = {
             }
 
             const data = await response.json();
-            return (data || []).map(s => ({ uuid: s.uuid, name: s.title }));
+            return (data || []).map(s => ({
+                uuid: s.uuid,
+                name: s.title,
+                slug: s.slug || null,
+                emoji: s.emoji || null,
+                description: s.description || ''
+            }));
         } catch (error) {
             console.error('[Perplexity] getSpaces error:', error);
             return [];
         }
     },
 
+    /**
+     * Full Space metadata: name, description, custom instructions and files
+     */
+    getSpaceDetail: async (spaceId) => {
+        const baseUrl = platformConfig.getBaseUrl('Perplexity');
+        const summary = (await PerplexityAdapter.getSpaces()).find(s => s.uuid === spaceId) || { uuid: spaceId };
+
+        let raw = {};
+        if (summary.slug) {
+            try {
+                const endpoint = platformConfig.buildEndpoint('Perplexity', 'spaceDetail', { slug: summary.slug });
+                const response = await fetch(`${baseUrl}${endpoint}`, { credentials: "include" });
+                if (response.ok) raw = await response.json();
+                else platformConfig.markEndpointFailed('Perplexity', 'spaceDetail');
+            } catch (error) {
+                console.warn('[Perplexity] Space detail unavailable:', error.message);
+            }
+        }
+
+        let files = [];
+        try {
+            const endpoint = platformConfig.buildEndpoint('Perplexity', 'spaceFiles');
+            const response = await fetch(`${baseUrl}${endpoint}`, {
+                method: "POST",
+                credentials: "include",
+                headers: { "accept": "*/*", "content-type": "application/json" },
+                body: JSON.stringify({
+                    file_repository_info: { file_repository_type: 'COLLECTION', owner_id: spaceId },
+                    limit: 100,
+                    offset: 0
+                })
+            });
+            if (response.ok) {
+                const data = await response.json();
+                files = (Array.isArray(data) ? data : data.files || []).map(f => ({
+                    id: f.file_uuid || f.uuid || f.id || null,
+                    name: f.filename || f.file_name || f.name || 'file',
+                    mimeType: f.file_type || f.content_type || null,
+                    size: f.file_size || f.size || null,
+                    url: f.url || f.file_url || null,
+                    extractedText: null
+                }));
+            } else {
+                platformConfig.markEndpointFailed('Perplexity', 'spaceFiles');
+            }
+        } catch (error) {
+            console.warn('[Perplexity] Space files unavailable:', error.message);
+        }
+
+        const slug = raw.slug || summary.slug;
+        return ConversationSchema.createCollection({
+            id: spaceId,
+            kind: 'space',
+            name: raw.title || summary.name,
+            description: raw.description || summary.description,
+            instructions: raw.instructions || raw.system_prompt || '',
+            emoji: raw.emoji || summary.emoji,
+            url: slug ? `${baseUrl}/collections/${slug}` : null,
+            platform: 'Perplexity',
+            createdAt: raw.created_at || raw.created_datetime,
+            updatedAt: raw.updated_at || raw.updated_datetime,
+            files,
+            metadata: { slug, access: raw.access ?? null, threadCount: raw.thread_count ?? null }
+        });
+    },
+
     getThreadDetail: async (uuid) => {
-        return await fetchPerplexityDetailResilient(uuid);
+        const detail = await fetchPerplexityDetailResilient(uuid);
+        const space = detail.entries?.[0]?.collection_info;
+        return ConversationSchema.fromEntries(detail.entries, {
+            id: uuid,
+            title: detail.title,
+            platform: 'Perplexity',
+            collection: space?.uuid ? { id: space.uuid, name: space.title, kind: 'space' } : null
+        });
     }
 };
 
@@ -783,6 +810,23 @@ const ChatGPTAdapter = {
     // ENTERPRISE: Get ALL threads (Load All feature)
     // ============================================
     getAllThreads: async (progressCallback = null) => {
+        const allThreads = [...await ChatGPTAdapter.getMainThreads(progressCallback)];
+        const seenIds = new Set(allThreads.map(t => t.uuid));
+
+        // Archived and project chats are not part of /conversations
+        (await ChatGPTAdapter.getExtraThreads()).forEach(t => {
+            if (!seenIds.has(t.uuid)) {
+                seenIds.add(t.uuid);
+                allThreads.push(t);
+            }
+        });
+        return allThreads;
+    },
+
+    /**
+     * Every chat of /conversations (no archived or project chats), cached
+     */
+    getMainThreads: async (progressCallback = null) => {
         const allThreads = [];
         let offset = 0;
         const limit = 50;
@@ -818,7 +862,7 @@ const ChatGPTAdapter = {
 
             return allThreads;
         } catch (error) {
-            console.error('[ChatGPT] getAllThreads failed:', error);
+            console.error('[ChatGPT] getMainThreads failed:', error);
             throw error;
         }
     },
@@ -848,12 +892,7 @@ const ChatGPTAdapter = {
             const response = await ChatGPTAdapter._fetchWithRetry(url);
             const data = await response.json();
 
-            const threads = (data.items || []).map(t => ({
-                uuid: t.id,
-                title: DataExtractor.extractTitle(t, 'ChatGPT'),
-                last_query_datetime: t.update_time,
-                platform: 'ChatGPT'
-            }));
+            const threads = await ChatGPTAdapter._labelThreads((data.items || []).map(t => ChatGPTAdapter._toThread(t)));
 
             return {
                 threads,
@@ -867,9 +906,20 @@ const ChatGPTAdapter = {
         }
     },
 
-    // Standard page-based (backwards compatible)
-    getThreads: async (page, limit) => {
+    // Standard page-based (backwards compatible); spaceId selects a
+    // project, a custom GPT or 'archived'
+    getThreads: async (page, limit, spaceId = null) => {
         try {
+            if (spaceId) {
+                const offset = (page - 1) * limit;
+                const threads = await ChatGPTAdapter.getCollectionThreads(spaceId, offset + limit + 1);
+                return {
+                    threads: threads.slice(offset, offset + limit),
+                    hasMore: offset + limit < threads.length || !ChatGPTAdapter.isCollectionLoaded(spaceId),
+                    page
+                };
+            }
+
             // Check NetworkInterceptor first
             if (window.NetworkInterceptor && window.NetworkInterceptor.getChatList().length > 0) {
                 const all = window.NetworkInterceptor.getChatList();
@@ -902,6 +952,12 @@ const ChatGPTAdapter = {
     // FIXED: Added multiple endpoint fallbacks and better error handling
     // ============================================
     getThreadDetail: async (uuid) => {
+        let branchMode = 'current';
+        try {
+            const settings = await chrome.storage.local.get('chatgptBranchMode');
+            if (settings.chatgptBranchMode === 'all') branchMode = 'all';
+        } catch (e) { /* storage unavailable - keep current branch */ }
+
         // Strategy 1: API fetch with retry (multiple endpoint attempts)
         const endpoints = [
             `/backend-api/conversation/${uuid}`,
@@ -924,11 +980,26 @@ const ChatGPTAdapter = {
                     continue;
                 }
 
-                const entries = transformChatGPTData(data);
-
-                if (entries.length > 0) {
-                    console.log(`[ChatGPT] ✓ API success: ${entries.length} entries for ${uuid}`);
-                    return { uuid, entries, title: data.title || 'ChatGPT Chat', platform: 'ChatGPT' };
+                const messages = transformChatGPTData(data, { branchMode });
+
+                if (messages.length > 0) {
+                    await ChatGPTAdapter.resolveAssets(messages);
+                    const gizmo = await ChatGPTAdapter.getGizmo(data.gizmo_id);
+                    console.log(`[ChatGPT] ✓ API success: ${messages.length} messages for ${uuid}`);
+                    return ConversationSchema.createConversation({
+                        id: uuid,
+                        title: data.title || 'ChatGPT Chat',
+                        platform: 'ChatGPT',
+                        createdAt: data.create_time,
+                        updatedAt: data.update_time,
+                        messages,
+                        collection: gizmo,
+                        metadata: {
+                            branchMode,
+                            currentNode: data.current_node || null,
+                            archived: !!data.is_archived
+                        }
+                    });
                 }
             } catch (error) {
                 console.warn(`[ChatGPT] Endpoint ${endpoint} failed:`, error.message);
@@ -938,18 +1009,337 @@ const ChatGPTAdapter = {
 
         // Strategy 2: Return helpful error if API fails
         console.error('[ChatGPT] All API endpoints failed for conversation:', uuid);
-        return {
-            uuid,
+        return ConversationSchema.createConversation({
+            id: uuid,
             title: 'Unable to fetch - API error',
             platform: 'ChatGPT',
-            entries: [],
-            error: 'All API endpoints failed. Please check your login status.'
+            metadata: { error: 'All API endpoints failed. Please check your login status.' }
+        });
+    },
+
+
+
+    // ============================================
+    // Resolve file-service pointers (uploads, DALL·E, code interpreter
+    // images) and download their bytes while the page session can still
+    // authorize them: signed URLs expire within hours, so exporters write
+    // the carried `data` (base64) as real files
+    // ============================================
+    _maxAssetBytes: 20 * 1024 * 1024,
+
+    resolveAssets: async (messages) => {
+        const baseUrl = platformConfig.getBaseUrl('ChatGPT');
+        const resolved = new Map();
+
+        const download = async (key, fileId, url) => {
+            if (!resolved.has(key)) {
+                let asset = { url: url || null, name: null, mimeType: null, data: null };
+                try {
+                    if (!asset.url && fileId) {
+                        const response = await ChatGPTAdapter._fetchWithRetry(`${baseUrl}/backend-api/files/${fileId}/download`, {}, 1);
+                        const json = await response.json();
+                        asset = { ...asset, url: json.download_url || null, name: json.file_name || null };
+                    }
+                    if (asset.url) {
+                        const response = await fetch(asset.url, { credentials: asset.url.startsWith(baseUrl) ? 'include' : 'omit' });
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        const blob = await response.blob();
+                        if (blob.size <= ChatGPTAdapter._maxAssetBytes) {
+                            asset.mimeType = blob.type || null;
+                            asset.data = bytesToBase64(await blob.arrayBuffer());
+                        } else {
+                            console.warn(`[ChatGPT] Asset ${key} is ${blob.size} bytes - kept as a link only`);
+                        }
+                    }
+                } catch (e) {
+                    console.warn(`[ChatGPT] Could not download asset ${key}:`, e.message);
+                }
+                resolved.set(key, asset);
+            }
+            return resolved.get(key);
         };
+
+        const visit = async (list) => {
+            for (const message of list) {
+                for (const part of message.parts || []) {
+                    if (part.type !== 'image' || (!part.assetId && !part.url)) continue;
+                    const asset = await download(part.assetId || part.url, part.assetId, part.url);
+                    part.url = asset.url;
+                    part.mimeType = part.mimeType || asset.mimeType;
+                    if (asset.data) {
+                        part.name = asset.name || `image-${resolved.size}`;
+                        part.data = asset.data;
+                    }
+                }
+                for (const attachment of message.attachments || []) {
+                    if (!attachment.id && !attachment.url) continue;
+                    const asset = await download(attachment.id || attachment.url, attachment.id, attachment.url);
+                    attachment.url = asset.url;
+                    attachment.mimeType = attachment.mimeType || asset.mimeType;
+                    if (asset.data) attachment.data = asset.data;
+                }
+                for (const branch of message.alternates || []) {
+                    await visit(branch.messages);
+                }
+            }
+        };
+
+        await visit(messages);
+        return messages;
+    },
+
+    // ============================================
+    // PROJECTS, CUSTOM GPTS & ARCHIVED CHATS
+    // Projects are "snorlax" gizmos (ids g-p-...), custom GPTs plain
+    // gizmos (g-...). Project and archived chats are missing from
+    // /conversations and are listed through their own endpoints.
+    // ============================================
+    _gizmoCache: new Map(),
+    _collectionThreadsCache: new Map(),
+
+    _isProjectId: (gizmoId) => /^g-p-/.test(gizmoId || ''),
+
+    /**
+     * Thread list item with its project / GPT / archived labels
+     */
+    _toThread: (t, extra = {}) => {
+        const gizmoId = t.gizmo_id || extra.gizmoId || null;
+        const isProject = ChatGPTAdapter._isProjectId(gizmoId);
+        return {
+            uuid: t.id,
+            title: DataExtractor.extractTitle(t, 'ChatGPT'),
+            last_query_datetime: t.update_time,
+            platform: 'ChatGPT',
+            projectId: isProject ? gizmoId : null,
+            gptId: gizmoId && !isProject ? gizmoId : null,
+            archived: !!(t.is_archived || extra.archived)
+        };
+    },
+
+    /**
+     * Fill in project and GPT names (one lookup per distinct gizmo)
+     */
+    _labelThreads: async (threads) => {
+        for (const t of threads) {
+            const gizmo = await ChatGPTAdapter.getGizmo(t.projectId || t.gptId);
+            if (gizmo?.kind === 'project') t.project = gizmo.name;
+            if (gizmo?.kind === 'gpt') t.gpt = gizmo.name;
+        }
+        return threads;
+    },
+
+    _cacheGizmo: (raw) => {
+        const gizmo = raw?.gizmo || raw;
+        if (!gizmo?.id) return null;
+        const entry = {
+            id: gizmo.id,
+            name: gizmo.display?.name || gizmo.name || gizmo.id,
+            kind: ChatGPTAdapter._isProjectId(gizmo.id) ? 'project' : 'gpt',
+            description: gizmo.display?.description || '',
+            instructions: gizmo.instructions || '',
+            files: (raw.files || gizmo.files || []).map(f => ({
+                id: f.file_id || f.id || null,
+                name: f.name || f.file_name || 'file',
+                mimeType: f.type || f.mime_type || null,
+                size: f.size || null,
+                url: null,
+                extractedText: null
+            }))
+        };
+        ChatGPTAdapter._gizmoCache.set(entry.id, entry);
+        return entry;
+    },
+
+    /**
+     * Project or custom GPT by id (cached); null for plain chats
+     */
+    getGizmo: async (gizmoId) => {
+        if (!gizmoId) return null;
+        if (ChatGPTAdapter._gizmoCache.has(gizmoId)) return ChatGPTAdapter._gizmoCache.get(gizmoId);
+
+        try {
+            const baseUrl = platformConfig.getBaseUrl('ChatGPT');
+            const endpoint = platformConfig.buildEndpoint('ChatGPT', 'gizmo', { id: gizmoId });
+            const response = await ChatGPTAdapter._fetchWithRetry(`${baseUrl}${endpoint}`, {}, 1);
+            const cached = ChatGPTAdapter._cacheGizmo(await response.json());
+            if (cached) return cached;
+        } catch (e) {
+            console.warn(`[ChatGPT] Could not load gizmo ${gizmoId}:`, e.message);
+        }
+
+        // Remember unknown gizmos so each is only requested once
+        const fallback = ChatGPTAdapter._cacheGizmo({ id: gizmoId });
+        return fallback;
+    },
+
+    getProjects: async () => {
+        try {
+            const baseUrl = platformConfig.getBaseUrl('ChatGPT');
+            const endpoint = platformConfig.buildEndpoint('ChatGPT', 'projects');
+            const response = await ChatGPTAdapter._fetchWithRetry(`${baseUrl}${endpoint}`, {}, 2);
+            const data = await response.json();
+            return (data.items || [])
+                .map(item => ChatGPTAdapter._cacheGizmo(item.gizmo))
+                .filter(Boolean);
+        } catch (e) {
+            platformConfig.markEndpointFailed('ChatGPT', 'projects');
+            console.warn('[ChatGPT] Projects unavailable:', e.message);
+            return [];
+        }
     },
 
+    /**
+     * One page of the archive ('archived') or of a project. `next` is the
+     * archive offset or the project cursor; it comes back null after the last page.
+     */
+    getCollectionPage: async (collectionId, next = null, limit = 50) => {
+        const baseUrl = platformConfig.getBaseUrl('ChatGPT');
 
+        if (collectionId === 'archived') {
+            const offset = next || 0;
+            const endpoint = platformConfig.buildEndpoint('ChatGPT', 'conversations');
+            const response = await ChatGPTAdapter._fetchWithRetry(`${baseUrl}${endpoint}?offset=${offset}&limit=${limit}&order=updated&is_archived=true`);
+            const items = (await response.json()).items || [];
+            const threads = await ChatGPTAdapter._labelThreads(items.map(t => ChatGPTAdapter._toThread(t, { archived: true })));
+            return { threads, next: items.length < limit ? null : offset + items.length };
+        }
+
+        const endpoint = platformConfig.buildEndpoint('ChatGPT', 'projectConversations', { id: collectionId, cursor: next || '0' });
+        const response = await ChatGPTAdapter._fetchWithRetry(`${baseUrl}${endpoint}`);
+        const data = await response.json();
+        const threads = await ChatGPTAdapter._labelThreads((data.items || []).map(t => ChatGPTAdapter._toThread(t, { gizmoId: collectionId })));
+        return { threads, next: data.cursor ? String(data.cursor) : null };
+    },
 
-    getSpaces: async () => []
+    /**
+     * Threads of a project, a custom GPT or the archive ('archived'), cached
+     * per collection. Archive and project pages are only read until `count`
+     * threads are in, so each list request stays within its timeout.
+     */
+    getCollectionThreads: async (collectionId, count = Infinity) => {
+        let entry = ChatGPTAdapter._collectionThreadsCache.get(collectionId);
+        if (!entry || entry.time <= Date.now() - ChatGPTAdapter._cacheTTL) {
+            entry = { threads: [], next: null, done: false, time: Date.now() };
+            ChatGPTAdapter._collectionThreadsCache.set(collectionId, entry);
+        }
+
+        if (collectionId !== 'archived' && !ChatGPTAdapter._isProjectId(collectionId)) {
+            if (!entry.done) {
+                // Custom GPT chats live in the main list
+                const cacheValid = ChatGPTAdapter._cacheTimestamp > Date.now() - ChatGPTAdapter._cacheTTL;
+                const all = cacheValid && ChatGPTAdapter._allThreadsCache.length > 0
+                    ? ChatGPTAdapter._allThreadsCache
+                    : await ChatGPTAdapter.getMainThreads();
+                entry.threads = await ChatGPTAdapter._labelThreads(all.filter(t => t.gptId === collectionId));
+                entry.done = true;
+            }
+            return entry.threads;
+        }
+
+        while (!entry.done && entry.threads.length < count && entry.threads.length < 5000) {
+            if (entry.threads.length > 0) await new Promise(r => setTimeout(r, 300)); // Rate limit
+            const page = await ChatGPTAdapter.getCollectionPage(collectionId, entry.next);
+            entry.threads.push(...page.threads);
+            entry.next = page.next;
+            entry.done = page.next === null || page.threads.length === 0;
+        }
+        return entry.threads;
+    },
+
+    /**
+     * Whether every thread of a collection has been read into the cache
+     */
+    isCollectionLoaded: (collectionId) => !!ChatGPTAdapter._collectionThreadsCache.get(collectionId)?.done,
+
+    /**
+     * One page of archived and project chats, which /conversations leaves out
+     * (for Load All). `cursor` is { collections: ids still to read, next };
+     * without `collections` the walk starts at the archive. The returned
+     * cursor is null once every collection has been read.
+     */
+    getExtraThreadsPage: async (cursor = {}, limit = 50) => {
+        const collections = cursor.collections
+            || ['archived', ...(await ChatGPTAdapter.getProjects()).map(p => p.id)];
+        if (collections.length === 0) return { threads: [], cursor: null };
+
+        const [collectionId, ...rest] = collections;
+        let page = { threads: [], next: null };
+        try {
+            page = await ChatGPTAdapter.getCollectionPage(collectionId, cursor.collections ? cursor.next : null, limit);
+        } catch (e) {
+            console.warn(`[ChatGPT] Chats of ${collectionId} unavailable:`, e.message);
+        }
+
+        // An empty page ends a collection even if the API hands out another cursor
+        const remaining = page.next !== null && page.threads.length > 0 ? collections : rest;
+        return {
+            threads: page.threads,
+            cursor: remaining.length > 0 ? { collections: remaining, next: page.next } : null
+        };
+    },
+
+    /**
+     * Archived chats plus the chats of every project, page by page
+     */
+    getExtraThreads: async () => {
+        const threads = [];
+        let cursor = {};
+        do {
+            const page = await ChatGPTAdapter.getExtraThreadsPage(cursor);
+            threads.push(...page.threads);
+            cursor = page.cursor;
+            if (cursor) await new Promise(r => setTimeout(r, 300)); // Rate limit
+        } while (cursor && threads.length < 5000);
+        return threads;
+    },
+
+    /**
+     * Projects, recently used custom GPTs and the archive, for the dashboard filter
+     */
+    getSpaces: async () => {
+        const spaces = (await ChatGPTAdapter.getProjects())
+            .map(p => ({ uuid: p.id, name: p.name, description: p.description, kind: 'project' }));
+
+        try {
+            const baseUrl = platformConfig.getBaseUrl('ChatGPT');
+            const endpoint = platformConfig.buildEndpoint('ChatGPT', 'recentGizmos');
+            const response = await ChatGPTAdapter._fetchWithRetry(`${baseUrl}${endpoint}`, {}, 1);
+            const data = await response.json();
+            (data.list?.items || data.items || []).forEach(item => ChatGPTAdapter._cacheGizmo(item.resource?.gizmo || item.gizmo || item));
+        } catch (e) {
+            console.warn('[ChatGPT] Recent GPTs unavailable:', e.message);
+        }
+        ChatGPTAdapter._gizmoCache.forEach(g => {
+            if (g.kind === 'gpt' && g.name !== g.id) spaces.push({ uuid: g.id, name: g.name, description: g.description, kind: 'gpt' });
+        });
+
+        spaces.push({ uuid: 'archived', name: 'Archived chats', kind: 'archived' });
+        return spaces;
+    },
+
+    /**
+     * Project or GPT metadata with its instructions and knowledge files
+     */
+    getSpaceDetail: async (gizmoId) => {
+        if (gizmoId === 'archived') {
+            throw new Error('Archived chats are a filter, not a project - select them and use bulk export instead.');
+        }
+
+        ChatGPTAdapter._gizmoCache.delete(gizmoId);
+        const gizmo = await ChatGPTAdapter.getGizmo(gizmoId);
+        const baseUrl = platformConfig.getBaseUrl('ChatGPT');
+
+        return ConversationSchema.createCollection({
+            id: gizmo.id,
+            kind: gizmo.kind,
+            name: gizmo.name,
+            description: gizmo.description,
+            instructions: gizmo.instructions,
+            url: `${baseUrl}/g/${gizmo.id}${gizmo.kind === 'project' ? '/project' : ''}`,
+            platform: 'ChatGPT',
+            files: gizmo.files
+        });
+    }
 };
 
 // --- Claude Implementation (Enterprise Edition - Matches Perplexity Quality) ---
@@ -1057,7 +1447,8 @@ const ClaudeAdapter = {
                 uuid: t.uuid,
                 title: DataExtractor.extractTitle(t, 'Claude'),
                 last_query_datetime: t.updated_at,
-                platform: 'Claude'
+                platform: 'Claude',
+                projectId: t.project_uuid || t.project?.uuid || null
             }));
 
             // Update cache
@@ -1095,9 +1486,23 @@ const ClaudeAdapter = {
         };
     },
 
-    // Standard page-based (backwards compatible)
-    getThreads: async function (page, limit) {
+    // Standard page-based (backwards compatible); spaceId filters to one Project
+    getThreads: async function (page, limit, spaceId = null) {
         try {
+            if (spaceId) {
+                const cacheValid = ClaudeAdapter._cacheTimestamp > Date.now() - ClaudeAdapter._cacheTTL;
+                if (!cacheValid || ClaudeAdapter._allThreadsCache.length === 0) {
+                    await ClaudeAdapter.getAllThreads();
+                }
+                const inProject = ClaudeAdapter._allThreadsCache.filter(t => t.projectId === spaceId);
+                const offset = (page - 1) * limit;
+                return {
+                    threads: inProject.slice(offset, offset + limit),
+                    hasMore: offset + limit < inProject.length,
+                    page
+                };
+            }
+
             const result = await this.getThreadsWithOffset((page - 1) * limit, limit);
 
             return {
@@ -1119,33 +1524,121 @@ const ClaudeAdapter = {
             const orgId = await this.getOrgId();
             const baseUrl = platformConfig.getBaseUrl('Claude');
             const endpoint = platformConfig.buildEndpoint('Claude', 'conversationDetail', { org: orgId, uuid });
-            const url = `${baseUrl}${endpoint}`;
+            // rendering_mode=messages returns content[] parts (tool_use artifacts)
+            const url = `${baseUrl}${endpoint}?rendering_mode=messages&render_all_tools=true`;
 
             const response = await ClaudeAdapter._fetchWithRetry(url);
             const data = await response.json();
+            const { messages, artifacts } = transformClaudeData(data);
 
-            console.log(`[Claude] API success for ${uuid}`);
-            return {
-                uuid,
-                entries: transformClaudeData(data),
+            const projectId = data.project_uuid || data.project?.uuid;
+            const projectName = data.project?.name ||
+                ClaudeAdapter._projectsCache.find(p => p.uuid === projectId)?.name || null;
+
+            console.log(`[Claude] API success for ${uuid}: ${messages.length} messages, ${artifacts.length} artifacts`);
+            return ConversationSchema.fromMessages(messages, {
+                id: uuid,
                 title: data.name,
-                platform: 'Claude'
-            };
+                platform: 'Claude',
+                createdAt: data.created_at,
+                updatedAt: data.updated_at,
+                artifacts,
+                collection: projectId ? { id: projectId, name: projectName, kind: 'project' } : null
+            });
         } catch (error) {
             console.error('[Claude] getThreadDetail error:', error);
-            return {
-                uuid,
-                entries: [],
+            return ConversationSchema.createConversation({
+                id: uuid,
                 title: 'Error fetching details',
                 platform: 'Claude',
-                error: error.message
-            };
+                metadata: { error: error.message }
+            });
         }
     },
 
 
+    // ============================================
+    // PROJECTS (exposed through the Spaces interface)
+    // ============================================
+    _projectsCache: [],
+
+    getSpaces: async function () {
+        try {
+            const orgId = await this.getOrgId();
+            const baseUrl = platformConfig.getBaseUrl('Claude');
+            const endpoint = platformConfig.buildEndpoint('Claude', 'projects', { org: orgId });
+            const response = await ClaudeAdapter._fetchWithRetry(`${baseUrl}${endpoint}`);
+            const data = await response.json();
+
+            ClaudeAdapter._projectsCache = (Array.isArray(data) ? data : [])
+                .filter(p => !p.archived_at)
+                .map(p => ({
+                    uuid: p.uuid,
+                    name: p.name,
+                    description: p.description || '',
+                    kind: 'project'
+                }));
+            return ClaudeAdapter._projectsCache;
+        } catch (error) {
+            console.error('[Claude] getSpaces (projects) error:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Project metadata with its custom instructions and knowledge documents
+     */
+    getSpaceDetail: async function (projectId) {
+        const orgId = await this.getOrgId();
+        const baseUrl = platformConfig.getBaseUrl('Claude');
+        const url = (key) => `${baseUrl}${platformConfig.buildEndpoint('Claude', key, { org: orgId, project: projectId })}`;
+
+        const response = await ClaudeAdapter._fetchWithRetry(url('projectDetail'));
+        const project = await response.json();
 
-    getSpaces: async () => []
+        // Knowledge: text documents carry their content, uploaded files only metadata
+        const files = [];
+        try {
+            const docs = await (await ClaudeAdapter._fetchWithRetry(url('projectDocs'))).json();
+            (Array.isArray(docs) ? docs : []).forEach(doc => files.push({
+                id: doc.uuid || null,
+                name: doc.file_name || doc.name || 'document.txt',
+                mimeType: 'text/plain',
+                size: doc.content?.length || null,
+                url: null,
+                extractedText: doc.content || null
+            }));
+        } catch (error) {
+            console.warn('[Claude] Project docs unavailable:', error.message);
+        }
+        try {
+            const uploads = await (await ClaudeAdapter._fetchWithRetry(url('projectFiles'))).json();
+            (Array.isArray(uploads) ? uploads : []).forEach(file => files.push({
+                id: file.file_uuid || file.uuid || null,
+                name: file.file_name || 'file',
+                mimeType: file.mime_type || null,
+                size: file.size_bytes || null,
+                url: file.preview_url || file.document_asset?.url || null,
+                extractedText: null
+            }));
+        } catch (error) {
+            console.warn('[Claude] Project files unavailable:', error.message);
+        }
+
+        return ConversationSchema.createCollection({
+            id: projectId,
+            kind: 'project',
+            name: project.name,
+            description: project.description,
+            instructions: project.prompt_template || '',
+            url: `${baseUrl}/project/${projectId}`,
+            platform: 'Claude',
+            createdAt: project.created_at,
+            updatedAt: project.updated_at,
+            files,
+            metadata: { isPrivate: project.is_private ?? null, starred: project.is_starred ?? null }
+        });
+    }
 };
 
 // --- Helper Functions ---
@@ -1233,8 +1726,7 @@ async function fetchPerplexityDetailResilient(uuid) {
         return {
             entries: entries,
             title: title,
-            uuid: uuid,
-            debug: debug
+            uuid: uuid
         };
     } catch (error) {
         console.error('[OmniExporter] Error fetching thread detail:', error);
@@ -1243,159 +1735,456 @@ async function fetchPerplexityDetailResilient(uuid) {
 }
 
 
-function transformChatGPTData(data) {
-    // ChatGPT returns a tree structure with mapping object.
-    // We need to traverse from root to leaves to get ordered messages.
-    const entries = [];
+function transformChatGPTData(data, options = {}) {
+    // ChatGPT returns a tree structure with mapping object. Every edited prompt
+    // or regenerated answer is a sibling branch, so we follow the branch the
+    // user is on (current_node back to the root) and, in 'all' mode, keep the
+    // other siblings as alternates on the message where they diverge.
     const mapping = data.mapping || {};
+    const includeAll = options.branchMode === 'all';
+    let messages = [];
 
     try {
-        // Find the root node (node with no parent or parent is null)
-        let currentNodeId = null;
+        // Collect the current branch by walking current_node up to the root
+        const currentPath = new Set();
+        let nodeId = mapping[data.current_node] ? data.current_node : null;
+        while (nodeId && !currentPath.has(nodeId)) {
+            currentPath.add(nodeId);
+            nodeId = mapping[nodeId]?.parent;
+        }
 
-        // Method 1: Find root node with null parent
-        for (const [id, node] of Object.entries(mapping)) {
-            if (!node.parent) {
-                currentNodeId = id;
-                break;
-            }
+        // Root node: no parent (or parent missing from mapping), else first node
+        const ids = Object.keys(mapping);
+        const rootId = ids.find(id => !mapping[id]?.parent || !mapping[mapping[id].parent]) || ids[0];
+
+        if (rootId) {
+            messages = walkChatGPTBranch(mapping, rootId, currentPath, includeAll, new Set());
         }
 
-        // Method 2: If no root found, use first node
-        if (!currentNodeId && Object.keys(mapping).length > 0) {
-            currentNodeId = Object.keys(mapping)[0];
+        // If tree traversal didn't work, fallback to sorting all messages
+        if (messages.length === 0) {
+            Object.values(mapping).forEach(node => {
+                const message = chatGPTNodeToMessage(node);
+                if (message) messages.push(message);
+            });
+            messages.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
         }
 
-        // Traverse the tree following children links
-        const orderedMessages = [];
-        const visited = new Set();
-
-        while (currentNodeId && !visited.has(currentNodeId)) {
-            visited.add(currentNodeId);
-            const node = mapping[currentNodeId];
-
-            if (node?.message) {
-                const msg = node.message;
-                const role = msg.author?.role;
-
-                // Extract content - ChatGPT uses various content structures
-                let content = '';
-
-                if (msg.content?.parts && Array.isArray(msg.content.parts)) {
-                    content = msg.content.parts
-                        .filter(p => typeof p === 'string')
-                        .join('\n');
-                } else if (msg.content?.text) {
-                    content = msg.content.text;
-                } else if (typeof msg.content === 'string') {
-                    content = msg.content;
-                }
+        console.log(`[ChatGPT] Transformed ${messages.length} messages (branch mode: ${includeAll ? 'all' : 'current'})`);
+    } catch (e) {
+        console.error('[OmniExporter] ChatGPT transform error:', e);
+    }
 
-                // Skip system messages and empty content
-                if (role && role !== 'system' && content.trim()) {
-                    orderedMessages.push({
-                        role: role,
-                        content: content.trim(),
-                        create_time: msg.create_time,
-                        id: msg.id
-                    });
-                }
-            }
+    return messages;
+}
 
-            // Move to first child (follow the conversation thread)
-            if (node?.children && node.children.length > 0) {
-                currentNodeId = node.children[0];
-            } else {
-                break;
-            }
+/**
+ * Walk one branch of a ChatGPT mapping from startId down to a leaf.
+ * At each fork the child on the current branch wins (else the newest);
+ * with includeAll the other children are walked recursively as alternates.
+ */
+function walkChatGPTBranch(mapping, startId, currentPath, includeAll, visited) {
+    const messages = [];
+    let pendingBranch = null;
+    let pendingAlternates = [];
+    let nodeId = startId;
+
+    while (nodeId && !visited.has(nodeId)) {
+        visited.add(nodeId);
+        const node = mapping[nodeId];
+
+        const message = chatGPTNodeToMessage(node);
+        if (message) {
+            message.branch = pendingBranch;
+            message.alternates = pendingAlternates;
+            pendingBranch = null;
+            pendingAlternates = [];
+            messages.push(message);
         }
 
-        // If tree traversal didn't work, fallback to sorting all messages
-        if (orderedMessages.length === 0) {
-            Object.values(mapping).forEach(node => {
-                const msg = node?.message;
-                if (msg && msg.author?.role && msg.author.role !== 'system') {
-                    let content = '';
-                    if (msg.content?.parts && Array.isArray(msg.content.parts)) {
-                        content = msg.content.parts.filter(p => typeof p === 'string').join('\n');
-                    } else if (msg.content?.text) {
-                        content = msg.content.text;
-                    }
-                    if (content.trim()) {
-                        orderedMessages.push({
-                            role: msg.author.role,
-                            content: content.trim(),
-                            create_time: msg.create_time || 0
-                        });
+        const children = (node?.children || []).filter(id => mapping[id]);
+        if (children.length === 0) break;
+
+        let nextIndex = children.findIndex(id => currentPath.has(id));
+        if (nextIndex === -1) nextIndex = children.length - 1;
+
+        if (children.length > 1) {
+            pendingBranch = pendingBranch || { index: nextIndex + 1, count: children.length };
+
+            if (includeAll) {
+                children.forEach((childId, i) => {
+                    if (i === nextIndex) return;
+                    const branchMessages = walkChatGPTBranch(mapping, childId, currentPath, includeAll, visited);
+                    if (branchMessages.length > 0) {
+                        pendingAlternates.push({ index: i + 1, count: children.length, messages: branchMessages });
                     }
-                }
-            });
-            // Sort by create_time
-            orderedMessages.sort((a, b) => (a.create_time || 0) - (b.create_time || 0));
+                });
+            }
         }
 
-        // Pair user questions with assistant answers
-        let currentEntry = null;
-        orderedMessages.forEach(msg => {
-            if (msg.role === 'user') {
-                // Push previous entry if exists
-                if (currentEntry && currentEntry.blocks.length > 0) {
-                    entries.push(currentEntry);
+        nodeId = children[nextIndex];
+    }
+
+    return messages;
+}
+
+/**
+ * Convert a ChatGPT mapping node to a schema message (null for system/hidden/empty nodes)
+ */
+function chatGPTNodeToMessage(node) {
+    const msg = node?.message;
+    const role = msg?.author?.role;
+    if (!role || role === 'system' || msg.metadata?.is_visually_hidden_from_conversation) return null;
+
+    const { parts, citations } = chatGPTContentToParts(msg);
+
+    // Uploaded files (images are already inline parts)
+    const imageIds = new Set(parts.filter(p => p.type === 'image').map(p => p.assetId));
+    const attachments = (msg.metadata?.attachments || [])
+        .filter(a => a && !imageIds.has(a.id))
+        .map(a => ({
+            id: a.id || null,
+            name: a.name || a.id || 'attachment',
+            mimeType: a.mime_type || a.mimeType || null,
+            size: a.size || null,
+            url: null,
+            extractedText: null
+        }));
+
+    if (parts.length === 0 && citations.length === 0 && attachments.length === 0) return null;
+
+    return {
+        id: msg.id || node.id || null,
+        role: role === 'user' || role === 'tool' ? role : 'assistant',
+        parts,
+        citations,
+        attachments,
+        createdAt: msg.create_time || null,
+        model: role === 'assistant' ? (msg.metadata?.model_slug || msg.metadata?.default_model_slug || null) : null,
+        metadata: {
+            contentType: msg.content?.content_type || null,
+            recipient: msg.recipient && msg.recipient !== 'all' ? msg.recipient : null,
+            toolName: role === 'tool' ? (msg.author?.name || null) : null
+        }
+    };
+}
+
+/**
+ * Map ChatGPT content types to schema parts and citations:
+ * text / multimodal_text (images), code (tool calls), execution_output,
+ * tether_browsing_display / tether_quote (browsing) and system_error
+ */
+function chatGPTContentToParts(msg) {
+    const content = msg.content || {};
+    const meta = msg.metadata || {};
+    const parts = [];
+    const citations = [];
+    const recipient = msg.recipient && msg.recipient !== 'all' ? msg.recipient : null;
+
+    // Returns the citation's 1-based index (its [n] marker), or 0 without a URL
+    const addCitation = (c) => {
+        if (!c?.url) return 0;
+        const existing = citations.findIndex(x => x.url === c.url);
+        if (existing !== -1) return existing + 1;
+        citations.push({
+            index: citations.length + 1,
+            title: c.title || c.name || c.url,
+            url: c.url,
+            snippet: c.text || c.snippet || null
+        });
+        return citations.length;
+    };
+
+    switch (content.content_type) {
+        case 'code':
+            // Assistant calling a tool (code interpreter, browser, image generation)
+            parts.push({
+                type: 'code',
+                language: content.language && content.language !== 'unknown' ? content.language : (recipient === 'python' ? 'python' : ''),
+                code: content.text || '',
+                caption: recipient ? `Tool call: ${recipient}` : null
+            });
+            break;
+
+        case 'execution_output':
+            if (content.text?.trim()) {
+                parts.push({ type: 'code', language: '', code: content.text, caption: 'Output' });
+            }
+            (meta.aggregate_result?.messages || []).forEach(m => {
+                if (m.message_type === 'image' && m.image_url) {
+                    parts.push(chatGPTImagePart(m.image_url, 'Code interpreter output'));
                 }
-                currentEntry = {
-                    query_str: msg.content,
-                    blocks: []
-                };
-            } else if ((msg.role === 'assistant' || msg.role === 'tool') && currentEntry) {
-                currentEntry.blocks.push({
-                    intended_usage: 'ask_text',
-                    markdown_block: { answer: msg.content }
+            });
+            break;
+
+        case 'tether_browsing_display':
+            (meta._cite_metadata?.metadata_list || []).forEach(addCitation);
+            break;
+
+        case 'tether_quote':
+            addCitation(content);
+            break;
+
+        case 'system_error':
+            parts.push({ type: 'text', text: `⚠️ ${content.name || 'Error'}: ${content.text || ''}`.trim() });
+            break;
+
+        default:
+            if (Array.isArray(content.parts)) {
+                content.parts.forEach(p => {
+                    if (typeof p === 'string') {
+                        if (p.trim()) parts.push({ type: 'text', text: p.trim() });
+                    } else if (p?.content_type === 'image_asset_pointer') {
+                        parts.push(chatGPTImagePart(p.asset_pointer, p.metadata?.dalle?.prompt || 'Image', p));
+                    } else if (p?.content_type === 'audio_transcription' && p.text?.trim()) {
+                        parts.push({ type: 'text', text: p.text.trim() });
+                    }
                 });
+            } else if (content.text?.trim()) {
+                parts.push({ type: 'text', text: content.text.trim() });
+            } else if (typeof content === 'string' && content.trim()) {
+                parts.push({ type: 'text', text: content.trim() });
             }
-        });
 
-        // Push final entry
-        if (currentEntry && currentEntry.blocks.length > 0) {
-            entries.push(currentEntry);
+            // Text sent to a tool (e.g. browser search queries) is a tool call
+            if (recipient && parts.length > 0 && parts.every(p => p.type === 'text')) {
+                const code = parts.map(p => p.text).join('\n');
+                parts.length = 0;
+                parts.push({ type: 'code', language: '', code, caption: `Tool call: ${recipient}` });
+            }
+    }
+
+    // Inline browsing citations on assistant answers. ChatGPT marks them in
+    // the text with opaque tokens (【11†source】, "citeturn0search0" wrapped in
+    // private-use chars); swap each token for a plain [n] marker.
+    const markers = [];
+    const rawText = Array.isArray(content.parts) && typeof content.parts[0] === 'string' ? content.parts[0] : '';
+
+    (meta.citations || []).forEach(c => {
+        const n = addCitation(c.metadata || c);
+        const token = Number.isInteger(c.start_ix) ? rawText.slice(c.start_ix, c.end_ix) : '';
+        if (n && token) markers.push({ token, replacement: `[${n}]` });
+    });
+    (meta.content_references || []).forEach(ref => {
+        const numbers = [...(ref.items || []), ...(ref.sources || [])].map(addCitation).filter(Boolean);
+        // sources_footnote refs match a bare space - never rewrite those
+        if (ref.matched_text?.trim() && ref.type !== 'sources_footnote') {
+            markers.push({ token: ref.matched_text, replacement: [...new Set(numbers)].map(n => `[${n}]`).join('') });
         }
+    });
 
-        console.log(`[ChatGPT] Transformed ${orderedMessages.length} messages into ${entries.length} entries`);
-    } catch (e) {
-        console.error('[OmniExporter] ChatGPT transform error:', e);
+    if (markers.length > 0) {
+        parts.forEach(part => {
+            if (part.type !== 'text') return;
+            markers.forEach(({ token, replacement }) => {
+                part.text = part.text.split(token).join(replacement);
+            });
+            part.text = part.text.trim();
+        });
     }
 
-    return entries;
+    return { parts, citations };
+}
+
+/**
+ * Base64 of binary data, converted in chunks to stay under argument limits
+ */
+function bytesToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function chatGPTImagePart(pointer, alt, raw = {}) {
+    const isUrl = /^https?:/.test(pointer || '');
+    return {
+        type: 'image',
+        url: isUrl ? pointer : null,
+        alt,
+        mimeType: raw.mime_type || null,
+        assetId: isUrl ? null : String(pointer || '').replace(/^(file-service|sediment):\/\//, '') || null,
+        width: raw.width || null,
+        height: raw.height || null
+    };
 }
 
 function transformClaudeData(data) {
-    // Claude returns chat_messages array
-    const entries = [];
-    const messages = data.chat_messages || [];
+    // Claude returns chat_messages array; newer responses carry content[]
+    // parts (text, tool_use, tool_result) alongside the flat `text`.
+    const messages = [];
+    const artifacts = new Map();
+    const baseUrl = platformConfig.getBaseUrl('Claude');
 
     try {
-        let currentEntry = null;
-        messages.forEach(msg => {
-            if (msg.sender === 'human') {
-                if (currentEntry) entries.push(currentEntry);
-                currentEntry = {
-                    query_str: msg.text || '',
-                    blocks: []
-                };
-            } else if (msg.sender === 'assistant' && currentEntry) {
-                currentEntry.blocks.push({
-                    intended_usage: 'ask_text',
-                    markdown_block: { answer: msg.text || '' }
+        (data.chat_messages || []).forEach(msg => {
+            const role = msg.sender === 'human' ? 'user' : 'assistant';
+            const parts = [];
+            const citations = [];
+            const addCitation = (c) => {
+                if (c?.url && !citations.some(x => x.url === c.url)) {
+                    citations.push({ index: citations.length + 1, title: c.title || c.url, url: c.url, snippet: c.text || null });
+                }
+            };
+
+            const blocks = Array.isArray(msg.content) && msg.content.length > 0
+                ? msg.content
+                : [{ type: 'text', text: msg.text || '' }];
+
+            blocks.forEach(block => {
+                if (block.type === 'thinking' && block.thinking) {
+                    parts.push({ type: 'reasoning', text: block.thinking.trim() });
+                } else if (block.type === 'text' && block.text) {
+                    const text = extractClaudeArtifactTags(block.text, artifacts, msg.uuid);
+                    if (text.trim()) parts.push({ type: 'text', text: text.trim() });
+                    (block.citations || []).forEach(c => addCitation(c.details || c));
+                } else if (block.type === 'tool_use' && block.name === 'artifacts') {
+                    const artifact = upsertClaudeArtifact(artifacts, block.input || {}, msg.uuid);
+                    if (artifact) parts.push({ type: 'text', text: claudeArtifactReference(artifact) });
+                } else if (block.type === 'tool_use') {
+                    parts.push({
+                        type: 'code',
+                        language: 'json',
+                        code: JSON.stringify(block.input || {}, null, 2),
+                        caption: `Tool call: ${block.name || 'tool'}`
+                    });
+                } else if (block.type === 'tool_result' && block.name !== 'artifacts') {
+                    const items = Array.isArray(block.content) ? block.content : [];
+                    // Web search results come back as { type: 'knowledge', title, url }
+                    items.filter(c => c.type === 'knowledge').forEach(addCitation);
+                    const output = items.filter(c => c.type !== 'knowledge')
+                        .map(c => c.text || '').join('\n').trim();
+                    if (output) parts.push({ type: 'code', language: '', code: output, caption: 'Output' });
+                }
+            });
+
+            // Pasted/uploaded documents (with server-side extracted text)
+            const attachments = (msg.attachments || []).map(a => ({
+                id: a.id || null,
+                name: a.file_name || 'attachment',
+                mimeType: a.file_type || null,
+                size: a.file_size || null,
+                url: null,
+                extractedText: a.extracted_content || null
+            }));
+
+            // Uploaded files (images, PDFs) served from Claude's file store
+            (msg.files_v2 || msg.files || []).forEach(f => {
+                const preview = f.preview_asset?.url || f.preview_url || f.document_asset?.url || f.thumbnail_url || null;
+                attachments.push({
+                    id: f.file_uuid || null,
+                    name: f.file_name || f.file_uuid || 'file',
+                    mimeType: f.file_kind === 'image' ? 'image/*' : (f.file_kind === 'document' ? 'application/pdf' : null),
+                    size: null,
+                    url: preview ? (preview.startsWith('http') ? preview : `${baseUrl}${preview}`) : null,
+                    extractedText: null
                 });
-            }
+            });
+
+            if (parts.length === 0 && attachments.length === 0 && citations.length === 0) return;
+
+            messages.push({
+                id: msg.uuid || null,
+                role,
+                parts,
+                citations,
+                attachments,
+                createdAt: msg.created_at || null,
+                // Claude records the model per conversation, not per message
+                model: role === 'assistant' ? (msg.model || data.model || null) : null
+            });
         });
-        if (currentEntry && currentEntry.blocks.length > 0) {
-            entries.push(currentEntry);
-        }
     } catch (e) {
         console.error('[OmniExporter] Claude transform error:', e);
     }
 
-    return entries;
+    return { messages, artifacts: [...artifacts.values()] };
+}
+
+// Artifact type -> file extension
+const CLAUDE_ARTIFACT_EXTENSIONS = {
+    'text/markdown': 'md',
+    'text/html': 'html',
+    'image/svg+xml': 'svg',
+    'application/vnd.ant.react': 'jsx',
+    'application/vnd.ant.mermaid': 'mmd'
+};
+
+const CODE_LANGUAGE_EXTENSIONS = {
+    python: 'py', javascript: 'js', typescript: 'ts', jsx: 'jsx', tsx: 'tsx', java: 'java',
+    c: 'c', cpp: 'cpp', csharp: 'cs', go: 'go', rust: 'rs', ruby: 'rb', php: 'php',
+    swift: 'swift', kotlin: 'kt', bash: 'sh', shell: 'sh', sql: 'sql', json: 'json',
+    yaml: 'yml', html: 'html', css: 'css', markdown: 'md'
+};
+
+/**
+ * Pull legacy <antArtifact ...>...</antArtifact> tags out of message text,
+ * registering each as an artifact and leaving a reference in their place
+ */
+function extractClaudeArtifactTags(text, artifacts, messageId) {
+    return text.replace(/<antArtifact\b([^>]*)>([\s\S]*?)<\/antArtifact>/g, (match, attrText, body) => {
+        const attrs = {};
+        attrText.replace(/(\w+)="([^"]*)"/g, (m, key, value) => { attrs[key] = value; return m; });
+
+        const artifact = upsertClaudeArtifact(artifacts, {
+            id: attrs.identifier,
+            type: attrs.type,
+            language: attrs.language,
+            title: attrs.title,
+            command: 'create',
+            content: body.replace(/^\n/, '')
+        }, messageId);
+
+        return artifact ? `\n\n${claudeArtifactReference(artifact)}\n\n` : match;
+    });
+}
+
+/**
+ * Apply an artifacts tool call (create / rewrite / update) and return the artifact
+ */
+function upsertClaudeArtifact(artifacts, input, messageId) {
+    const id = input.id || input.identifier || `artifact-${artifacts.size + 1}`;
+    const existing = artifacts.get(id);
+
+    if (input.command === 'update' && existing && typeof input.old_str === 'string') {
+        // First occurrence, spliced by hand: a replacement string would expand $& / $$ in the code
+        const at = existing.content.indexOf(input.old_str);
+        if (at !== -1) {
+            existing.content = existing.content.slice(0, at) + (input.new_str || '') + existing.content.slice(at + input.old_str.length);
+        }
+        existing.version++;
+        existing.messageId = messageId || existing.messageId;
+        return existing;
+    }
+
+    if (typeof input.content !== 'string') return existing || null;
+
+    const type = input.type || existing?.type || 'text/plain';
+    const language = input.language || existing?.language || null;
+    const title = input.title || existing?.title || id;
+    const extension = type === 'application/vnd.ant.code'
+        ? (CODE_LANGUAGE_EXTENSIONS[String(language).toLowerCase()] || 'txt')
+        : (CLAUDE_ARTIFACT_EXTENSIONS[type] || 'txt');
+    const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || id;
+
+    const artifact = {
+        id,
+        title,
+        type,
+        language,
+        filename: `${slug}.${extension}`,
+        content: input.content,
+        version: existing ? existing.version + 1 : 1,
+        messageId: messageId || null
+    };
+    artifacts.set(id, artifact);
+    return artifact;
+}
+
+function claudeArtifactReference(artifact) {
+    return `📄 **Artifact:** ${artifact.title} (\`${artifact.filename}\`)`;
 }
 
 /**
@@ -0,0 +1,633 @@
+// OmniExporter AI - Canonical Conversation Schema
+// Versioned, platform-neutral conversation model emitted by every adapter
+// and consumed by ExportManager, the Notion sync paths and DataValidator.
+//
+// Schema v1
+// ---------
+// Conversation {
+//   schema:        'omniexporter.conversation'
+//   schemaVersion: 1
+//   id:            platform thread id (uuid)
+//   title:         string
+//   platform:      'Perplexity' | 'ChatGPT' | 'Claude' | 'Gemini' | 'Grok' | 'DeepSeek'
+//   url:           link back to the thread on the platform, or null
+//   createdAt:     ISO 8601 string or null
+//   updatedAt:     ISO 8601 string or null
+//   messages:      Message[] (chronological)
+//   artifacts:     Artifact[] standalone files produced in the conversation
+//   collection:    { id, name, kind } Space/Project the thread belongs to, or null
+//   metadata:      platform-specific extras (never required by consumers);
+//                  `archived: true` marks chats the user archived (ChatGPT)
+// }
+//
+// Collection {   a Perplexity Space / Claude Project / ChatGPT Project or GPT
+//   id, kind ('space' | 'project' | 'gpt'), name, description,
+//   instructions:  custom instructions / system prompt shared by its threads
+//   emoji, url, platform, createdAt, updatedAt,
+//   files:         Attachment[] knowledge files attached to the collection
+//   metadata:      platform-specific extras
+// }
+//
+// Artifact { id, title, type (MIME-like), language, filename, content,
+//            version, messageId } latest version of each generated file
+//
+// Message {
+//   id:          platform message id or null
+//   role:        'user' | 'assistant' | 'system' | 'tool'
+//   parts:       Part[] (ordered content)
+//   createdAt:   ISO 8601 string or null
+//   model:       model name used for this turn, or null
+//   citations:   Citation[]  { index, title, url, snippet }
+//                `index` is the number used by inline [n] markers in the text
+//   attachments: Attachment[] { id, name, mimeType, size, url, extractedText, data? }
+//                `data` = base64 file bytes downloaded by the content script while
+//                the platform session could authorize them (signed URLs expire)
+//   branch:      { index, count } position among sibling versions, or null
+//   alternates:  Branch[] sibling versions diverging at this message
+//                (edited prompts / regenerated answers)
+//   metadata:    platform-specific extras
+// }
+//
+// Branch { index, count, messages: Message[] } (the alternate and its follow-ups)
+//
+// Part { type: 'text', text }
+//    | { type: 'code', language, code, caption? }   caption e.g. 'Tool call: python', 'Output'
+//    | { type: 'image', url, alt, mimeType, assetId?, name?, data? }
+//                 assetId = platform file id when url is unresolved; name/data as for attachments
+//    | { type: 'reasoning', text, durationSecs? }     model "thinking" trace (DeepSeek R1, Claude)
+//
+// The legacy Perplexity-shaped entry list ({ query_str, blocks: [...] })
+// is still produced by toEntries() and accepted by from()/fromEntries()
+// so older stored data and callers keep working.
+
+class ConversationSchema {
+    static ID = 'omniexporter.conversation';
+    static VERSION = 1;
+    static ROLES = ['user', 'assistant', 'system', 'tool'];
+
+    // ============================================
+    // CONSTRUCTORS
+    // ============================================
+
+    /**
+     * Build a conversation, filling defaults for missing fields
+     */
+    static createConversation(fields = {}) {
+        return {
+            schema: this.ID,
+            schemaVersion: this.VERSION,
+            id: fields.id || fields.uuid || null,
+            title: fields.title || 'Untitled',
+            platform: fields.platform || 'Unknown',
+            url: fields.url || null,
+            createdAt: this.toIsoDate(fields.createdAt),
+            updatedAt: this.toIsoDate(fields.updatedAt),
+            messages: (fields.messages || []).map(m => this.createMessage(m)),
+            artifacts: fields.artifacts || [],
+            collection: fields.collection ? this.collectionRef(fields.collection) : null,
+            metadata: fields.metadata || {}
+        };
+    }
+
+    /**
+     * Build a collection (Space / Project) with its shared context
+     */
+    static createCollection(fields = {}) {
+        return {
+            id: fields.id || fields.uuid || null,
+            kind: fields.kind || 'space',
+            name: fields.name || fields.title || 'Untitled',
+            description: fields.description || '',
+            instructions: fields.instructions || '',
+            emoji: fields.emoji || null,
+            url: fields.url || null,
+            platform: fields.platform || 'Unknown',
+            createdAt: this.toIsoDate(fields.createdAt),
+            updatedAt: this.toIsoDate(fields.updatedAt),
+            files: fields.files || [],
+            metadata: fields.metadata || {}
+        };
+    }
+
+    /**
+     * The { id, name, kind } reference a conversation keeps to its collection
+     */
+    static collectionRef(collection) {
+        return {
+            id: collection.id || collection.uuid || null,
+            name: collection.name || collection.title || null,
+            kind: collection.kind || 'space'
+        };
+    }
+
+    /**
+     * Build a message; accepts either `parts` or a plain `content` string
+     */
+    static createMessage(fields = {}) {
+        const role = this.ROLES.includes(fields.role) ? fields.role : 'assistant';
+
+        let parts = Array.isArray(fields.parts) ? fields.parts.filter(Boolean) : [];
+        if (parts.length === 0 && typeof fields.content === 'string' && fields.content.trim()) {
+            parts = [this.textPart(fields.content)];
+        }
+
+        return {
+            id: fields.id || null,
+            role,
+            parts,
+            createdAt: this.toIsoDate(fields.createdAt),
+            model: fields.model || null,
+            citations: (fields.citations || []).map((c, i) => this.createCitation(c, i)),
+            attachments: fields.attachments || [],
+            branch: fields.branch || null,
+            alternates: (fields.alternates || []).map(b => this.createBranch(b)),
+            metadata: fields.metadata || {}
+        };
+    }
+
+    static createBranch(fields = {}) {
+        return {
+            index: fields.index || 1,
+            count: fields.count || 1,
+            messages: (fields.messages || []).map(m => this.createMessage(m))
+        };
+    }
+
+    /**
+     * Build a conversation from an ordered list of raw messages.
+     * This is the shared entry point for adapters: every message is kept in
+     * order (unanswered prompts, consecutive same-role messages); pairing into
+     * turns happens later in toTurns(). Messages with no content are dropped.
+     */
+    static fromMessages(list = [], meta = {}) {
+        const messages = list
+            .filter(Boolean)
+            .map(m => ({ ...m, role: this.normalizeRole(m.role) }))
+            .filter(m => (Array.isArray(m.parts) && m.parts.some(Boolean)) ||
+                (typeof m.content === 'string' && m.content.trim()) ||
+                (m.attachments || []).length > 0 || (m.citations || []).length > 0);
+
+        return this.createConversation({ ...meta, messages });
+    }
+
+    /**
+     * Map platform role labels (USER, human, model, grok, 0/1...) to schema roles
+     */
+    static normalizeRole(value, fallback = 'assistant') {
+        if (value === 0) return 'user';
+        if (value === 1) return 'assistant';
+
+        const role = String(value ?? '').trim().toLowerCase();
+        if (['user', 'human', 'you', 'prompt'].includes(role)) return 'user';
+        if (['assistant', 'bot', 'ai', 'model', 'grok', 'deepseek', 'claude', 'chatgpt', 'gemini'].includes(role)) return 'assistant';
+        if (role === 'system' || role === 'tool') return role;
+        return fallback;
+    }
+
+    static createCitation(source = {}, i = 0) {
+        return {
+            index: source.index || i + 1,
+            title: source.title || source.name || source.url || '',
+            url: source.url || null,
+            snippet: source.snippet || null
+        };
+    }
+
+    static textPart(text) {
+        return { type: 'text', text: String(text).trim() };
+    }
+
+    // ============================================
+    // ACCESSORS
+    // ============================================
+
+    static isConversation(value) {
+        return !!value && typeof value === 'object' && value.schema === this.ID && Array.isArray(value.messages);
+    }
+
+    /**
+     * Flatten a message's parts to Markdown text
+     */
+    static messageText(message) {
+        if (!message || !Array.isArray(message.parts)) return '';
+
+        return message.parts.map(part => {
+            if (part.type === 'text') return part.text || '';
+            if (part.type === 'code') {
+                const fence = '```' + (part.language || '') + '\n' + (part.code || '') + '\n```';
+                return part.caption ? `*${part.caption}*\n\n${fence}` : fence;
+            }
+            if (part.type === 'image') {
+                return part.url ? `![${part.alt || 'image'}](${part.url})` : `*[Image: ${part.alt || 'image'}]*`;
+            }
+            return '';
+        }).filter(s => s.trim()).join('\n\n');
+    }
+
+    /**
+     * Grouping labels of a conversation for exports and Notion properties:
+     * { space, project, gpt } collection names and the archived flag
+     */
+    static labels(conversation) {
+        const collection = conversation.collection;
+        const nameOf = (kind) => collection?.kind === kind ? collection.name : null;
+        return {
+            space: nameOf('space'),
+            project: nameOf('project'),
+            gpt: nameOf('gpt'),
+            archived: !!conversation.metadata?.archived
+        };
+    }
+
+    /**
+     * Distinct models used across a conversation, in order of first use
+     */
+    static models(conversation) {
+        return [...new Set((conversation?.messages || []).map(m => m.model).filter(Boolean))];
+    }
+
+    /**
+     * Concatenated reasoning ("thinking") parts of a message
+     */
+    static messageReasoning(message) {
+        return (message?.parts || [])
+            .filter(part => part.type === 'reasoning' && part.text)
+            .map(part => part.text.trim())
+            .join('\n\n');
+    }
+
+    /**
+     * Copy of a conversation with reasoning parts removed (incl. alternates)
+     */
+    static withoutReasoning(conversation) {
+        const strip = (messages) => messages.map(m => ({
+            ...m,
+            parts: m.parts.filter(part => part.type !== 'reasoning'),
+            alternates: (m.alternates || []).map(b => ({ ...b, messages: strip(b.messages) }))
+        }));
+        return { ...conversation, messages: strip(conversation.messages) };
+    }
+
+    /**
+     * Group messages into question/answer turns for renderers.
+     * Each user message opens a turn; assistant and tool messages attach to it.
+     * Nothing is dropped: consecutive prompts become separate turns, replies
+     * before any prompt form a turn with no query, and turns whose prompt got
+     * no answer are flagged `incomplete`.
+     */
+    static toTurns(conversation) {
+        const turns = [];
+        let current = null;
+
+        (conversation?.messages || []).forEach(message => {
+            if (message.role === 'system') return;
+
+            if (message.role === 'user' || !current) {
+                current = { index: turns.length + 1, prompt: null, responses: [] };
+                turns.push(current);
+            }
+
+            if (message.role === 'user') {
+                current.prompt = message;
+            } else {
+                current.responses.push(message);
+            }
+        });
+
+        return turns.map(turn => {
+            // Tool/browse messages and the answer each number their citations
+            // from 1: merge them (answer first, same URL once), renumber per
+            // turn and rewrite each message's [n] markers to the new numbers
+            const citations = [];
+            const numbers = new Map();
+            const ordered = [
+                ...turn.responses.filter(r => r.role === 'assistant'),
+                ...turn.responses.filter(r => r.role !== 'assistant')
+            ];
+            ordered.forEach(r => {
+                const local = new Map();
+                (r.citations || []).forEach(c => {
+                    let merged = c.url ? citations.find(x => x.url === c.url) : null;
+                    if (!merged) {
+                        merged = { ...c, index: citations.length + 1 };
+                        citations.push(merged);
+                    }
+                    local.set(Number(c.index), merged.index);
+                });
+                numbers.set(r, local);
+            });
+
+            const answer = turn.responses
+                .map(r => this.splitCitationMarkers(this.messageText(r), r.citations || [])
+                    .map(seg => seg.citation ? `[${numbers.get(r).get(Number(seg.citation.index))}]` : seg.text)
+                    .join(''))
+                .filter(Boolean)
+                .join('\n\n');
+
+            return {
+                index: turn.index,
+                query: turn.prompt ? this.messageText(turn.prompt) : '',
+                answer,
+                incomplete: !!turn.prompt && !answer,
+                reasoning: turn.responses.map(r => this.messageReasoning(r)).filter(Boolean).join('\n\n'),
+                sources: citations.map(c => ({ index: c.index, title: c.title, url: c.url })),
+                citations,
+                attachments: [turn.prompt, ...turn.responses].filter(Boolean).flatMap(m => m.attachments || []),
+                relatedQueries: turn.responses.flatMap(r => r.metadata?.relatedQueries || []),
+                branch: turn.prompt?.branch || turn.responses[0]?.branch || null,
+                variants: this.turnVariants(turn),
+                createdAt: turn.prompt?.createdAt || turn.responses[0]?.createdAt || null,
+                updatedAt: turn.responses[turn.responses.length - 1]?.createdAt || null,
+                model: turn.responses.find(r => r.model)?.model || null,
+                messageIds: [turn.prompt, ...turn.responses].filter(m => m?.id).map(m => m.id),
+                prompt: turn.prompt,
+                responses: turn.responses
+            };
+        });
+    }
+
+    /**
+     * Alternate branches of a turn, labelled for rendering
+     */
+    static turnVariants(turn) {
+        const variants = [];
+
+        [turn.prompt, ...turn.responses].filter(Boolean).forEach(message => {
+            const kind = message.role === 'user' ? 'prompt' : 'response';
+            (message.alternates || []).forEach(branch => {
+                variants.push({
+                    kind,
+                    index: branch.index,
+                    count: branch.count,
+                    label: `Variant ${branch.index} of ${branch.count} (${kind === 'prompt' ? 'edited prompt' : 'regenerated answer'})`,
+                    messages: branch.messages
+                });
+            });
+        });
+
+        return variants;
+    }
+
+    /**
+     * Flatten a variant's messages to labelled Markdown
+     */
+    static variantText(variant) {
+        return (variant?.messages || [])
+            .filter(m => m.role !== 'system')
+            .map(m => {
+                const text = this.messageText(m);
+                if (!text) return '';
+                return m.role === 'user' ? `**🙋 Prompt:** ${text}` : `**🤖 Answer:** ${text}`;
+            })
+            .filter(Boolean)
+            .join('\n\n');
+    }
+
+    // ============================================
+    // INLINE CITATION MARKERS
+    // ============================================
+
+    // [n] markers, also glued to words or each other ("word[1][2]") as
+    // Perplexity writes them; skips [[1]] and links/definitions ([1](url), [1]:)
+    static CITATION_MARKER = /(?<!\[)\[(\d{1,3})\](?![(:\]])/g;
+
+    /**
+     * Split text into plain and citation-marker segments. Markers inside code
+     * spans/fences, or without a matching citation URL, stay plain text.
+     * Returns [{ text }, { text: '[2]', citation }, ...]
+     */
+    static splitCitationMarkers(text, citations = []) {
+        const source = String(text || '');
+        const byIndex = new Map(citations.filter(c => c.url).map(c => [Number(c.index), c]));
+        if (byIndex.size === 0) return source ? [{ text: source }] : [];
+
+        const segments = [];
+        let buffer = '';
+
+        source.split(/(```[\s\S]*?```|`[^`\n]*`)/g).forEach((chunk, i) => {
+            if (i % 2 === 1) {
+                buffer += chunk;
+                return;
+            }
+
+            let last = 0;
+            for (const match of chunk.matchAll(this.CITATION_MARKER)) {
+                const citation = byIndex.get(Number(match[1]));
+                if (!citation) continue;
+                buffer += chunk.slice(last, match.index);
+                if (buffer) segments.push({ text: buffer });
+                segments.push({ text: match[0], citation });
+                buffer = '';
+                last = match.index + match[0].length;
+            }
+            buffer += chunk.slice(last);
+        });
+
+        if (buffer) segments.push({ text: buffer });
+        return segments;
+    }
+
+    /**
+     * Replace resolvable [n] markers using render(citation, n)
+     */
+    static replaceCitationMarkers(text, citations, render) {
+        return this.splitCitationMarkers(text, citations)
+            .map(seg => seg.citation ? render(seg.citation, Number(seg.citation.index)) : seg.text)
+            .join('');
+    }
+
+    // ============================================
+    // COMPATIBILITY SHIM (legacy entries <-> schema)
+    // ============================================
+
+    /**
+     * Coerce any supported input to a canonical conversation:
+     * - a canonical conversation (returned as-is)
+     * - export payload { title, uuid, platform, conversation?, detail: { entries } }
+     * - adapter detail { entries } / { detail: { entries } } / { messages } / entry array
+     */
+    static from(input, meta = {}) {
+        if (this.isConversation(input)) return input;
+        if (this.isConversation(input?.conversation)) return input.conversation;
+
+        const base = {
+            id: meta.id || input?.uuid || input?.id || null,
+            title: meta.title || input?.title || undefined,
+            platform: meta.platform || input?.platform || undefined,
+            url: meta.url || input?.url || null
+        };
+
+        if (Array.isArray(input?.messages) && input.messages.some(m => m && m.role && !('query' in m))) {
+            return this.fromMessages(input.messages.map(m => this.legacyMessage(m)), base);
+        }
+
+        const entries = Array.isArray(input) ? input
+            : Array.isArray(input?.entries) ? input.entries
+                : Array.isArray(input?.detail?.entries) ? input.detail.entries
+                    : Array.isArray(input?.messages) ? input.messages
+                        : [];
+
+        return this.fromEntries(entries, base);
+    }
+
+    /**
+     * Convert legacy paired entries (Perplexity blocks or { query, answer })
+     */
+    static fromEntries(entries = [], meta = {}) {
+        const messages = [];
+
+        entries.forEach(entry => {
+            if (!entry) return;
+
+            const query = entry.query_str || entry.query || entry.question || entry.prompt || '';
+            const createdAt = entry.created_datetime || entry.create_time || null;
+
+            if (query.trim()) {
+                messages.push(this.createMessage({ id: entry.uuid || null, role: 'user', content: query, createdAt }));
+            }
+
+            const { answer, sources } = this.extractLegacyAnswer(entry);
+            const reasoning = typeof entry.reasoning === 'string' ? entry.reasoning.trim() : '';
+            if (answer.trim() || reasoning) {
+                messages.push(this.createMessage({
+                    id: entry.backend_uuid || null,
+                    role: 'assistant',
+                    model: entry.display_model || entry.model || null,
+                    parts: [
+                        reasoning ? { type: 'reasoning', text: reasoning } : null,
+                        answer.trim() ? this.textPart(answer) : null
+                    ],
+                    createdAt: entry.updated_datetime || createdAt,
+                    citations: sources,
+                    metadata: Array.isArray(entry.related_queries) ? { relatedQueries: entry.related_queries } : {}
+                }));
+            }
+        });
+
+        return this.createConversation({
+            ...meta,
+            createdAt: meta.createdAt || entries[0]?.created_datetime,
+            updatedAt: meta.updatedAt || entries[entries.length - 1]?.updated_datetime,
+            messages
+        });
+    }
+
+    static extractLegacyAnswer(entry) {
+        let answer = '';
+        let sources = [];
+
+        if (Array.isArray(entry.blocks)) {
+            entry.blocks.forEach(block => {
+                if (block?.markdown_block) {
+                    if (block.markdown_block.answer) {
+                        answer += block.markdown_block.answer + '\n\n';
+                    } else if (Array.isArray(block.markdown_block.chunks)) {
+                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
+                    }
+                }
+                if (block?.text_block?.content) {
+                    answer += block.text_block.content + '\n\n';
+                }
+                if (block?.intended_usage === 'web_results' && block.web_result_block?.web_results) {
+                    sources = sources.concat(block.web_result_block.web_results);
+                }
+            });
+        }
+
+        if (!answer.trim()) {
+            const flat = entry.answer || entry.response || entry.text || entry.content || '';
+            answer = typeof flat === 'string' ? flat : '';
+        }
+
+        if (sources.length === 0) {
+            sources = entry.sources || entry.citations || [];
+        }
+
+        // Number before filtering so indexes keep matching the [n] markers
+        sources = sources.map((s, i) => s && ({ ...s, index: s.index || i + 1 }));
+        return { answer: answer.trim(), sources: sources.filter(s => s && s.url) };
+    }
+
+    static legacyMessage(m) {
+        return {
+            ...m,
+            role: this.normalizeRole(m.role ?? m.sender ?? m.author, ''),
+            content: typeof m.content === 'string' ? m.content : (m.text || ''),
+            createdAt: m.createdAt || m.create_time || m.created_at || null
+        };
+    }
+
+    /**
+     * Produce the legacy entry list ({ query_str, blocks }) from a conversation
+     */
+    static toEntries(conversation) {
+        return this.toTurns(conversation).map(turn => {
+            const blocks = [{
+                intended_usage: 'ask_text',
+                markdown_block: { answer: turn.answer }
+            }];
+
+            if (turn.citations.length > 0) {
+                blocks.push({
+                    intended_usage: 'web_results',
+                    web_result_block: {
+                        web_results: turn.citations.map(c => ({ name: c.title, url: c.url, snippet: c.snippet }))
+                    }
+                });
+            }
+
+            return {
+                query_str: turn.query,
+                query: turn.query,
+                blocks,
+                sources: turn.sources,
+                created_datetime: turn.createdAt,
+                updated_datetime: turn.updatedAt || turn.createdAt,
+                model: turn.model
+            };
+        });
+    }
+
+    /**
+     * Payload shape sent from content scripts to the popup/dashboard/background
+     */
+    static toExportData(conversation, extra = {}) {
+        return {
+            title: conversation.title,
+            uuid: conversation.id,
+            platform: conversation.platform,
+            conversation,
+            detail: { entries: this.toEntries(conversation) },
+            spaceName: conversation.collection?.name || null,
+            ...extra
+        };
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Normalize seconds/milliseconds timestamps and date strings to ISO 8601
+     */
+    static toIsoDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        let date;
+        if (typeof value === 'number') {
+            date = new Date(value < 1e12 ? value * 1000 : value);
+        } else {
+            date = new Date(value);
+        }
+
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationSchema;
+}
+if (typeof globalThis !== 'undefined') {
+    globalThis.ConversationSchema = ConversationSchema;
+}
@@ -374,42 +374,49 @@ const DeepSeekAdapter = {
 
                 console.log(`[DeepSeek] Found ${messages.length} messages`);
 
-                const entries = [];
-                let currentQuery = '';
+                // Keep every message in order; pairing happens in ConversationSchema.toTurns
+                const ordered = [];
+                let firstPrompt = '';
 
                 messages.forEach((msg, idx) => {
-                    // Multiple role detection strategies
-                    const role = (msg.role || msg.author || msg.sender || msg.type || '').toUpperCase();
-                    const content = msg.content || msg.text || msg.message || '';
-
-                    if (!content.trim()) return;
-
-                    const isUser = role === 'USER' || role === 'HUMAN' ||
-                        (role === '' && idx % 2 === 0);
-                    const isAssistant = role === 'ASSISTANT' || role === 'BOT' ||
-                        role === 'DEEPSEEK' || role === 'AI' ||
-                        (role === '' && idx % 2 === 1);
-
-                    if (isUser) {
-                        currentQuery = content.trim();
-                    } else if (isAssistant && currentQuery) {
-                        entries.push({ query: currentQuery, answer: content.trim() });
-                        currentQuery = '';
-                    }
+                    // Multiple role detection strategies (alternate by position when unlabelled)
+                    const rawRole = msg.role || msg.author || msg.sender || msg.type || '';
+                    const role = rawRole
+                        ? ConversationSchema.normalizeRole(rawRole, null)
+                        : (idx % 2 === 0 ? 'user' : 'assistant');
+                    const { content, reasoning } = DeepSeekAdapter._extractContent(msg);
+
+                    if (!role || (!content.trim() && !reasoning)) return;
+                    if (role === 'user' && !firstPrompt) firstPrompt = content.trim();
+
+                    ordered.push({
+                        id: msg.message_id ?? msg.id ?? null,
+                        role,
+                        createdAt: msg.inserted_at || msg.created_at || null,
+                        model: role === 'assistant' ? (msg.model || null) : null,
+                        // Web search results; cite_index matches the [n] markers in the answer
+                        citations: (msg.search_results || [])
+                            .filter(r => r && r.url)
+                            .map((r, i) => ({ index: r.cite_index || i + 1, title: r.title || r.url, url: r.url, snippet: r.snippet || null })),
+                        parts: [
+                            reasoning ? { type: 'reasoning', text: reasoning } : null,
+                            content.trim() ? { type: 'text', text: content.trim() } : null
+                        ]
+                    });
                 });
 
-                if (entries.length > 0) {
+                if (ordered.length > 0) {
                     // Get title from multiple possible locations
                     title = data?.data?.biz_data?.chat_session?.title ||
                         data?.biz_data?.chat_session?.title ||
                         data?.data?.title ||
                         data?.title ||
                         data?.chat_session?.title ||
-                        entries[0]?.query?.substring(0, 100) ||
+                        firstPrompt.substring(0, 100) ||
                         `DeepSeek Thread ${uuid.slice(0, 8)}`;
 
-                    console.log(`[DeepSeek] ✓ API success: ${entries.length} Q&A pairs for: ${title}`);
-                    return { uuid, title, platform: 'DeepSeek', entries };
+                    console.log(`[DeepSeek] ✓ API success: ${ordered.length} messages for: ${title}`);
+                    return ConversationSchema.fromMessages(ordered, { id: uuid, title, platform: 'DeepSeek' });
                 }
             } catch (e) {
                 console.warn(`[DeepSeek] Endpoint ${endpoint} failed:`, e.message);
@@ -425,6 +432,29 @@ const DeepSeekAdapter = {
 
 
 
+    // ============================================
+    // Split a message into answer text and the DeepThink (R1) reasoning trace.
+    // Older payloads use thinking_content; newer ones use typed fragments.
+    // ============================================
+    _extractContent: (msg) => {
+        let content = msg.content || msg.text || msg.message || '';
+        let reasoning = msg.thinking_content || msg.reasoning_content || '';
+
+        if (Array.isArray(msg.fragments) && msg.fragments.length > 0) {
+            const byType = (type) => msg.fragments
+                .filter(f => String(f.type || '').toUpperCase() === type)
+                .map(f => f.content || '')
+                .join('\n\n');
+            content = content || byType('RESPONSE');
+            reasoning = reasoning || byType('THINK');
+        }
+
+        return {
+            content: typeof content === 'string' ? content : '',
+            reasoning: typeof reasoning === 'string' ? reasoning.trim() : ''
+        };
+    },
+
     getSpaces: async () => []
 };
 
@@ -0,0 +1,275 @@
+// OmniExporter AI - DOCX Writer
+// Builds Word (Office Open XML) documents in the extension: headings,
+// paragraphs with bold/italic/code runs and hyperlinks, bullet and numbered
+// lists, tables and code blocks. Packaged with ZipWriter (zip-writer.js).
+
+class DocxWriter {
+    static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    static NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+    constructor(options = {}) {
+        this.options = { title: '', author: 'OmniExporter AI', ...options };
+        this.body = [];
+        this.links = new Map();      // url -> relationship id
+        this.lists = [];             // numbering instances ({ ordered })
+        this.currentList = null;
+    }
+
+    // ============================================
+    // BLOCKS
+    // ============================================
+
+    /**
+     * Paragraph of runs ({ text, style: 'bold'|'italic'|'mono', link, color })
+     * or a plain string
+     */
+    paragraph(runs, { style = null, color = null, size = null, keepNext = false, pageBreakBefore = false, numbering = null } = {}) {
+        if (typeof runs === 'string') runs = [{ text: runs }];
+        if (!numbering) this.currentList = null;
+
+        let props = '';
+        if (style) props += `<w:pStyle w:val="${style}"/>`;
+        if (keepNext) props += '<w:keepNext/>';
+        if (pageBreakBefore) props += '<w:pageBreakBefore/>';
+        if (numbering) props += `<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.id}"/></w:numPr>`;
+
+        const content = runs.map(run => this.run(run, { color, size })).join('');
+        this.body.push(`<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`);
+        return this;
+    }
+
+    heading(text, level = 1) {
+        return this.paragraph([{ text }], { style: level === 0 ? 'Title' : `Heading${Math.min(level, 4)}`, keepNext: true });
+    }
+
+    /**
+     * List item; consecutive items share one list, numbered lists restart
+     */
+    listItem(runs, { ordered = false, level = 0 } = {}) {
+        if (!this.currentList || this.currentList.ordered !== ordered) {
+            this.lists.push({ ordered });
+            this.currentList = { ordered, id: this.lists.length };
+        }
+        const list = this.currentList;
+        this.paragraph(runs, { style: 'ListParagraph', numbering: { id: list.id, level: Math.min(level, 3) } });
+        this.currentList = list;
+        return this;
+    }
+
+    /**
+     * Code block as one shaded monospace paragraph; whitespace is preserved
+     */
+    codeBlock(code, caption = null) {
+        if (caption) this.paragraph([{ text: caption }], { style: 'Caption', keepNext: true });
+        const lines = String(code).replace(/\n$/, '').replace(/\t/g, '    ').split('\n');
+        const content = lines.map((line, i) =>
+            `${i > 0 ? '<w:r><w:br/></w:r>' : ''}<w:r><w:t xml:space="preserve">${DocxWriter.escape(line)}</w:t></w:r>`).join('');
+        this.body.push(`<w:p><w:pPr><w:pStyle w:val="Code"/></w:pPr>${content}</w:p>`);
+        this.currentList = null;
+        return this;
+    }
+
+    /**
+     * Table from rows of cells (each cell: runs or a string); the first row is the header
+     */
+    table(rows) {
+        if (rows.length === 0) return this;
+        const columns = Math.max(...rows.map(row => row.length));
+        const cell = (content, header) => {
+            const runs = (typeof content === 'string' ? [{ text: content }] : content)
+                .map(run => header ? { ...run, style: 'bold' } : run);
+            return `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>' : ''}</w:tcPr>` +
+                `<w:p><w:pPr><w:spacing w:before="40" w:after="40"/></w:pPr>${runs.map(run => this.run(run)).join('')}</w:p></w:tc>`;
+        };
+
+        let xml = '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>';
+        xml += `<w:tblGrid>${'<w:gridCol/>'.repeat(columns)}</w:tblGrid>`;
+        rows.forEach((row, r) => {
+            const cells = [...row, ...Array(columns - row.length).fill('')];
+            xml += `<w:tr>${r === 0 ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells.map(c => cell(c, r === 0)).join('')}</w:tr>`;
+        });
+        this.body.push(xml + '</w:tbl>');
+        // Word merges adjacent tables; keep an empty paragraph between blocks
+        this.body.push('<w:p/>');
+        this.currentList = null;
+        return this;
+    }
+
+    rule() {
+        this.body.push('<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="D0D0D0"/></w:pBdr></w:pPr></w:p>');
+        this.currentList = null;
+        return this;
+    }
+
+    run({ text, style = null, link = null, color = null }, defaults = {}) {
+        let props = '';
+        if (link) props += '<w:rStyle w:val="Hyperlink"/>';
+        else if (style === 'mono') props += '<w:rStyle w:val="CodeChar"/>';
+        if (style === 'bold') props += '<w:b/>';
+        if (style === 'italic') props += '<w:i/>';
+        const runColor = color || defaults.color;
+        if (runColor && !link) props += `<w:color w:val="${runColor}"/>`;
+        if (defaults.size) props += `<w:sz w:val="${Math.round(defaults.size * 2)}"/>`;
+
+        const lines = String(text ?? '').split('\n');
+        const xml = lines.map((line, i) =>
+            `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${i > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${DocxWriter.escape(line)}</w:t></w:r>`).join('');
+
+        if (!link) return xml;
+        if (!this.links.has(link)) this.links.set(link, `rIdLink${this.links.size + 1}`);
+        return `<w:hyperlink r:id="${this.links.get(link)}">${xml}</w:hyperlink>`;
+    }
+
+    // ============================================
+    // PACKAGE
+    // ============================================
+    async toBlob() {
+        const zip = new ZipWriter();
+        await zip.add('[Content_Types].xml', this.contentTypesXml());
+        await zip.add('_rels/.rels', this.packageRelsXml());
+        await zip.add('docProps/core.xml', this.coreXml());
+        await zip.add('docProps/app.xml', this.appXml());
+        await zip.add('word/document.xml', this.documentXml());
+        await zip.add('word/styles.xml', DocxWriter.stylesXml());
+        await zip.add('word/numbering.xml', this.numberingXml());
+        await zip.add('word/_rels/document.xml.rels', this.documentRelsXml());
+        const blob = await zip.close();
+        return new Blob([blob], { type: DocxWriter.MIME_TYPE });
+    }
+
+    documentXml() {
+        // A4 with 2 cm margins (twentieths of a point)
+        const section = '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+            '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>';
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document ${DocxWriter.NS}><w:body>${this.body.join('')}${section}</w:body></w:document>`;
+    }
+
+    contentTypesXml() {
+        const part = (name, type) => `<Override PartName="${name}" ContentType="application/vnd.openxmlformats-${type}"/>`;
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            part('/word/document.xml', 'officedocument.wordprocessingml.document.main+xml') +
+            part('/word/styles.xml', 'officedocument.wordprocessingml.styles+xml') +
+            part('/word/numbering.xml', 'officedocument.wordprocessingml.numbering+xml') +
+            part('/docProps/core.xml', 'package.core-properties+xml') +
+            part('/docProps/app.xml', 'officedocument.extended-properties+xml') +
+            '</Types>';
+    }
+
+    packageRelsXml() {
+        const base = 'http://schemas.openxmlformats.org';
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<Relationships xmlns="${base}/package/2006/relationships">` +
+            `<Relationship Id="rId1" Type="${base}/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>` +
+            `<Relationship Id="rId2" Type="${base}/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>` +
+            `<Relationship Id="rId3" Type="${base}/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>` +
+            '</Relationships>';
+    }
+
+    documentRelsXml() {
+        const base = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        let xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            `<Relationship Id="rIdStyles" Type="${base}/styles" Target="styles.xml"/>` +
+            `<Relationship Id="rIdNumbering" Type="${base}/numbering" Target="numbering.xml"/>`;
+        this.links.forEach((id, url) => {
+            xml += `<Relationship Id="${id}" Type="${base}/hyperlink" Target="${DocxWriter.escape(url)}" TargetMode="External"/>`;
+        });
+        return xml + '</Relationships>';
+    }
+
+    coreXml() {
+        const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            `<dc:title>${DocxWriter.escape(this.options.title)}</dc:title>` +
+            `<dc:creator>${DocxWriter.escape(this.options.author)}</dc:creator>` +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+            `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+            '</cp:coreProperties>';
+    }
+
+    appXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">' +
+            '<Application>OmniExporter AI</Application></Properties>';
+    }
+
+    numberingXml() {
+        const level = (ilvl, ordered) => {
+            const format = ordered ? ['decimal', 'lowerLetter', 'lowerRoman', 'decimal'][ilvl] : 'bullet';
+            const text = ordered ? `%${ilvl + 1}.` : ['•', '◦', '▪', '•'][ilvl];
+            return `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="${format}"/>` +
+                `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${720 + ilvl * 360}" w:hanging="360"/></w:pPr></w:lvl>`;
+        };
+        const abstract = (id, ordered) => `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>` +
+            [0, 1, 2, 3].map(i => level(i, ordered)).join('') + '</w:abstractNum>';
+
+        // One instance per list so every numbered list starts at 1
+        const instances = this.lists.map((list, i) =>
+            `<w:num w:numId="${i + 1}"><w:abstractNumId w:val="${list.ordered ? 1 : 0}"/>` +
+            (list.ordered ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : '') + '</w:num>').join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:numbering ${DocxWriter.NS}>` +
+            abstract(0, false) + abstract(1, true) + instances + '</w:numbering>';
+    }
+
+    static stylesXml() {
+        const paragraphStyle = (id, name, pPr, rPr) =>
+            `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/>` +
+            `<w:next w:val="Normal"/><w:qFormat/><w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+        const heading = (level, size, color) => paragraphStyle(`Heading${level}`, `heading ${level}`,
+            `<w:keepNext/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/>`,
+            `<w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/>`);
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:styles ${DocxWriter.NS}>` +
+            '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+            '<w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+            paragraphStyle('Title', 'Title', '<w:spacing w:after="120"/>', '<w:b/><w:color w:val="1F2328"/><w:sz w:val="44"/>') +
+            heading(1, 32, '1F2328') +
+            heading(2, 28, '2F3A4A') +
+            heading(3, 24, '2F3A4A') +
+            heading(4, 22, '4A5568') +
+            paragraphStyle('Caption', 'caption', '<w:spacing w:after="60"/>', '<w:color w:val="6B7280"/><w:sz w:val="18"/>') +
+            paragraphStyle('Quote', 'Quote', '<w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="D0D7DE"/></w:pBdr><w:ind w:left="240"/>',
+                '<w:i/><w:color w:val="57606A"/>') +
+            paragraphStyle('ListParagraph', 'List Paragraph', '<w:spacing w:after="40"/><w:ind w:left="720"/><w:contextualSpacing/>', '') +
+            paragraphStyle('Code', 'Code', '<w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/><w:spacing w:before="60" w:after="160" w:line="240" w:lineRule="auto"/>',
+                '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="18"/>') +
+            '<w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/>' +
+            '<w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:color w:val="B42318"/><w:sz w:val="20"/></w:rPr></w:style>' +
+            '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:uiPriority w:val="99"/><w:unhideWhenUsed/>' +
+            '<w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+            '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr>' +
+            '<w:tblBorders>' + ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+                .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="D0D7DE"/>`).join('') + '</w:tblBorders>' +
+            '<w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+            '</w:styles>';
+    }
+
+    /**
+     * XML text escaping; characters XML 1.0 does not allow are dropped
+     */
+    static escape(text) {
+        return String(text ?? '')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocxWriter;
+}
@@ -1,5 +1,8 @@
 // OmniExporter AI - Export Manager
-// Multi-format export support: Markdown, JSON, HTML, PDF, Plain Text
+// Multi-format export support: Markdown, JSON, HTML, PDF, Word, EPUB, Plain Text
+// (Markdown/HTML/text need template-engine.js and HTML markdown-renderer.js;
+// PDF needs pdf-writer.js; Word, EPUB and ZIP bundles need zip-writer.js, and
+// Word also docx-writer.js, loaded first)
 
 class ExportManager {
     static formats = {
@@ -32,10 +35,37 @@ class ExportManager {
             extension: '.pdf',
             mimeType: 'application/pdf',
             icon: '📕'
+        },
+        epub: {
+            name: 'EPUB',
+            extension: '.epub',
+            mimeType: 'application/epub+zip',
+            icon: '📚'
+        },
+        docx: {
+            name: 'Word',
+            extension: '.docx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            icon: '📘'
+        },
+        obsidian: {
+            name: 'Obsidian',
+            extension: '.md',
+            mimeType: 'text/markdown',
+            icon: '💎'
         }
     };
 
-    static export(data, format = 'markdown', platform = 'Unknown') {
+    // Folder the Obsidian notes are saved under (drop it into a vault)
+    static OBSIDIAN_ROOT = 'OmniExporter';
+
+    static INCOMPLETE_NOTE = 'No response — the generation was interrupted or the prompt went unanswered.';
+
+    // Problems that did not stop the current export (e.g. PDF fonts missing),
+    // returned with its result as `warnings`
+    static warnings = new Set();
+
+    static async export(data, format = 'markdown', platform = 'Unknown') {
         const formatConfig = this.formats[format];
         if (!formatConfig) {
             if (typeof Logger !== 'undefined') Logger.error('Export', 'Unsupported format', { format });
@@ -43,152 +73,202 @@ class ExportManager {
         }
 
         if (typeof Logger !== 'undefined') Logger.info('Export', `Exporting as ${format}`, { platform, title: data.title });
+        this.warnings.clear();
+
+        // Obsidian notes come with their attachments folder and keep stable
+        // names so exporting again overwrites the note
+        if (format === 'obsidian') {
+            const files = this.getObsidianFiles([data], platform);
+            await this.downloadFiles(files, { overwrite: true });
+            return { success: true, filename: files[0].filename, format: formatConfig.name, artifacts: files.slice(1).map(f => f.filename) };
+        }
+
+        await this.loadPreferences();
+        const content = await this.renderFile(data, format, platform);
+
+        const path = this.getThreadPath(data, platform);
+        const filename = `${path}${formatConfig.extension}`;
+
+        // Artifacts are saved as separate files next to the conversation
+        const artifactFiles = this.getArtifactFiles(data, platform, path);
+        if (path.includes('/')) {
+            // Subfolders from the naming pattern need the downloads API
+            await this.downloadFiles([{ filename, content, mimeType: formatConfig.mimeType }, ...artifactFiles]);
+        } else {
+            this.downloadFile(content, filename, formatConfig.mimeType);
+            artifactFiles.forEach(file => this.downloadFile(file.content, file.filename, file.mimeType));
+        }
+
+        if (typeof Logger !== 'undefined') Logger.info('Export', 'Download complete', { filename, format: formatConfig.name, artifacts: artifactFiles.length });
+        return { success: true, filename, format: formatConfig.name, artifacts: artifactFiles.map(f => f.filename), warnings: [...this.warnings] };
+    }
 
-        let content;
+    /**
+     * File content for any format: a Blob for binary formats (PDF, Word, EPUB),
+     * text otherwise
+     */
+    static async renderFile(data, format, platform) {
+        if (format === 'pdf') return this.toPDF(data, platform);
+        if (format === 'docx') return this.toDOCX(data, platform);
+        if (format === 'epub') return this.toEPUB([data], platform);
+        return this.render(data, format, platform);
+    }
+
+    /**
+     * Render a conversation to the text content of a file format
+     */
+    static render(data, format, platform) {
         switch (format) {
-            case 'markdown':
-                content = this.toMarkdown(data, platform);
-                break;
             case 'json':
-                content = this.toJSON(data, platform);
-                break;
+                return this.toJSON(data, platform);
             case 'html':
-                content = this.toHTML(data, platform);
-                break;
+                return this.toHTML(data, platform);
             case 'txt':
-                content = this.toPlainText(data, platform);
-                break;
-            case 'pdf':
-                return this.toPDF(data, platform);
+                return this.toPlainText(data, platform);
+            case 'obsidian':
+                return this.toObsidian(data, platform);
+            case 'markdown':
             default:
-                content = this.toMarkdown(data, platform);
+                return this.toMarkdown(data, platform);
         }
+    }
 
-        const filename = this.generateFilename(data.title || 'Chat', formatConfig.extension);
-        this.downloadFile(content, filename, formatConfig.mimeType);
-
-        if (typeof Logger !== 'undefined') Logger.info('Export', 'Download complete', { filename, format: formatConfig.name });
-        return { success: true, filename, format: formatConfig.name };
+    /**
+     * Load the user's export preferences from Settings: templates by format
+     * (`exportTemplates`) and the file naming pattern (`filenamePattern`)
+     */
+    static async loadPreferences() {
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+        const { exportTemplates, filenamePattern } = await chrome.storage.local.get(['exportTemplates', 'filenamePattern']);
+        this.templates = exportTemplates || {};
+        this.filenamePattern = filenamePattern || '';
     }
 
     // ============================================
-    // MARKDOWN FORMAT (WITH PLATFORM LOGOS)
+    // TEMPLATES (Markdown / HTML / plain text layouts, see template-engine.js)
     // ============================================
-    static toMarkdown(data, platform) {
-        const entries = data.detail?.entries || [];
-        const title = data.title || 'Untitled Chat';
-        const firstEntry = entries[0] || {};
-        const date = firstEntry.updated_datetime
-            ? new Date(firstEntry.updated_datetime).toISOString().split('T')[0]
-            : new Date().toISOString().split('T')[0];
-
-        // Platform emoji icons
-        const platformIcons = {
-            'Perplexity': '🧭',
-            'ChatGPT': '🤖',
-            'Claude': '🎯',
-            'Gemini': '✨',
-            'Grok': '𝕏',
-            'DeepSeek': '🔮'
-        };
-        const platformIcon = platformIcons[platform] || '💬';
 
-        let md = '---\n';
-        md += `title: "${title}"\n`;
-        md += `date: ${date}\n`;
-        md += `platform: ${platform}\n`;
-        md += `uuid: ${data.uuid || 'unknown'}\n`;
-        md += `entries: ${entries.length}\n`;
-        md += '---\n\n';
-        md += `# ${platformIcon} ${title}\n\n`;
-        md += `> **Platform:** ${platform} | **Conversations:** ${entries.length} | **Date:** ${date}\n\n`;
+    static PLATFORM_ICONS = {
+        'Perplexity': '🧭',
+        'ChatGPT': '🤖',
+        'Claude': '🎯',
+        'Gemini': '✨',
+        'Grok': '𝕏',
+        'DeepSeek': '🔮'
+    };
 
-        entries.forEach((entry, index) => {
-            const query = entry.query || entry.query_str || '';
-            if (query) {
-                md += `## 🙋 Question ${index + 1}\n\n`;
-                md += `${query}\n\n`;
-            }
+    // Built-in layouts; a template saved in Settings → Export Templates
+    // replaces the one for its format
+    static DEFAULT_TEMPLATES = {
+        markdown: `---
+{{#each frontmatter}}
+{{ @key }}: {{ this | yaml }}
+{{/each}}
+---
 
-            let answer = this.extractAnswer(entry);
-            if (answer.trim()) {
-                md += `### 🤖 Answer\n\n`;
-                md += `${answer.trim()}\n\n`;
-            }
+# {{ platformIcon }} {{ title }}
 
-            // Add sources if available
-            if (entry.sources && entry.sources.length > 0) {
-                md += `### 📚 Sources\n\n`;
-                entry.sources.forEach((source, i) => {
-                    md += `${i + 1}. [${source.title || source.url}](${source.url})\n`;
-                });
-                md += '\n';
-            }
+> **Platform:** {{ platform }} | **Conversations:** {{ entries | length }} | **Date:** {{ date }}
 
-            md += '---\n\n';
-        });
+{{#each entries as entry}}
+{{#if entry.query}}
+## 🙋 Question {{ entry.number }}
 
-        md += `\n*Exported with OmniExporter AI on ${new Date().toLocaleString()}*\n`;
-        return md;
-    }
+{{#if entry.messageIds}}
+<!-- message-ids: {{ entry.messageIds | join: ", " }} -->
+{{/if}}
+{{#if entry.meta}}
+*{{ entry.meta }}*
 
-    // ============================================
-    // JSON FORMAT
-    // ============================================
-    static toJSON(data, platform) {
-        const exportData = {
-            meta: {
-                exportedAt: new Date().toISOString(),
-                platform: platform,
-                version: '4.2.0',
-                tool: 'OmniExporter AI'
-            },
-            conversation: {
-                uuid: data.uuid || null,
-                title: data.title || 'Untitled Chat',
-                spaceName: data.spaceName || null,
-                createdAt: data.detail?.entries?.[0]?.created_datetime || null,
-                updatedAt: data.detail?.entries?.[0]?.updated_datetime || null
-            },
-            entries: (data.detail?.entries || []).map((entry, index) => ({
-                index: index + 1,
-                query: entry.query || entry.query_str || '',
-                answer: this.extractAnswer(entry),
-                sources: entry.sources || [],
-                metadata: {
-                    createdAt: entry.created_datetime || null,
-                    updatedAt: entry.updated_datetime || null
-                }
-            }))
-        };
+{{/if}}
+{{ entry.query }}
 
-        return JSON.stringify(exportData, null, 2);
-    }
+{{/if}}
+{{#if entry.reasoning}}
+<details>
+<summary>🧠 Reasoning</summary>
 
-    // ============================================
-    // HTML FORMAT (WITH PLATFORM LOGOS)
-    // ============================================
-    static toHTML(data, platform) {
-        const entries = data.detail?.entries || [];
-        const title = data.title || 'Untitled Chat';
+{{ entry.reasoning }}
 
-        // Platform emoji icons
-        const platformIcons = {
-            'Perplexity': '🧭',
-            'ChatGPT': '🤖',
-            'Claude': '🎯',
-            'Gemini': '✨',
-            'Grok': '𝕏',
-            'DeepSeek': '🔮'
-        };
-        const platformIcon = platformIcons[platform] || '💬';
+</details>
+
+{{/if}}
+{{#if entry.answer}}
+### 🤖 Answer{{ entry.branch }}
+
+{{ entry.answerMarkdown }}
+
+{{#each entry.footnotes as note}}
+[^{{ note.ref }}]: [{{ note.title | default: note.url }}]({{ note.url }})
+{{/each}}
+{{#if entry.footnotes}}
+
+{{/if}}
+{{else}}
+{{#if entry.incomplete}}
+> ⚠️ *{{ incompleteNote }}*
+
+{{/if}}
+{{/if}}
+{{#each entry.variants as variant}}
+### 🔀 {{ variant.label }}
+
+{{ variant.text }}
+
+{{/each}}
+{{#if entry.attachments}}
+### 📎 Attachments
+
+{{#each entry.attachments as file}}
+{{#if file.url}}
+- [{{ file.name }}]({{ file.url }})
+{{else}}
+- {{ file.name }}
+{{/if}}
+{{/each}}
+
+{{#each entry.attachments as file}}
+{{#if file.extractedText}}
+<details>
+<summary>📄 {{ file.name }} (extracted text)</summary>
+
+\`\`\`
+{{ file.extractedText | trim }}
+\`\`\`
+
+</details>
+
+{{/if}}
+{{/each}}
+{{/if}}
+{{#if entry.sources}}
+### 📚 Sources
 
-        let html = `<!DOCTYPE html>
+{{#each entry.sources as source}}
+{{ source.number }}. [{{ source.title | default: source.url }}]({{ source.url }})
+{{/each}}
+
+{{/if}}
+---
+
+{{/each}}
+{{#if artifacts}}
+## 🧩 Artifacts
+
+{{#each artifacts as artifact}}
+- **{{ artifact.title }}** → \`{{ artifact.filename }}\`{{#if artifact.version > 1}} (v{{ artifact.version }}){{/if}}
+{{/each}}
+
+{{/if}}
+
+*Exported with OmniExporter AI on {{ exportedAt | date }}*
+`,
+        html: `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${this.escapeHtml(title)}</title>
+    <title>{{ title }}</title>
     <style>
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body {
@@ -247,6 +327,11 @@ class ExportManager {
             border-radius: 8px;
             margin-bottom: 16px;
         }
+        .turn-meta {
+            font-size: 11px;
+            color: #64748b;
+            margin-bottom: 8px;
+        }
         .question-label {
             font-size: 12px;
             color: #3b82f6;
@@ -265,6 +350,35 @@ class ExportManager {
             font-weight: 600;
             margin-bottom: 8px;
         }
+        .reasoning {
+            margin-bottom: 16px;
+            padding: 12px 16px;
+            border-left: 4px solid #94a3b8;
+            border-radius: 8px;
+            background: #f1f5f9;
+            color: #475569;
+            font-size: 14px;
+            line-height: 1.6;
+        }
+        .reasoning summary {
+            cursor: pointer;
+            font-size: 12px;
+            font-weight: 600;
+        }
+        .variant {
+            margin-top: 16px;
+            padding: 12px 16px;
+            border: 1px dashed #c4b5fd;
+            border-radius: 8px;
+            background: #faf5ff;
+            line-height: 1.6;
+        }
+        .variant-label {
+            font-size: 12px;
+            color: #7c3aed;
+            font-weight: 600;
+            margin-bottom: 8px;
+        }
         .sources {
             margin-top: 16px;
             padding: 12px;
@@ -293,154 +407,1993 @@ class ExportManager {
             color: #64748b;
             font-size: 12px;
         }
+        .toc {
+            margin-bottom: 30px;
+            padding: 16px 20px;
+            background: #f8fafc;
+            border-radius: 8px;
+            font-size: 14px;
+        }
+        .toc-label {
+            font-size: 12px;
+            color: #475569;
+            font-weight: 600;
+            margin-bottom: 8px;
+        }
+        .toc ol, .toc ul {
+            padding-left: 20px;
+        }
+        .toc li {
+            margin: 4px 0;
+        }
+        .toc a {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        .toc a:hover {
+            text-decoration: underline;
+        }
+        .toc .toc-level-3 {
+            margin-left: 14px;
+        }
+{{{ markdownStyles }}}
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
-            <div class="platform-badge">${platformIcon} ${platform}</div>
-            <h1>${this.escapeHtml(title)}</h1>
-            <div class="meta">${entries.length} exchanges • Exported with OmniExporter AI</div>
+            <div class="platform-badge">{{ platformIcon }} {{ platform }}</div>
+            <h1>{{ title }}</h1>
+            <div class="meta">{{ entries | length }} exchanges • Exported with OmniExporter AI</div>
         </div>
-        <div class="content">`;
-
-
-
-        entries.forEach((entry, index) => {
-            const query = entry.query || entry.query_str || '';
-            const answer = this.extractAnswer(entry);
-
-            html += `
-            <div class="entry">
+        <div class="content">
+{{#if toc}}
+            <nav class="toc">
+                <div class="toc-label">📑 Contents</div>
+                <ol>
+{{#each toc as item}}
+                    <li>
+                        <a href="#{{ item.id }}">{{ item.title | truncate: 90 }}</a>
+{{#if item.headings}}
+                        <ul>
+{{#each item.headings as heading}}
+                            <li class="toc-level-{{ heading.level }}"><a href="#{{ heading.id }}">{{ heading.text }}</a></li>
+{{/each}}
+                        </ul>
+{{/if}}
+                    </li>
+{{/each}}
+                </ol>
+            </nav>
+{{/if}}
+{{#each entries as entry}}
+            <div class="entry" id="{{ entry.id }}" data-message-ids="{{ entry.messageIds | join: " " }}">
+                {{#if entry.meta}}<div class="turn-meta">{{ entry.meta }}</div>{{/if}}
                 <div class="question">
-                    <div class="question-label">🙋 Question ${index + 1}</div>
-                    ${this.escapeHtml(query)}
+                    <div class="question-label">🙋 Question {{ entry.number }}</div>
+                    {{ entry.query }}
                 </div>
+{{#if entry.reasoning}}
+                <details class="reasoning">
+                    <summary>🧠 Reasoning</summary>
+                    {{{ entry.reasoning | escape | nl2br }}}
+                </details>
+{{/if}}
                 <div class="answer">
-                    <div class="answer-label">${platformIcon} Answer</div>
-                    ${this.escapeHtml(answer).replace(/\n/g, '<br>')}
-                </div>`;
-
-            if (entry.sources && entry.sources.length > 0) {
-                html += `
+                    <div class="answer-label">{{ platformIcon }} Answer{{ entry.branch }}</div>
+                    {{#if entry.incomplete}}<em>⚠️ {{ incompleteNote }}</em>{{else}}<div class="markdown">{{{ entry.answerHtml }}}</div>{{/if}}
+                </div>
+{{#each entry.variants as variant}}
+                <div class="variant">
+                    <div class="variant-label">🔀 {{ variant.label }}</div>
+                    <div class="markdown">{{{ variant.html }}}</div>
+                </div>
+{{/each}}
+{{#if entry.attachments}}
                 <div class="sources">
-                    <div class="sources-label">📚 Sources</div>`;
-                entry.sources.forEach((source, i) => {
-                    html += `<a href="${source.url}" target="_blank">${i + 1}. ${this.escapeHtml(source.title || source.url)}</a>`;
-                });
-                html += `</div>`;
-            }
-
-            html += `</div>`;
-        });
-
-        html += `
+                    <div class="sources-label">📎 Attachments</div>
+{{#each entry.attachments as file}}
+                    {{#if file.url}}<a href="{{ file.url }}" target="_blank">{{ file.name }}</a>{{else}}<span>{{ file.name }}</span>{{/if}}
+{{#if file.extractedText}}
+                    <details><summary>Extracted text</summary><pre>{{ file.extractedText }}</pre></details>
+{{/if}}
+{{/each}}
+                </div>
+{{/if}}
+{{#if entry.sources}}
+                <div class="sources">
+                    <div class="sources-label">📚 Sources</div>
+{{#each entry.sources as source}}
+                    <a href="{{ source.url }}" target="_blank">{{ source.number }}. {{ source.title | default: source.url }}</a>
+{{/each}}
+                </div>
+{{/if}}
+            </div>
+{{/each}}
+{{#if artifacts}}
+            <div class="sources">
+                <div class="sources-label">🧩 Artifacts</div>
+{{#each artifacts as artifact}}
+                <span>{{ artifact.title }} → <code>{{ artifact.filename }}</code></span><br>
+{{/each}}
+            </div>
+{{/if}}
         </div>
         <div class="footer">
-            Exported with OmniExporter AI on ${new Date().toLocaleString()}
+            Exported with OmniExporter AI on {{ exportedAt | date }}
         </div>
     </div>
+    <script>
+{{{ markdownScript }}}
+    </script>
 </body>
-</html>`;
+</html>`,
+        txt: `============================================================
+{{ title | upper }}
+============================================================
+Platform: {{ platform }}
+Exported: {{ exportedAt | date }}
+============================================================
 
-        return html;
+{{#each entries as entry}}
+[QUESTION {{ entry.number }}]{{#if entry.meta}}  {{ entry.meta }}{{/if}}
+{{ entry.query }}
+
+{{#if entry.reasoning}}
+[REASONING]
+{{ entry.reasoning }}
+
+{{/if}}
+[ANSWER]
+{{#if entry.incomplete}}
+({{ incompleteNote }})
+{{else}}
+{{ entry.answer }}
+{{/if}}
+
+{{#each entry.variants as variant}}
+[{{ variant.label | upper }}]
+{{ variant.text | replace: "**", "" }}
+
+{{/each}}
+{{#if entry.attachments}}
+[ATTACHMENTS]
+{{#each entry.attachments as file}}
+  - {{ file.name }}{{#if file.url}}: {{ file.url }}{{/if}}
+{{#if file.extractedText}}
+{{ file.extractedText | trim | indent: 6 }}
+{{/if}}
+{{/each}}
+
+{{/if}}
+{{#if entry.sources}}
+[SOURCES]
+{{#each entry.sources as source}}
+  [{{ source.number }}] {{ source.title | default: "Link" }}: {{ source.url }}
+{{/each}}
+
+{{/if}}
+----------------------------------------
+
+{{/each}}
+{{#if artifacts}}
+[ARTIFACTS]
+{{#each artifacts as artifact}}
+  - {{ artifact.title }}: {{ artifact.filename }}
+{{/each}}
+{{/if}}
+
+============================================================
+Exported with OmniExporter AI
+============================================================
+`
+    };
+
+    static templates = {};
+
+    static getTemplate(format) {
+        return (this.templates[format] || '').trim() ? this.templates[format] : this.DEFAULT_TEMPLATES[format];
+    }
+
+    /**
+     * Render a conversation with the template for `format` (or `template`).
+     * A custom template that fails falls back to the built-in layout.
+     */
+    static renderTemplate(format, data, platform, template = this.getTemplate(format)) {
+        const render = (source) => TemplateEngine.render(source, this.getTemplateContext(data, platform), this.templateOptions(format));
+        if (template === this.DEFAULT_TEMPLATES[format]) return render(template);
+
+        try {
+            return render(template);
+        } catch (e) {
+            if (typeof Logger !== 'undefined') Logger.warn('Export', `Custom ${format} template failed, using the built-in layout`, { error: e.message });
+            return render(this.DEFAULT_TEMPLATES[format]);
+        }
+    }
+
+    /**
+     * Engine options for a format: HTML templates escape {{ }} output
+     */
+    static templateOptions(format) {
+        return {
+            escape: format === 'html' ? TemplateEngine.escapeHtml : null,
+            filters: { yaml: (value) => this.yamlValue(value) }
+        };
+    }
+
+    /**
+     * Variables available to templates: the conversation's metadata plus
+     * one `entries` item per turn, with answers pre-rendered per format
+     * (answerMarkdown + footnotes, answerHtml + headings). The HTML
+     * rendering (see markdown-renderer.js) only runs when a template reads it.
+     */
+    static getTemplateContext(data, platform) {
+        const conversation = this.getConversation(data, platform);
+        const turns = ConversationSchema.toTurns(conversation);
+        const once = (render) => {
+            let result;
+            return () => result || (result = render());
+        };
+
+        const entries = turns.map((turn, index) => {
+            const answer = turn.answer.trim();
+            const id = `q${index + 1}`;
+            // Inline [n] markers become footnotes pointing at the cited source
+            const footnotes = new Map();
+            const answerMarkdown = ConversationSchema.replaceCitationMarkers(answer, turn.citations, (c, n) => {
+                footnotes.set(n, { ref: `${index + 1}-${n}`, title: c.title || '', url: c.url });
+                return `[^${index + 1}-${n}]`;
+            });
+            const rendered = once(() => MarkdownRenderer.render(answer, { citations: turn.citations, idPrefix: `${id}-` }));
+
+            return {
+                id,
+                number: index + 1,
+                query: turn.query,
+                meta: this.formatTurnMeta(turn),
+                model: turn.model,
+                createdAt: turn.createdAt,
+                messageIds: turn.messageIds,
+                reasoning: turn.reasoning,
+                answer,
+                answerMarkdown,
+                get answerHtml() { return rendered().html; },
+                get headings() { return rendered().headings; },
+                footnotes: [...footnotes.values()],
+                incomplete: turn.incomplete,
+                branch: this.branchSuffix(turn),
+                variants: turn.variants.map((variant, v) => {
+                    const text = ConversationSchema.variantText(variant);
+                    const html = once(() => MarkdownRenderer.render(text, { idPrefix: `${id}-v${v + 1}-` }).html);
+                    return { label: variant.label, text, get html() { return html(); } };
+                }),
+                attachments: turn.attachments,
+                citations: turn.citations,
+                sources: (turn.sources || []).map((source, i) => ({ ...source, number: source.index || i + 1 }))
+            };
+        });
+        // Contents: every question, with the answer's top headings under it
+        const toc = once(() => {
+            const items = entries.map(entry => ({
+                id: entry.id,
+                title: (entry.query || `Question ${entry.number}`).split('\n')[0],
+                headings: entry.incomplete ? [] : entry.headings.filter(heading => heading.level <= 3)
+            }));
+            return items.length > 1 || items.some(item => item.headings.length > 0) ? items : [];
+        });
+
+        return {
+            title: data.title || 'Untitled Chat',
+            platform,
+            platformIcon: this.PLATFORM_ICONS[platform] || '💬',
+            date: this.getConversationDate(conversation),
+            url: conversation.url || '',
+            uuid: data.uuid || conversation.id || '',
+            collection: conversation.collection,
+            models: ConversationSchema.models(conversation),
+            frontmatter: this.getFrontmatter(data, platform, conversation),
+            exportedAt: new Date(),
+            incompleteNote: this.INCOMPLETE_NOTE,
+            artifacts: conversation.artifacts,
+            entries,
+            get toc() { return toc(); },
+            markdownStyles: MarkdownRenderer.STYLES,
+            markdownScript: MarkdownRenderer.SCRIPT
+        };
     }
 
     // ============================================
-    // PLAIN TEXT FORMAT
+    // MARKDOWN FORMAT (WITH PLATFORM LOGOS)
     // ============================================
-    static toPlainText(data, platform) {
-        const entries = data.detail?.entries || [];
-        const title = data.title || 'Untitled Chat';
-        const divider = '='.repeat(60);
+    static toMarkdown(data, platform) {
+        return this.renderTemplate('markdown', data, platform);
+    }
+
+    /**
+     * Conversation metadata as written to the Markdown frontmatter (also
+     * shown in EPUB chapters); optional fields are left out when unknown
+     */
+    static getFrontmatter(data, platform, conversation = this.getConversation(data, platform)) {
+        const meta = {
+            title: data.title || 'Untitled Chat',
+            date: this.getConversationDate(conversation),
+            platform,
+            uuid: data.uuid || 'unknown'
+        };
+        if (conversation.collection?.name) meta[conversation.collection.kind] = conversation.collection.name;
+        if (conversation.metadata.archived) meta.archived = true;
+        meta.entries = ConversationSchema.toTurns(conversation).length;
+        meta.messages = conversation.messages.length;
+        if (conversation.createdAt) meta.created = conversation.createdAt;
+        if (conversation.updatedAt) meta.updated = conversation.updatedAt;
+        const models = ConversationSchema.models(conversation);
+        if (models.length > 0) meta.models = models;
+        meta.schema_version = conversation.schemaVersion;
+        return meta;
+    }
+
+    /**
+     * YAML scalar/flow value: identifiers and dates stay bare, free text is quoted
+     */
+    static yamlValue(value) {
+        if (Array.isArray(value)) return `[${value.map(v => JSON.stringify(v)).join(', ')}]`;
+        if (typeof value !== 'string') return String(value);
+        const bare = /^[\w.:+-]+$/.test(value) && !/^(true|false|null|yes|no|on|off|[\d.]+)$/i.test(value);
+        return bare ? value : JSON.stringify(value);
+    }
+
+    // ============================================
+    // OBSIDIAN VAULT FORMAT
+    // ============================================
+
+    /**
+     * Obsidian note: frontmatter with tags/aliases, callouts for each turn,
+     * embedded attachments and [[wikilinks]] to `related` notes
+     * ({ name, title }) of the same Space/Project
+     */
+    static toObsidian(data, platform, { related = [] } = {}) {
+        const conversation = this.getConversation(data, platform);
+        const entries = ConversationSchema.toTurns(conversation);
+        const title = data.title || conversation.title || 'Untitled Chat';
+        const note = this.obsidianNoteName(title, conversation.id || data.uuid);
+        const models = ConversationSchema.models(conversation);
+        const collection = conversation.collection;
+        const quote = (text) => String(text).trim().split('\n').map(line => line ? `> ${line}` : '>').join('\n');
 
-        let txt = `${divider}\n`;
-        txt += `${title.toUpperCase()}\n`;
-        txt += `${divider}\n`;
-        txt += `Platform: ${platform}\n`;
-        txt += `Exported: ${new Date().toLocaleString()}\n`;
-        txt += `${divider}\n\n`;
+        const tags = ['ai-chat', `ai-chat/${this.obsidianTag(platform)}`];
+        if (collection?.name) tags.push(`${collection.kind}/${this.obsidianTag(collection.name)}`);
+        if (conversation.metadata.archived) tags.push('ai-chat/archived');
+
+        let md = '---\n';
+        md += `title: ${JSON.stringify(title)}\n`;
+        md += `aliases:\n  - ${JSON.stringify(title)}\n`;
+        md += `tags:\n${tags.map(tag => `  - ${tag}`).join('\n')}\n`;
+        md += `platform: ${platform}\n`;
+        if (models.length > 0) {
+            md += `model: ${JSON.stringify(models[models.length - 1])}\n`;
+            md += `models: [${models.map(m => JSON.stringify(m)).join(', ')}]\n`;
+        }
+        if (collection?.name) md += `${collection.kind}: ${JSON.stringify(`[[${this.obsidianSafeName(collection.name)}]]`)}\n`;
+        md += `uuid: ${conversation.id || data.uuid || 'unknown'}\n`;
+        if (conversation.url) md += `url: ${conversation.url}\n`;
+        if (conversation.createdAt) md += `created: ${conversation.createdAt}\n`;
+        if (conversation.updatedAt) md += `updated: ${conversation.updatedAt}\n`;
+        md += `messages: ${conversation.messages.length}\n`;
+        md += '---\n\n';
+        md += `# ${title}\n\n`;
 
         entries.forEach((entry, index) => {
-            const query = entry.query || entry.query_str || '';
-            const answer = this.extractAnswer(entry);
+            if (entry.query) {
+                const meta = this.formatTurnMeta(entry);
+                md += `> [!question] Question ${index + 1}\n`;
+                if (meta) md += `> *${meta}*\n>\n`;
+                md += `${quote(entry.query)}\n\n`;
+            }
+
+            if (entry.reasoning) {
+                md += `> [!abstract]- Reasoning\n${quote(entry.reasoning)}\n\n`;
+            }
 
-            txt += `[QUESTION ${index + 1}]\n`;
-            txt += `${query}\n\n`;
-            txt += `[ANSWER]\n`;
-            txt += `${answer.trim()}\n\n`;
+            if (entry.answer.trim()) {
+                const footnotes = new Map();
+                const linked = ConversationSchema.replaceCitationMarkers(entry.answer.trim(), entry.citations, (c, n) => {
+                    footnotes.set(n, c);
+                    return `[^${index + 1}-${n}]`;
+                });
+                md += `> [!success] Answer${this.branchSuffix(entry)}\n${quote(linked)}\n\n`;
+                footnotes.forEach((c, n) => {
+                    md += `[^${index + 1}-${n}]: [${c.title || c.url}](${c.url})\n`;
+                });
+                if (footnotes.size > 0) md += '\n';
+            } else if (entry.incomplete) {
+                md += `> [!warning] ${this.INCOMPLETE_NOTE}\n\n`;
+            }
+
+            entry.variants.forEach(variant => {
+                md += `> [!note]- ${variant.label}\n${quote(ConversationSchema.variantText(variant))}\n\n`;
+            });
+
+            if (entry.attachments.length > 0) {
+                md += `> [!info] Attachments\n`;
+                entry.attachments.forEach(file => {
+                    if (file.extractedText) md += `> - ![[${this.obsidianAttachmentName(note, `${file.name}.txt`)}]]\n`;
+                    else md += file.url ? `> - [${file.name}](${file.url})\n` : `> - ${file.name}\n`;
+                });
+                md += '\n';
+            }
 
             if (entry.sources && entry.sources.length > 0) {
-                txt += `[SOURCES]\n`;
+                md += `> [!info]- Sources\n`;
                 entry.sources.forEach((source, i) => {
-                    txt += `  ${i + 1}. ${source.title || 'Link'}: ${source.url}\n`;
+                    md += `> ${source.index || i + 1}. [${source.title || source.url}](${source.url})\n`;
                 });
-                txt += '\n';
+                md += '\n';
             }
+        });
+
+        if (conversation.artifacts.length > 0) {
+            md += `## Artifacts\n\n`;
+            conversation.artifacts.forEach(artifact => {
+                md += `### ${artifact.title}${artifact.version > 1 ? ` (v${artifact.version})` : ''}\n\n`;
+                md += `![[${this.obsidianAttachmentName(note, artifact.filename)}]]\n\n`;
+            });
+        }
+
+        if (related.length > 0) {
+            md += `## Related\n\n`;
+            related.forEach(other => {
+                md += `- ${this.obsidianLink(other.name, other.title)}\n`;
+            });
+            md += '\n';
+        }
+
+        return md;
+    }
 
-            txt += `-`.repeat(40) + '\n\n';
+    /**
+     * Vault files for a set of threads under OBSIDIAN_ROOT:
+     * <platform>/[<space>/]<note>.md, attachments/<note> - <file>, and one
+     * index note per Space/Project linking its threads
+     */
+    static getObsidianFiles(threads, platform, { collection = null } = {}) {
+        const ref = collection ? ConversationSchema.collectionRef(collection) : null;
+        const notes = threads.map(data => {
+            let conversation = this.getConversation(data, platform);
+            if (ref) conversation = { ...conversation, collection: ref };
+            const title = data.title || conversation.title || 'Untitled Chat';
+            return {
+                data: { ...data, conversation },
+                title,
+                name: this.obsidianNoteName(title, conversation.id || data.uuid),
+                collection: conversation.collection
+            };
         });
 
-        txt += `\n${divider}\n`;
-        txt += `Exported with OmniExporter AI\n`;
-        txt += `${divider}\n`;
+        const files = [];
+        notes.forEach(note => {
+            const related = note.collection?.id
+                ? notes.filter(other => other !== note && other.collection?.id === note.collection.id)
+                : [];
+            files.push(...this.getObsidianThreadFiles(note.data, platform, { related }));
+        });
+
+        // Index note per Space/Project ("folder note" named like its folder)
+        const groups = new Map();
+        notes.filter(note => note.collection?.name).forEach(note => {
+            const key = note.collection.id || note.collection.name;
+            if (!groups.has(key)) groups.set(key, { collection: note.collection, notes: [] });
+            groups.get(key).notes.push(note);
+        });
+        groups.forEach(group => {
+            const detail = collection && group.collection.id === collection.id ? collection : group.collection;
+            files.push(this.getObsidianCollectionNote(detail, group.notes, platform));
+        });
 
-        return txt;
+        return files;
     }
 
-    // ============================================
-    // PDF FORMAT (Print Dialog)
-    // ============================================
-    static toPDF(data, platform) {
-        const html = this.toHTML(data, platform);
-        const printWindow = window.open('', '_blank');
+    /**
+     * A thread's note followed by its attachment files
+     */
+    static getObsidianThreadFiles(data, platform, { related = [] } = {}) {
+        const conversation = this.getConversation(data, platform);
+        const title = data.title || conversation.title || 'Untitled Chat';
+        const note = this.obsidianNoteName(title, conversation.id || data.uuid);
+        const root = this.OBSIDIAN_ROOT;
 
-        if (!printWindow) {
-            throw new Error('Pop-up blocked. Please allow pop-ups to export as PDF.');
-        }
+        // Downloaded images/files go next to the other attachments; Obsidian resolves the bare name
+        const assets = this.getAssetFiles(conversation, name => {
+            const attachment = this.obsidianAttachmentName(note, name);
+            return { filename: `${root}/attachments/${attachment}`, url: this.linkPath(attachment) };
+        });
+
+        const files = [{
+            filename: `${this.obsidianFolder(platform, conversation.collection)}/${note}.md`,
+            content: this.toObsidian({ ...data, conversation: assets.conversation }, platform, { related }),
+            mimeType: 'text/markdown'
+        }, ...assets.files];
+        this.getArtifactFiles({ ...data, conversation }, platform).forEach(file => {
+            files.push({ ...file, filename: `${root}/attachments/${this.obsidianAttachmentName(note, file.filename)}` });
+        });
+        ConversationSchema.toTurns(conversation).flatMap(turn => turn.attachments)
+            .filter(file => file.extractedText)
+            .forEach(file => files.push({
+                filename: `${root}/attachments/${this.obsidianAttachmentName(note, `${file.name}.txt`)}`,
+                content: file.extractedText,
+                mimeType: 'text/plain'
+            }));
+
+        return files;
+    }
 
-        printWindow.document.write(html);
-        printWindow.document.close();
+    static getObsidianCollectionNote(collection, notes, platform) {
+        const name = this.obsidianSafeName(collection.name);
+        let md = '---\n';
+        md += `title: ${JSON.stringify(collection.name)}\n`;
+        md += `aliases:\n  - ${JSON.stringify(collection.name)}\n`;
+        md += `tags:\n  - ai-chat/${collection.kind}\n  - ${collection.kind}/${this.obsidianTag(collection.name)}\n`;
+        md += `kind: ${collection.kind}\n`;
+        md += `platform: ${platform}\n`;
+        if (collection.id) md += `id: ${collection.id}\n`;
+        if (collection.url) md += `url: ${collection.url}\n`;
+        md += `threads: ${notes.length}\n`;
+        md += '---\n\n';
+        md += `# ${collection.emoji ? collection.emoji + ' ' : ''}${collection.name}\n\n`;
+        if (collection.description) md += `${collection.description.trim()}\n\n`;
+        if (collection.instructions) {
+            md += `> [!info]- Instructions\n${collection.instructions.trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+        }
+        md += `## Threads\n\n`;
+        notes.forEach(note => {
+            md += `- ${this.obsidianLink(note.name, note.title)}\n`;
+        });
 
-        printWindow.onload = () => {
-            printWindow.print();
+        return {
+            filename: `${this.obsidianFolder(platform, collection)}/${name}.md`,
+            content: md,
+            mimeType: 'text/markdown'
         };
+    }
 
-        return { success: true, format: 'PDF', note: 'Print dialog opened' };
+    /**
+     * Stable note name: title plus the start of the thread id, so the same
+     * thread always maps to the same file
+     */
+    static obsidianNoteName(title, id) {
+        const name = this.obsidianSafeName(title).slice(0, 80).trim() || 'Untitled Chat';
+        return id ? `${name} (${String(id).slice(0, 8)})` : name;
     }
 
-    // ============================================
-    // UTILITY FUNCTIONS
-    // ============================================
-    static extractAnswer(entry) {
-        let answer = '';
+    static obsidianLink(name, title) {
+        return `[[${name}|${String(title).replace(/[[\]|]/g, ' ').trim() || name}]]`;
+    }
 
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                    }
-                }
-            });
-        }
+    static obsidianAttachmentName(note, filename) {
+        return `${note} - ${this.obsidianSafeName(filename)}`;
+    }
 
-        if (!answer.trim()) {
-            answer = entry.answer || entry.text || '';
-        }
+    static obsidianFolder(platform, collection = null) {
+        const folder = `${this.OBSIDIAN_ROOT}/${this.obsidianSafeName(platform) || 'Unknown'}`;
+        return collection?.name ? `${folder}/${this.obsidianSafeName(collection.name)}` : folder;
+    }
 
-        return answer;
+    /**
+     * Unicode-preserving file name without characters that break paths or
+     * wikilinks (\ / : * ? " < > | # ^ [ ])
+     */
+    static obsidianSafeName(name) {
+        return String(name || '').replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, ' ').replace(/\s+/g, ' ').trim();
     }
 
-    static generateFilename(title, extension) {
-        const sanitized = title
-            .replace(/[^a-z0-9\s-]/gi, '')
-            .replace(/\s+/g, '_')
-            .substring(0, 50);
-        const timestamp = new Date().toISOString().slice(0, 10);
-        return `${sanitized}_${timestamp}${extension}`;
+    /**
+     * Nested-tag-safe slug ("Research Notes" -> "research-notes")
+     */
+    static obsidianTag(text) {
+        return String(text || '').toLowerCase().trim()
+            .replace(/\s+/g, '-')
+            .replace(/[^\p{L}\p{N}_-]/gu, '') || 'untitled';
+    }
+
+    // ============================================
+    // JSON FORMAT
+    // ============================================
+    static toJSON(data, platform) {
+        const conversation = this.withoutAssetData(this.getConversation(data, platform));
+        const exportData = {
+            meta: {
+                exportedAt: new Date().toISOString(),
+                platform: platform,
+                version: '4.2.0',
+                tool: 'OmniExporter AI',
+                schema: conversation.schema,
+                schemaVersion: conversation.schemaVersion
+            },
+            conversation: {
+                uuid: data.uuid || null,
+                title: data.title || 'Untitled Chat',
+                spaceName: data.spaceName || conversation.collection?.name || null,
+                collection: conversation.collection,
+                archived: !!conversation.metadata.archived,
+                createdAt: conversation.createdAt || conversation.messages[0]?.createdAt || null,
+                updatedAt: conversation.updatedAt || null,
+                models: ConversationSchema.models(conversation),
+                messageCount: conversation.messages.length
+            },
+            entries: ConversationSchema.toTurns(conversation).map(turn => ({
+                index: turn.index,
+                query: turn.query,
+                answer: turn.answer,
+                incomplete: turn.incomplete,
+                reasoning: turn.reasoning || null,
+                sources: turn.sources,
+                attachments: turn.attachments,
+                variants: turn.variants.map(v => ({
+                    label: v.label,
+                    kind: v.kind,
+                    text: ConversationSchema.variantText(v)
+                })),
+                metadata: {
+                    createdAt: turn.createdAt,
+                    updatedAt: turn.updatedAt,
+                    model: turn.model,
+                    messageIds: turn.messageIds
+                }
+            })),
+            messages: conversation.messages,
+            artifacts: conversation.artifacts
+        };
+
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    // ============================================
+    // COLLECTION EXPORT (SPACES / PROJECTS)
+    // ============================================
+
+    /**
+     * Export a Space/Project and all of its threads as a single folder
+     */
+    static async exportCollection(collection, threads, format = 'markdown', platform = 'Unknown') {
+        await this.loadPreferences();
+        const files = this.getCollectionFiles(collection, threads, format, platform);
+        await this.downloadFiles(files, { overwrite: format === 'obsidian' });
+
+        if (typeof Logger !== 'undefined') Logger.info('Export', 'Collection export complete', { name: collection.name, threads: threads.length, files: files.length });
+        return { success: true, folder: this.sanitizeTitle(collection.name), files: files.map(f => f.filename) };
+    }
+
+    /**
+     * Files of a collection export, all under one folder named after it:
+     * README.md (index), collection.json (metadata for re-import),
+     * instructions.md, knowledge/ documents, then one file per thread
+     * plus its artifacts. Obsidian exports use the vault layout instead.
+     */
+    static getCollectionFiles(collection, threads, format = 'markdown', platform = 'Unknown') {
+        const formatConfig = this.formats[format];
+        if (!formatConfig || ['pdf', 'docx', 'epub'].includes(format)) {
+            throw new Error(`Unsupported collection format: ${format}`);
+        }
+        if (format === 'obsidian') return this.getObsidianFiles(threads, platform, { collection });
+
+        const folder = this.sanitizeTitle(collection.name) || 'Collection';
+        const ref = ConversationSchema.collectionRef(collection);
+        const usedNames = new Set();
+        const files = [];
+        const items = [];
+
+        threads.forEach(data => {
+            const conversation = { ...this.getConversation(data, platform), collection: ref };
+            const threadData = { ...data, spaceName: collection.name, conversation };
+
+            // Stable per-thread names; same-title threads get their id appended
+            let path = this.getThreadPath(threadData, platform, '{title}');
+            if (usedNames.has(`${path}${formatConfig.extension}`.toLowerCase()) && conversation.id) {
+                path = `${path}_${String(conversation.id).slice(0, 8)}`;
+            }
+            const filename = this.uniqueFilePath(path, formatConfig.extension, usedNames);
+            const base = filename.slice(0, -formatConfig.extension.length);
+
+            files.push({
+                filename: `${folder}/${filename}`,
+                content: this.render(threadData, format, platform),
+                mimeType: formatConfig.mimeType
+            });
+            this.getArtifactFiles(threadData, platform, base).forEach(file => {
+                files.push({ ...file, filename: `${folder}/${file.filename}` });
+            });
+
+            items.push({
+                id: conversation.id,
+                title: data.title || conversation.title,
+                filename,
+                date: this.getConversationDate(conversation),
+                messageCount: conversation.messages.length
+            });
+        });
+
+        const manifest = {
+            meta: {
+                exportedAt: new Date().toISOString(),
+                platform,
+                tool: 'OmniExporter AI',
+                schema: 'omniexporter.collection',
+                schemaVersion: ConversationSchema.VERSION
+            },
+            collection,
+            threads: items
+        };
+
+        files.unshift(
+            { filename: `${folder}/README.md`, content: this.collectionToMarkdown(collection, items), mimeType: 'text/markdown' },
+            { filename: `${folder}/collection.json`, content: JSON.stringify(manifest, null, 2), mimeType: 'application/json' }
+        );
+        const context = [];
+        if (collection.instructions) {
+            context.push({
+                filename: `${folder}/instructions.md`,
+                content: `# Instructions: ${collection.name}\n\n${collection.instructions.trim()}\n`,
+                mimeType: 'text/markdown'
+            });
+        }
+        this.getKnowledgeFiles(collection).forEach(file => {
+            context.push({ ...file, filename: `${folder}/${file.filename}` });
+        });
+        files.splice(2, 0, ...context);
+
+        return files;
+    }
+
+    /**
+     * Knowledge documents whose text was captured, as files under knowledge/
+     */
+    static getKnowledgeFiles(collection) {
+        const usedNames = new Set();
+        return collection.files.filter(file => file.extractedText).map(file => {
+            let name = String(file.name).replace(/[\\/:*?"<>|]/g, '_');
+            if (!/\.[a-z0-9]+$/i.test(name)) name += '.txt';
+            if (usedNames.has(name)) name = name.replace(/(\.[a-z0-9]+)$/i, `_${usedNames.size}$1`);
+            usedNames.add(name);
+            return {
+                filename: `knowledge/${name}`,
+                content: file.extractedText,
+                mimeType: name.endsWith('.md') ? 'text/markdown' : 'text/plain'
+            };
+        });
+    }
+
+    /**
+     * Index page of a collection export: metadata, instructions, files and thread list
+     */
+    static collectionToMarkdown(collection, items = []) {
+        let md = '---\n';
+        md += `title: ${JSON.stringify(collection.name)}\n`;
+        md += `kind: ${collection.kind}\n`;
+        md += `platform: ${collection.platform}\n`;
+        md += `id: ${collection.id || 'unknown'}\n`;
+        if (collection.url) md += `url: ${collection.url}\n`;
+        if (collection.createdAt) md += `created: ${collection.createdAt}\n`;
+        if (collection.updatedAt) md += `updated: ${collection.updatedAt}\n`;
+        md += `threads: ${items.length}\n`;
+        md += '---\n\n';
+        md += `# ${collection.emoji ? collection.emoji + ' ' : '📁 '}${collection.name}\n\n`;
+        if (collection.description) md += `> ${collection.description.trim().replace(/\n/g, '\n> ')}\n\n`;
+
+        if (collection.instructions) {
+            md += `## 📋 Instructions\n\n${collection.instructions.trim()}\n\n`;
+        }
+
+        if (collection.files.length > 0) {
+            const saved = this.getKnowledgeFiles(collection);
+            let next = 0;
+            md += `## 📎 Files\n\n`;
+            collection.files.forEach(file => {
+                const target = file.extractedText ? encodeURI(saved[next++].filename) : file.url;
+                md += target ? `- [${file.name}](${target})\n` : `- ${file.name}\n`;
+            });
+            md += '\n';
+        }
+
+        md += `## 💬 Threads (${items.length})\n\n`;
+        items.forEach(item => {
+            md += `- [${item.title}](${encodeURI(item.filename)}) — ${item.date} · ${item.messageCount} messages\n`;
+        });
+
+        md += `\n*Exported with OmniExporter AI on ${new Date().toLocaleString()}*\n`;
+        return md;
+    }
+
+    // ============================================
+    // BUNDLE EXPORT (many threads as one ZIP, see zip-writer.js)
+    // ============================================
+
+    /**
+     * Export many threads as a single ZIP. Threads are loaded and written one
+     * at a time so only small index records stay in memory:
+     * threads/<platform>/<title>_<id>.<ext> (or the Settings naming pattern),
+     * attachments/<same path>/..., manifest.json and a browsable index.html.
+     * `threads` are list items ({ uuid, title }), `loadThread` resolves one to export data.
+     */
+    static async exportBundle(threads, loadThread, format = 'markdown', options = {}) {
+        const { platform = 'Unknown', onProgress = null, writable = null } = options;
+        if (!this.formats[format]) throw new Error(`Unsupported format: ${format}`);
+        await this.loadPreferences();
+        this.warnings.clear();
+
+        const zip = new ZipWriter({ writable });
+        const items = [];
+        const failed = [];
+        const used = new Set();
+
+        let blob;
+        try {
+            for (let i = 0; i < threads.length; i++) {
+                if (onProgress) onProgress(i, threads.length, threads[i]);
+                try {
+                    const data = await loadThread(threads[i]);
+                    items.push(await this.addToBundle(zip, data, format, platform, used));
+                } catch (e) {
+                    failed.push({ uuid: threads[i].uuid, title: threads[i].title || null, error: e.message });
+                }
+            }
+
+            if (format === 'obsidian') {
+                for (const file of this.getObsidianBundleNotes(items)) await zip.add(file.filename, file.content);
+            }
+            await zip.add('manifest.json', JSON.stringify(this.getBundleManifest(items, failed, format), null, 2));
+            await zip.add('index.html', this.bundleToHTML(items, format));
+            blob = await zip.close();
+        } catch (e) {
+            await zip.abort(e).catch(() => {});
+            throw e;
+        }
+
+        // Streamed bundles are already on disk under the name the user picked
+        const filename = options.filename || this.generateFilename(`OmniExporter ${items.length} threads`, '.zip');
+        if (blob) this.downloadFile(blob, filename, 'application/zip');
+
+        if (typeof Logger !== 'undefined') Logger.info('Export', 'Bundle export complete', { format, threads: items.length, failed: failed.length, streamed: !blob });
+        return { success: failed.length === 0, filename, exported: items.length, failed, warnings: [...this.warnings] };
+    }
+
+    /**
+     * Write one thread (file, artifacts, attachment texts) into the ZIP and
+     * return its index record. `used` holds the thread paths taken so far, so
+     * two threads with the same name never share an attachments folder.
+     */
+    static async addToBundle(zip, data, format, platform, used = new Set()) {
+        const conversation = this.getConversation(data, platform);
+        const title = data.title || conversation.title || 'Untitled Chat';
+        const id = String(conversation.id || data.uuid || '');
+        const base = this.uniqueFilePath(this.getThreadPath(data, platform, id ? '{platform}/{title}_{uuid8}' : '{platform}/{title}'), '', used);
+        const date = new Date(conversation.updatedAt || conversation.createdAt || Date.now());
+
+        let path;
+        const attachments = [];
+        if (format === 'obsidian') {
+            // Vault layout; Space/Project index notes are added once all threads are in
+            const [note, ...files] = this.getObsidianThreadFiles({ ...data, conversation }, platform);
+            path = await zip.add(note.filename, note.content, { date });
+            for (const file of files) attachments.push(await zip.add(file.filename, file.content, { date }));
+        } else {
+            // Downloaded images/files are linked relative to the thread file
+            const up = '../'.repeat(`threads/${base}`.split('/').length - 1);
+            const assets = this.getAssetFiles(conversation, name => ({
+                filename: `attachments/${base}/${name}`,
+                url: up + this.linkPath(`attachments/${base}/${name}`)
+            }));
+            const content = await this.renderFile({ ...data, conversation: assets.conversation }, format, platform);
+            path = await zip.add(`threads/${base}${this.formats[format].extension}`, content, { date });
+
+            for (const file of assets.files) {
+                attachments.push(await zip.add(file.filename, file.content, { date, store: file.mimeType.startsWith('image/') }));
+            }
+
+            for (const file of this.getArtifactFiles(data, platform)) {
+                attachments.push(await zip.add(`attachments/${base}/${file.filename}`, file.content, { date }));
+            }
+            for (const file of ConversationSchema.toTurns(conversation).flatMap(turn => turn.attachments)) {
+                if (!file.extractedText) continue;
+                const name = String(file.name).replace(/[\\/:*?"<>|]/g, '_');
+                attachments.push(await zip.add(`attachments/${base}/${name}.txt`, file.extractedText, { date }));
+            }
+        }
+
+        return {
+            uuid: id || null,
+            title,
+            platform,
+            date: this.getConversationDate(conversation),
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            url: conversation.url,
+            collection: conversation.collection,
+            models: ConversationSchema.models(conversation),
+            messageCount: conversation.messages.length,
+            path,
+            attachments
+        };
+    }
+
+    /**
+     * Obsidian index notes for the Spaces/Projects seen in a bundle
+     */
+    static getObsidianBundleNotes(items) {
+        const groups = new Map();
+        items.filter(item => item.collection?.name).forEach(item => {
+            const key = `${item.platform}:${item.collection.id || item.collection.name}`;
+            if (!groups.has(key)) groups.set(key, { collection: item.collection, platform: item.platform, notes: [] });
+            groups.get(key).notes.push({ name: item.path.split('/').pop().replace(/\.md$/, ''), title: item.title });
+        });
+        return [...groups.values()].map(group => this.getObsidianCollectionNote(group.collection, group.notes, group.platform));
+    }
+
+    static getBundleManifest(items, failed = [], format = 'markdown') {
+        return {
+            meta: {
+                exportedAt: new Date().toISOString(),
+                tool: 'OmniExporter AI',
+                schema: 'omniexporter.bundle',
+                schemaVersion: ConversationSchema.VERSION,
+                format
+            },
+            count: items.length,
+            threads: items,
+            failed
+        };
+    }
+
+    /**
+     * Self-contained index page of a bundle: threads grouped by platform,
+     * then by date (newest first), with a title filter
+     */
+    static bundleToHTML(items, format = 'markdown') {
+        const attr = (value) => this.escapeHtml(value).replace(/"/g, '&quot;');
+        const groups = new Map();
+        items.forEach(item => {
+            if (!groups.has(item.platform)) groups.set(item.platform, new Map());
+            const byDate = groups.get(item.platform);
+            if (!byDate.has(item.date)) byDate.set(item.date, []);
+            byDate.get(item.date).push(item);
+        });
+
+        let body = '';
+        [...groups.keys()].sort().forEach(platform => {
+            const byDate = groups.get(platform);
+            const count = [...byDate.values()].reduce((sum, list) => sum + list.length, 0);
+            body += `<section><h2>${this.escapeHtml(platform)} <span class="count">${count}</span></h2>`;
+            [...byDate.keys()].sort().reverse().forEach(date => {
+                body += `<h3>${this.escapeHtml(date)}</h3><ul>`;
+                byDate.get(date).forEach(item => {
+                    const meta = [`${item.messageCount} messages`, ...item.models, item.collection?.name].filter(Boolean);
+                    body += `<li data-title="${attr(item.title.toLowerCase())}"><a href="${attr(encodeURI(item.path))}">${this.escapeHtml(item.title)}</a>`;
+                    body += ` <span class="meta">${this.escapeHtml(meta.join(' · '))}</span>`;
+                    if (item.url) body += ` <a class="meta" href="${attr(item.url)}" target="_blank">original ↗</a>`;
+                    item.attachments.forEach(file => {
+                        body += `<br><a class="attachment" href="${attr(encodeURI(file))}">📎 ${this.escapeHtml(file.split('/').pop())}</a>`;
+                    });
+                    body += '</li>';
+                });
+                body += '</ul>';
+            });
+            body += '</section>';
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>OmniExporter AI export (${items.length} threads)</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 0 auto; padding: 32px 20px; color: #1f2328; }
+        h1 { font-size: 24px; margin-bottom: 4px; }
+        h2 { font-size: 18px; border-bottom: 1px solid #d0d7de; padding-bottom: 6px; margin-top: 32px; }
+        h3 { font-size: 13px; color: #656d76; margin: 16px 0 6px; }
+        ul { list-style: none; padding: 0; margin: 0; }
+        li { padding: 6px 0; border-bottom: 1px solid #f0f2f4; }
+        a { color: #0969da; text-decoration: none; }
+        a:hover { text-decoration: underline; }
+        .count, .meta { color: #656d76; font-size: 12px; font-weight: normal; }
+        .attachment { font-size: 12px; margin-left: 16px; }
+        #filter { width: 100%; padding: 8px 10px; font-size: 14px; border: 1px solid #d0d7de; border-radius: 6px; margin: 16px 0; box-sizing: border-box; }
+    </style>
+</head>
+<body>
+    <h1>OmniExporter AI export</h1>
+    <div class="meta">${items.length} threads · ${this.escapeHtml(this.formats[format]?.name || format)} · exported ${this.escapeHtml(new Date().toLocaleString())} · <a href="manifest.json">manifest.json</a></div>
+    <input id="filter" type="search" placeholder="Filter by title...">
+    ${body}
+    <script>
+        document.getElementById('filter').addEventListener('input', (e) => {
+            const query = e.target.value.trim().toLowerCase();
+            document.querySelectorAll('li[data-title]').forEach(li => {
+                li.style.display = li.dataset.title.includes(query) ? '' : 'none';
+            });
+        });
+    </script>
+</body>
+</html>`;
+    }
+
+    // ============================================
+    // HTML FORMAT (WITH PLATFORM LOGOS)
+    // ============================================
+    static toHTML(data, platform) {
+        return this.renderTemplate('html', data, platform);
+    }
+
+    // ============================================
+    // PLAIN TEXT FORMAT
+    // ============================================
+    static toPlainText(data, platform) {
+        return this.renderTemplate('txt', data, platform);
+    }
+
+    // ============================================
+    // PDF FORMAT (native, see pdf-writer.js)
+    // ============================================
+
+    /**
+     * Render a conversation to a PDF Blob: one page per turn, running
+     * header/footer, clickable sources and citation markers
+     */
+    static async toPDF(data, platform) {
+        const conversation = this.getConversation(data, platform);
+        const entries = ConversationSchema.toTurns(conversation);
+        const title = data.title || 'Untitled Chat';
+        const date = this.getConversationDate(conversation);
+        const muted = PdfWriter.COLORS.muted;
+
+        const pdf = new PdfWriter({
+            title,
+            header: title,
+            headerRight: [platform, conversation.collection?.name].filter(Boolean).join(' · '),
+            footer: `Exported with OmniExporter AI on ${new Date().toLocaleDateString()}`
+        });
+        await pdf.loadFonts();
+        if (pdf.fontError) {
+            this.warnings.add(`PDF fonts could not be loaded (${pdf.fontError}); standard fonts were used, so characters outside Latin-1 may be missing`);
+        }
+
+        pdf.heading(title, 1);
+        const models = ConversationSchema.models(conversation);
+        pdf.paragraph([
+            `Platform: ${platform}`, `Conversations: ${entries.length}`, `Date: ${date}`,
+            models.length > 0 ? `Models: ${models.join(', ')}` : null
+        ].filter(Boolean).join('  ·  '), { size: 9, color: muted });
+        if (conversation.url) pdf.paragraph([{ text: conversation.url, link: conversation.url }], { size: 9 });
+
+        entries.forEach((entry, index) => {
+            if (index > 0) pdf.pageBreak();
+
+            pdf.heading(`Question ${index + 1}`, 2);
+            const meta = this.formatTurnMeta(entry).replace(/\p{Extended_Pictographic}\s*/gu, '');
+            if (meta) pdf.paragraph(meta, { size: 8.5, color: muted, spaceAfter: 4 });
+            if (entry.query) pdf.paragraph(entry.query.trim());
+
+            if (entry.reasoning) {
+                pdf.heading('Reasoning', 4);
+                pdf.paragraph(entry.reasoning.trim(), { size: 9, color: muted, style: 'italic' });
+            }
+
+            if (entry.answer.trim()) {
+                pdf.heading(`Answer${this.branchSuffix(entry)}`, 3);
+                this.markdownToPDF(pdf, entry.answer.trim(), entry.citations);
+            } else if (entry.incomplete) {
+                pdf.paragraph(this.INCOMPLETE_NOTE, { style: 'italic', color: muted });
+            }
+
+            entry.variants.forEach(variant => {
+                pdf.heading(variant.label, 4);
+                this.markdownToPDF(pdf, ConversationSchema.variantText(variant), []);
+            });
+
+            if (entry.attachments.length > 0) {
+                pdf.heading('Attachments', 4);
+                entry.attachments.forEach(file => pdf.listItem([{ text: file.name, link: file.url || null }]));
+                entry.attachments.filter(file => file.extractedText).forEach(file => {
+                    pdf.codeBlock(file.extractedText.trim(), `${file.name} (extracted text)`);
+                });
+            }
+
+            if (entry.sources && entry.sources.length > 0) {
+                pdf.heading('Sources', 4);
+                entry.sources.forEach((source, i) => {
+                    pdf.listItem([{ text: source.title || source.url, link: source.url }], { bullet: `${source.index || i + 1}.`, size: 9 });
+                });
+            }
+        });
+
+        if (conversation.artifacts.length > 0) {
+            pdf.pageBreak();
+            pdf.heading('Artifacts', 2);
+            conversation.artifacts.forEach(artifact => {
+                pdf.codeBlock(artifact.content || '', `${artifact.title} → ${artifact.filename}${artifact.version > 1 ? ` (v${artifact.version})` : ''}`);
+            });
+        }
+
+        return pdf.toBlob();
+    }
+
+    /**
+     * Lay out answer markdown (see parseMarkdownBlocks); tables are drawn as
+     * aligned preformatted text and math as Unicode text
+     */
+    static markdownToPDF(pdf, markdown, citations = []) {
+        this.parseMarkdownBlocks(markdown).forEach(block => {
+            switch (block.type) {
+                case 'code':
+                    pdf.codeBlock(block.text, block.language);
+                    break;
+                case 'table':
+                    pdf.codeBlock(this.textTable(block.rows));
+                    break;
+                case 'math':
+                    pdf.paragraph([{ text: MarkdownRenderer.texToText(block.text), style: 'italic' }], { indent: 24 });
+                    break;
+                case 'heading':
+                    pdf.heading(block.text.replace(/\*\*/g, ''), block.level <= 2 ? 3 : 4);
+                    break;
+                case 'list':
+                    pdf.listItem(this.parseInline(block.text, citations), {
+                        bullet: block.ordered ? block.marker : '•', indent: Math.min(block.depth, 8) * 6
+                    });
+                    break;
+                case 'quote':
+                    pdf.paragraph(this.parseInline(block.text, citations), { indent: 12, style: 'italic', color: PdfWriter.COLORS.muted, spaceAfter: 2 });
+                    break;
+                case 'rule':
+                    pdf.rule();
+                    break;
+                default:
+                    pdf.paragraph(this.parseInline(block.text, citations));
+            }
+        });
+    }
+
+    // ============================================
+    // DOCX FORMAT (Word, see docx-writer.js)
+    // ============================================
+
+    /**
+     * Render a conversation to a .docx Blob
+     */
+    static async toDOCX(data, platform) {
+        const conversation = this.getConversation(data, platform);
+        const entries = ConversationSchema.toTurns(conversation);
+        const title = data.title || 'Untitled Chat';
+        const models = ConversationSchema.models(conversation);
+        const muted = '6B7280';
+
+        const doc = new DocxWriter({ title });
+        doc.heading(title, 0);
+        doc.paragraph([
+            `Platform: ${platform}`, `Conversations: ${entries.length}`, `Date: ${this.getConversationDate(conversation)}`,
+            models.length > 0 ? `Models: ${models.join(', ')}` : null,
+            conversation.collection?.name ? `${conversation.collection.kind === 'project' ? 'Project' : 'Space'}: ${conversation.collection.name}` : null
+        ].filter(Boolean).join('  ·  '), { color: muted, size: 9 });
+        if (conversation.url) doc.paragraph([{ text: conversation.url, link: conversation.url }], { size: 9 });
+
+        entries.forEach((entry, index) => {
+            doc.heading(`Question ${index + 1}`, 1);
+            const meta = this.formatTurnMeta(entry).replace(/\p{Extended_Pictographic}\s*/gu, '');
+            if (meta) doc.paragraph(meta, { color: muted, size: 9 });
+            if (entry.query) doc.paragraph(entry.query.trim());
+
+            if (entry.reasoning) {
+                doc.heading('Reasoning', 3);
+                doc.paragraph(entry.reasoning.trim(), { style: 'Quote' });
+            }
+
+            if (entry.answer.trim()) {
+                doc.heading(`Answer${this.branchSuffix(entry)}`, 2);
+                this.markdownToDOCX(doc, entry.answer.trim(), entry.citations);
+            } else if (entry.incomplete) {
+                doc.paragraph([{ text: this.INCOMPLETE_NOTE, style: 'italic' }], { color: muted });
+            }
+
+            entry.variants.forEach(variant => {
+                doc.heading(variant.label, 3);
+                this.markdownToDOCX(doc, ConversationSchema.variantText(variant), []);
+            });
+
+            if (entry.attachments.length > 0) {
+                doc.heading('Attachments', 3);
+                entry.attachments.forEach(file => doc.listItem([{ text: file.name, link: file.url || null }]));
+                entry.attachments.filter(file => file.extractedText).forEach(file => {
+                    doc.codeBlock(file.extractedText.trim(), `${file.name} (extracted text)`);
+                });
+            }
+
+            if (entry.sources && entry.sources.length > 0) {
+                doc.heading('Sources', 3);
+                entry.sources.forEach(source => {
+                    doc.listItem([{ text: source.title || source.url, link: source.url }], { ordered: true });
+                });
+            }
+        });
+
+        if (conversation.artifacts.length > 0) {
+            doc.heading('Artifacts', 1);
+            conversation.artifacts.forEach(artifact => {
+                doc.codeBlock(artifact.content || '', `${artifact.title} → ${artifact.filename}${artifact.version > 1 ? ` (v${artifact.version})` : ''}`);
+            });
+        }
+
+        doc.paragraph(`Exported with OmniExporter AI on ${new Date().toLocaleString()}`, { color: muted, size: 8 });
+        return doc.toBlob();
+    }
+
+    static markdownToDOCX(doc, markdown, citations = []) {
+        this.parseMarkdownBlocks(markdown).forEach(block => {
+            switch (block.type) {
+                case 'code':
+                    doc.codeBlock(block.text, block.language);
+                    break;
+                case 'table':
+                    doc.table(block.rows.map(row => row.map(cell => this.parseInline(cell, citations))));
+                    break;
+                case 'math':
+                    doc.paragraph([{ text: MarkdownRenderer.texToText(block.text), style: 'italic' }]);
+                    break;
+                case 'heading':
+                    doc.heading(block.text.replace(/\*\*/g, ''), block.level <= 2 ? 3 : 4);
+                    break;
+                case 'list':
+                    doc.listItem(this.parseInline(block.text, citations), { ordered: block.ordered, level: Math.floor(block.depth / 2) });
+                    break;
+                case 'quote':
+                    doc.paragraph(this.parseInline(block.text, citations), { style: 'Quote' });
+                    break;
+                case 'rule':
+                    doc.rule();
+                    break;
+                default:
+                    doc.paragraph(this.parseInline(block.text, citations));
+            }
+        });
+    }
+
+    // ============================================
+    // EPUB FORMAT (a book of conversations)
+    // ============================================
+
+    /**
+     * Export several conversations (a dashboard selection or a Space) as one EPUB book
+     */
+    static async exportBook(threads, platform = 'Unknown', options = {}) {
+        const blob = await this.toEPUB(threads, platform, options);
+        const title = options.title || options.collection?.name || (threads.length === 1 ? threads[0].title : 'OmniExporter Book');
+        const filename = this.generateFilename(title, this.formats.epub.extension);
+        this.downloadFile(blob, filename, this.formats.epub.mimeType);
+
+        if (typeof Logger !== 'undefined') Logger.info('Export', 'EPUB export complete', { filename, chapters: threads.length });
+        return { success: true, filename, format: this.formats.epub.name, chapters: threads.length };
+    }
+
+    /**
+     * EPUB 3 book: a title page, one chapter per conversation (with its
+     * frontmatter metadata), sources as endnotes, and a navigable TOC
+     * (nav.xhtml plus toc.ncx for older readers)
+     */
+    static async toEPUB(threads, platform = 'Unknown', { title = null, collection = null } = {}) {
+        const chapters = threads.map((data, i) => {
+            const conversation = this.getConversation(data, platform);
+            return {
+                data,
+                conversation,
+                file: `chapter-${String(i + 1).padStart(3, '0')}.xhtml`,
+                title: data.title || conversation.title || 'Untitled Chat',
+                turns: ConversationSchema.toTurns(conversation)
+            };
+        });
+        const bookTitle = title || collection?.name || (chapters.length === 1 ? chapters[0].title : `${platform} conversations`);
+        const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        const identifier = collection?.id
+            ? `urn:omniexporter:${this.sanitizeTitle(platform).toLowerCase()}:${collection.id}`
+            : `urn:uuid:${typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(36)}`;
+        const language = (typeof navigator !== 'undefined' && navigator.language) || 'en';
+        const x = (text) => this.escapeXml(text);
+
+        const notes = [];
+        const chapterFiles = chapters.map((chapter, c) => {
+            let body = `<h1>${x(chapter.title)}</h1>\n<dl class="meta">`;
+            Object.entries(this.getFrontmatter(chapter.data, platform, chapter.conversation)).forEach(([key, value]) => {
+                if (key === 'title') return;
+                body += `<dt>${x(key.replace(/_/g, ' '))}</dt><dd>${x(Array.isArray(value) ? value.join(', ') : value)}</dd>`;
+            });
+            body += '</dl>\n';
+            if (chapter.conversation.url) body += `<p class="meta"><a href="${x(chapter.conversation.url)}">${x(chapter.conversation.url)}</a></p>\n`;
+
+            chapter.turns.forEach((turn, t) => {
+                const noteId = (n) => `note-${c + 1}-${t + 1}-${n}`;
+                const refId = (n) => `ref-${c + 1}-${t + 1}-${n}`;
+                const referenced = new Set();
+                const noteref = (citation) => {
+                    const n = Number(citation.index);
+                    const id = referenced.has(n) ? '' : ` id="${refId(n)}"`;
+                    referenced.add(n);
+                    return `<a epub:type="noteref" class="noteref"${id} href="notes.xhtml#${noteId(n)}">[${n}]</a>`;
+                };
+
+                body += `<h2 id="q${t + 1}">Question ${t + 1}</h2>\n`;
+                const meta = this.formatTurnMeta(turn).replace(/\p{Extended_Pictographic}\s*/gu, '');
+                if (meta) body += `<p class="meta">${x(meta)}</p>\n`;
+                if (turn.query) body += `<div class="question">${turn.query.trim().split(/\n{2,}/).map(p => `<p>${x(p).replace(/\n/g, '<br/>')}</p>`).join('')}</div>\n`;
+                if (turn.reasoning) body += `<details><summary>Reasoning</summary><p class="reasoning">${x(turn.reasoning.trim()).replace(/\n/g, '<br/>')}</p></details>\n`;
+
+                if (turn.answer.trim()) {
+                    body += `<h3>Answer${x(this.branchSuffix(turn))}</h3>\n${this.markdownToXHTML(turn.answer.trim(), turn.citations, noteref)}\n`;
+                } else if (turn.incomplete) {
+                    body += `<p class="meta"><em>${x(this.INCOMPLETE_NOTE)}</em></p>\n`;
+                }
+                turn.variants.forEach(variant => {
+                    body += `<h3>${x(variant.label)}</h3>\n${this.markdownToXHTML(ConversationSchema.variantText(variant), [])}\n`;
+                });
+                if (turn.attachments.length > 0) {
+                    body += `<h3>Attachments</h3>\n<ul>${turn.attachments.map(file =>
+                        `<li>${file.url ? `<a href="${x(file.url)}">${x(file.name)}</a>` : x(file.name)}</li>`).join('')}</ul>\n`;
+                }
+
+                const items = (turn.sources || []).map((source, i) => {
+                    const n = Number(source.index || i + 1);
+                    return (`<li id="${noteId(n)}" epub:type="endnote" value="${n}"><p>` +
+                        `<a href="${x(source.url)}">${x(source.title || source.url)}</a>` +
+                        (referenced.has(n) ? ` <a class="backlink" href="${chapter.file}#${refId(n)}">↩</a>` : '') +
+                        `</p></li>`);
+                });
+                if (items.length > 0) notes.push({ heading: `${chapter.title} — Question ${t + 1}`, items });
+            });
+
+            if (chapter.conversation.artifacts.length > 0) {
+                body += `<h2>Artifacts</h2>\n`;
+                chapter.conversation.artifacts.forEach(artifact => {
+                    body += `<h3>${x(artifact.title)}</h3>\n<pre><code>${x(artifact.content || '')}</code></pre>\n`;
+                });
+            }
+
+            return { path: `OEBPS/${chapter.file}`, content: this.epubPage(chapter.title, body, language) };
+        });
+
+        let notesBody = '<h1>Sources</h1>\n';
+        notes.forEach(group => {
+            notesBody += `<section epub:type="endnotes"><h2>${x(group.heading)}</h2>\n<ol>${group.items.join('\n')}</ol></section>\n`;
+        });
+        if (notes.length === 0) notesBody += '<p class="meta">No sources were cited.</p>';
+
+        let titleBody = `<h1 class="book-title">${x(bookTitle)}</h1>\n`;
+        if (collection?.description) titleBody += `<p>${x(collection.description)}</p>\n`;
+        titleBody += `<p class="meta">${chapters.length} conversation${chapters.length === 1 ? '' : 's'} from ${x(platform)} · exported with OmniExporter AI on ${x(new Date().toLocaleDateString())}</p>\n`;
+        if (collection?.instructions) titleBody += `<h2>Instructions</h2>\n${this.markdownToXHTML(collection.instructions, [])}\n`;
+
+        const tocEntries = chapters.map(chapter => ({
+            title: chapter.title,
+            href: chapter.file,
+            children: chapter.turns.map((turn, t) => ({
+                title: `${t + 1}. ${(turn.query || `Question ${t + 1}`).replace(/\s+/g, ' ').trim().slice(0, 80)}`,
+                href: `${chapter.file}#q${t + 1}`
+            }))
+        }));
+        const navList = (items) => `<ol>${items.map(item =>
+            `<li><a href="${x(item.href)}">${x(item.title)}</a>${item.children?.length ? navList(item.children) : ''}</li>`).join('')}</ol>`;
+        const navBody = `<nav epub:type="toc" id="toc"><h1>Contents</h1>\n` +
+            navList([{ title: bookTitle, href: 'title.xhtml' }, ...tocEntries, { title: 'Sources', href: 'notes.xhtml' }]) + '</nav>\n' +
+            `<nav epub:type="landmarks" hidden=""><ol><li><a epub:type="bodymatter" href="${chapters[0]?.file || 'title.xhtml'}">Start</a></li></ol></nav>`;
+
+        let playOrder = 0;
+        const navPoints = (items) => items.map(item => {
+            const order = ++playOrder;
+            return `<navPoint id="np-${order}" playOrder="${order}"><navLabel><text>${x(item.title)}</text></navLabel>` +
+                `<content src="${x(item.href)}"/>${navPoints(item.children || [])}</navPoint>`;
+        }).join('');
+        const ncx = `<?xml version="1.0" encoding="UTF-8"?>\n<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">` +
+            `<head><meta name="dtb:uid" content="${x(identifier)}"/></head><docTitle><text>${x(bookTitle)}</text></docTitle>` +
+            `<navMap>${navPoints([{ title: bookTitle, href: 'title.xhtml' }, ...tocEntries, { title: 'Sources', href: 'notes.xhtml' }])}</navMap></ncx>`;
+
+        const pages = [
+            { id: 'title', href: 'title.xhtml' },
+            ...chapters.map((chapter, i) => ({ id: `chapter-${i + 1}`, href: chapter.file })),
+            { id: 'notes', href: 'notes.xhtml' }
+        ];
+        const subjects = [platform, collection?.name].filter(Boolean).map(subject => `<dc:subject>${x(subject)}</dc:subject>`).join('');
+        const opf = `<?xml version="1.0" encoding="UTF-8"?>\n<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${x(language)}">` +
+            `<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">` +
+            `<dc:identifier id="book-id">${x(identifier)}</dc:identifier><dc:title>${x(bookTitle)}</dc:title>` +
+            `<dc:language>${x(language)}</dc:language><dc:creator>OmniExporter AI</dc:creator>` +
+            `<dc:date>${modified}</dc:date>${subjects}` +
+            (collection?.description ? `<dc:description>${x(collection.description)}</dc:description>` : '') +
+            `<meta property="dcterms:modified">${modified}</meta></metadata>` +
+            `<manifest><item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>` +
+            `<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>` +
+            `<item id="css" href="styles.css" media-type="text/css"/>` +
+            pages.map(page => `<item id="${page.id}" href="${page.href}" media-type="application/xhtml+xml"/>`).join('') +
+            `</manifest><spine toc="ncx">${pages.map(page => `<itemref idref="${page.id}"/>`).join('')}</spine></package>`;
+
+        const zip = new ZipWriter();
+        await zip.add('mimetype', 'application/epub+zip', { store: true });
+        await zip.add('META-INF/container.xml', '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+            '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>');
+        await zip.add('OEBPS/content.opf', opf);
+        await zip.add('OEBPS/nav.xhtml', this.epubPage('Contents', navBody, language));
+        await zip.add('OEBPS/toc.ncx', ncx);
+        await zip.add('OEBPS/styles.css', this.EPUB_CSS);
+        await zip.add('OEBPS/title.xhtml', this.epubPage(bookTitle, titleBody, language));
+        for (const file of chapterFiles) await zip.add(file.path, file.content);
+        await zip.add('OEBPS/notes.xhtml', this.epubPage('Sources', notesBody, language));
+
+        const blob = await zip.close();
+        return new Blob([blob], { type: this.formats.epub.mimeType });
+    }
+
+    static EPUB_CSS = `body { font-family: serif; line-height: 1.5; margin: 0 0.5em; }
+h1 { font-size: 1.6em; margin: 1em 0 0.5em; }
+h1.book-title { font-size: 2em; margin-top: 30%; text-align: center; }
+h2 { font-size: 1.25em; margin-top: 1.6em; border-bottom: 1px solid #ccc; }
+h3 { font-size: 1.05em; margin-top: 1.2em; }
+.meta, dl.meta { color: #666; font-size: 0.85em; }
+dl.meta dt { float: left; clear: left; width: 7em; font-weight: bold; }
+dl.meta dd { margin-left: 7.5em; }
+.question { background: #f4f4f8; padding: 0.4em 0.8em; border-left: 3px solid #6366f1; }
+.reasoning { color: #555; font-style: italic; }
+pre { background: #f5f5f5; padding: 0.6em; white-space: pre-wrap; font-size: 0.85em; }
+code { font-family: monospace; }
+table { border-collapse: collapse; margin: 0.8em 0; }
+th, td { border: 1px solid #ccc; padding: 0.2em 0.5em; }
+blockquote { margin: 0.8em 1em; color: #555; font-style: italic; }
+a.noteref { font-size: 0.75em; vertical-align: super; text-decoration: none; }
+a.backlink { text-decoration: none; }
+`;
+
+    static epubPage(title, body, language = 'en') {
+        const lang = this.escapeXml(language);
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n` +
+            `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">\n` +
+            `<head><meta charset="UTF-8"/><title>${this.escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="styles.css"/></head>\n` +
+            `<body>\n${body}</body>\n</html>\n`;
+    }
+
+    /**
+     * Answer markdown as well-formed XHTML; `noteref(citation)` renders [n] markers
+     */
+    static markdownToXHTML(markdown, citations = [], noteref = null) {
+        const x = (text) => this.escapeXml(text);
+        const inline = (text) => this.parseInline(text, citations).map(run => {
+            if (run.citation && noteref) return noteref(run.citation);
+            let html = x(run.text);
+            if (run.style === 'bold') html = `<strong>${html}</strong>`;
+            if (run.style === 'italic') html = `<em>${html}</em>`;
+            if (run.style === 'mono') html = `<code>${html}</code>`;
+            return run.link ? `<a href="${x(run.link)}">${html}</a>` : html;
+        }).join('');
+
+        let html = '';
+        let list = null;
+        this.parseMarkdownBlocks(markdown).forEach(block => {
+            const tag = block.type === 'list' ? (block.ordered ? 'ol' : 'ul') : null;
+            if (list && list !== tag) {
+                html += `</${list}>`;
+                list = null;
+            }
+            switch (block.type) {
+                case 'code':
+                    html += `<pre><code>${x(block.text)}</code></pre>`;
+                    break;
+                case 'math':
+                    html += `<p><em>${x(MarkdownRenderer.texToText(block.text))}</em></p>`;
+                    break;
+                case 'table':
+                    html += '<table>' + block.rows.map((row, r) =>
+                        `<tr>${row.map(cell => r === 0 ? `<th>${inline(cell)}</th>` : `<td>${inline(cell)}</td>`).join('')}</tr>`).join('') + '</table>';
+                    break;
+                case 'heading':
+                    html += `<h4>${inline(block.text)}</h4>`;
+                    break;
+                case 'list':
+                    if (!list) html += `<${tag}>`;
+                    list = tag;
+                    html += `<li${block.depth > 0 ? ` style="margin-left: ${Math.min(block.depth, 8) / 2}em"` : ''}>${inline(block.text)}</li>`;
+                    break;
+                case 'quote':
+                    html += `<blockquote><p>${inline(block.text)}</p></blockquote>`;
+                    break;
+                case 'rule':
+                    html += '<hr/>';
+                    break;
+                default:
+                    html += `<p>${inline(block.text)}</p>`;
+            }
+            html += '\n';
+        });
+        if (list) html += `</${list}>`;
+        return html;
+    }
+
+    // ============================================
+    // FINE-TUNING DATASETS (JSONL)
+    // ============================================
+
+    static DATASET_FORMATS = {
+        openai: { name: 'OpenAI chat (messages)' },
+        sharegpt: { name: 'ShareGPT' },
+        alpaca: { name: 'Alpaca (instruction)' }
+    };
+
+    /**
+     * Download a fine-tuning / evaluation dataset built from `items` ({ data, platform })
+     */
+    static exportDataset(items, options = {}) {
+        const format = this.DATASET_FORMATS[options.format] ? options.format : 'openai';
+        const dataset = this.toDataset(items, { ...options, format });
+        if (dataset.examples === 0) throw new Error('No conversation turns passed the dataset filters');
+
+        const filename = this.generateFilename(`${format} dataset`, '.jsonl');
+        this.downloadFile(dataset.content, filename, 'application/jsonl');
+
+        if (typeof Logger !== 'undefined') Logger.info('Export', 'Dataset export complete', { filename, examples: dataset.examples, skipped: dataset.skipped });
+        return { success: true, filename, format: this.DATASET_FORMATS[format].name, examples: dataset.examples, skipped: dataset.skipped };
+    }
+
+    /**
+     * JSONL in OpenAI `messages`, ShareGPT or Alpaca format, built from the
+     * same turns DataValidator scores. Multi-turn formats get one line per
+     * conversation unless `perTurn`; Alpaca is always one line per turn.
+     * Turns are dropped when unanswered, shorter than `minAnswerLength`, from
+     * a model/platform outside the filters, or (with `dedupe`) already seen.
+     * A multi-turn conversation ends before its first dropped turn, and is
+     * left out whole when it repeats the start of one already written.
+     */
+    static toDataset(items, {
+        format = 'openai',
+        systemPrompt = '',
+        dedupe = true,
+        minAnswerLength = 0,
+        platforms = [],
+        models = [],
+        perTurn = false,
+        stripCitations = true
+    } = {}) {
+        const matches = (value, filters) => filters.length === 0 ||
+            filters.some(filter => String(value || '').toLowerCase().includes(String(filter).toLowerCase()));
+        const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+        const seen = new Set();
+        const skipped = { platform: 0, model: 0, empty: 0, short: 0, duplicate: 0, truncated: 0 };
+        const examples = [];
+        const system = String(systemPrompt || '').trim();
+        const single = format === 'alpaca' || perTurn;
+
+        items.forEach(({ data, platform = 'Unknown' }) => {
+            const conversation = this.getConversation(data, platform);
+            const turns = ConversationSchema.toTurns(conversation);
+            if (!matches(platform, platforms)) {
+                skipped.platform += turns.length;
+                return;
+            }
+
+            const pairs = [];
+            for (let i = 0; i < turns.length; i++) {
+                const turn = turns[i];
+                const query = (turn.query || '').trim();
+                let answer = turn.answer || '';
+                if (stripCitations) answer = ConversationSchema.replaceCitationMarkers(answer, turn.citations, () => '').replace(/[ \t]+([.,;:!?])/g, '$1');
+                answer = answer.trim();
+
+                const key = `${normalize(query)}\u0000${normalize(answer)}`;
+                const reason = !query || !answer || turn.incomplete ? 'empty'
+                    : !matches(turn.model, models) ? 'model'
+                        : answer.length < minAnswerLength ? 'short'
+                            : single && dedupe && seen.has(key) ? 'duplicate' : null;
+                if (reason) {
+                    skipped[reason]++;
+                    if (single) continue;
+                    // A conversation is cut at its first rejected turn: later
+                    // turns would answer context that is no longer there
+                    skipped.truncated += turns.length - i - 1;
+                    break;
+                }
+                if (single) seen.add(key);
+                pairs.push({ query, answer, key });
+            }
+
+            if (single) {
+                pairs.forEach(pair => examples.push([pair]));
+                return;
+            }
+            if (pairs.length === 0) return;
+
+            // Multi-turn examples are deduplicated by conversation prefix, so
+            // a thread already contained in an earlier one is left out
+            const prefixes = pairs.map((pair, i) => pairs.slice(0, i + 1).map(p => p.key).join('\u0001'));
+            if (dedupe && seen.has(prefixes[prefixes.length - 1])) {
+                skipped.duplicate += pairs.length;
+                return;
+            }
+            prefixes.forEach(prefix => seen.add(prefix));
+            examples.push(pairs);
+        });
+
+        const lines = examples.map(pairs => JSON.stringify(this.datasetExample(pairs, format, system)));
+        return {
+            content: lines.length > 0 ? lines.join('\n') + '\n' : '',
+            examples: lines.length,
+            skipped
+        };
+    }
+
+    static datasetExample(pairs, format, system) {
+        if (format === 'alpaca') {
+            const example = { instruction: pairs[0].query, input: '', output: pairs[0].answer };
+            if (system) example.system = system;
+            return example;
+        }
+        if (format === 'sharegpt') {
+            return {
+                conversations: [
+                    ...(system ? [{ from: 'system', value: system }] : []),
+                    ...pairs.flatMap(pair => [{ from: 'human', value: pair.query }, { from: 'gpt', value: pair.answer }])
+                ]
+            };
+        }
+        return {
+            messages: [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                ...pairs.flatMap(pair => [{ role: 'user', content: pair.query }, { role: 'assistant', content: pair.answer }])
+            ]
+        };
+    }
+
+    // ============================================
+    // MARKDOWN PARSING (PDF / DOCX / EPUB)
+    // ============================================
+
+    /**
+     * Split answer markdown into blocks: code { language, text },
+     * math { text } ($$…$$ or ```math, TeX source), table { lines, rows },
+     * heading { level, text }, list { ordered, marker, depth, text }, quote,
+     * rule and paragraph
+     */
+    static parseMarkdownBlocks(markdown) {
+        const lines = String(markdown).split('\n');
+        const blocks = [];
+        const tableRow = /^\s*\|.*\|\s*$/;
+        let paragraph = [];
+        const flush = () => {
+            if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            if ((match = line.match(/^\s*(```|~~~)\s*([\w+-]*)/))) {
+                flush();
+                const code = [];
+                while (++i < lines.length && !lines[i].trim().startsWith(match[1])) code.push(lines[i]);
+                blocks.push(match[2] === 'math'
+                    ? { type: 'math', text: code.join('\n').trim() }
+                    : { type: 'code', language: match[2] || null, text: code.join('\n') });
+            } else if ((match = line.match(/^\s*(\$\$|\\\[)(.*)$/))) {
+                flush();
+                const end = match[1] === '$$' ? '$$' : '\\]';
+                let tex = match[2];
+                while (!tex.includes(end) && i + 1 < lines.length) tex += '\n' + lines[++i];
+                blocks.push({ type: 'math', text: (tex.includes(end) ? tex.slice(0, tex.indexOf(end)) : tex).trim() });
+            } else if (tableRow.test(line)) {
+                flush();
+                const rows = [line.trim()];
+                while (i + 1 < lines.length && tableRow.test(lines[i + 1])) rows.push(lines[++i].trim());
+                blocks.push({
+                    type: 'table',
+                    lines: rows,
+                    rows: rows.map(row => row.replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|')))
+                        .filter(cells => !cells.every(cell => /^:?-+:?$/.test(cell)))
+                });
+            } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+                flush();
+                blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+            } else if ((match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/))) {
+                flush();
+                const ordered = /\d/.test(match[2]);
+                blocks.push({ type: 'list', ordered, marker: match[2], depth: match[1].length, text: match[3] });
+            } else if ((match = line.match(/^>\s?(.*)$/))) {
+                flush();
+                blocks.push({ type: 'quote', text: match[1] });
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flush();
+                blocks.push({ type: 'rule' });
+            } else if (!line.trim()) {
+                flush();
+            } else {
+                paragraph.push(line.trim());
+            }
+        }
+        flush();
+        return blocks;
+    }
+
+    /**
+     * Inline markdown to runs ({ text, style, link, citation }): **bold**, *italic*,
+     * `code`, [links] and $math$ (as Unicode text); [n] markers link to their cited source
+     */
+    static parseInline(text, citations = []) {
+        const runs = [];
+        // Link destinations may hold balanced parentheses (see MarkdownRenderer.LINK_DESTINATION)
+        const pattern = new RegExp(/(\*\*[^*]+\*\*|`[^`]+`|\\\(.+?\\\)|(?<![\\$\w])\$(?=[^\s$])(?:\\.|[^$\\\n])+?(?<=[^\s\\])\$(?![\d$])|\[[^\]]+\]\((?:LINK_DESTINATION)\)|(?<![\w*])\*[^*\s][^*]*\*(?![\w*]))/.source
+            .replace('LINK_DESTINATION', MarkdownRenderer.LINK_DESTINATION), 'g');
+        ConversationSchema.splitCitationMarkers(text, citations).forEach(segment => {
+            if (segment.citation) {
+                runs.push({ text: segment.text, link: segment.citation.url, style: 'bold', citation: segment.citation });
+                return;
+            }
+            segment.text.split(pattern).forEach((part, i) => {
+                if (!part) return;
+                if (i % 2 === 0) return runs.push({ text: part });
+
+                let match;
+                if ((match = part.match(/^(?:\$(.+)\$|\\\((.+)\\\))$/s))) runs.push({ text: MarkdownRenderer.texToText(match[1] ?? match[2]), style: 'italic' });
+                else if ((match = part.match(/^\*\*(.+)\*\*$/))) runs.push({ text: match[1], style: 'bold' });
+                else if ((match = part.match(/^`(.+)`$/))) runs.push({ text: match[1], style: 'mono' });
+                else if ((match = part.match(/^\[([^\]]+)\]\((.+)\)$/s))) runs.push({ text: match[1], link: MarkdownRenderer.linkDestination(match[2]) });
+                else if ((match = part.match(/^\*(.+)\*$/))) runs.push({ text: match[1], style: 'italic' });
+            });
+        });
+        return runs;
+    }
+
+    /**
+     * Table rows as monospace text with padded columns and a rule under the header
+     */
+    static textTable(rows) {
+        const cells = rows.map(row => row.map(cell => cell.replace(/\*\*|`/g, '')));
+        const widths = [];
+        cells.forEach(row => row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, [...cell].length); }));
+        const line = (row) => widths.map((width, i) => (row[i] || '') + ' '.repeat(width - [...(row[i] || '')].length)).join(' | ').trimEnd();
+        return [line(cells[0] || []), widths.map(width => '-'.repeat(width)).join('-+-'), ...cells.slice(1).map(line)].join('\n');
+    }
+
+    // ============================================
+    // FILE NAMING (pattern from Settings)
+    // ============================================
+
+    // e.g. '{platform}/{yyyy}/{mm}/{title}-{uuid8}'; '' keeps the built-in names
+    static filenamePattern = '';
+
+    static FILENAME_TOKENS = ['title', 'platform', 'space', 'model', 'uuid', 'uuid8', 'date', 'yyyy', 'mm', 'dd', 'time', 'today'];
+
+    /**
+     * Path (without extension) for a thread's file: the user's pattern, or
+     * `fallback` when none is set. "/" in the pattern creates subfolders;
+     * values never do. A title with no usable characters falls back to the
+     * thread id so untitled threads do not collide.
+     */
+    static getThreadPath(data, platform, fallback = '{title}_{today}') {
+        const conversation = this.getConversation(data, platform);
+        const id = String(conversation.id || data.uuid || '');
+        const date = new Date(conversation.updatedAt || conversation.createdAt || Date.now());
+        const pad = (n) => String(n).padStart(2, '0');
+        const valid = !isNaN(date);
+        const title = this.sanitizeTitle(data.title || conversation.title, 80) || (id ? `Chat_${id.slice(0, 8)}` : 'Chat');
+
+        return this.expandFilenamePattern(this.filenamePattern || fallback, {
+            title,
+            platform,
+            space: conversation.collection?.name || '',
+            model: ConversationSchema.models(conversation)[0] || '',
+            uuid: id,
+            uuid8: id.slice(0, 8),
+            date: valid ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '',
+            yyyy: valid ? String(date.getFullYear()) : '',
+            mm: valid ? pad(date.getMonth() + 1) : '',
+            dd: valid ? pad(date.getDate()) : '',
+            time: valid ? `${pad(date.getHours())}-${pad(date.getMinutes())}` : '',
+            today: new Date().toISOString().slice(0, 10)
+        }) || title;
+    }
+
+    /**
+     * Fill `{token}`s; each value is made safe as a single name, then empty
+     * folders and stray separators are dropped
+     */
+    static expandFilenamePattern(pattern, values) {
+        return String(pattern)
+            .replace(/\{(\w+)\}/g, (token, name) => name in values ? this.sanitizeTitle(values[name], 80) : token)
+            .split('/')
+            .map(segment => this.sanitizeTitle(segment.replace(/^[_-]+|[_-]+$/g, '').replace(/([_-])[_-]+/g, '$1'), 120))
+            .filter(Boolean)
+            .join('/');
+    }
+
+    /**
+     * Error message for a pattern with unknown tokens or unusable paths, or null
+     */
+    static validateFilenamePattern(pattern) {
+        const unknown = [...String(pattern).matchAll(/\{(\w*)\}/g)].map(m => m[1]).filter(name => !this.FILENAME_TOKENS.includes(name));
+        if (unknown.length > 0) return `Unknown token${unknown.length > 1 ? 's' : ''}: ${unknown.map(n => `{${n}}`).join(', ')}`;
+        if (/(^|\/)\.\.?(\/|$)/.test(pattern)) return 'Folders cannot be "." or ".."';
+        if (String(pattern).trim() && !/\{(title|uuid8?)\}/.test(pattern)) return 'Include {title} or {uuid8} so files get distinct names';
+        return null;
+    }
+
+    /**
+     * `path` + `extension`, numbered "_2", "_3"… when already in `used`
+     * (compared case-insensitively, as most file systems do)
+     */
+    static uniqueFilePath(path, extension, used) {
+        let candidate = `${path}${extension}`;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${path}_${n}${extension}`;
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    // ============================================
+    // UTILITY FUNCTIONS
+    // ============================================
+
+    /**
+     * Resolve export data (canonical or legacy entries) to a canonical conversation
+     */
+    static getConversation(data, platform) {
+        return ConversationSchema.from(data, { platform: data.platform || platform });
+    }
+
+    /**
+     * " (variant 2 of 3)" when the exported turn is one of several branches
+     */
+    static branchSuffix(turn) {
+        return turn.branch && turn.branch.count > 1
+            ? ` (variant ${turn.branch.index} of ${turn.branch.count})`
+            : '';
+    }
+
+    /**
+     * "🕒 2024-05-01 10:00 UTC · 🧠 gpt-4o" for a turn (empty when unknown)
+     */
+    static formatTurnMeta(turn) {
+        const parts = [];
+        if (turn.createdAt) {
+            parts.push(`🕒 ${turn.createdAt.replace('T', ' ').slice(0, 16)} UTC`);
+        }
+        if (turn.model) parts.push(`🧠 ${turn.model}`);
+        return parts.join(' · ');
+    }
+
+    static getConversationDate(conversation) {
+        const when = conversation.updatedAt || conversation.createdAt ||
+            conversation.messages.find(m => m.createdAt)?.createdAt;
+        return (when ? new Date(when) : new Date()).toISOString().split('T')[0];
+    }
+
+    static extractAnswer(entry) {
+        let answer = '';
+
+        if (entry.blocks && Array.isArray(entry.blocks)) {
+            entry.blocks.forEach(block => {
+                if (block.intended_usage === 'ask_text' && block.markdown_block) {
+                    if (block.markdown_block.answer) {
+                        answer += block.markdown_block.answer + '\n\n';
+                    } else if (block.markdown_block.chunks) {
+                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
+                    }
+                }
+            });
+        }
+
+        if (!answer.trim()) {
+            answer = entry.answer || entry.text || '';
+        }
+
+        return answer;
+    }
+
+    /**
+     * Artifacts of a conversation as downloadable files, prefixed with the export's base name
+     */
+    static getArtifactFiles(data, platform, prefix = '') {
+        const mimeTypes = {
+            md: 'text/markdown', html: 'text/html', svg: 'image/svg+xml', json: 'application/json'
+        };
+
+        return (this.getConversation(data, platform).artifacts || []).map(artifact => {
+            const extension = artifact.filename.split('.').pop();
+            return {
+                filename: prefix ? `${prefix}_${artifact.filename}` : artifact.filename,
+                content: artifact.content,
+                mimeType: mimeTypes[extension] || 'text/plain'
+            };
+        });
+    }
+
+    /**
+     * Images and uploaded files the content script downloaded (parts and
+     * attachments carrying base64 `data`) as files, plus a copy of the
+     * conversation linking to them instead of the expiring platform URLs.
+     * place(name) returns { filename, url } for a name unique within the thread.
+     */
+    static getAssetFiles(conversation, place) {
+        const extensions = {
+            'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg',
+            'application/pdf': 'pdf', 'text/plain': 'txt', 'text/csv': 'csv', 'application/json': 'json'
+        };
+        const files = [];
+        const used = new Set();
+
+        const save = (item, fallback) => {
+            if (!item.data) return item;
+            let name = String(item.name || fallback).replace(/[\\/:*?"<>|#]/g, '_');
+            if (!/\.[a-z0-9]{1,5}$/i.test(name)) name += `.${extensions[item.mimeType] || 'bin'}`;
+            const [, stem, ext] = name.match(/^(.*?)(\.[^.]*)?$/);
+            for (let n = 2; used.has(name.toLowerCase()); n++) name = `${stem}_${n}${ext || ''}`;
+            used.add(name.toLowerCase());
+
+            const { filename, url } = place(name);
+            files.push({ filename, content: this.base64ToBytes(item.data), mimeType: item.mimeType || 'application/octet-stream' });
+            const { data, ...rest } = item;
+            return { ...rest, url };
+        };
+        const localize = messages => messages.map(message => ({
+            ...message,
+            parts: (message.parts || []).map(part => part.type === 'image' ? save(part, 'image') : part),
+            attachments: (message.attachments || []).map(file => save(file, 'attachment')),
+            alternates: (message.alternates || []).map(branch => ({ ...branch, messages: localize(branch.messages) }))
+        }));
+
+        return { conversation: { ...conversation, messages: localize(conversation.messages) }, files };
+    }
+
+    /**
+     * Copy of the conversation without the base64 `data` of downloaded images
+     * and files, for single-file exports that have nowhere to put them
+     */
+    static withoutAssetData(conversation) {
+        const strip = ({ data, ...rest }) => rest;
+        const clean = messages => messages.map(message => ({
+            ...message,
+            parts: (message.parts || []).map(part => part.type === 'image' ? strip(part) : part),
+            attachments: (message.attachments || []).map(strip),
+            alternates: (message.alternates || []).map(branch => ({ ...branch, messages: clean(branch.messages) }))
+        }));
+        return { ...conversation, messages: clean(conversation.messages) };
+    }
+
+    /**
+     * Relative path as a Markdown link destination (parentheses escaped too)
+     */
+    static linkPath(path) {
+        return path.split('/')
+            .map(segment => encodeURIComponent(segment).replace(/[()]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+            .join('/');
+    }
+
+    static base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    static generateFilename(title, extension) {
+        const sanitized = this.sanitizeTitle(title) || 'Export';
+        const timestamp = new Date().toISOString().slice(0, 10);
+        return `${sanitized}_${timestamp}${extension}`;
+    }
+
+    /**
+     * Title as a single file/folder name: letters and digits of any script
+     * and emoji are kept; punctuation, path separators and control
+     * characters are dropped, whitespace becomes "_"
+     */
+    static sanitizeTitle(title, maxLength = 50) {
+        const name = String(title || '')
+            .normalize('NFC')
+            .replace(/[\\/:|]/g, ' ')
+            .replace(/[^\p{L}\p{M}\p{N}\p{Extended_Pictographic}\u200d\ufe0f\u20e3\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\s._-]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/ /g, '_');
+        // Cut by code point so emoji and surrogate pairs stay whole
+        const cut = Array.from(name).slice(0, maxLength).join('');
+        return cut.replace(/^[._-]+|[._]+$/g, '').replace(/^(con|prn|aux|nul|com\d|lpt\d)$/i, '_$1');
     }
 
     static downloadFile(content, filename, mimeType) {
@@ -455,11 +2408,53 @@ class ExportManager {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Save several files. Folder paths ("Space/thread.md") need the optional
+     * downloads permission; without it folders are flattened into the name.
+     * `overwrite` replaces existing files instead of adding " (1)" copies.
+     */
+    static async downloadFiles(files, { overwrite = false } = {}) {
+        const useDownloadsApi = typeof chrome !== 'undefined' && !!chrome.downloads?.download;
+
+        for (const file of files) {
+            if (!useDownloadsApi) {
+                this.downloadFile(file.content, file.filename.replace(/\//g, '_'), file.mimeType);
+                continue;
+            }
+
+            const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+            try {
+                await chrome.downloads.download({
+                    url,
+                    filename: file.filename,
+                    conflictAction: overwrite ? 'overwrite' : 'uniquify',
+                    saveAs: false
+                });
+            } finally {
+                // The download reads the blob asynchronously
+                setTimeout(() => URL.revokeObjectURL(url), 30000);
+            }
+        }
+    }
+
     static escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
+
+    /**
+     * Escaping for XML/XHTML (attributes included); characters XML 1.0
+     * does not allow are dropped
+     */
+    static escapeXml(text) {
+        return String(text ?? '')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 }
 
 // Export for use
@@ -391,14 +391,19 @@ const GeminiAdapter = {
 
                         if (!data) continue;
 
-                        const entries = [];
+                        const messages = [];
 
                         // Strategy 1: Array of turns
                         const turns = data[0] || data[1] || data;
                         if (Array.isArray(turns) && turns.length > 0) {
-                            let currentQuery = '';
-
                             turns.forEach((turn, idx) => {
+                                // Prompt/response pair in the hNvQHb layout, with grounding sources
+                                const pair = GeminiAdapter._parseTurn(turn);
+                                if (pair) {
+                                    messages.push(...pair);
+                                    return;
+                                }
+
                                 // Multiple content extraction methods
                                 let content = turn[1]?.[0] || turn[2]?.[0] || turn[0] || '';
                                 const role = turn[3] || turn[2] || idx % 2;
@@ -412,22 +417,23 @@ const GeminiAdapter = {
                                 const isUser = role === 0 || role === 'user' || role === 'USER' ||
                                     (idx % 2 === 0 && turn.length < 5);
 
-                                if (isUser && content.trim()) {
-                                    currentQuery = content.trim();
-                                } else if (!isUser && currentQuery && content.trim()) {
-                                    entries.push({ query: currentQuery, answer: content.trim() });
-                                    currentQuery = '';
+                                // Keep every message; pairing happens in ConversationSchema.toTurns
+                                if (content.trim()) {
+                                    messages.push({
+                                        role: isUser ? 'user' : 'assistant',
+                                        content: content.trim()
+                                    });
                                 }
                             });
                         }
 
-                        if (entries.length > 0) {
-                            console.log(`[Gemini] ✓ API success with ${rpcId}: ${entries.length} entries`);
+                        if (messages.length > 0) {
+                            console.log(`[Gemini] ✓ API success with ${rpcId}: ${messages.length} messages`);
                             const title = data[0]?.[0] || data.title ||
                                 document.title?.replace(' - Gemini', '').trim() ||
-                                entries[0]?.query?.substring(0, 100) ||
+                                messages.find(m => m.role === 'user')?.content.substring(0, 100) ||
                                 'Gemini Conversation';
-                            return { uuid, title, platform: 'Gemini', entries };
+                            return ConversationSchema.fromMessages(messages, { id: uuid, title, platform: 'Gemini' });
                         }
                     } catch (e) {
                         console.warn(`[Gemini] Payload attempt failed:`, e.message);
@@ -443,6 +449,60 @@ const GeminiAdapter = {
         throw new Error('Gemini API unreachable - Check login or try refreshing');
     },
 
+    // ============================================
+    // hNvQHb turn layout:
+    // [[convId, responseId], [convId, responseId, choiceId],
+    //  [[prompt, ...], ...], [[candidate, ...], ...], [seconds, nanos]]
+    // with candidate = [choiceId, [text], [source, ...], ...]. Grounding
+    // (Google Search) sources are only read from that source slot.
+    // ============================================
+    _TURN_LAYOUT: { prompt: [2, 0, 0], candidate: [3, 0, 0], text: [1, 0], sources: [2] },
+
+    _at: (node, path) => path.reduce((value, i) => (Array.isArray(value) ? value[i] : undefined), node),
+
+    /**
+     * User and assistant messages of a turn in the known layout; null otherwise
+     */
+    _parseTurn: (turn) => {
+        const layout = GeminiAdapter._TURN_LAYOUT;
+        const prompt = GeminiAdapter._at(turn, layout.prompt);
+        const candidate = GeminiAdapter._at(turn, layout.candidate);
+        const text = GeminiAdapter._at(candidate, layout.text);
+        if (typeof prompt !== 'string' || typeof text !== 'string') return null;
+
+        const messages = [];
+        if (prompt.trim()) messages.push({ role: 'user', content: prompt.trim() });
+        if (text.trim()) {
+            messages.push({ role: 'assistant', content: text.trim(), citations: GeminiAdapter._extractGroundingSources(candidate) });
+        }
+        return messages;
+    },
+
+    /**
+     * Sources of a response candidate: each entry of its source slot gives
+     * its first outside URL and the first text next to it as the title
+     */
+    _extractGroundingSources: (candidate) => {
+        const slot = GeminiAdapter._at(candidate, GeminiAdapter._TURN_LAYOUT.sources);
+        if (!Array.isArray(slot)) return [];
+
+        const internal = /^https?:\/\/([^/]+\.)?(gstatic|googleusercontent|googleapis)\.com|^https?:\/\/(www\.)?google\.com\//;
+        const strings = (node, depth = 0) => Array.isArray(node) && depth < 6
+            ? node.flatMap(child => strings(child, depth + 1))
+            : typeof node === 'string' ? [node] : [];
+
+        const citations = [];
+        slot.forEach(entry => {
+            const values = strings(entry);
+            const url = values.find(v => /^https?:\/\//.test(v) && !internal.test(v));
+            const title = values.find(v => !/^https?:/.test(v) && v.trim().length > 3);
+            if (url && !citations.some(c => c.url === url)) {
+                citations.push({ index: citations.length + 1, title: (title || url).trim(), url, snippet: null });
+            }
+        });
+        return citations;
+    },
+
     // ============================================
     // DOM Fallback (multiple strategies)
     // FIXED: Updated selectors for latest Gemini UI
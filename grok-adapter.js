@@ -200,34 +200,24 @@ const GrokAdapter = {
                     data.data?.messages || data.turns || data.items || [];
 
                 if (Array.isArray(messages) && messages.length > 0) {
-                    const entries = [];
-                    let currentQuery = '';
-
-                    messages.forEach(msg => {
-                        const role = (msg.role || msg.sender || msg.author || msg.type || '').toLowerCase();
+                    // Keep every message in order; unanswered prompts become incomplete turns
+                    const ordered = messages.map(msg => {
                         const content = msg.content || msg.text || msg.message ||
                             (msg.parts ? msg.parts.join('\n') : '');
-
-                        if (role === 'user' || role === 'human') {
-                            currentQuery = content;
-                        } else if ((role === 'assistant' || role === 'grok' || role === 'bot' || role === 'ai') && currentQuery) {
-                            entries.push({ query: currentQuery, answer: content });
-                            currentQuery = '';
-                        }
-                    });
-
-                    // Handle unpaired last message
-                    if (currentQuery && messages.length > 0) {
-                        const lastMsg = messages[messages.length - 1];
-                        const lastContent = lastMsg.content || lastMsg.text || '';
-                        if (lastContent && lastContent !== currentQuery) {
-                            entries.push({ query: currentQuery, answer: lastContent });
-                        }
-                    }
+                        const role = ConversationSchema.normalizeRole(msg.role || msg.sender || msg.author || msg.type, null);
+                        return {
+                            id: msg.responseId || msg.id || null,
+                            role,
+                            content: typeof content === 'string' ? content : '',
+                            createdAt: msg.createTime || msg.created_at || msg.timestamp || null,
+                            model: role === 'assistant' ? (msg.model || msg.modelId || null) : null,
+                            citations: role === 'assistant' ? GrokAdapter._extractCitations(msg) : []
+                        };
+                    }).filter(m => m.role);
 
                     const title = data.title || data.conversation?.title || data.name || 'Grok Conversation';
-                    console.log(`[Grok] API success: ${entries.length} entries for ${uuid}`);
-                    return { uuid, title, platform: 'Grok', entries };
+                    console.log(`[Grok] API success: ${ordered.length} messages for ${uuid}`);
+                    return ConversationSchema.fromMessages(ordered, { id: uuid, title, platform: 'Grok' });
                 }
             } catch (e) {
                 console.warn('[Grok] API failed for', endpoint, ':', e.message);
@@ -241,6 +231,22 @@ const GrokAdapter = {
 
 
 
+    // ============================================
+    // Web search / X post sources attached to a response
+    // ============================================
+    _extractCitations: (msg) => {
+        const results = msg.webSearchResults || msg.citedWebSearchResults || msg.searchResults || [];
+        const citations = (Array.isArray(results) ? results : [])
+            .filter(r => r && r.url)
+            .map((r, i) => ({ index: i + 1, title: r.title || r.url, url: r.url, snippet: r.preview || r.snippet || null }));
+
+        (msg.xpostIds || msg.xPostIds || []).forEach(id => {
+            citations.push({ index: citations.length + 1, title: `X post ${id}`, url: `https://x.com/i/status/${id}`, snippet: null });
+        });
+
+        return citations;
+    },
+
     getSpaces: async () => []
 };
 
@@ -0,0 +1,1251 @@
+// OmniExporter AI - Markdown Renderer
+// Offline Markdown -> HTML for HTML exports: GFM blocks (tables, task lists,
+// nested lists), syntax-highlighted code with copy buttons, TeX math as
+// native MathML and Mermaid flowcharts as inline SVG. Nothing is fetched;
+// the CSS and the copy-button script (STYLES / SCRIPT) are meant to be
+// inlined so an export stays a single self-contained file.
+
+class MarkdownRenderer {
+    /**
+     * Render markdown to { html, headings }. Headings ({ level, text, id })
+     * feed a table of contents; `idPrefix` keeps ids unique when several
+     * documents share a page, and [n] markers link to `citations`. Single
+     * newlines stay line breaks, as in the chat apps, unless `breaks` is off.
+     */
+    static render(markdown, { citations = [], idPrefix = '', breaks = true } = {}) {
+        const state = { citations, idPrefix, breaks, headings: [], ids: new Set(), diagrams: 0 };
+        return { html: this.renderBlocks(this.parse(markdown), state), headings: state.headings };
+    }
+
+    // ============================================
+    // BLOCKS
+    // ============================================
+
+    static LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?: +(.*)|$)/;
+    static TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+    static RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+
+    /**
+     * Markdown to a block tree, shared with the Notion converter:
+     * paragraph { text }, heading { level, text }, code { language, text },
+     * math { text }, table { header, align, rows }, quote { children },
+     * list { ordered, start, loose, items: [{ task, children }] } and rule.
+     * Inline text stays markdown; `task` is null, or whether it is checked.
+     */
+    static parse(markdown) {
+        const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+        return this.parseBlocks(lines);
+    }
+
+    static parseBlocks(lines) {
+        const blocks = [];
+        let paragraph = [];
+        const flush = () => {
+            if (paragraph.length === 0) return;
+            blocks.push({ type: 'paragraph', text: paragraph.join('\n').trim() });
+            paragraph = [];
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            if (!line.trim()) {
+                flush();
+            } else if ((match = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^`\s{]*)/))) {
+                flush();
+                const indent = line.length - line.trimStart().length;
+                const close = new RegExp(`^\\s*${match[1][0] === '`' ? '`' : '~'}{${match[1].length},}\\s*$`);
+                const code = [];
+                while (++i < lines.length && !close.test(lines[i])) {
+                    code.push(lines[i].slice(Math.min(indent, lines[i].length - lines[i].trimStart().length)));
+                }
+                const language = match[2].toLowerCase();
+                blocks.push(language === 'math'
+                    ? { type: 'math', text: code.join('\n').trim() }
+                    : { type: 'code', language, text: code.join('\n') });
+            } else if ((match = line.match(/^\s*(\$\$|\\\[)(.*)$/))) {
+                flush();
+                const end = match[1] === '$$' ? '$$' : '\\]';
+                let tex = match[2];
+                while (!tex.includes(end) && i + 1 < lines.length) tex += '\n' + lines[++i];
+                const close = tex.indexOf(end);
+                blocks.push({ type: 'math', text: (close < 0 ? tex : tex.slice(0, close)).trim() });
+                if (close >= 0 && tex.slice(close + end.length).trim()) paragraph.push(tex.slice(close + end.length).trim());
+            } else if ((match = line.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/))) {
+                flush();
+                blocks.push({ type: 'heading', level: match[1].length, text: match[2] || '' });
+            } else if (paragraph.length > 0 && /^ {0,3}(=+|-+)\s*$/.test(line)) {
+                // Setext heading: the paragraph above becomes its text
+                blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text: paragraph.join(' ') });
+                paragraph = [];
+            } else if (this.RULE.test(line)) {
+                flush();
+                blocks.push({ type: 'rule' });
+            } else if (line.includes('|') && /\|/.test(lines[i + 1] || '') && this.TABLE_DELIMITER.test(lines[i + 1])) {
+                flush();
+                const header = this.splitRow(line);
+                const align = this.splitRow(lines[++i]).map(cell =>
+                    cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : cell.startsWith(':') ? 'left' : null);
+                const rows = [];
+                while (i + 1 < lines.length && lines[i + 1].includes('|') && lines[i + 1].trim()) rows.push(this.splitRow(lines[++i]));
+                blocks.push({ type: 'table', header, align, rows });
+            } else if ((match = line.match(/^ {0,3}>/))) {
+                flush();
+                const quoted = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) quoted.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+                i--;
+                blocks.push({ type: 'quote', children: this.parseBlocks(quoted) });
+            } else if (this.LIST_ITEM.test(line)) {
+                flush();
+                const list = this.parseList(lines, i);
+                blocks.push(list.block);
+                i = list.end - 1;
+            } else {
+                paragraph.push(line);
+            }
+        }
+        flush();
+        return blocks;
+    }
+
+    /**
+     * A list starting at lines[start]: items continue with lines indented
+     * past the marker; a blank line between items makes the list loose.
+     * Returns { block, end } (index of the first line after the list).
+     */
+    static parseList(lines, start) {
+        const first = lines[start].match(this.LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const bodies = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const match = lines[i].match(this.LIST_ITEM);
+            if (!match || match[1].length < indent || match[1].length > indent + 1 || /\d/.test(match[2]) !== ordered) break;
+
+            const offset = match[1].length + match[2].length + 1;
+            const body = [match[3] || ''];
+            for (i++; i < lines.length; i++) {
+                const next = lines[i];
+                const lead = next.length - next.trimStart().length;
+                if (!next.trim()) {
+                    let j = i;
+                    while (j < lines.length && !lines[j].trim()) j++;
+                    if (j >= lines.length || lines[j].length - lines[j].trimStart().length <= indent) break;
+                    body.push(...lines.slice(i, j).map(() => ''));
+                    i = j - 1;
+                } else if (lead > indent) {
+                    body.push(next.slice(Math.min(lead, offset)));
+                } else if (!body[body.length - 1].trim() || this.LIST_ITEM.test(next) || this.startsBlock(next)) {
+                    break;
+                } else {
+                    body.push(next.trim()); // lazy paragraph continuation
+                }
+            }
+            if (this.hasBlankBetweenBlocks(body)) loose = true;
+            bodies.push(body);
+
+            // Blank lines followed by a sibling item keep the list going
+            let j = i;
+            while (j < lines.length && !lines[j].trim()) j++;
+            const sibling = j < lines.length && lines[j].match(this.LIST_ITEM);
+            if (j === i || !sibling || sibling[1].length < indent || sibling[1].length > indent + 1 || /\d/.test(sibling[2]) !== ordered) continue;
+            loose = true;
+            i = j;
+        }
+
+        const items = bodies.map(body => {
+            const task = body[0].match(/^\[([ xX])\]\s+(.*)$/);
+            if (task) body = [task[2], ...body.slice(1)];
+            return { task: task ? task[1] !== ' ' : null, children: this.parseBlocks(body) };
+        });
+        return { block: { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, loose, items }, end: i };
+    }
+
+    /**
+     * Render parsed blocks; `tight` leaves paragraphs unwrapped (list items)
+     */
+    static renderBlocks(blocks, state, tight = false) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'paragraph': {
+                    const html = this.renderInline(block.text, state);
+                    return tight ? html : `<p>${html}</p>`;
+                }
+                case 'heading': return this.renderHeading(block.level, block.text, state);
+                case 'code': return this.renderFence(block.text, block.language, state);
+                case 'math': return this.renderMath(block.text, true);
+                case 'table': return this.renderTable(block, state);
+                case 'quote': return `<blockquote>${this.renderBlocks(block.children, state)}</blockquote>`;
+                case 'list': return this.renderList(block, state);
+                default: return '<hr>';
+            }
+        }).join('\n');
+    }
+
+    static renderList(list, state) {
+        const html = list.items.map(item => {
+            const content = this.renderBlocks(item.children, state, !list.loose);
+            return item.task !== null
+                ? `<li class="task-list-item"><input type="checkbox" disabled${item.task ? ' checked' : ''}> ${content}</li>`
+                : `<li>${content}</li>`;
+        }).join('\n');
+        const tag = list.ordered ? 'ol' : 'ul';
+        return `<${tag}${list.start !== 1 ? ` start="${list.start}"` : ''}>\n${html}\n</${tag}>`;
+    }
+
+    static startsBlock(line) {
+        return /^ {0,3}(`{3,}|~{3,}|#{1,6}(\s|$)|>|\$\$|\\\[)/.test(line) || this.RULE.test(line);
+    }
+
+    /**
+     * Whether an item's lines hold a blank line between two blocks (outside code fences)
+     */
+    static hasBlankBetweenBlocks(body) {
+        let fence = false;
+        let blank = false;
+        for (const line of body) {
+            if (/^\s*(`{3,}|~{3,})/.test(line)) fence = !fence;
+            if (fence) continue;
+            if (!line.trim()) blank = true;
+            else if (blank) return true;
+        }
+        return false;
+    }
+
+    static splitRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+            .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    static renderTable({ header, align, rows }, state) {
+        const attr = (n) => align[n] ? ` style="text-align: ${align[n]}"` : '';
+        const cells = (row, tag) => header.map((_, n) => `<${tag}${attr(n)}>${this.renderInline(row[n] || '', state)}</${tag}>`).join('');
+        return `<div class="table-wrap"><table>\n<thead><tr>${cells(header, 'th')}</tr></thead>\n`
+            + (rows.length > 0 ? `<tbody>\n${rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('\n')}\n</tbody>\n` : '')
+            + '</table></div>';
+    }
+
+    static renderHeading(level, text, state) {
+        const plain = this.plainText(text);
+        const base = state.idPrefix + (plain.toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').trim().replace(/\s+/g, '-') || 'section');
+        let id = base;
+        for (let n = 2; state.ids.has(id); n++) id = `${base}-${n}`;
+        state.ids.add(id);
+        state.headings.push({ level, text: plain, id });
+        return `<h${level} id="${this.escape(id)}">${this.renderInline(text, state)}</h${level}>`;
+    }
+
+    /**
+     * Fenced block: ```mermaid diagrams, otherwise highlighted code
+     */
+    static renderFence(code, language, state) {
+        if (language === 'mermaid') return this.renderMermaid(code, state);
+
+        return '<div class="code-block"><div class="code-header">'
+            + `<span>${this.escape(language || 'text')}</span><button type="button" class="copy-btn" aria-label="Copy code">Copy</button></div>`
+            + `<pre><code${language ? ` class="language-${this.escape(language)}"` : ''}>${this.highlight(code, language)}</code></pre></div>`;
+    }
+
+    // ============================================
+    // INLINE
+    // ============================================
+
+    /**
+     * Inline markdown to HTML. Code spans, math, escapes and links are set
+     * aside as placeholders first so emphasis never reaches inside them.
+     */
+    static renderInline(text, state) {
+        const kept = [];
+        const keep = (html) => `\uE000${kept.push(html) - 1}\uE001`;
+        const attr = (value) => this.escape(value);
+        const link = (url, label, title = '') =>
+            keep(`<a href="${attr(this.safeUrl(url))}"${title ? ` title="${attr(title)}"` : ''} target="_blank" rel="noopener">`)
+            + label.replace(this.BARE_URL, (m) => keep(this.escape(m))) + keep('</a>');
+
+        let s = String(text).replace(/[\uE000\uE001]/g, '');
+        s = s.replace(/(?: {2,}|\\)\n/g, () => keep('<br>'));
+        s = s.replace(/(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) =>
+            keep(`<code>${this.escape(code.replace(/\n/g, ' ').replace(/^ (.+) $/, '$1'))}</code>`));
+        s = s.replace(/\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g, (m, a, b) => keep(this.renderMath((a ?? b).trim(), true)));
+        s = s.replace(/\\\(([\s\S]+?)\\\)/g, (m, tex) => keep(this.renderMath(tex.trim(), false)));
+        // $…$ needs non-space inside both dollars and no digit after, so "$5 and $10" stays text
+        s = s.replace(/(?<![\\$\w])\$(?=[^\s$])((?:\\.|[^$\\\n])+?)(?<=[^\s\\])\$(?![\d$])/g, (m, tex) => keep(this.renderMath(tex, false)));
+        s = s.replace(/\\([!-/:-@[-`{-~])/g, (m, char) => keep(this.escape(char)));
+        s = s.replace(/<((?:https?|mailto):[^\s<>]+)>/g, (m, url) => link(url, url));
+        s = s.replace(this.IMAGE, (m, alt, href, title) => {
+            const url = this.linkDestination(href);
+            return /^data:image\//i.test(url)
+                ? keep(`<img src="${attr(url)}" alt="${attr(alt)}"${title ? ` title="${attr(title)}"` : ''}>`)
+                : link(url, `🖼 ${alt || url}`, title);
+        });
+        s = s.replace(this.LINK, (m, label, href, title) => link(this.linkDestination(href), label, title));
+        s = s.replace(this.BARE_URL, (url) => link(url, url));
+        s = this.escape(s);
+        if (state.breaks) s = s.replace(/\n/g, '<br>\n');
+
+        if (state.citations.length > 0 && typeof ConversationSchema !== 'undefined') {
+            s = ConversationSchema.replaceCitationMarkers(s, state.citations, (c, n) =>
+                keep(`<sup class="cite"><a href="${attr(this.safeUrl(c.url))}" title="${attr(c.title || c.url)}" target="_blank" rel="noopener">[${n}]</a></sup>`));
+        }
+
+        s = s.replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(?<![\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, '<strong>$1</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(?<!\*)\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/g, '<em>$1</em>')
+            .replace(/(?<![\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '<em>$1</em>');
+
+        return s.replace(/\uE000(\d+)\uE001/g, (m, n) => kept[n]);
+    }
+
+    /**
+     * Link destination as CommonMark reads it: <…>, or a run without spaces
+     * whose parentheses balance (three levels deep), so
+     * https://en.wikipedia.org/wiki/Foo_(bar) keeps its closing parenthesis
+     */
+    static LINK_DESTINATION = (() => {
+        let nested = String.raw`(?:[^\s()\\]|\\.)*`;
+        for (let level = 0; level < 2; level++) nested = String.raw`(?:[^\s()\\]|\\.|\(${nested}\))*`;
+        return String.raw`<[^<>\n]*>|(?!<)(?:[^\s()\\]|\\.|\(${nested}\))+`;
+    })();
+
+    static IMAGE = new RegExp(String.raw`!\[([^\]]*)\]\(\s*(${this.LINK_DESTINATION})(?:\s+"([^"]*)")?\s*\)`, 'g');
+    static LINK = new RegExp(String.raw`\[((?:\\.|[^\]\\])+)\]\(\s*(${this.LINK_DESTINATION})(?:\s+"([^"]*)")?\s*\)`, 'g');
+
+    static linkDestination(href) {
+        return /^<.*>$/s.test(href) ? href.slice(1, -1) : href;
+    }
+
+    static BARE_URL = /(?<![\w/"'=\uE001])https?:\/\/[^\s<>"'\uE000\uE001]*[^\s<>"'.,;:!?)\]*_~\uE000\uE001]/g;
+
+    /**
+     * Markdown stripped to text (heading ids, TOC entries)
+     */
+    static plainText(text) {
+        return String(text)
+            .replace(this.IMAGE, '$1')
+            .replace(this.LINK, '$1')
+            .replace(/[*_`~$]|\\(?=\S)/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Keep http(s)/mailto links, relative links and inline images; other schemes (javascript:) are dropped.
+     * Control characters and spaces are removed first, as browsers ignore them ("\x01java\tscript:")
+     */
+    static safeUrl(url) {
+        const value = String(url || '').replace(/^[\x00-\x20]+|[\x00-\x20]+$/g, '').replace(/[\x00-\x1f\x7f]/g, '');
+        if (/^data:image\//i.test(value)) return value;
+        return /^[a-z][a-z0-9+.-]*:/i.test(value) && !/^(https?|mailto):/i.test(value) ? '#' : value;
+    }
+
+    static escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ============================================
+    // SYNTAX HIGHLIGHTING
+    // ============================================
+
+    static LANGUAGE_ALIASES = {
+        javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', node: 'js', typescript: 'ts', tsx: 'ts',
+        py: 'python', python3: 'python', rb: 'ruby', rs: 'rust', golang: 'go', kt: 'kotlin',
+        'c++': 'cpp', cc: 'cpp', cxx: 'cpp', hpp: 'cpp', h: 'c', 'c#': 'csharp', cs: 'csharp',
+        sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', yml: 'yaml', jsonc: 'json',
+        xml: 'html', svg: 'html', xhtml: 'html', vue: 'html', scss: 'css', less: 'css',
+        postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql', patch: 'diff'
+    };
+
+    /**
+     * Token rules per language: `extra` rules win over comments, strings,
+     * numbers and words; words are then sorted into keywords, literals
+     * and function calls
+     */
+    static LANGUAGES = (() => {
+        const dq = '"(?:\\\\.|[^"\\\\\\n])*"';
+        const sq = "'(?:\\\\.|[^'\\\\\\n])*'";
+        const bt = '`(?:\\\\.|[^`\\\\])*`';
+        const cComments = ['//[^\\n]*', '/\\*[\\s\\S]*?\\*/'];
+        const hashComments = ['#[^\\n]*'];
+        const lang = (keywords, { comments = cComments, strings = [dq, sq], literals = 'true false null', extra = [], numbers = true, caseInsensitive = false, multiline = false } = {}) => ({
+            keywords: new Set(keywords.split(' ')), literals: new Set(literals.split(' ')), comments, strings, extra, numbers, caseInsensitive, multiline
+        });
+        const c = 'auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while';
+        const js = 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield';
+        const preprocessor = [['keyword', '^\\s*#\\s*\\w+']];
+
+        return {
+            js: lang(js, { strings: [bt, dq, sq], literals: 'true false null undefined NaN Infinity' }),
+            ts: lang(`${js} abstract any as boolean declare enum implements interface keyof namespace never number private protected public readonly string type unknown`, { strings: [bt, dq, sq], literals: 'true false null undefined NaN Infinity' }),
+            python: lang('and as assert async await break class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield', {
+                comments: hashComments,
+                strings: ['[rRbBfFuU]{0,2}"""[\\s\\S]*?"""', "[rRbBfFuU]{0,2}'''[\\s\\S]*?'''", `[rRbBfFuU]{0,2}${dq}`, `[rRbBfFuU]{0,2}${sq}`],
+                literals: 'True False None self cls',
+                extra: [['meta', '@[\\w.]+']]
+            }),
+            java: lang('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public record return short static super switch synchronized this throw throws transient try var void volatile while', { extra: [['meta', '@\\w+']] }),
+            c: lang(c, { literals: 'true false NULL', extra: preprocessor, multiline: true }),
+            cpp: lang(`${c} bool catch class constexpr delete explicit friend namespace new noexcept operator override private protected public template this throw try typename using virtual`, { literals: 'true false nullptr NULL', extra: preprocessor, multiline: true }),
+            csharp: lang('abstract as async await base bool break byte case catch char class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sealed set short static string struct switch this throw try typeof uint ulong using var virtual void while yield', { strings: [`[$@]{0,2}${dq}`, sq] }),
+            go: lang('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var', { strings: [dq, sq, '`[^`]*`'], literals: 'true false nil iota' }),
+            rust: lang('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while', { strings: [dq, "'(?:\\\\.|[^'\\\\\\n])'"], literals: 'true false None Some Ok Err', extra: [['meta', '#!?\\[[^\\]\\n]*\\]'], ['function', '\\b\\w+!']] }),
+            ruby: lang('alias and begin break case class def do else elsif end ensure for if in module next not or redo require rescue retry return super then undef unless until when while yield', { comments: hashComments, literals: 'true false nil self', extra: [['literal', ':\\w+']] }),
+            php: lang('abstract and array as break case catch class clone const continue declare default do echo else elseif empty extends final finally fn for foreach function global if implements include instanceof interface isset list match namespace new or print private protected public require return static switch throw trait try unset use var while yield', { comments: [...cComments, '#[^\\n]*'], extra: [['variable', '\\$\\w+']] }),
+            swift: lang('as associatedtype break case catch class continue default defer do else enum extension fallthrough for func guard if import in init inout internal is let operator private protocol public repeat return static struct subscript super switch throw throws try typealias var where while', { literals: 'true false nil self' }),
+            kotlin: lang('as break class companion continue data do else for fun if import in interface internal is object open override package private protected public return sealed suspend throw try typealias val var when while', { literals: 'true false null this' }),
+            sql: lang('add all alter and as asc begin between by case commit create default delete desc distinct drop else end exists foreign from full group having in index inner insert into is join key left like limit not null offset on or order outer primary references returning right rollback select set table then union update values view when where with', { comments: ['--[^\\n]*', '/\\*[\\s\\S]*?\\*/'], strings: [sq, dq], caseInsensitive: true }),
+            bash: lang('alias case cd do done echo elif else esac exit export fi for function if in local readonly return shift source sudo then unset until while', { comments: ['(?<![\\w$#])#[^\\n]*'], extra: [['variable', '\\$(?:\\{[^}\\n]*\\}|\\w+|[@#?$!*])']], literals: 'true false' }),
+            json: lang('', { comments: [], strings: [dq], extra: [['property', `${dq}(?=\\s*:)`]] }),
+            yaml: lang('', { comments: hashComments, extra: [['property', '[\\w.-]+(?=\\s*:(?:\\s|$))']], literals: 'true false null yes no on off' }),
+            css: lang('', { comments: ['/\\*[\\s\\S]*?\\*/'], extra: [['keyword', '@[\\w-]+'], ['number', '#[\\da-fA-F]{3,8}\\b'], ['property', '[\\w-]+(?=\\s*:[^;{}]*[;}])']], literals: 'important inherit initial none auto' }),
+            html: lang('', { comments: ['<!--[\\s\\S]*?-->'], numbers: false, literals: '', extra: [['tag', '</?[\\w:-]+|/?>'], ['property', '[\\w:-]+(?==)']] }),
+            diff: lang('', { comments: [], strings: [], numbers: false, literals: '', multiline: true, extra: [['meta', '^(?:@@|diff |index )[^\\n]*'], ['inserted', '^\\+[^\\n]*'], ['deleted', '^-[^\\n]*']] })
+        };
+    })();
+
+    /**
+     * Token rules and the combined regex for a language (null when unknown)
+     */
+    static highlighter(language) {
+        const spec = this.LANGUAGES[this.LANGUAGE_ALIASES[language] || language];
+        if (!spec) return null;
+        if (!spec.pattern) {
+            spec.rules = [
+                ...spec.extra,
+                ...spec.comments.map(source => ['comment', source]),
+                ...spec.strings.map(source => ['string', source]),
+                ...(spec.numbers ? [['number', '\\b(?:0[xX][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)[a-zA-Z%]*']] : []),
+                ['word', '[A-Za-z_$][\\w$]*']
+            ];
+            spec.pattern = new RegExp(spec.rules.map(([, source]) => `(${source})`).join('|'), spec.multiline ? 'gm' : 'g');
+        }
+        return spec;
+    }
+
+    /**
+     * Code to HTML with <span class="tok-…"> around tokens; unknown languages are only escaped
+     */
+    static highlight(code, language) {
+        const spec = language ? this.highlighter(language) : null;
+        if (!spec) return this.escape(code);
+
+        const call = /\s*\(/y;
+        let html = '';
+        let last = 0;
+        for (const match of code.matchAll(spec.pattern)) {
+            let [kind] = spec.rules[match.findIndex((group, i) => i > 0 && group !== undefined) - 1];
+            const text = match[0];
+            if (kind === 'word') {
+                const word = spec.caseInsensitive ? text.toLowerCase() : text;
+                call.lastIndex = match.index + text.length;
+                kind = spec.keywords.has(word) ? 'keyword' : spec.literals.has(word) ? 'literal' : call.test(code) ? 'function' : null;
+            }
+            html += this.escape(code.slice(last, match.index)) + (kind ? `<span class="tok-${kind}">${this.escape(text)}</span>` : this.escape(text));
+            last = match.index + text.length;
+        }
+        return html + this.escape(code.slice(last));
+    }
+
+    // ============================================
+    // MATH (TeX subset -> MathML, or plain Unicode text)
+    // ============================================
+
+    static renderMath(tex, display) {
+        const mathml = this.texToMathML(tex, display);
+        return display ? `<div class="math-display">${mathml}</div>` : `<span class="math-inline">${mathml}</span>`;
+    }
+
+    /**
+     * MathML for a TeX expression; browsers render it natively and the TeX
+     * source is kept as an annotation (copy/paste, screen readers)
+     */
+    static texToMathML(tex, display = false) {
+        return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}><semantics>`
+            + `${this.mathML(this.parseTeX(tex), display)}<annotation encoding="application/x-tex">${this.escape(tex)}</annotation></semantics></math>`;
+    }
+
+    /**
+     * TeX as readable text for formats without math layout (PDF, Word):
+     * "\frac{a}{b} + x^2" -> "a/b + x²"
+     */
+    static texToText(tex) {
+        return this.mathText(this.parseTeX(tex)).replace(/\s+/g, ' ').trim();
+    }
+
+    static TEX_SYMBOLS = (() => {
+        const symbols = {};
+        const add = (kind, map) => Object.entries(map).forEach(([name, text]) => { symbols[name] = [kind, text]; });
+        add('mi', {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ',
+            iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ',
+            varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+            infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', hbar: 'ℏ', ell: 'ℓ', aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ',
+            prime: '′', degree: '°', angle: '∠', triangle: '△', checkmark: '✓'
+        });
+        add('mo', {
+            pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+            leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅',
+            propto: '∝', ll: '≪', gg: '≫', to: '→', rightarrow: '→', leftarrow: '←', gets: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+            leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⟺', implies: '⟹', mapsto: '↦', longrightarrow: '⟶', uparrow: '↑', downarrow: '↓',
+            in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖',
+            forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨', oplus: '⊕', otimes: '⊗',
+            perp: '⊥', parallel: '∥', mid: '∣', ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', therefore: '∴', because: '∵',
+            langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖', lvert: '|', rvert: '|',
+            colon: ':', '{': '{', '}': '}', '|': '‖', '#': '#', '%': '%', '&': '&', _: '_', $: '$'
+        });
+        add('large', { sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂' });
+        return symbols;
+    })();
+
+    static TEX_FUNCTIONS = new Set(['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'coth',
+        'log', 'ln', 'lg', 'exp', 'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'deg', 'arg', 'dim', 'ker', 'hom', 'Pr', 'mod', 'bmod']);
+    // Functions whose sub/superscripts go underneath in display math
+    static TEX_LIMITS = new Set(['lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr']);
+    static TEX_SPACES = { ',': 0.1667, ':': 0.2222, '>': 0.2222, ';': 0.2778, ' ': 0.25, '!': 0, quad: 1, qquad: 2, enspace: 0.5, thinspace: 0.1667 };
+    static TEX_FONTS = {
+        mathbf: 'bold', boldsymbol: 'bold-italic', bm: 'bold-italic', mathit: 'italic', mathrm: 'normal', mathsf: 'normal', mathtt: 'monospace',
+        mathbb: 'double-struck', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur'
+    };
+    static TEX_ACCENTS = {
+        hat: '^', widehat: '^', bar: '¯', overline: '‾', vec: '→', overrightarrow: '→', dot: '˙', ddot: '¨', tilde: '~', widetilde: '~',
+        underline: '_', overbrace: '⏞', underbrace: '⏟'
+    };
+    // Combining marks for single-letter accents in texToText
+    static TEX_COMBINING = { '^': '̂', '¯': '̄', '‾': '̅', '→': '⃗', '˙': '̇', '¨': '̈', '~': '̃' };
+    static TEX_ENVIRONMENTS = {
+        matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'],
+        cases: ['{', ''], rcases: ['', '}']
+    };
+
+    /**
+     * Parse a TeX subset into nodes: mi / mn / mo / text / space, and row,
+     * frac, sqrt, scripts, font, accent, over / under, fenced and table
+     * containers. Unknown commands come back as text so nothing is lost.
+     */
+    static parseTeX(tex) {
+        const src = String(tex ?? '');
+        let pos = 0;
+        const row = (children) => ({ type: 'row', children });
+        const skipSpace = () => { while (pos < src.length && /\s/.test(src[pos])) pos++; };
+
+        const command = () => {
+            const match = /^\\(operatorname\*|[a-zA-Z]+|[\s\S]?)/.exec(src.slice(pos));
+            pos += match[0].length;
+            return match[1];
+        };
+        // Verbatim {…} contents (\text, \begin names)
+        const raw = () => {
+            skipSpace();
+            if (src[pos] !== '{') return src[pos++] || '';
+            const start = ++pos;
+            for (let depth = 0; pos < src.length; pos++) {
+                if (src[pos] === '\\') pos++;
+                else if (src[pos] === '{') depth++;
+                else if (src[pos] === '}' && depth-- === 0) break;
+            }
+            return src.slice(start, pos++);
+        };
+        const argument = () => {
+            skipSpace();
+            if (pos >= src.length) return row([]);
+            return atom() || row([]);
+        };
+        const delimiter = () => {
+            skipSpace();
+            if (src[pos] === '\\') {
+                const name = command();
+                return this.TEX_SYMBOLS[name]?.[1] ?? '';
+            }
+            const char = src[pos++] || '';
+            return char === '.' ? '' : char;
+        };
+        const atStop = (stop) => {
+            if (stop === '}' || stop === ']') return src[pos] === stop;
+            if (stop === 'right') return src.startsWith('\\right', pos);
+            if (stop === 'cell') return src[pos] === '&' || src.startsWith('\\\\', pos) || src.startsWith('\\end', pos);
+            return false;
+        };
+
+        const list = (stop = null) => {
+            const nodes = [];
+            while (pos < src.length && !atStop(stop)) {
+                const char = src[pos];
+                if (/\s/.test(char)) {
+                    pos++;
+                } else if (char === '^' || char === '_' || char === "'") {
+                    pos++;
+                    const key = char === '_' ? 'sub' : 'sup';
+                    const last = nodes[nodes.length - 1];
+                    const base = last && last.type !== 'space' ? nodes.pop() : row([]);
+                    const scripts = base.type === 'scripts' && !base[key] ? base : { type: 'scripts', base };
+                    if (char === "'") {
+                        let primes = '′';
+                        while (src[pos] === "'") { primes += '′'; pos++; }
+                        scripts.sup = { type: 'mo', text: primes };
+                    } else {
+                        scripts[key] = argument();
+                    }
+                    nodes.push(scripts);
+                } else {
+                    const node = atom();
+                    if (node) nodes.push(node);
+                }
+            }
+            return nodes;
+        };
+
+        const atom = () => {
+            const char = src[pos];
+            if (char === '{') {
+                pos++;
+                const body = list('}');
+                pos++;
+                return body.length === 1 ? body[0] : row(body);
+            }
+            if (char === '\\') return commandAtom();
+            const number = /^(\d+(?:\.\d+)?|\.\d+)/.exec(src.slice(pos, pos + 64));
+            if (number) {
+                pos += number[0].length;
+                return { type: 'mn', text: number[0] };
+            }
+            const symbol = String.fromCodePoint(src.codePointAt(pos));
+            pos += symbol.length;
+            if (symbol === '}' || symbol === '&') return null;
+            if (symbol === '~') return { type: 'space', width: 0.25 };
+            if (/\p{L}/u.test(symbol)) return { type: 'mi', text: symbol };
+            return { type: 'mo', text: symbol === '-' ? '−' : symbol === '*' ? '∗' : symbol };
+        };
+
+        const environment = (name) => {
+            const env = name.replace(/\*$/, '');
+            if (env === 'array') raw(); // column spec
+            const rows = [];
+            let cells = [];
+            while (pos < src.length) {
+                const cell = list('cell');
+                cells.push(cell.length === 1 ? cell[0] : row(cell));
+                if (src[pos] === '&') {
+                    pos++;
+                } else if (src.startsWith('\\\\', pos)) {
+                    pos += 2;
+                    if (/^\s*\[/.test(src.slice(pos))) { skipSpace(); while (pos < src.length && src[pos++] !== ']'); }
+                    rows.push(cells);
+                    cells = [];
+                } else {
+                    if (src.startsWith('\\end', pos)) { pos += 4; raw(); }
+                    break;
+                }
+            }
+            // A trailing \\ leaves one empty cell behind
+            if (cells.length > 1 || (cells[0] && !(cells[0].type === 'row' && cells[0].children.length === 0))) rows.push(cells);
+            const [open, close] = this.TEX_ENVIRONMENTS[env] || ['', ''];
+            const align = /^(cases|rcases)$/.test(env) ? 'left' : /^(aligned|align|alignat|split|eqnarray)$/.test(env) ? 'alternate' : 'center';
+            return { type: 'table', rows, open, close, align };
+        };
+
+        const commandAtom = () => {
+            const name = command();
+            const symbol = this.TEX_SYMBOLS[name];
+            if (symbol) return symbol[0] === 'large' ? { type: 'mo', text: symbol[1], large: true } : { type: symbol[0], text: symbol[1] };
+            if (this.TEX_FUNCTIONS.has(name)) return { type: 'fn', text: name, limits: this.TEX_LIMITS.has(name) };
+            if (name in this.TEX_SPACES) return { type: 'space', width: this.TEX_SPACES[name] };
+            if (name in this.TEX_FONTS) return { type: 'font', variant: this.TEX_FONTS[name], body: argument() };
+            if (name in this.TEX_ACCENTS) {
+                return { type: 'accent', accent: this.TEX_ACCENTS[name], under: /^under/.test(name), body: argument() };
+            }
+
+            switch (name) {
+                case 'frac': case 'dfrac': case 'tfrac': case 'cfrac':
+                    return { type: 'frac', num: argument(), den: argument() };
+                case 'binom': case 'dbinom': case 'tbinom':
+                    return { type: 'frac', num: argument(), den: argument(), binom: true };
+                case 'sqrt': {
+                    skipSpace();
+                    let index = null;
+                    if (src[pos] === '[') {
+                        pos++;
+                        const body = list(']');
+                        pos++;
+                        index = row(body);
+                    }
+                    return { type: 'sqrt', index, body: argument() };
+                }
+                case 'text': case 'textrm': case 'textnormal': case 'textsf': case 'texttt': case 'textup': case 'mbox': case 'hbox':
+                    return { type: 'text', text: raw() };
+                case 'textbf':
+                    return { type: 'text', text: raw(), bold: true };
+                case 'textit': case 'emph':
+                    return { type: 'text', text: raw(), italic: true };
+                case 'operatorname': case 'operatorname*':
+                    return { type: 'fn', text: raw(), limits: name.endsWith('*') };
+                case 'left': {
+                    const open = delimiter();
+                    const body = list('right');
+                    let close = '';
+                    if (src.startsWith('\\right', pos)) {
+                        pos += 6;
+                        close = delimiter();
+                    }
+                    return { type: 'fenced', open, close, body };
+                }
+                case 'big': case 'Big': case 'bigg': case 'Bigg': case 'bigl': case 'bigr': case 'Bigl': case 'Bigr':
+                case 'biggl': case 'biggr': case 'Biggl': case 'Biggr': case 'middle':
+                    return { type: 'mo', text: delimiter() };
+                case 'overset': case 'stackrel': case 'underset': {
+                    const mark = argument();
+                    return { type: name === 'underset' ? 'under' : 'over', mark, base: argument() };
+                }
+                case 'begin':
+                    return environment(raw());
+                case 'not': {
+                    const next = argument();
+                    return next.text ? { ...next, text: next.text + '̸' } : next;
+                }
+                case 'textcolor':
+                    raw();
+                    return argument();
+                case 'color': case 'label': case 'tag': case 'hspace': case 'vspace': case 'end':
+                    raw();
+                    return null;
+                case 'right': case '\\': case 'displaystyle': case 'textstyle': case 'scriptstyle': case 'limits': case 'nolimits':
+                case 'nonumber': case 'notag': case 'left.': case '':
+                    return null;
+                default:
+                    return { type: 'text', text: `\\${name}`, unknown: true };
+            }
+        };
+
+        return row(list());
+    }
+
+    static mathML(node, display) {
+        const e = (text) => this.escape(text);
+        const child = (n) => this.mathML(n, display);
+        const fence = (text) => text ? `<mo fence="true">${e(text)}</mo>` : '';
+
+        switch (node.type) {
+            case 'row':
+                return `<mrow>${node.children.map(child).join('')}</mrow>`;
+            case 'mn':
+                return `<mn>${e(node.text)}</mn>`;
+            case 'mi':
+                // Single letters are italic by default; upright Greek capitals and font-mapped letters are not
+                return node.normal || /^[Α-Ω]$/.test(node.text) ? `<mi mathvariant="normal">${e(node.text)}</mi>` : `<mi>${e(node.text)}</mi>`;
+            case 'mo':
+                return `<mo>${e(node.text)}</mo>`;
+            case 'fn':
+                return `<mi>${e(node.text)}</mi>`;
+            case 'text': {
+                const style = [node.bold && 'font-weight: bold', node.italic && 'font-style: italic', node.unknown && 'color: #b91c1c'].filter(Boolean).join('; ');
+                return `<mtext${style ? ` style="${style}"` : ''}>${e(node.text)}</mtext>`;
+            }
+            case 'space':
+                return node.width > 0 ? `<mspace width="${node.width}em"/>` : '';
+            case 'font':
+                return child(this.applyMathVariant(node.body, node.variant));
+            case 'frac': {
+                const frac = `<mfrac${node.binom ? ' linethickness="0"' : ''}>${child(node.num)}${child(node.den)}</mfrac>`;
+                return node.binom ? `<mrow><mo>(</mo>${frac}<mo>)</mo></mrow>` : frac;
+            }
+            case 'sqrt':
+                return node.index ? `<mroot>${child(node.body)}${child(node.index)}</mroot>` : `<msqrt>${child(node.body)}</msqrt>`;
+            case 'scripts': {
+                const limits = display && ((node.base.large && !/[∫∬∭∮]/.test(node.base.text)) || node.base.limits);
+                const [sub, sup, both] = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+                const base = child(node.base);
+                if (node.sub && node.sup) return `<${both}>${base}${child(node.sub)}${child(node.sup)}</${both}>`;
+                return node.sub ? `<${sub}>${base}${child(node.sub)}</${sub}>` : `<${sup}>${base}${child(node.sup)}</${sup}>`;
+            }
+            case 'accent':
+                return node.under
+                    ? `<munder accentunder="true">${child(node.body)}<mo>${e(node.accent)}</mo></munder>`
+                    : `<mover accent="true">${child(node.body)}<mo>${e(node.accent)}</mo></mover>`;
+            case 'over':
+                return `<mover>${child(node.base)}${child(node.mark)}</mover>`;
+            case 'under':
+                return `<munder>${child(node.base)}${child(node.mark)}</munder>`;
+            case 'fenced':
+                return `<mrow>${fence(node.open)}${node.body.map(child).join('')}${fence(node.close)}</mrow>`;
+            case 'table': {
+                const align = (n) => node.align === 'left' || (node.align === 'alternate' && n % 2 === 1) ? ' style="text-align: left"'
+                    : node.align === 'alternate' ? ' style="text-align: right"' : '';
+                const rows = node.rows.map(cells => `<mtr>${cells.map((cell, n) => `<mtd${align(n)}>${child(cell)}</mtd>`).join('')}</mtr>`).join('');
+                return `<mrow>${fence(node.open)}<mtable>${rows}</mtable>${fence(node.close)}</mrow>`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    static mathText(node) {
+        const text = (n) => n ? this.mathText(n) : '';
+        const wrap = (n) => {
+            const value = text(n).trim();
+            return /^[\p{L}\p{N}.′]*$/u.test(value) || /^\(.*\)$/.test(value) ? value : `(${value})`;
+        };
+
+        switch (node.type) {
+            case 'row':
+                return node.children.map(text).join('');
+            case 'mo':
+                return /^[=<>≤≥≠≈≡∼≃≅∝→←⇒⇐↔⇔⟺⟹↦∈∉⊂⊆⊃⊇±∓×÷+−]$/.test(node.text) ? ` ${node.text} ` : node.text;
+            case 'fn':
+                return `${node.text} `;
+            case 'space':
+                return node.width >= 0.25 ? ' ' : '';
+            case 'font':
+                return text(this.applyMathVariant(node.body, node.variant));
+            case 'frac':
+                return node.binom ? `C(${text(node.num).trim()}, ${text(node.den).trim()})` : `${wrap(node.num)}/${wrap(node.den)}`;
+            case 'sqrt':
+                return `${node.index ? this.scriptText(text(node.index), 'sup') : ''}√${wrap(node.body)}`;
+            case 'scripts':
+                return text(node.base).replace(/ $/, '')
+                    + (node.sub ? this.scriptText(text(node.sub), 'sub') : '')
+                    + (node.sup ? this.scriptText(text(node.sup), 'sup') : '');
+            case 'accent': {
+                const value = text(node.body);
+                const mark = this.TEX_COMBINING[node.accent];
+                return [...value].length === 1 && mark ? value + mark : value;
+            }
+            case 'over': case 'under':
+                return text(node.base);
+            case 'text':
+                return node.unknown ? `${node.text} ` : node.text;
+            case 'fenced':
+                return node.open + node.body.map(text).join('') + node.close;
+            case 'table': {
+                const rows = node.rows.map(cells => cells.map(cell => text(cell).trim()).join(node.align === 'alternate' ? ' ' : ', ')).join('; ');
+                return node.open || node.close ? `${node.open} ${rows} ${node.close}` : `[${rows}]`;
+            }
+            default:
+                return node.text || '';
+        }
+    }
+
+    static SUPERSCRIPTS = Object.fromEntries([...'0123456789+−=()ni'].map((c, i) => [c, '⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁼⁽⁾ⁿⁱ'[i]]));
+    static SUBSCRIPTS = Object.fromEntries([...'0123456789+−=()aeoxijkmnt'].map((c, i) => [c, '₀₁₂₃₄₅₆₇₈₉₊₋₌₍₎ₐₑₒₓᵢⱼₖₘₙₜ'[i]]));
+
+    /**
+     * "2" -> "²"; text without Unicode script forms becomes "^(n+1)" / "_(ij)"
+     */
+    static scriptText(value, kind) {
+        const chars = [...value.replace(/\s+/g, '')];
+        const map = kind === 'sup' ? this.SUPERSCRIPTS : this.SUBSCRIPTS;
+        if (chars.length > 0 && chars.every(c => map[c] || c === '′')) return chars.map(c => map[c] || c).join('');
+        const plain = chars.join('');
+        return `${kind === 'sup' ? '^' : '_'}${chars.length > 1 ? `(${plain})` : plain}`;
+    }
+
+    // [A, a, 0] starts of the Mathematical Alphanumeric Symbols block per font
+    static MATH_ALPHABETS = {
+        bold: [0x1D400, 0x1D41A, 0x1D7CE],
+        italic: [0x1D434, 0x1D44E, null],
+        'bold-italic': [0x1D468, 0x1D482, 0x1D7CE],
+        script: [0x1D49C, 0x1D4B6, null],
+        fraktur: [0x1D504, 0x1D51E, null],
+        'double-struck': [0x1D538, 0x1D552, 0x1D7D8],
+        monospace: [0x1D670, 0x1D68A, 0x1D7F6]
+    };
+    // Letters that live in Letterlike Symbols instead (holes in the block above)
+    static MATH_LETTER_EXCEPTIONS = {
+        'italic:h': 'ℎ', 'script:B': 'ℬ', 'script:E': 'ℰ', 'script:F': 'ℱ', 'script:H': 'ℋ', 'script:I': 'ℐ', 'script:L': 'ℒ',
+        'script:M': 'ℳ', 'script:R': 'ℛ', 'script:e': 'ℯ', 'script:g': 'ℊ', 'script:o': 'ℴ', 'fraktur:C': 'ℭ', 'fraktur:H': 'ℌ',
+        'fraktur:I': 'ℑ', 'fraktur:R': 'ℜ', 'fraktur:Z': 'ℨ', 'double-struck:C': 'ℂ', 'double-struck:H': 'ℍ', 'double-struck:N': 'ℕ',
+        'double-struck:P': 'ℙ', 'double-struck:Q': 'ℚ', 'double-struck:R': 'ℝ', 'double-struck:Z': 'ℤ'
+    };
+
+    /**
+     * \mathbb{R} and friends: letters are swapped for their Unicode math
+     * alphabet forms, which render in any font without mathvariant support
+     */
+    static applyMathVariant(node, variant) {
+        if (!node) return node;
+        if (node.type === 'mi' || node.type === 'mn') {
+            const ranges = this.MATH_ALPHABETS[variant];
+            const text = !ranges ? node.text : [...node.text].map(char => {
+                const code = char.charCodeAt(0);
+                if (this.MATH_LETTER_EXCEPTIONS[`${variant}:${char}`]) return this.MATH_LETTER_EXCEPTIONS[`${variant}:${char}`];
+                if (char >= 'A' && char <= 'Z') return String.fromCodePoint(ranges[0] + code - 65);
+                if (char >= 'a' && char <= 'z') return String.fromCodePoint(ranges[1] + code - 97);
+                if (char >= '0' && char <= '9' && ranges[2]) return String.fromCodePoint(ranges[2] + code - 48);
+                return char;
+            }).join('');
+            return { ...node, text, normal: true };
+        }
+        const copy = { ...node };
+        ['base', 'sub', 'sup', 'num', 'den', 'index', 'mark'].forEach(key => { if (copy[key]) copy[key] = this.applyMathVariant(copy[key], variant); });
+        if (Array.isArray(node.children)) copy.children = node.children.map(n => this.applyMathVariant(n, variant));
+        if (node.body) copy.body = Array.isArray(node.body) ? node.body.map(n => this.applyMathVariant(n, variant)) : this.applyMathVariant(node.body, variant);
+        return copy;
+    }
+
+    // ============================================
+    // MERMAID (flowcharts drawn as SVG)
+    // ============================================
+
+    /**
+     * Flowcharts (graph / flowchart) become inline SVG with the source kept
+     * below; other diagram types are shown as their source
+     */
+    static renderMermaid(source, state) {
+        const code = `<pre><code class="language-mermaid">${this.escape(source)}</code></pre>`;
+        const chart = this.parseFlowchart(source);
+        if (!chart) {
+            return `<figure class="mermaid mermaid-unsupported"><figcaption>Mermaid diagram (source)</figcaption>${code}</figure>`;
+        }
+        const svg = this.flowchartToSVG(chart, `${state.idPrefix}mermaid-${++state.diagrams}`);
+        return `<figure class="mermaid">${svg}<details class="mermaid-source"><summary>Mermaid source</summary>${code}</details></figure>`;
+    }
+
+    // [open, close, shape], longest openers first
+    static FLOWCHART_SHAPES = [
+        ['(((', ')))', 'circle'], ['((', '))', 'circle'], ['([', '])', 'stadium'], ['[[', ']]', 'subroutine'], ['[(', ')]', 'cylinder'],
+        ['{{', '}}', 'hexagon'], ['[/', '/]', 'parallelogram'], ['[\\', '\\]', 'parallelogram'], ['[/', '\\]', 'trapezoid'],
+        ['{', '}', 'diamond'], ['[', ']', 'rect'], ['(', ')', 'round'], ['>', ']', 'flag']
+    ];
+
+    // Link between nodes: "-->", "---", "-.->", "==>", "--x", "<-->", with "|label|" or "-- label -->"
+    static FLOWCHART_EDGE = /^\s*(?:--\s*([^\->|][^>|]*?)\s*(?=-->|---)|==\s*([^=>|][^>|]*?)\s*(?===>|===)|-\.\s*([^.|][^|]*?)\s*(?=\.->|\.-))?(<?(?:-{2,}>|-{3,}|={2,}>|={3,}|-?\.+-+>?|--[xo]))\s*(?:\|([^|]*)\|)?\s*/;
+
+    /**
+     * { direction, nodes: Map(id -> { id, label, shape }), edges } or null
+     * when the source is not a flowchart
+     */
+    static parseFlowchart(source) {
+        const lines = String(source).split(/\n|;/).map(line => line.trim()).filter(line => line && !line.startsWith('%%'));
+        const header = lines.length > 0 ? lines[0].match(/^(?:graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?\s*$/i) : null;
+        if (!header) return null;
+
+        const chart = { direction: (header[1] || 'TD').toUpperCase(), nodes: new Map(), edges: [] };
+        const addNode = ({ id, label, shape }) => {
+            if (!chart.nodes.has(id)) chart.nodes.set(id, { id, label: id, shape: 'rect' });
+            if (label != null) Object.assign(chart.nodes.get(id), { label, shape });
+        };
+
+        lines.slice(1).forEach(line => {
+            if (/^(classDef|class|style|linkStyle|click|direction|subgraph|end)\b/.test(line)) return;
+            let pos = 0;
+            const group = () => {
+                const ids = [];
+                for (;;) {
+                    const node = this.readFlowchartNode(line, pos);
+                    if (!node) break;
+                    addNode(node);
+                    ids.push(node.id);
+                    pos = node.end;
+                    const more = /^(?::::[\w-]+)?\s*&\s*/.exec(line.slice(pos));
+                    if (!more) {
+                        pos += (/^:::[\w-]+/.exec(line.slice(pos)) || [''])[0].length;
+                        break;
+                    }
+                    pos += more[0].length;
+                }
+                return ids;
+            };
+
+            let from = group();
+            while (from.length > 0) {
+                const edge = this.FLOWCHART_EDGE.exec(line.slice(pos));
+                if (!edge) break;
+                pos += edge[0].length;
+                const to = group();
+                const arrow = edge[4];
+                const label = (edge[1] || edge[2] || edge[3] || edge[5] || '').trim().replace(/^"(.*)"$/, '$1');
+                from.forEach(a => to.forEach(b => chart.edges.push({
+                    from: a, to: b, label, dotted: arrow.includes('.'), thick: arrow.includes('='), head: /[>xo]$/.test(arrow)
+                })));
+                from = to;
+            }
+        });
+        return chart.nodes.size > 0 ? chart : null;
+    }
+
+    static readFlowchartNode(line, pos) {
+        const id = /^\s*([\p{L}\p{N}_]+)/u.exec(line.slice(pos));
+        if (!id) return null;
+        const start = pos + id[0].length;
+        for (const [open, close, shape] of this.FLOWCHART_SHAPES) {
+            if (!line.startsWith(open, start)) continue;
+            const stop = line.indexOf(close, start + open.length);
+            if (stop < 0) continue;
+            const label = line.slice(start + open.length, stop).trim().replace(/^"(.*)"$/, '$1');
+            return { id: id[1], label, shape, end: stop + close.length };
+        }
+        return { id: id[1], label: null, end: start };
+    }
+
+    /**
+     * Layered layout: ranks by longest path (edges that close a cycle are
+     * ignored), nodes ordered within a rank by their parents' positions
+     */
+    static layoutFlowchart(chart) {
+        const nodes = [...chart.nodes.values()];
+        const order = new Map(nodes.map((node, i) => [node.id, i]));
+        const outgoing = new Map(nodes.map(node => [node.id, []]));
+        chart.edges.forEach((edge, i) => outgoing.get(edge.from).push(i));
+
+        const visiting = new Map();
+        const back = new Set();
+        const visit = (id) => {
+            visiting.set(id, true);
+            outgoing.get(id).forEach(i => {
+                const to = chart.edges[i].to;
+                if (visiting.get(to) === true) back.add(i);
+                else if (!visiting.has(to)) visit(to);
+            });
+            visiting.set(id, false);
+        };
+        nodes.forEach(node => { if (!visiting.has(node.id)) visit(node.id); });
+
+        const rank = new Map(nodes.map(node => [node.id, 0]));
+        for (let pass = 0, changed = true; changed && pass <= nodes.length; pass++) {
+            changed = false;
+            chart.edges.forEach((edge, i) => {
+                if (back.has(i) || rank.get(edge.to) > rank.get(edge.from)) return;
+                rank.set(edge.to, rank.get(edge.from) + 1);
+                changed = true;
+            });
+        }
+
+        const layers = [];
+        nodes.forEach(node => (layers[rank.get(node.id)] = layers[rank.get(node.id)] || []).push(node));
+        const position = new Map();
+        layers.forEach(layer => {
+            layer.forEach((node, i) => {
+                const parents = chart.edges.filter(edge => edge.to === node.id && position.has(edge.from)).map(edge => position.get(edge.from));
+                node.weight = parents.length > 0 ? parents.reduce((a, b) => a + b, 0) / parents.length : i;
+            });
+            layer.sort((a, b) => a.weight - b.weight || order.get(a.id) - order.get(b.id));
+            layer.forEach((node, i) => position.set(node.id, i));
+        });
+
+        // Size nodes from their label (about 7.5px per character at 14px, wide scripts double)
+        nodes.forEach(node => {
+            node.lines = String(node.label).split(/<br\s*\/?>|\\n/i).map(line => line.trim());
+            const text = Math.max(...node.lines.map(line => [...line].reduce((w, c) => w + (/[\u1100-\uFFFF]/.test(c) ? 14 : 7.5), 0)));
+            node.w = Math.max(60, text + 28);
+            node.h = node.lines.length * 18 + 20;
+            if (node.shape === 'diamond') [node.w, node.h] = [node.w + text * 0.5 + 20, node.h + 24];
+            if (node.shape === 'hexagon' || node.shape === 'parallelogram' || node.shape === 'trapezoid') node.w += 24;
+            if (node.shape === 'circle') node.w = node.h = Math.max(node.w, node.h);
+        });
+
+        const margin = 16;
+        const rankGap = chart.edges.some(edge => edge.label) ? 64 : 48;
+        const nodeGap = 28;
+        const vertical = !['LR', 'RL'].includes(chart.direction);
+        const along = (node) => vertical ? node.h : node.w;
+        const across = (node) => vertical ? node.w : node.h;
+        const depths = layers.map(layer => Math.max(...layer.map(along)));
+        const spans = layers.map(layer => layer.reduce((sum, node) => sum + across(node), 0) + nodeGap * (layer.length - 1));
+        const span = Math.max(...spans);
+
+        let offset = margin;
+        layers.forEach((layer, r) => {
+            let cross = margin + (span - spans[r]) / 2;
+            layer.forEach(node => {
+                const [main, side] = [offset + depths[r] / 2, cross + across(node) / 2];
+                [node.x, node.y] = vertical ? [side, main] : [main, side];
+                cross += across(node) + nodeGap;
+            });
+            offset += depths[r] + rankGap;
+        });
+
+        const length = offset - rankGap + margin;
+        const [width, height] = vertical ? [span + margin * 2, length] : [length, span + margin * 2];
+        nodes.forEach(node => {
+            if (chart.direction === 'BT') node.y = height - node.y;
+            if (chart.direction === 'RL') node.x = width - node.x;
+        });
+        return { nodes, width, height, back };
+    }
+
+    /**
+     * Where the line from a node's centre towards (x, y) leaves its outline
+     */
+    static flowchartAnchor(node, x, y) {
+        const dx = x - node.x;
+        const dy = y - node.y;
+        if (!dx && !dy) return [node.x, node.y];
+        const t = node.shape === 'diamond' ? 1 / (Math.abs(dx) / (node.w / 2) + Math.abs(dy) / (node.h / 2))
+            : node.shape === 'circle' ? (node.w / 2) / Math.hypot(dx, dy)
+                : Math.min(dx ? (node.w / 2) / Math.abs(dx) : Infinity, dy ? (node.h / 2) / Math.abs(dy) : Infinity);
+        return [node.x + dx * t, node.y + dy * t];
+    }
+
+    static flowchartToSVG(chart, id) {
+        const { nodes, width, height, back } = this.layoutFlowchart(chart);
+        const e = (text) => this.escape(text);
+        const n = (value) => Math.round(value * 10) / 10;
+        const colors = { fill: '#eef2ff', stroke: '#6366f1', edge: '#475569', text: '#1e293b' };
+
+        const edges = chart.edges.map((edge, i) => {
+            const a = chart.nodes.get(edge.from);
+            const b = chart.nodes.get(edge.to);
+            const style = `stroke="${colors.edge}" stroke-width="${edge.thick ? 3 : 1.5}"${edge.dotted ? ' stroke-dasharray="5 4"' : ''} fill="none"`
+                + (edge.head ? ` marker-end="url(#${id}-arrow)"` : '');
+            let path;
+            let mid;
+            if (a === b) {
+                const x = a.x + a.w / 2;
+                path = `M${n(x)},${n(a.y - 6)} C${n(x + 40)},${n(a.y - 34)} ${n(x + 40)},${n(a.y + 34)} ${n(x)},${n(a.y + 6)}`;
+                mid = [x + 34, a.y];
+            } else {
+                const [x1, y1] = this.flowchartAnchor(a, b.x, b.y);
+                const [x2, y2] = this.flowchartAnchor(b, a.x, a.y);
+                if (back.has(i)) {
+                    // Edges closing a cycle bow out so they don't sit on the forward edge
+                    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+                    const [cx, cy] = [(x1 + x2) / 2 + ((y2 - y1) / length) * 40, (y1 + y2) / 2 - ((x2 - x1) / length) * 40];
+                    path = `M${n(x1)},${n(y1)} Q${n(cx)},${n(cy)} ${n(x2)},${n(y2)}`;
+                    mid = [(x1 + x2) / 4 + cx / 2, (y1 + y2) / 4 + cy / 2];
+                } else {
+                    path = `M${n(x1)},${n(y1)} L${n(x2)},${n(y2)}`;
+                    mid = [(x1 + x2) / 2, (y1 + y2) / 2];
+                }
+            }
+            let svg = `<path d="${path}" ${style}/>`;
+            if (edge.label) {
+                const w = [...edge.label].length * 7 + 10;
+                svg += `<rect x="${n(mid[0] - w / 2)}" y="${n(mid[1] - 10)}" width="${n(w)}" height="20" rx="3" fill="#ffffff" opacity="0.9"/>`
+                    + `<text x="${n(mid[0])}" y="${n(mid[1])}" font-size="12" fill="${colors.edge}" text-anchor="middle" dominant-baseline="central">${e(edge.label)}</text>`;
+            }
+            return svg;
+        }).join('');
+
+        const shapes = nodes.map(node => {
+            const [x, y, w, h] = [node.x - node.w / 2, node.y - node.h / 2, node.w, node.h];
+            const paint = `fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="1.5"`;
+            const points = (list) => `<polygon points="${list.map(([px, py]) => `${n(px)},${n(py)}`).join(' ')}" ${paint}/>`;
+            let shape;
+            switch (node.shape) {
+                case 'diamond':
+                    shape = points([[node.x, y], [x + w, node.y], [node.x, y + h], [x, node.y]]);
+                    break;
+                case 'hexagon':
+                    shape = points([[x + 12, y], [x + w - 12, y], [x + w, node.y], [x + w - 12, y + h], [x + 12, y + h], [x, node.y]]);
+                    break;
+                case 'parallelogram':
+                    shape = points([[x + 12, y], [x + w, y], [x + w - 12, y + h], [x, y + h]]);
+                    break;
+                case 'trapezoid':
+                    shape = points([[x + 12, y], [x + w - 12, y], [x + w, y + h], [x, y + h]]);
+                    break;
+                case 'flag':
+                    shape = points([[x, y], [x + w, y], [x + w, y + h], [x, y + h], [x + 12, node.y]]);
+                    break;
+                case 'circle':
+                    shape = `<circle cx="${n(node.x)}" cy="${n(node.y)}" r="${n(w / 2)}" ${paint}/>`;
+                    break;
+                default: {
+                    const radius = { round: 10, stadium: h / 2, cylinder: 12 }[node.shape] || 4;
+                    shape = `<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}" rx="${n(radius)}" ${paint}/>`;
+                    if (node.shape === 'subroutine') {
+                        shape += `<path d="M${n(x + 8)},${n(y)} V${n(y + h)} M${n(x + w - 8)},${n(y)} V${n(y + h)}" stroke="${colors.stroke}" stroke-width="1.5"/>`;
+                    }
+                }
+            }
+            const top = node.y - ((node.lines.length - 1) * 18) / 2;
+            const text = node.lines.map((line, i) =>
+                `<text x="${n(node.x)}" y="${n(top + i * 18)}" text-anchor="middle" dominant-baseline="central">${e(line)}</text>`).join('');
+            return `<g>${shape}${text}</g>`;
+        }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="flowchart" viewBox="0 0 ${n(width)} ${n(height)}" width="${n(width)}" height="${n(height)}"`
+            + ` role="img" aria-label="Flowchart" font-family="-apple-system, 'Segoe UI', sans-serif" font-size="14" fill="${colors.text}">`
+            + `<defs><marker id="${e(id)}-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">`
+            + `<path d="M0,0 L10,5 L0,10 z" fill="${colors.edge}"/></marker></defs>${edges}${shapes}</svg>`;
+    }
+
+    // ============================================
+    // PAGE ASSETS (inlined by the HTML template)
+    // ============================================
+
+    static STYLES = `.markdown { line-height: 1.6; overflow-wrap: break-word; }
+.markdown > :first-child { margin-top: 0; }
+.markdown > :last-child { margin-bottom: 0; }
+.markdown p, .markdown ul, .markdown ol, .markdown blockquote, .markdown .table-wrap,
+.markdown .code-block, .markdown .math-display, .markdown figure { margin: 0 0 12px; }
+.markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6 { margin: 18px 0 8px; line-height: 1.3; }
+.markdown h1 { font-size: 1.4em; }
+.markdown h2 { font-size: 1.25em; }
+.markdown h3 { font-size: 1.1em; }
+.markdown h4, .markdown h5, .markdown h6 { font-size: 1em; }
+.markdown ul, .markdown ol { padding-left: 24px; }
+.markdown li > ul, .markdown li > ol { margin: 4px 0; }
+.markdown li > p { margin-bottom: 6px; }
+.markdown .task-list-item { list-style: none; margin-left: -20px; }
+.markdown blockquote { padding: 4px 12px; border-left: 4px solid #cbd5e1; color: #475569; }
+.markdown hr { border: none; border-top: 1px solid #e2e8f0; margin: 16px 0; }
+.markdown a { color: #2563eb; }
+.markdown img { max-width: 100%; }
+.markdown code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; background: #e2e8f0; padding: 1px 5px; border-radius: 4px; }
+.markdown .table-wrap { overflow-x: auto; }
+.markdown table { border-collapse: collapse; width: 100%; font-size: 0.95em; }
+.markdown th, .markdown td { border: 1px solid #e2e8f0; padding: 6px 10px; text-align: left; vertical-align: top; }
+.markdown th { background: #f1f5f9; font-weight: 600; }
+.markdown tbody tr:nth-child(even) td { background: #f8fafc; }
+.code-block { border-radius: 8px; overflow: hidden; background: #0f172a; }
+.code-header { display: flex; justify-content: space-between; align-items: center; padding: 6px 12px; background: #1e293b; color: #94a3b8; font: 12px ui-monospace, Menlo, Consolas, monospace; }
+.copy-btn { border: 1px solid #334155; border-radius: 4px; background: transparent; color: #cbd5e1; padding: 2px 8px; font-size: 12px; cursor: pointer; }
+.copy-btn:hover { background: #334155; }
+.code-block pre { margin: 0; padding: 12px 14px; overflow-x: auto; }
+.code-block code { display: block; background: none; padding: 0; border-radius: 0; color: #e2e8f0; font-size: 13px; line-height: 1.5; white-space: pre; }
+.tok-keyword { color: #c792ea; }
+.tok-string { color: #c3e88d; }
+.tok-comment { color: #7f8ea3; font-style: italic; }
+.tok-number, .tok-literal { color: #f78c6c; }
+.tok-function { color: #82aaff; }
+.tok-property, .tok-tag { color: #89ddff; }
+.tok-variable, .tok-meta { color: #ffcb6b; }
+.tok-inserted { color: #86efac; }
+.tok-deleted { color: #fca5a5; }
+.math-display { overflow-x: auto; text-align: center; }
+.math-display math { font-size: 1.15em; }
+.mermaid { text-align: center; }
+.mermaid svg { max-width: 100%; height: auto; }
+.mermaid figcaption, .mermaid-source summary { font-size: 12px; color: #64748b; text-align: left; cursor: pointer; }
+.mermaid pre { text-align: left; background: #f1f5f9; padding: 10px; border-radius: 6px; overflow-x: auto; }
+@media print {
+    .copy-btn, .mermaid-source { display: none; }
+    .code-block code { white-space: pre-wrap; }
+}`;
+
+    // Copy buttons; written for any browser the export may be opened in
+    static SCRIPT = `document.addEventListener('click', function (event) {
+    var button = event.target.closest && event.target.closest('.copy-btn');
+    if (!button) return;
+    var code = button.closest('.code-block').querySelector('code').textContent;
+    var done = function () {
+        button.textContent = 'Copied!';
+        setTimeout(function () { button.textContent = 'Copy'; }, 1500);
+    };
+    var fallback = function () {
+        var area = document.createElement('textarea');
+        area.value = code;
+        document.body.appendChild(area);
+        area.select();
+        try { if (document.execCommand('copy')) done(); } catch (e) { /* copying unavailable */ }
+        document.body.removeChild(area);
+    };
+    if (navigator.clipboard && window.isSecureContext) navigator.clipboard.writeText(code).then(done, fallback);
+    else fallback();
+});`;
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
@@ -0,0 +1,329 @@
+// OmniExporter AI - Notion Blocks
+// Converts conversations and answer Markdown into Notion blocks for the
+// three Notion writers (dashboard, popup and auto-sync): headings,
+// bulleted/numbered lists, to-dos, code with its language, tables, equations
+// and quotes, with bold, italic, strikethrough, code, links, inline math and
+// [n] citation links kept as rich text annotations. Output stays within the
+// API limits: 2,000 characters per text object, 100 rich text items per
+// block and two levels of nesting per request. Toggles keep all of their
+// children; NotionPageSync appends those past the first 100.
+// Depends on markdown-renderer.js (block parser) and conversation-schema.js.
+
+class NotionBlocks {
+    static MAX_TEXT = 2000;
+    static MAX_ITEMS = 100;
+    static MAX_EQUATION = 1000;
+
+    /**
+     * Notion blocks for markdown. `depth` is how many levels of children
+     * the returned blocks may carry: 2 at page level, 1 inside a toggle.
+     * Content nested deeper is lifted to the last level allowed.
+     */
+    static fromMarkdown(markdown, { citations = [], depth = 2 } = {}) {
+        return this.convert(MarkdownRenderer.parse(markdown), citations, depth);
+    }
+
+    /**
+     * Page content of a conversation for NotionPageSync.save: a header
+     * (`note` callout and divider) and one block list per turn with the
+     * question, reasoning and variant toggles, the answer, sources and
+     * related questions. `complete` is false while the last turn has no answer.
+     */
+    static fromConversation(data, platform, { note = null } = {}) {
+        const entries = ConversationSchema.toTurns(ConversationSchema.from(data, { platform }));
+        const text = (content, annotations) => ({ type: 'text', text: { content }, ...(annotations ? { annotations } : {}) });
+        // Long questions are split into 2,000-character text items, not cut
+        const heading = (type, content) => this.textBlocks(type, this.chunks(content).map(chunk => text(chunk)));
+        const toggle = (label, markdown) => ({
+            type: 'toggle',
+            toggle: { rich_text: [text(label)], children: this.fromMarkdown(markdown, { depth: 1 }) }
+        });
+        const bullet = (content, url) => ({
+            type: 'bulleted_list_item',
+            bulleted_list_item: { rich_text: [{ type: 'text', text: { content, ...(url ? { link: { url } } : {}) } }] }
+        });
+
+        const header = [
+            {
+                type: 'callout',
+                callout: {
+                    icon: { emoji: '🤖' },
+                    color: 'blue_background',
+                    rich_text: [text(note || `Exported from ${platform} on ${new Date().toLocaleString()}`)]
+                }
+            },
+            { type: 'divider', divider: {} }
+        ];
+
+        const turns = entries.map(entry => {
+            const children = [];
+            if (entry.query) children.push(...heading('heading_2', `🙋 ${entry.query}`));
+            if (entry.reasoning) children.push(toggle('🧠 Reasoning', entry.reasoning));
+            if (entry.answer.trim()) children.push(...this.fromMarkdown(entry.answer.trim(), { citations: entry.citations }));
+            entry.variants.forEach(variant => children.push(toggle(`🔀 ${variant.label}`, ConversationSchema.variantText(variant))));
+            if (entry.incomplete) {
+                children.push({
+                    type: 'paragraph',
+                    paragraph: { rich_text: [text('⚠️ No response (interrupted or unanswered)', { italic: true, color: 'gray' })] }
+                });
+            }
+
+            const sources = entry.sources.filter((s, i, all) => s.url && i === all.findIndex(x => x.url === s.url));
+            if (sources.length > 0) {
+                children.push(...heading('heading_3', '📚 Sources'));
+                sources.slice(0, 10).forEach(s => children.push(bullet(String(s.title || s.url).slice(0, 200), s.url)));
+            }
+            if (entry.relatedQueries.length > 0) {
+                children.push(...heading('heading_3', '🔗 Related Questions'));
+                entry.relatedQueries.slice(0, 5).forEach(q => children.push(bullet(q.slice(0, 200))));
+            }
+            return children;
+        });
+
+        return { header, turns, complete: !entries[entries.length - 1]?.incomplete };
+    }
+
+    static convert(blocks, citations, depth) {
+        const out = [];
+        blocks.forEach(block => {
+            switch (block.type) {
+                case 'paragraph':
+                    out.push(...this.textBlocks('paragraph', this.richText(block.text, citations)));
+                    break;
+                case 'heading':
+                    out.push(...this.textBlocks(`heading_${Math.min(block.level, 3)}`, this.richText(block.text, citations)));
+                    break;
+                case 'code':
+                    out.push(...this.code(block.text, block.language));
+                    break;
+                case 'math':
+                    out.push(...(block.text.length <= this.MAX_EQUATION
+                        ? [{ type: 'equation', equation: { expression: block.text } }]
+                        : this.code(block.text, 'latex')));
+                    break;
+                case 'table':
+                    out.push(...this.table(block, citations, depth));
+                    break;
+                case 'quote': {
+                    const [first, ...rest] = block.children;
+                    const lead = first?.type === 'paragraph';
+                    const quote = this.textBlocks('quote', lead ? this.richText(first.text, citations) : []);
+                    out.push(...this.nest(quote, lead ? rest : block.children, citations, depth));
+                    break;
+                }
+                case 'list':
+                    block.items.forEach(item => {
+                        const [first, ...rest] = item.children;
+                        const lead = first?.type === 'paragraph';
+                        const type = item.task !== null ? 'to_do' : block.ordered ? 'numbered_list_item' : 'bulleted_list_item';
+                        const blocks = this.textBlocks(type, lead ? this.richText(first.text, citations) : [],
+                            item.task !== null ? { checked: item.task } : {});
+                        out.push(...this.nest(blocks, lead ? rest : item.children, citations, depth));
+                    });
+                    break;
+                default:
+                    out.push({ type: 'divider', divider: {} });
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Attach `children` to the last of `blocks`, or place them after it
+     * when no nesting level is left
+     */
+    static nest(blocks, children, citations, depth) {
+        if (children.length === 0) return blocks;
+        if (depth === 0) return [...blocks, ...this.convert(children, citations, 0)];
+
+        const converted = this.convert(children, citations, depth - 1);
+        const last = blocks[blocks.length - 1];
+        last[last.type].children = converted.slice(0, this.MAX_ITEMS);
+        return [...blocks, ...converted.slice(this.MAX_ITEMS)];
+    }
+
+    /**
+     * Blocks of one type for a rich text run, split every 100 items
+     */
+    static textBlocks(type, richText, extra = {}) {
+        const blocks = [];
+        for (let i = 0; i === 0 || i < richText.length; i += this.MAX_ITEMS) {
+            blocks.push({ type, [type]: { rich_text: richText.slice(i, i + this.MAX_ITEMS), ...extra } });
+        }
+        return blocks;
+    }
+
+    static code(text, language) {
+        const chunks = this.chunks(text).map(content => ({ type: 'text', text: { content } }));
+        return this.textBlocks('code', chunks, { language: this.language(language) });
+    }
+
+    /**
+     * Table blocks are created with their rows, so each holds at most 99 body
+     * rows (the header is repeated). With no nesting level left the table is
+     * kept as plain-text code instead.
+     */
+    static table({ header, rows }, citations, depth) {
+        if (depth === 0) {
+            return this.code([header, ...rows].map(row => `| ${header.map((_, n) => row[n] || '').join(' | ')} |`).join('\n'), '');
+        }
+
+        const row = (cells) => ({
+            type: 'table_row',
+            table_row: { cells: header.map((_, n) => this.richText(cells[n] || '', citations).slice(0, this.MAX_ITEMS)) }
+        });
+        const tables = [];
+        for (let i = 0; i === 0 || i < rows.length; i += this.MAX_ITEMS - 1) {
+            tables.push({
+                type: 'table',
+                table: {
+                    table_width: header.length,
+                    has_column_header: true,
+                    has_row_header: false,
+                    children: [row(header), ...rows.slice(i, i + this.MAX_ITEMS - 1).map(row)]
+                }
+            });
+        }
+        return tables;
+    }
+
+    // ============================================
+    // RICH TEXT
+    // ============================================
+
+    // Link destinations parse as in markdown-renderer.js (balanced parentheses)
+    static INLINE = new RegExp(/(?<ticks>`+)(?<code>[\s\S]*?[^`])\k<ticks>(?!`)|\\\((?<parenMath>[\s\S]+?)\\\)|(?<![\\$\w])\$(?=[^\s$])(?<math>(?:\\.|[^$\\\n])+?)(?<=[^\s\\])\$(?![\d$])|\\(?<escaped>[!-/:-@[-`{-~])|!?\[(?<label>(?:\\.|[^\]\\])+)\]\(\s*(?<href>LINK_DESTINATION)(?:\s+"[^"]*")?\s*\)|<(?<autolink>(?:https?|mailto):[^\s<>]+)>|(?<![\w/])(?<url>https?:\/\/[^\s<>"']*[^\s<>"'.,;:!?)\]*_~])|(?<stars>\*{1,3})(?=[^\s*])(?<starred>[\s\S]*?[^\s*])\k<stars>(?!\*)|(?<![\p{L}\p{N}_])(?<unders>_{1,2})(?=\S)(?<underlined>[\s\S]*?\S)\k<unders>(?![\p{L}\p{N}_])|~~(?=\S)(?<struck>[\s\S]*?\S)~~/gu.source.replace('LINK_DESTINATION', MarkdownRenderer.LINK_DESTINATION), 'gu');
+
+    /**
+     * Inline markdown to a Notion rich_text array. Adjacent runs with the
+     * same formatting are merged; long runs are split at 2,000 characters.
+     */
+    static richText(text, citations = []) {
+        const items = [];
+        let previous = null;
+
+        this.inline(String(text ?? '').replace(/ {2,}\n/g, '\n'), {}, citations).forEach(({ text: content, marks, equation }) => {
+            if (equation !== undefined && equation.length <= this.MAX_EQUATION) {
+                items.push({ type: 'equation', equation: { expression: equation } });
+                previous = null;
+                return;
+            }
+            if (equation !== undefined) {
+                content = equation;
+                marks = { ...marks, code: true };
+            }
+
+            const url = marks.link && marks.link.length <= this.MAX_TEXT && /^(https?:\/\/|mailto:)/i.test(marks.link) ? marks.link : null;
+            const annotations = {};
+            ['bold', 'italic', 'strikethrough', 'code'].forEach(key => { if (marks[key]) annotations[key] = true; });
+            const key = JSON.stringify([url, annotations]);
+
+            if (previous?.key === key && previous.item.text.content.length + content.length <= this.MAX_TEXT) {
+                previous.item.text.content += content;
+                return;
+            }
+            this.chunks(content).forEach(chunk => {
+                const item = { type: 'text', text: url ? { content: chunk, link: { url } } : { content: chunk } };
+                if (Object.keys(annotations).length > 0) item.annotations = { ...annotations };
+                items.push(item);
+                previous = { key, item };
+            });
+        });
+        return items;
+    }
+
+    /**
+     * Inline markdown to runs of { text, marks } or { equation }
+     */
+    static inline(text, marks, citations) {
+        const runs = [];
+        const plain = (value) => {
+            ConversationSchema.splitCitationMarkers(value, citations).forEach(segment => {
+                runs.push({ text: segment.text, marks: segment.citation ? { ...marks, link: segment.citation.url } : marks });
+            });
+        };
+
+        let last = 0;
+        for (const match of text.matchAll(this.INLINE)) {
+            const g = match.groups;
+            plain(text.slice(last, match.index));
+            last = match.index + match[0].length;
+
+            if (g.code !== undefined) {
+                const code = g.code.replace(/^ (.*[^ ].*) $/s, '$1');
+                runs.push({ text: code, marks: { ...marks, code: true } });
+            } else if (g.math !== undefined || g.parenMath !== undefined) {
+                runs.push({ equation: (g.math ?? g.parenMath).trim(), marks });
+            } else if (g.escaped !== undefined) {
+                runs.push({ text: g.escaped, marks });
+            } else if (g.label !== undefined) {
+                runs.push(...this.inline(g.label, { ...marks, link: MarkdownRenderer.linkDestination(g.href) }, []));
+            } else if (g.autolink !== undefined || g.url !== undefined) {
+                const url = g.autolink ?? g.url;
+                runs.push({ text: url, marks: { ...marks, link: url } });
+            } else if (g.stars !== undefined) {
+                const strong = g.stars.length >= 2;
+                const em = g.stars.length !== 2;
+                runs.push(...this.inline(g.starred, { ...marks, ...(strong && { bold: true }), ...(em && { italic: true }) }, citations));
+            } else if (g.unders !== undefined) {
+                runs.push(...this.inline(g.underlined, { ...marks, [g.unders.length === 2 ? 'bold' : 'italic']: true }, citations));
+            } else {
+                runs.push(...this.inline(g.struck, { ...marks, strikethrough: true }, citations));
+            }
+        }
+        plain(text.slice(last));
+        return runs;
+    }
+
+    /**
+     * Split text into pieces of at most `size` characters without breaking
+     * surrogate pairs
+     */
+    static chunks(text, size = this.MAX_TEXT) {
+        const chunks = [];
+        for (let i = 0; i < text.length;) {
+            let end = Math.min(i + size, text.length);
+            if (end < text.length && /[\uDC00-\uDFFF]/.test(text[end])) end--;
+            chunks.push(text.slice(i, end));
+            i = end;
+        }
+        return chunks;
+    }
+
+    // ============================================
+    // CODE LANGUAGES
+    // ============================================
+
+    static LANGUAGES = new Set(['abap', 'arduino', 'bash', 'basic', 'c', 'clojure', 'coffeescript', 'c++', 'c#', 'css', 'dart', 'diff',
+        'docker', 'elixir', 'elm', 'erlang', 'flow', 'fortran', 'f#', 'gherkin', 'glsl', 'go', 'graphql', 'groovy', 'haskell', 'html',
+        'java', 'javascript', 'json', 'julia', 'kotlin', 'latex', 'less', 'lisp', 'livescript', 'lua', 'makefile', 'markdown', 'markup',
+        'matlab', 'mermaid', 'nix', 'objective-c', 'ocaml', 'pascal', 'perl', 'php', 'plain text', 'powershell', 'prolog', 'protobuf',
+        'python', 'r', 'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss', 'shell', 'sql', 'swift', 'typescript', 'vb.net',
+        'verilog', 'vhdl', 'visual basic', 'webassembly', 'xml', 'yaml']);
+
+    static LANGUAGE_ALIASES = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', node: 'javascript', ts: 'typescript', tsx: 'typescript',
+        py: 'python', python3: 'python', rb: 'ruby', rs: 'rust', golang: 'go', kt: 'kotlin', kts: 'kotlin',
+        cpp: 'c++', cc: 'c++', cxx: 'c++', hpp: 'c++', h: 'c', cs: 'c#', csharp: 'c#', fs: 'f#', fsharp: 'f#',
+        sh: 'shell', zsh: 'shell', console: 'shell', terminal: 'shell', ps: 'powershell', ps1: 'powershell', pwsh: 'powershell',
+        dockerfile: 'docker', make: 'makefile', md: 'markdown', tex: 'latex', math: 'latex', yml: 'yaml', svg: 'xml',
+        htm: 'html', vue: 'html', jsonc: 'json', json5: 'json', objc: 'objective-c', 'objective-c++': 'objective-c',
+        patch: 'diff', proto: 'protobuf', vb: 'visual basic', wasm: 'webassembly', text: 'plain text', txt: 'plain text',
+        plaintext: 'plain text', postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql', ml: 'ocaml', hs: 'haskell',
+        clj: 'clojure', ex: 'elixir', exs: 'elixir', erl: 'erlang', pl: 'perl', jl: 'julia'
+    };
+
+    /**
+     * Notion's code language for a fence info string ('plain text' if unknown)
+     */
+    static language(name) {
+        const key = String(name || '').toLowerCase();
+        const language = this.LANGUAGE_ALIASES[key] || key;
+        return this.LANGUAGES.has(language) ? language : 'plain text';
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotionBlocks;
+}
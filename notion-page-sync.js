@@ -0,0 +1,350 @@
+// OmniExporter AI - Notion Page Sync
+// One Notion page per thread: re-syncs update the page created before
+// instead of adding a duplicate. Pages are found through a stored
+// thread -> page map (notionPageMap), falling back to a database query on
+// the Thread ID / UUID / URL columns. An update either appends the turns
+// added since the last sync or rewrites the page body (notionResyncMode).
+// Pages go to the export database or, with the parent-page destination,
+// become sub-pages of a chosen page, optionally filed under one sub-page
+// per platform or Space (notionPageGrouping).
+// Used by the dashboard, popup and auto-sync Notion writers.
+
+class NotionPageSync {
+    static STORAGE_KEY = 'notionPageMap';
+    static API = 'https://api.notion.com/v1';
+
+    // Per request: 100 blocks in a children array, 1,000 blocks in all
+    // (nested ones included) and a 500 KB body, kept with some margin
+    static MAX_CHILDREN = 100;
+    static MAX_REQUEST_BLOCKS = 1000;
+    static MAX_REQUEST_BYTES = 400000;
+
+    /**
+     * Storage keys describing where pages go (see destination())
+     */
+    static SETTINGS = ['notionDestination', 'notionDbId', 'notionParentPageId', 'notionPageGrouping'];
+
+    /**
+     * Pages are created in `databaseId`, or under the page `pageId` when no
+     * database is given. `send(request)` wraps every fetch (rate limiting,
+     * retries) and `mapError(body)` turns a Notion error body into a message
+     */
+    constructor({ token, databaseId = null, pageId = null, send = (request) => request(), mapError = (body) => body?.message || 'Unknown Notion error' }) {
+        this.token = token;
+        this.databaseId = databaseId;
+        this.pageId = pageId;
+        this.send = send;
+        this.mapError = mapError;
+        this.subPages = new Map();
+    }
+
+    /**
+     * Create the thread's page or update the one synced before. `header`
+     * holds the blocks above the conversation, `turns` one block list per
+     * turn (joined by dividers) and `complete` whether the last turn has
+     * its answer. Pages found only by lookup, ending on an unanswered turn
+     * or holding more turns than the thread now has are rewritten even in
+     * append mode. Under a parent page, `group` names the sub-page the
+     * thread is filed under and only the title property is kept.
+     * Resolves to { page, action: 'created' | 'appended' | 'rewritten' }.
+     */
+    async save(uuid, { properties, header = [], turns = [], complete = true, mode = 'append', schema = null, threadUpdatedAt = null, group = null }) {
+        const parent = await this.parent(group);
+        if (!this.databaseId) properties = NotionPageSync.titleProperty(properties);
+        const existing = uuid ? await this.find(uuid, schema, parent) : null;
+        let page;
+        let action;
+
+        if (!existing) {
+            const batches = NotionPageSync.batches([...header, ...NotionPageSync.joinTurns(turns)]);
+            // Page creation does not return block ids, so a first batch with
+            // children to add afterwards is appended instead
+            const inline = batches.length > 0 && batches[0].deferred.size === 0 ? batches.shift().blocks : [];
+            page = await this.request('POST', '/pages', { parent, properties, children: inline });
+            await this.appendBatches(page.id, batches);
+            action = 'created';
+        } else {
+            page = await this.request('PATCH', `/pages/${existing.pageId}`, { properties });
+            if (mode !== 'rewrite' && existing.turns !== null && existing.complete && existing.turns <= turns.length) {
+                const added = turns.slice(existing.turns);
+                if (added.length > 0) await this.append(page.id, [NotionPageSync.divider(), ...NotionPageSync.joinTurns(added)]);
+                action = 'appended';
+            } else {
+                await this.clear(page.id);
+                await this.append(page.id, [...header, ...NotionPageSync.joinTurns(turns)]);
+                action = 'rewritten';
+            }
+        }
+
+        if (uuid) {
+            await NotionPageSync.remember(uuid, { pageId: page.id, turns: turns.length, complete, threadUpdatedAt });
+        }
+        return { page, action };
+    }
+
+    /**
+     * The thread's live page under `parent` (default: this database):
+     * { pageId, turns, complete } from the map, or { pageId, turns: null }
+     * from a database lookup; null if none. A mapped sub-page now under
+     * the wrong page is archived.
+     */
+    async find(uuid, schema = null, parent = { database_id: this.databaseId }) {
+        const known = (await NotionPageSync.pageMap())[uuid];
+        const parentId = parent.database_id || parent.page_id;
+        if (known) {
+            try {
+                const page = await this.request('GET', `/pages/${known.pageId}`);
+                const pageParent = page.parent?.database_id || page.parent?.page_id;
+                if (!page.archived && !page.in_trash) {
+                    if (NotionPageSync.sameId(pageParent, parentId)) return known;
+                    // Filed under another page before the parent page or grouping
+                    // changed; the API cannot move pages, so the old one is archived
+                    // and the thread gets a new page
+                    if (parent.page_id && page.parent?.page_id) {
+                        await this.request('PATCH', `/pages/${known.pageId}`, { archived: true });
+                    }
+                }
+            } catch (error) {
+                // Deleted for good or no longer shared with the integration
+                if (error.status !== 404) throw error;
+            }
+        }
+        // Sub-pages of a page cannot be queried by column
+        if (!parent.database_id) return null;
+
+        const filter = NotionPageSync.lookupFilter(uuid, schema || await this.request('GET', `/databases/${this.databaseId}`));
+        if (!filter) return null;
+        const { results = [] } = await this.request('POST', `/databases/${this.databaseId}/query`, { filter, page_size: 1 });
+        return results[0] ? { pageId: results[0].id, turns: null, complete: false } : null;
+    }
+
+    /**
+     * Parent of a new page: the database, the parent page, or the parent
+     * page's sub-page named `group`
+     */
+    async parent(group = null) {
+        if (this.databaseId) return { database_id: this.databaseId };
+        if (!this.pageId) throw new Error('No Notion database or parent page configured');
+        return { page_id: group ? await this.subPage(group) : this.pageId };
+    }
+
+    /**
+     * Id of the parent page's sub-page titled `title`, created if missing
+     */
+    async subPage(title) {
+        title = String(title).slice(0, 200);
+        if (this.subPages.has(title)) return this.subPages.get(title);
+
+        let id = null;
+        let cursor = null;
+        do {
+            const query = `page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ''}`;
+            const result = await this.request('GET', `/blocks/${this.pageId}/children?${query}`);
+            id = (result.results || []).find(block => block.type === 'child_page' && block.child_page?.title === title)?.id || null;
+            cursor = !id && result.has_more ? result.next_cursor : null;
+        } while (cursor);
+
+        if (!id) {
+            const page = await this.request('POST', '/pages', {
+                parent: { page_id: this.pageId },
+                properties: { title: [{ type: 'text', text: { content: title } }] }
+            });
+            id = page.id;
+        }
+        this.subPages.set(title, id);
+        return id;
+    }
+
+    /**
+     * Append blocks in request-sized batches (see batches())
+     */
+    async append(parentId, blocks) {
+        await this.appendBatches(parentId, NotionPageSync.batches(blocks));
+    }
+
+    async appendBatches(parentId, batches) {
+        for (const batch of batches) {
+            const { results = [] } = await this.request('PATCH', `/blocks/${parentId}/children`, { children: batch.blocks });
+            for (const [index, children] of batch.deferred) await this.append(results[index].id, children);
+        }
+    }
+
+    /**
+     * Delete every top-level block of a page (their children go with them)
+     */
+    async clear(pageId) {
+        const ids = [];
+        let cursor = null;
+        do {
+            const query = `page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ''}`;
+            const result = await this.request('GET', `/blocks/${pageId}/children?${query}`);
+            ids.push(...(result.results || []).map(block => block.id));
+            cursor = result.has_more ? result.next_cursor : null;
+        } while (cursor);
+
+        for (const id of ids) await this.request('DELETE', `/blocks/${id}`);
+    }
+
+    async request(method, path, body = null) {
+        const response = await this.send(() => fetch(`${NotionPageSync.API}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                'Content-Type': 'application/json',
+                'Notion-Version': '2022-06-28'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        }));
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(this.mapError(result));
+            error.status = response.status;
+            error.code = result.code;
+            throw error;
+        }
+        return result;
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    static divider() {
+        return { type: 'divider', divider: {} };
+    }
+
+    static joinTurns(turns) {
+        return turns.flatMap((blocks, i) => (i > 0 ? [this.divider(), ...blocks] : blocks));
+    }
+
+    /**
+     * Split top-level blocks into requests within the limits above, counting
+     * nested children. Children past the first 100, or all of them when a
+     * block is too large on its own, are appended to it afterwards:
+     * [{ blocks, deferred: Map(index in blocks -> children) }]
+     */
+    static batches(blocks) {
+        const batches = [];
+        let current = null;
+        const withChildren = (block, children) => {
+            const content = { ...block[block.type] };
+            if (children.length > 0) content.children = children;
+            else delete content.children;
+            return { ...block, [block.type]: content };
+        };
+
+        blocks.forEach(block => {
+            let deferred = null;
+            // Tables must be created with their rows (at most 100, so they always fit)
+            const children = block.type === 'table' ? [] : block[block.type]?.children || [];
+            if (children.length > this.MAX_CHILDREN) {
+                block = withChildren(block, children.slice(0, this.MAX_CHILDREN));
+                deferred = children.slice(this.MAX_CHILDREN);
+            }
+            let count = this.countBlocks(block);
+            let bytes = this.byteSize(block);
+            if ((count > this.MAX_REQUEST_BLOCKS || bytes > this.MAX_REQUEST_BYTES) && block.type !== 'table') {
+                deferred = [...(block[block.type].children || []), ...(deferred || [])];
+                block = withChildren(block, []);
+                count = 1;
+                bytes = this.byteSize(block);
+            }
+
+            if (!current || current.blocks.length >= this.MAX_CHILDREN ||
+                current.count + count > this.MAX_REQUEST_BLOCKS || current.bytes + bytes > this.MAX_REQUEST_BYTES) {
+                current = { blocks: [], deferred: new Map(), count: 0, bytes: 0 };
+                batches.push(current);
+            }
+            if (deferred?.length) current.deferred.set(current.blocks.length, deferred);
+            current.blocks.push(block);
+            current.count += count;
+            current.bytes += bytes;
+        });
+
+        return batches.map(({ blocks, deferred }) => ({ blocks, deferred }));
+    }
+
+    /**
+     * A block plus all of its nested children
+     */
+    static countBlocks(block) {
+        return 1 + (block[block.type]?.children || []).reduce((n, child) => n + this.countBlocks(child), 0);
+    }
+
+    static byteSize(block) {
+        return new TextEncoder().encode(JSON.stringify(block)).length;
+    }
+
+    /**
+     * Database page properties reduced to the title, the only property of
+     * a page under another page
+     */
+    static titleProperty(properties) {
+        const title = Object.values(properties || {}).find(value => Array.isArray(value?.title));
+        return { title: title ? title.title : [] };
+    }
+
+    /**
+     * Where pages go, from the SETTINGS keys: { databaseId, pageId, grouping }
+     * with exactly one of databaseId / pageId set, or both null when the
+     * chosen destination is not configured
+     */
+    static destination(settings = {}) {
+        if (settings.notionDestination === 'page') {
+            return { databaseId: null, pageId: settings.notionParentPageId || null, grouping: settings.notionPageGrouping || 'none' };
+        }
+        return { databaseId: settings.notionDbId || null, pageId: null, grouping: 'none' };
+    }
+
+    /**
+     * Database query filter matching the thread's Thread ID / UUID text or
+     * URL column, whichever the database has; null if none
+     */
+    static lookupFilter(uuid, schema) {
+        const columns = schema?.properties || {};
+        const filters = [];
+        ['Thread ID', 'UUID'].forEach(name => {
+            if (columns[name]?.type === 'rich_text') filters.push({ property: name, rich_text: { equals: uuid } });
+        });
+        if (columns.URL?.type === 'url') filters.push({ property: 'URL', url: { contains: uuid } });
+
+        if (!uuid || filters.length === 0) return null;
+        return filters.length === 1 ? filters[0] : { or: filters };
+    }
+
+    static sameId(a, b) {
+        const normalize = (id) => String(id || '').replace(/-/g, '').toLowerCase();
+        return normalize(a) === normalize(b);
+    }
+
+    // ============================================
+    // PAGE MAP (chrome.storage.local)
+    // ============================================
+
+    /**
+     * { [uuid]: { pageId, turns, complete, threadUpdatedAt, syncedAt } }
+     */
+    static async pageMap() {
+        const { [this.STORAGE_KEY]: map = {} } = await chrome.storage.local.get(this.STORAGE_KEY);
+        return map;
+    }
+
+    static async remember(uuid, entry) {
+        const map = await this.pageMap();
+        map[uuid] = { ...entry, syncedAt: new Date().toISOString() };
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: map });
+    }
+
+    /**
+     * Whether a synced thread changed since, judged by its thread-list
+     * timestamp (last_query_datetime)
+     */
+    static isStale(entry, listedUpdatedAt) {
+        return !!(entry && listedUpdatedAt && entry.threadUpdatedAt && entry.threadUpdatedAt !== listedUpdatedAt);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotionPageSync;
+}
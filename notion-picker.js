@@ -1,5 +1,6 @@
 // OmniExporter AI - Notion Workspace Picker
-// Visual workspace/database selector for Notion integration
+// Visual workspace/database selector for Notion integration; in page mode
+// it picks the parent page of the parent-page export destination
 
 class NotionPicker {
     static modal = null;
@@ -9,9 +10,20 @@ class NotionPicker {
     static selectedDatabase = null;
     static isLoading = false;
     static onSelect = null;
+    static type = 'database';
 
-    static async show(apiKey, onSelect) {
+    static LABELS = {
+        database: { heading: '📚 Select Notion Database', plural: 'databases', icon: '📊', untitled: 'Untitled Database' },
+        page: { heading: '📄 Select Parent Page', plural: 'pages', icon: '📄', untitled: 'Untitled Page' }
+    };
+
+    /**
+     * `type` is 'database' or 'page'; onSelect receives { id, title, type }
+     */
+    static async show(apiKey, onSelect, { type = 'database' } = {}) {
         this.onSelect = onSelect;
+        this.type = type === 'page' ? 'page' : 'database';
+        this.selectedDatabase = null;
         this.createModal();
         this.showModal();
 
@@ -25,21 +37,22 @@ class NotionPicker {
         this.modal = document.createElement('div');
         this.modal.id = 'notion-picker-modal';
         this.modal.className = 'notion-picker-overlay';
+        const labels = this.LABELS[this.type];
         this.modal.innerHTML = `
             <div class="notion-picker-container">
                 <div class="notion-picker-header">
-                    <h3>📚 Select Notion Database</h3>
+                    <h3>${labels.heading}</h3>
                     <button class="notion-picker-close" id="notion-picker-close">&times;</button>
                 </div>
                 
                 <div class="notion-picker-search">
-                    <input type="text" id="notion-picker-search" placeholder="Search databases..." />
+                    <input type="text" id="notion-picker-search" placeholder="Search ${labels.plural}..." />
                 </div>
                 
                 <div class="notion-picker-content" id="notion-picker-content">
                     <div class="notion-picker-loading">
                         <div class="notion-picker-spinner"></div>
-                        <span>Loading databases...</span>
+                        <span>Loading ${labels.plural}...</span>
                     </div>
                 </div>
                 
@@ -85,7 +98,7 @@ class NotionPicker {
         const content = document.getElementById('notion-picker-content');
 
         try {
-            // Fetch databases from Notion API
+            // Fetch databases (or pages) from Notion API
             const response = await fetch('https://api.notion.com/v1/search', {
                 method: 'POST',
                 headers: {
@@ -94,14 +107,14 @@ class NotionPicker {
                     'Notion-Version': '2022-06-28'
                 },
                 body: JSON.stringify({
-                    filter: { property: 'object', value: 'database' },
-                    page_size: 50
+                    filter: { property: 'object', value: this.type },
+                    page_size: this.type === 'page' ? 100 : 50
                 })
             });
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.message || 'Failed to fetch databases');
+                throw new Error(error.message || `Failed to fetch ${this.LABELS[this.type].plural}`);
             }
 
             const data = await response.json();
@@ -127,17 +140,20 @@ class NotionPicker {
     }
 
     static getDatabaseTitle(db) {
-        const titleProp = db.title || [];
+        // Pages keep their title in the title-type property
+        const titleProp = db.object === 'page'
+            ? Object.values(db.properties || {}).find(p => p.type === 'title')?.title || []
+            : db.title || [];
         if (titleProp.length > 0) {
             return titleProp.map(t => t.plain_text || '').join('');
         }
-        return 'Untitled Database';
+        return this.LABELS[this.type].untitled;
     }
 
     static getDatabaseIcon(db) {
         if (db.icon?.type === 'emoji') return db.icon.emoji;
         if (db.icon?.type === 'external') return '🔗';
-        return '📊';
+        return this.LABELS[this.type].icon;
     }
 
     static renderDatabases(databases) {
@@ -147,8 +163,8 @@ class NotionPicker {
             content.innerHTML = `
                 <div class="notion-picker-empty">
                     <span>📭</span>
-                    <p>No databases found</p>
-                    <small>Make sure your integration has access to at least one database</small>
+                    <p>No ${this.LABELS[this.type].plural} found</p>
+                    <small>Make sure your integration has access to at least one ${this.type}</small>
                 </div>
             `;
             return;
@@ -157,7 +173,7 @@ class NotionPicker {
         content.innerHTML = `
             <div class="notion-picker-list">
                 ${databases.map(db => `
-                    <div class="notion-picker-item" data-id="${db.id}" data-title="${db.title}">
+                    <div class="notion-picker-item" data-id="${db.id}">
                         <span class="item-icon">${db.icon}</span>
                         <div class="item-info">
                             <span class="item-title">${this.escapeHtml(db.title)}</span>
@@ -176,9 +192,11 @@ class NotionPicker {
                 content.querySelectorAll('.notion-picker-item').forEach(i => i.classList.remove('selected'));
                 // Add selection
                 item.classList.add('selected');
+                const id = item.getAttribute('data-id');
                 this.selectedDatabase = {
-                    id: item.getAttribute('data-id'),
-                    title: item.getAttribute('data-title')
+                    id,
+                    title: this.databases.find(db => db.id === id)?.title || '',
+                    type: this.type
                 };
                 // Enable confirm button
                 document.getElementById('notion-picker-confirm').disabled = false;
@@ -0,0 +1,290 @@
+// OmniExporter AI - Notion Schema
+// Columns of the export database and how a conversation fills them. The
+// same table creates the database on connection, repairs an existing one
+// (missing columns and Platform options added through the databases PATCH
+// API) and builds page properties for the dashboard, popup and auto-sync
+// Notion writers. Fields go to their default column or the one chosen in
+// Settings → Notion Property Mapping (notionPropertyMap), and a column only
+// receives a value when the database has it with a compatible type.
+// Depends on conversation-schema.js.
+
+class NotionSchema {
+    static PLATFORMS = [
+        { name: 'Perplexity', color: 'blue' },
+        { name: 'ChatGPT', color: 'green' },
+        { name: 'Claude', color: 'orange' },
+        { name: 'Gemini', color: 'purple' },
+        { name: 'Grok', color: 'red' },
+        { name: 'DeepSeek', color: 'pink' }
+    ];
+
+    static THREAD_URLS = {
+        'Perplexity': (id) => `https://www.perplexity.ai/search/${id}`,
+        'ChatGPT': (id) => `https://chatgpt.com/c/${id}`,
+        'Claude': (id) => `https://claude.ai/chat/${id}`,
+        'Gemini': (id) => `https://gemini.google.com/app/${id}`,
+        'Grok': (id) => `https://grok.com/conversation/${id}`,
+        'DeepSeek': (id) => `https://chat.deepseek.com/c/${id}`
+    };
+
+    /**
+     * Export fields: label, default column name, the type a repair creates
+     * and the kind of value, which decides the column types that can hold
+     * it (KINDS). `provision: false` fields are filled when the column
+     * exists but never added.
+     */
+    static FIELDS = {
+        title: { label: 'Title', column: null, type: 'title', kind: 'title', provision: false },
+        platform: { label: 'Platform', column: 'Platform', type: 'select', kind: 'text' },
+        model: { label: 'Model', column: 'Model', type: 'multi_select', kind: 'list' },
+        chatTime: { label: 'Chat time', column: 'Chat Time', type: 'date', kind: 'date' },
+        lastMessage: { label: 'Last message', column: 'Last Message', type: 'date', kind: 'date' },
+        exported: { label: 'Export date', column: 'Exported', type: 'date', kind: 'date' },
+        messageCount: { label: 'Message count', column: 'Message Count', type: 'number', kind: 'number' },
+        wordCount: { label: 'Word count', column: 'Word Count', type: 'number', kind: 'number' },
+        space: { label: 'Space', column: 'Space Name', type: 'rich_text', kind: 'text' },
+        project: { label: 'Project', column: 'Project', type: 'select', kind: 'text' },
+        threadId: { label: 'Thread ID', column: 'Thread ID', type: 'rich_text', kind: 'text' },
+        url: { label: 'URL', column: 'URL', type: 'url', kind: 'url' },
+        gpt: { label: 'Custom GPT', column: 'GPT', type: 'select', kind: 'text', provision: false },
+        tags: { label: 'Tags', column: 'Tags', type: 'multi_select', kind: 'list', provision: false },
+        archived: { label: 'Archived', column: 'Archived', type: 'checkbox', kind: 'boolean', provision: false }
+    };
+
+    /**
+     * Column types each kind of value converts to, best match first
+     */
+    static KINDS = {
+        title: ['title', 'rich_text'],
+        text: ['select', 'multi_select', 'rich_text'],
+        list: ['multi_select', 'select', 'rich_text'],
+        date: ['date', 'rich_text'],
+        number: ['number', 'rich_text'],
+        url: ['url', 'rich_text'],
+        boolean: ['checkbox', 'rich_text']
+    };
+
+    static accepts(field, type) {
+        return this.KINDS[this.FIELDS[field].kind].includes(type);
+    }
+
+    /**
+     * Column a field is written to: the user's mapping (notionPropertyMap,
+     * '' for none) or the default name. The title always also goes to the
+     * database's title column.
+     */
+    static columnFor(field, mapping = {}) {
+        return Object.prototype.hasOwnProperty.call(mapping || {}, field) ? mapping[field] : this.FIELDS[field].column;
+    }
+
+    /**
+     * Problems with a mapping against `schema` (a databases GET response):
+     * columns that are missing, of a type the value cannot convert to, or
+     * mapped from two fields. Empty when the mapping is usable.
+     */
+    static validateMapping(mapping, schema) {
+        const columns = schema?.properties || {};
+        const errors = Object.keys(mapping || {})
+            .filter(field => !this.FIELDS[field])
+            .map(field => `Unknown field "${field}"`);
+        const used = {};
+
+        Object.entries(this.FIELDS).forEach(([field, { label, kind }]) => {
+            const column = this.columnFor(field, mapping);
+            const explicit = Object.prototype.hasOwnProperty.call(mapping || {}, field);
+            const current = column ? columns[column] : null;
+            if (!current) {
+                if (column && explicit) errors.push(`${label}: the database has no "${column}" property`);
+            } else if (!this.accepts(field, current.type)) {
+                if (!explicit) return;
+                const types = this.KINDS[kind].map(type => type.replace('_', ' ')).join(', ');
+                errors.push(`${label}: "${column}" is ${current.type.replace('_', ' ')}, expected ${types}`);
+            } else if (used[column]) {
+                errors.push(`${label}: "${column}" is already used by ${used[column]}`);
+            } else {
+                used[column] = label;
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Notion definition of a new column for `field`
+     */
+    static definition(field) {
+        const { type } = this.FIELDS[field];
+        if (field === 'platform') return { select: { options: this.PLATFORMS } };
+        if (type === 'select' || type === 'multi_select') return { [type]: { options: [] } };
+        if (type === 'number') return { number: { format: 'number' } };
+        return { [type]: {} };
+    }
+
+    /**
+     * Properties of a new export database
+     */
+    static databaseProperties() {
+        const properties = { 'Title': { title: {} } };
+        Object.entries(this.FIELDS).forEach(([field, { column, provision }]) => {
+            if (provision !== false) properties[column] = this.definition(field);
+        });
+        return properties;
+    }
+
+    /**
+     * What a repair of `database` (a databases GET response) changes:
+     * { properties } for the PATCH body (null when nothing is missing),
+     * the columns `added`, Platform `options` added and `conflicts` (columns
+     * of an incompatible type, left alone). Fields the mapping sends
+     * elsewhere, or nowhere, get no default column.
+     */
+    static repairPlan(database, mapping = {}) {
+        const existing = database?.properties || {};
+        const properties = {};
+        const added = [];
+        const conflicts = [];
+        let options = [];
+
+        Object.entries(this.FIELDS).forEach(([field, { type, provision }]) => {
+            const column = this.columnFor(field, mapping);
+            if (!column) return;
+            const current = existing[column];
+            if (!current) {
+                if (provision === false || column !== this.FIELDS[field].column) return;
+                properties[column] = this.definition(field);
+                added.push(column);
+            } else if (!this.accepts(field, current.type)) {
+                conflicts.push(`${column} is ${current.type}, expected ${type}`);
+            }
+        });
+
+        const platform = existing[this.columnFor('platform', mapping)];
+        if (platform && (platform.type === 'select' || platform.type === 'multi_select')) {
+            const current = platform[platform.type]?.options || [];
+            const names = new Set(current.map(option => option.name));
+            const missing = this.PLATFORMS.filter(option => !names.has(option.name));
+            if (missing.length > 0) {
+                properties[this.columnFor('platform', mapping)] = {
+                    [platform.type]: { options: [...current.map(({ id, name, color }) => ({ id, name, color })), ...missing] }
+                };
+                options = missing.map(option => option.name);
+            }
+        }
+
+        return { properties: Object.keys(properties).length > 0 ? properties : null, added, options, conflicts };
+    }
+
+    // ============================================
+    // PAGE PROPERTIES
+    // ============================================
+
+    /**
+     * Raw field values of a conversation (strings, string lists, ISO dates,
+     * numbers, booleans); null when unknown
+     */
+    static values(data, { platform = null, url = null } = {}) {
+        const conversation = ConversationSchema.from(data, { platform });
+        const messages = conversation.messages || [];
+        const turns = ConversationSchema.toTurns(conversation);
+        const labels = ConversationSchema.labels(conversation);
+        const name = platform || conversation.platform;
+        const id = conversation.id || data?.uuid || null;
+        const dates = messages.map(m => m.createdAt).filter(Boolean).sort();
+
+        return {
+            title: data?.title || conversation.title || 'Untitled Chat',
+            platform: name && name !== 'Unknown' ? name : null,
+            model: ConversationSchema.models(conversation),
+            chatTime: conversation.updatedAt || conversation.createdAt || turns[0]?.createdAt || data?.datetime || null,
+            lastMessage: dates[dates.length - 1] || conversation.updatedAt || null,
+            exported: new Date().toISOString().split('T')[0],
+            messageCount: messages.length,
+            wordCount: messages.reduce((sum, m) => sum + this.countWords(ConversationSchema.messageText(m)), 0),
+            space: data?.spaceName || data?.space_name || labels.space,
+            project: labels.project,
+            threadId: id,
+            url: url || conversation.url || (id && this.THREAD_URLS[name] ? this.THREAD_URLS[name](id) : null),
+            gpt: labels.gpt,
+            tags: [name && name !== 'Unknown' ? name : 'AI'],
+            archived: labels.archived
+        };
+    }
+
+    /**
+     * Page properties for `data` in a database with `schema` (a databases
+     * GET response, or null for the title only), following `mapping`.
+     * `spacePageId` fills a Space relation column when a whole Space is synced.
+     */
+    static pageProperties(data, schema, { platform = null, url = null, spacePageId = null, mapping = {} } = {}) {
+        const columns = schema?.properties || {};
+        const values = this.values(data, { platform, url });
+        const titleColumn = Object.keys(columns).find(name => columns[name].type === 'title') || 'title';
+        const properties = { [titleColumn]: this.propertyValue('title', values.title) };
+
+        Object.keys(this.FIELDS).forEach(field => {
+            const column = this.columnFor(field, mapping);
+            const current = column && column !== titleColumn ? columns[column] : null;
+            if (!current || !this.accepts(field, current.type)) return;
+            const property = this.propertyValue(current.type, values[field]);
+            if (property) properties[column] = property;
+        });
+
+        if (columns.Space?.type === 'relation' && spacePageId) {
+            properties.Space = { relation: [{ id: spacePageId }] };
+        }
+        return properties;
+    }
+
+    /**
+     * Sub-page a conversation is filed under with the parent-page
+     * destination: its platform or Space / Project; null when not grouped
+     */
+    static groupTitle(data, grouping, { platform = null } = {}) {
+        if (grouping !== 'platform' && grouping !== 'space') return null;
+        const values = this.values(data, { platform });
+        if (grouping === 'platform') return values.platform || 'Other';
+        return values.space || values.project || 'No Space';
+    }
+
+    /**
+     * A value as a property of the given Notion type; null when empty
+     */
+    static propertyValue(type, value) {
+        const list = (Array.isArray(value) ? value : [value]).filter(v => v !== null && v !== undefined && v !== '');
+        const option = (name) => ({ name: String(name).replace(/,/g, ' ').slice(0, 100) });
+        const text = list.map(v => (typeof v === 'boolean' ? (v ? 'Yes' : 'No') : String(v))).join(', ');
+
+        switch (type) {
+            case 'title': return text ? { title: [{ type: 'text', text: { content: text.slice(0, 2000) } }] } : null;
+            case 'checkbox': return { checkbox: !!value };
+            case 'number': return typeof value === 'number' ? { number: value } : null;
+            case 'date': return value ? { date: { start: String(value) } } : null;
+            case 'url': return value ? { url: String(value) } : null;
+            case 'select': return list.length > 0 ? { select: option(list[0]) } : null;
+            case 'multi_select': return Array.isArray(value) || list.length > 0 ? { multi_select: list.map(option) } : null;
+            case 'rich_text': return text ? { rich_text: [{ type: 'text', text: { content: text.slice(0, 2000) } }] } : null;
+            default: return null;
+        }
+    }
+
+    /**
+     * Words in a text; scripts without spaces (CJK) count per word
+     * where Intl.Segmenter is available
+     */
+    static countWords(text) {
+        if (!text) return 0;
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            this.segmenter = this.segmenter || new Intl.Segmenter(undefined, { granularity: 'word' });
+            let count = 0;
+            for (const segment of this.segmenter.segment(text)) {
+                if (segment.isWordLike) count++;
+            }
+            return count;
+        }
+        return (text.match(/\S+/g) || []).length;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotionSchema;
+}
@@ -280,8 +280,9 @@ class DataValidator {
             errors.push('Missing thread UUID');
         }
 
-        // Content validation
-        const entries = data.detail?.entries || [];
+        // Content validation (turns derived from the canonical schema)
+        const conversation = ConversationSchema.from(data, { platform });
+        const entries = ConversationSchema.toTurns(conversation);
         if (entries.length === 0) {
             errors.push('No conversation entries found');
         }
@@ -291,36 +292,18 @@ class DataValidator {
         let totalQuestions = 0;
         let totalAnswers = 0;
 
-        entries.forEach((entry, idx) => {
+        entries.forEach(entry => {
             // Check for questions
-            const hasQuestion = !!(entry.query || entry.query_str);
-            if (hasQuestion) {
+            if (entry.query) {
                 totalQuestions++;
                 contentScore += 10;
             }
 
             // Check for answers
-            let hasAnswer = false;
-            if (entry.blocks && Array.isArray(entry.blocks)) {
-                const hasTextBlock = entry.blocks.some(b =>
-                    b.intended_usage === 'ask_text' &&
-                    b.markdown_block &&
-                    (b.markdown_block.answer || b.markdown_block.chunks)
-                );
-                if (hasTextBlock) {
-                    hasAnswer = true;
-                    totalAnswers++;
-                    contentScore += 15;
-                }
-            }
-
-            if (!hasAnswer && (entry.answer || entry.text)) {
-                hasAnswer = true;
+            if (entry.answer) {
                 totalAnswers++;
                 contentScore += 15;
-            }
-
-            if (!hasAnswer) {
+            } else {
                 emptyEntries++;
             }
         });
@@ -336,12 +319,7 @@ class DataValidator {
 
         // Platform-specific validation
         if (platform === 'Perplexity') {
-            const hasSources = entries.some(entry =>
-                entry.blocks?.some(b =>
-                    b.intended_usage === 'web_results' &&
-                    b.web_result_block?.web_results?.length > 0
-                )
-            );
+            const hasSources = entries.some(entry => entry.citations.length > 0);
             if (!hasSources && entries.length > 0) {
                 warnings.push('No sources found (unusual for Perplexity)');
             }
@@ -353,6 +331,8 @@ class DataValidator {
             warnings,
             completeness,
             stats: {
+                schemaVersion: conversation.schemaVersion,
+                totalMessages: conversation.messages.length,
                 totalEntries: entries.length,
                 emptyEntries,
                 totalQuestions,
@@ -1012,6 +992,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Load persisted data
     await loadSettings();
+    await initTemplateEditor();
+    initPropertyMapping();
     loadExportedUuids();
     loadExportHistory();
     loadFailures();
@@ -1108,12 +1090,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Event Listeners - Bulk Actions
     document.getElementById('bulkExportBtn').addEventListener('click', bulkSyncToNotion);
     document.getElementById('bulkMdBtn').addEventListener('click', bulkExportMarkdown);
+    document.getElementById('bulkPdfBtn').addEventListener('click', bulkExportPdf);
+    document.getElementById('bulkZipBtn').addEventListener('click', bulkExportZip);
+    document.getElementById('bulkEpubBtn').addEventListener('click', bulkExportEpub);
+    document.getElementById('bulkDatasetBtn').addEventListener('click', bulkExportDataset);
     document.getElementById('exportAllBtn').addEventListener('click', exportAllThreads);
     document.getElementById('clearCacheBtn').addEventListener('click', clearExportedCache);
+    document.getElementById('spaceSelector').addEventListener('change', onSpaceSelected);
+    document.getElementById('exportSpaceBtn').addEventListener('click', () => exportWholeSpace('files'));
+    document.getElementById('syncSpaceBtn').addEventListener('click', () => exportWholeSpace('notion'));
+    document.getElementById('obsidianSpaceBtn').addEventListener('click', () => exportWholeSpace('obsidian'));
+    document.getElementById('epubSpaceBtn').addEventListener('click', () => exportWholeSpace('epub'));
 
     // Event Listeners - Settings
     document.getElementById('saveAllSettings').addEventListener('click', saveAllSettings);
+    document.getElementById('filenamePattern').addEventListener('input', updateFilenamePatternHint);
     document.getElementById('testNotionBtn').addEventListener('click', testNotionConnection);
+    document.getElementById('repairNotionSchemaBtn').addEventListener('click', repairNotionSchema);
+    document.getElementById('notionDestination').addEventListener('change', updateNotionDestination);
+    document.getElementById('chooseNotionParentPage').addEventListener('click', chooseNotionParentPage);
     document.getElementById('downloadLogsBtn').addEventListener('click', downloadLogsAsJson);
     document.getElementById('clearLogs').addEventListener('click', clearAllData);
 
@@ -1174,10 +1169,13 @@ function initDataSourceRadio() {
     document.querySelectorAll('input[name="dataSource"]').forEach(radio => {
         radio.addEventListener('change', (e) => {
             const spaceSelector = document.getElementById('spaceSelector');
+            const spaceActions = document.getElementById('spaceActions');
             if (e.target.value === 'spaces') {
                 spaceSelector.classList.remove('hidden');
+                spaceActions.classList.remove('hidden');
             } else {
                 spaceSelector.classList.add('hidden');
+                spaceActions.classList.add('hidden');
             }
             fetchHistory(1);
         });
@@ -1197,17 +1195,75 @@ function initDateFilter() {
 // ============================================
 // STORAGE & SETTINGS PERSISTENCE
 // ============================================
+const DATASET_DEFAULTS = {
+    format: 'openai',
+    systemPrompt: '',
+    minAnswerLength: 0,
+    minCompleteness: 50,
+    platforms: [],
+    models: [],
+    dedupe: true,
+    perTurn: false
+};
+
+/**
+ * Fine-tuning dataset options as shown in Settings
+ */
+function readDatasetOptions() {
+    const list = (id) => document.getElementById(id).value.split(',').map(v => v.trim()).filter(Boolean);
+    return {
+        format: document.getElementById('datasetFormat').value,
+        systemPrompt: document.getElementById('datasetSystemPrompt').value.trim(),
+        minAnswerLength: Math.max(0, parseInt(document.getElementById('datasetMinAnswerLength').value) || 0),
+        minCompleteness: Math.min(100, Math.max(0, parseInt(document.getElementById('datasetMinCompleteness').value) || 0)),
+        platforms: list('datasetPlatforms'),
+        models: list('datasetModels'),
+        dedupe: document.getElementById('datasetDedupe').checked,
+        perTurn: document.getElementById('datasetPerTurn').checked
+    };
+}
+
+/**
+ * Show an example file name for the pattern being typed (or its error)
+ */
+function updateFilenamePatternHint() {
+    const pattern = document.getElementById('filenamePattern').value.trim();
+    const hint = document.getElementById('filenamePatternHint');
+    if (!hint.dataset.help) hint.dataset.help = hint.textContent.replace(/\s+/g, ' ').trim();
+
+    const error = ExportManager.validateFilenamePattern(pattern);
+    hint.style.color = error ? 'var(--danger)' : '';
+    if (error) {
+        hint.textContent = `⚠️ ${error}`;
+        return;
+    }
+    const saved = ExportManager.filenamePattern;
+    ExportManager.filenamePattern = pattern;
+    const example = ExportManager.getThreadPath(templatePreviewData(), 'ChatGPT');
+    ExportManager.filenamePattern = saved;
+    hint.textContent = `${hint.dataset.help} → Example: ${example}.md`;
+}
+
 async function loadSettings() {
     const data = await chrome.storage.local.get([
         'notionApiKey',
         'notionKey',
         'notionDbId',
+        'notionDestination',
+        'notionParentPageId',
+        'notionParentPageTitle',
+        'notionPageGrouping',
         'syncInterval',
         'autoSyncNotion',
         'includeMetadata',
         'syncImages',
         'syncCitations',
         'skipExported',
+        'notionResyncMode',
+        'chatgptBranchMode',
+        'includeReasoning',
+        'filenamePattern',
+        'datasetOptions',
         'autoSyncEnabled',
         'notion_auth_method',
         'notion_oauth_client_id',
@@ -1228,6 +1284,11 @@ async function loadSettings() {
     if (data.notionDbId) {
         document.getElementById('notionDbId').value = data.notionDbId;
     }
+    document.getElementById('notionDestination').value = data.notionDestination === 'page' ? 'page' : 'database';
+    document.getElementById('notionParentPageId').value = data.notionParentPageId || '';
+    document.getElementById('notionParentPageTitle').value = data.notionParentPageTitle || '';
+    document.getElementById('notionPageGrouping').value = data.notionPageGrouping || 'none';
+    updateNotionDestination();
 
     // OAuth credentials (optional - may not exist in simplified UI)
     const clientIdInput = document.getElementById('notionOauthClientId');
@@ -1275,6 +1336,27 @@ async function loadSettings() {
     if (data.skipExported !== false) { // Default true
         document.getElementById('skipExported').checked = true;
     }
+    document.getElementById('notionResyncMode').value = data.notionResyncMode === 'rewrite' ? 'rewrite' : 'append';
+
+    // Export options
+    const branchModeSelect = document.getElementById('chatgptBranchMode');
+    if (branchModeSelect) {
+        branchModeSelect.value = data.chatgptBranchMode === 'all' ? 'all' : 'current';
+    }
+    document.getElementById('includeReasoning').checked = data.includeReasoning !== false; // Default true
+    document.getElementById('filenamePattern').value = data.filenamePattern || '';
+    updateFilenamePatternHint();
+
+    // Fine-tuning dataset
+    const dataset = { ...DATASET_DEFAULTS, ...(data.datasetOptions || {}) };
+    document.getElementById('datasetFormat').value = dataset.format;
+    document.getElementById('datasetSystemPrompt').value = dataset.systemPrompt;
+    document.getElementById('datasetMinAnswerLength').value = dataset.minAnswerLength;
+    document.getElementById('datasetMinCompleteness').value = dataset.minCompleteness;
+    document.getElementById('datasetPlatforms').value = dataset.platforms.join(', ');
+    document.getElementById('datasetModels').value = dataset.models.join(', ');
+    document.getElementById('datasetDedupe').checked = dataset.dedupe;
+    document.getElementById('datasetPerTurn').checked = dataset.perTurn;
 
     // Auto-sync toggle in header
     if (data.autoSyncEnabled) {
@@ -1300,12 +1382,21 @@ async function saveAllSettings() {
         const settings = {
             notionApiKey: getVal('notionKey'),
             notionDbId: getVal('notionDbId'),
+            notionDestination: document.getElementById('notionDestination').value,
+            notionParentPageId: document.getElementById('notionParentPageId').value || null,
+            notionParentPageTitle: document.getElementById('notionParentPageTitle').value || null,
+            notionPageGrouping: document.getElementById('notionPageGrouping').value,
             syncInterval: parseInt(document.getElementById('syncInterval')?.value) || 60,
             autoSyncNotion: document.getElementById('autoSyncNotion')?.checked || false,
             includeMetadata: document.getElementById('includeMetadata')?.checked || false,
             syncImages: document.getElementById('syncImages')?.checked || false,
             syncCitations: document.getElementById('syncCitations')?.checked || false,
             skipExported: document.getElementById('skipExported')?.checked || false,
+            notionResyncMode: document.getElementById('notionResyncMode')?.value || 'append',
+            chatgptBranchMode: document.getElementById('chatgptBranchMode')?.value || 'current',
+            includeReasoning: document.getElementById('includeReasoning')?.checked || false,
+            filenamePattern: document.getElementById('filenamePattern').value.trim(),
+            datasetOptions: readDatasetOptions(),
             notion_auth_method: authMethod,
             notion_oauth_client_id: getVal('notionOauthClientId') || null,
             notion_oauth_client_secret: getVal('notionOauthClientSecret') || null
@@ -1321,8 +1412,23 @@ async function saveAllSettings() {
             log('⚠️ Invalid Notion Database ID format.', 'error');
             return;
         }
+        if (settings.notionDestination === 'page' && !settings.notionParentPageId) {
+            log('⚠️ Choose a parent page - Notion syncs are paused until one is selected.', 'warning');
+        }
+
+        const patternError = ExportManager.validateFilenamePattern(settings.filenamePattern);
+        if (patternError) {
+            log(`⚠️ File naming pattern: ${patternError}`, 'error');
+            return;
+        }
+        // Subfolders need the optional downloads permission, requested while the click is active
+        if (settings.filenamePattern.includes('/') && chrome.permissions) {
+            const granted = await chrome.permissions.request({ permissions: ['downloads'] }).catch(() => false);
+            if (!granted) log('Downloads permission not granted - subfolders will be flattened into file names.', 'info');
+        }
 
         await chrome.storage.local.set(settings);
+        ExportManager.filenamePattern = settings.filenamePattern;
         log('✅ All settings saved successfully!', 'success');
 
         // Show confirmation
@@ -1342,6 +1448,294 @@ async function saveAllSettings() {
     }
 }
 
+// ============================================
+// EXPORT TEMPLATES (Settings)
+// ============================================
+const templateDrafts = {};
+
+/**
+ * Sample conversation used to preview templates
+ */
+function templatePreviewData() {
+    const S = ConversationSchema;
+    return {
+        title: 'Planning a trip to Kyoto',
+        uuid: 'preview-0001',
+        conversation: S.createConversation({
+            id: 'preview-0001',
+            url: 'https://chatgpt.com/c/preview-0001',
+            createdAt: new Date(Date.now() - 3600 * 1000).toISOString(),
+            collection: { id: 'p1', name: 'Travel', kind: 'project' },
+            messages: [
+                S.createMessage({ role: 'user', content: 'What should I see in Kyoto in two days?' }),
+                S.createMessage({
+                    role: 'assistant',
+                    model: 'gpt-4o',
+                    parts: [
+                        { type: 'reasoning', text: 'Group sights by area to limit travel time.' },
+                        { type: 'text', text: 'Day 1: **Fushimi Inari** early, then Gion [1].\nDay 2: Arashiyama bamboo grove and Kinkaku-ji [2].' }
+                    ],
+                    citations: [
+                        { index: 1, title: 'Fushimi Inari Taisha', url: 'https://inari.jp/en/' },
+                        { index: 2, title: 'Kyoto travel guide', url: 'https://kyoto.travel/en/' }
+                    ]
+                }),
+                S.createMessage({ role: 'user', content: 'Any food tips?' }),
+                S.createMessage({ role: 'assistant', model: 'gpt-4o', content: 'Try yudofu near Nanzen-ji and the stalls of Nishiki Market.' })
+            ]
+        })
+    };
+}
+
+async function initTemplateEditor() {
+    await ExportManager.loadPreferences();
+    const formatSelect = document.getElementById('templateFormat');
+    const editor = document.getElementById('templateEditor');
+
+    formatSelect.addEventListener('change', showTemplate);
+    editor.addEventListener('input', () => {
+        templateDrafts[formatSelect.value] = editor.value;
+        updateTemplateStatus();
+    });
+    document.getElementById('templatePreviewBtn').addEventListener('click', previewTemplate);
+    document.getElementById('templateSaveBtn').addEventListener('click', saveTemplate);
+    document.getElementById('templateResetBtn').addEventListener('click', resetTemplate);
+    showTemplate();
+}
+
+function showTemplate() {
+    const format = document.getElementById('templateFormat').value;
+    document.getElementById('templateEditor').value = templateDrafts[format] ?? ExportManager.getTemplate(format);
+    document.getElementById('templatePreview').classList.add('hidden');
+    document.getElementById('templatePreviewFrame').classList.add('hidden');
+    updateTemplateStatus();
+}
+
+function updateTemplateStatus(error = null) {
+    const format = document.getElementById('templateFormat').value;
+    const source = document.getElementById('templateEditor').value;
+    const status = document.getElementById('templateStatus');
+    const saved = ExportManager.getTemplate(format);
+
+    status.style.color = error ? 'var(--danger)' : '';
+    if (error) {
+        status.textContent = `⚠️ ${error}`;
+    } else if (source !== saved) {
+        status.textContent = 'Unsaved changes';
+    } else {
+        status.textContent = saved === ExportManager.DEFAULT_TEMPLATES[format] ? 'Built-in layout' : 'Custom template';
+    }
+}
+
+/**
+ * Render the editor's template against the sample conversation; returns
+ * the output, or null after showing the error
+ */
+function renderTemplateDraft() {
+    const format = document.getElementById('templateFormat').value;
+    const source = document.getElementById('templateEditor').value;
+    try {
+        const context = ExportManager.getTemplateContext(templatePreviewData(), 'ChatGPT');
+        const output = TemplateEngine.render(source, context, ExportManager.templateOptions(format));
+        updateTemplateStatus();
+        return output;
+    } catch (e) {
+        updateTemplateStatus(e.message);
+        return null;
+    }
+}
+
+function previewTemplate() {
+    const output = renderTemplateDraft();
+    const pre = document.getElementById('templatePreview');
+    const frame = document.getElementById('templatePreviewFrame');
+    pre.classList.add('hidden');
+    frame.classList.add('hidden');
+    if (output === null) return;
+
+    if (document.getElementById('templateFormat').value === 'html') {
+        frame.srcdoc = output;
+        frame.classList.remove('hidden');
+    } else {
+        pre.textContent = output;
+        pre.classList.remove('hidden');
+    }
+}
+
+async function saveTemplate() {
+    const format = document.getElementById('templateFormat').value;
+    const source = document.getElementById('templateEditor').value;
+    if (source.trim() && renderTemplateDraft() === null) {
+        log('⚠️ Template not saved - fix the error first.', 'error');
+        return;
+    }
+
+    const templates = { ...ExportManager.templates };
+    if (!source.trim() || source === ExportManager.DEFAULT_TEMPLATES[format]) {
+        delete templates[format];
+    } else {
+        templates[format] = source;
+    }
+    await chrome.storage.local.set({ exportTemplates: templates });
+    ExportManager.templates = templates;
+    delete templateDrafts[format];
+    showTemplate();
+    log(`✅ ${ExportManager.formats[format].name} template saved`, 'success');
+}
+
+async function resetTemplate() {
+    const format = document.getElementById('templateFormat').value;
+    if (!confirm(`Replace the ${ExportManager.formats[format].name} template with the built-in layout?`)) return;
+    document.getElementById('templateEditor').value = ExportManager.DEFAULT_TEMPLATES[format];
+    await saveTemplate();
+}
+
+
+// ============================================
+// NOTION PROPERTY MAPPING (Settings)
+// ============================================
+let propertyMappingSchema = null;
+
+function initPropertyMapping() {
+    document.getElementById('loadPropertyMappingBtn').addEventListener('click', loadPropertyMapping);
+    document.getElementById('savePropertyMappingBtn').addEventListener('click', savePropertyMapping);
+    document.getElementById('resetPropertyMappingBtn').addEventListener('click', resetPropertyMapping);
+}
+
+function setPropertyMappingStatus(text, color = '') {
+    const status = document.getElementById('propertyMappingStatus');
+    status.textContent = text;
+    status.style.color = color;
+}
+
+/**
+ * Fetch the export database's properties and show the saved mapping
+ */
+async function loadPropertyMapping() {
+    const dbId = document.getElementById('notionDbId').value.trim();
+    if (!dbId || !isValidNotionDatabaseId(dbId)) {
+        setPropertyMappingStatus('❌ Connect a database first', 'var(--danger)');
+        return;
+    }
+
+    setPropertyMappingStatus('⏳ Loading...');
+    try {
+        notionSchemaCache = null;
+        const schema = await getNotionDatabaseSchema(dbId, await resolveNotionToken());
+        if (!schema) throw new Error('Could not read the database properties');
+        const { notionPropertyMap: mapping = {} } = await chrome.storage.local.get('notionPropertyMap');
+        propertyMappingSchema = schema;
+        renderPropertyMapping(mapping);
+        setPropertyMappingStatus(`${Object.keys(schema.properties || {}).length} properties loaded`);
+    } catch (err) {
+        setPropertyMappingStatus(`❌ ${err.message}`, 'var(--danger)');
+        log(`Notion property mapping: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * One row per field: a select of the database properties, those of a type
+ * the value cannot convert to disabled
+ */
+function renderPropertyMapping(mapping) {
+    const container = document.getElementById('propertyMapping');
+    const columns = propertyMappingSchema?.properties || {};
+    const names = Object.keys(columns).sort((a, b) => a.localeCompare(b));
+    const titleColumn = names.find(name => columns[name].type === 'title');
+    container.innerHTML = '';
+
+    Object.entries(NotionSchema.FIELDS).forEach(([field, definition]) => {
+        const select = document.createElement('select');
+        select.dataset.field = field;
+        select.add(new Option(field === 'title' ? `${titleColumn || 'Title'} only` : '— Not synced —', ''));
+        names.filter(name => name !== titleColumn || field !== 'title').forEach(name => {
+            const option = new Option(`${name} (${columns[name].type.replace('_', ' ')})`, name);
+            option.disabled = !NotionSchema.accepts(field, columns[name].type);
+            select.add(option);
+        });
+
+        const column = NotionSchema.columnFor(field, mapping);
+        if (column && columns[column] && NotionSchema.accepts(field, columns[column].type)) {
+            select.value = column;
+        } else if (column && Object.prototype.hasOwnProperty.call(mapping, field)) {
+            // Keep a saved choice the database no longer supports so Save reports it
+            select.add(new Option(`${column} (${columns[column] ? 'incompatible' : 'missing'})`, column), 1);
+            select.value = column;
+        }
+
+        const label = document.createElement('label');
+        label.textContent = definition.label;
+        const hint = document.createElement('small');
+        hint.className = 'hint';
+        select.addEventListener('change', () => updatePropertyMappingHint(select, hint));
+        updatePropertyMappingHint(select, hint);
+        container.append(label, select, hint);
+    });
+}
+
+/**
+ * How the field's value is stored in the chosen property
+ */
+function updatePropertyMappingHint(select, hint) {
+    const definition = NotionSchema.FIELDS[select.dataset.field];
+    const type = propertyMappingSchema?.properties?.[select.value]?.type;
+    hint.style.color = '';
+    if (!select.value) {
+        hint.textContent = '';
+    } else if (!type || !NotionSchema.accepts(select.dataset.field, type)) {
+        hint.textContent = '⚠️ Not usable';
+        hint.style.color = 'var(--danger)';
+    } else if (type === definition.type) {
+        hint.textContent = '';
+    } else if (type === 'rich_text') {
+        hint.textContent = 'Stored as text';
+    } else if (type === 'select' && definition.kind === 'list') {
+        hint.textContent = 'First value only';
+    } else {
+        hint.textContent = `Stored as ${type.replace('_', ' ')}`;
+    }
+}
+
+/**
+ * The editor's choices that differ from the defaults
+ */
+function readPropertyMapping() {
+    const columns = propertyMappingSchema?.properties || {};
+    const mapping = {};
+    document.querySelectorAll('#propertyMapping select').forEach(select => {
+        const field = select.dataset.field;
+        const fallback = NotionSchema.FIELDS[field].column;
+        const fallbackUsable = fallback && columns[fallback] && NotionSchema.accepts(field, columns[fallback].type);
+        if (select.value !== (fallbackUsable ? fallback : '')) mapping[field] = select.value;
+    });
+    return mapping;
+}
+
+async function savePropertyMapping() {
+    if (!propertyMappingSchema) {
+        setPropertyMappingStatus('Load the database properties first', 'var(--danger)');
+        return;
+    }
+    const mapping = readPropertyMapping();
+    const errors = NotionSchema.validateMapping(mapping, propertyMappingSchema);
+    if (errors.length > 0) {
+        setPropertyMappingStatus(`⚠️ ${errors[0]}`, 'var(--danger)');
+        log(`⚠️ Property mapping not saved: ${errors.join('; ')}`, 'error');
+        return;
+    }
+
+    await chrome.storage.local.set({ notionPropertyMap: mapping });
+    setPropertyMappingStatus('✅ Mapping saved', 'var(--success)');
+    log(`✅ Notion property mapping saved (${Object.keys(mapping).length} custom)`, 'success');
+}
+
+async function resetPropertyMapping() {
+    if (!confirm('Write every field to its default column again?')) return;
+    await chrome.storage.local.remove('notionPropertyMap');
+    if (propertyMappingSchema) renderPropertyMapping({});
+    setPropertyMappingStatus('✅ Default columns restored', 'var(--success)');
+    log('Notion property mapping reset to defaults', 'info');
+}
 
 // Test Notion API connection
 async function testNotionConnection() {
@@ -1399,6 +1793,92 @@ async function testNotionConnection() {
 }
 
 
+/**
+ * Show the parent page settings when pages go under a page
+ */
+function updateNotionDestination() {
+    const toPage = document.getElementById('notionDestination').value === 'page';
+    document.getElementById('notionParentPageSettings').classList.toggle('hidden', !toPage);
+}
+
+/**
+ * Pick the parent page of the parent-page destination with NotionPicker
+ */
+async function chooseNotionParentPage() {
+    try {
+        const token = await resolveNotionToken();
+        await NotionPicker.show(token, (page) => {
+            document.getElementById('notionParentPageId').value = page.id;
+            document.getElementById('notionParentPageTitle').value = page.title;
+            log(`Parent page "${page.title}" selected - save settings to use it`, 'info');
+        }, { type: 'page' });
+    } catch (err) {
+        log(`Could not list Notion pages: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * Add the export columns the database lacks, with their types, and any
+ * missing Platform options (databases PATCH); mismatched columns are reported
+ */
+async function repairNotionSchema() {
+    const resultEl = document.getElementById('notionTestResult');
+    const btnEl = document.getElementById('repairNotionSchemaBtn');
+    const dbId = document.getElementById('notionDbId').value.trim();
+
+    if (!dbId || !isValidNotionDatabaseId(dbId)) {
+        resultEl.innerHTML = '❌ Connect a database first';
+        resultEl.style.color = 'var(--error)';
+        return;
+    }
+
+    btnEl.disabled = true;
+    btnEl.textContent = '⏳ Repairing...';
+    resultEl.innerHTML = '';
+
+    try {
+        const token = await resolveNotionToken();
+        const request = (method, body) => notionRateLimiter.throttle(() => fetch(`https://api.notion.com/v1/databases/${dbId}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                'Notion-Version': '2022-06-28'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        }));
+
+        const response = await request('GET');
+        if (!response.ok) throw new Error(NotionErrorMapper.map(await response.json()));
+        const { notionPropertyMap: mapping = {} } = await chrome.storage.local.get('notionPropertyMap');
+        const plan = NotionSchema.repairPlan(await response.json(), mapping);
+
+        if (plan.properties) {
+            const patched = await request('PATCH', { properties: plan.properties });
+            if (!patched.ok) throw new Error(NotionErrorMapper.map(await patched.json()));
+            notionSchemaCache = null;
+        }
+
+        const changes = [
+            plan.added.length > 0 ? `added ${plan.added.join(', ')}` : '',
+            plan.options.length > 0 ? `Platform options ${plan.options.join(', ')}` : ''
+        ].filter(Boolean).join('; ');
+        resultEl.textContent = changes ? `✅ Schema repaired: ${changes}` : '✅ Schema is up to date';
+        resultEl.style.color = 'var(--success)';
+        log(resultEl.textContent, 'success');
+        if (plan.conflicts.length > 0) {
+            log(`⚠️ Columns with an unexpected type were left unchanged: ${plan.conflicts.join('; ')}`, 'warning');
+        }
+    } catch (err) {
+        resultEl.textContent = `❌ ${err.message}`;
+        resultEl.style.color = 'var(--error)';
+        log(`Notion schema repair failed: ${err.message}`, 'error');
+    } finally {
+        btnEl.disabled = false;
+        btnEl.textContent = '🛠️ Repair Schema';
+    }
+}
+
 function loadExportedUuids() {
     chrome.storage.local.get(['exportedUuids'], (data) => {
         if (data.exportedUuids && Array.isArray(data.exportedUuids)) {
@@ -1479,23 +1959,41 @@ function reportFailure(uuid, reason, title = 'Unknown') {
 
 
 async function loadSpaces() {
+    // Perplexity Spaces, Claude Projects and ChatGPT Projects / GPTs / archive
+    // share the same selector, grouped by kind
+    const selector = document.getElementById('spaceSelector');
+    const groups = { space: 'Spaces', project: 'Projects', gpt: 'GPTs', archived: 'Archive' };
+
     try {
         const tab = await getAITab();
         if (!tab) return;
 
         try {
             const response = await sendMessageWithTimeout(tab.id, { type: 'GET_SPACES' }, 10000);
-            if (response.data && response.data.length > 0) {
-                const selector = document.getElementById('spaceSelector');
-                selector.innerHTML = '<option value="">Select a Space...</option>';
-                response.data.forEach(s => {
+            const spaces = response.data || [];
+            const kinds = [...new Set(spaces.map(s => s.kind || 'space'))];
+            const nouns = kinds.filter(k => k !== 'archived').map(k => groups[k].slice(0, -1));
+            const noun = nouns.join(' / ') || 'Space';
+
+            document.getElementById('spacesLabel').textContent = `From ${nouns.length ? nouns.map(n => `${n}s`).join(' / ') : 'Spaces'}`;
+            document.getElementById('exportSpaceBtn').textContent = `📁 Export ${noun}`;
+            document.getElementById('syncSpaceBtn').textContent = `Sync ${noun} to Notion`;
+            selector.innerHTML = `<option value="">Select a ${noun}...</option>`;
+
+            kinds.forEach(kind => {
+                const parent = kinds.length > 1 ? document.createElement('optgroup') : selector;
+                if (kinds.length > 1) {
+                    parent.label = groups[kind];
+                    selector.appendChild(parent);
+                }
+                spaces.filter(s => (s.kind || 'space') === kind).forEach(s => {
                     const opt = document.createElement('option');
                     opt.value = s.uuid;
+                    opt.dataset.kind = kind;
                     opt.textContent = s.name;
-                    selector.appendChild(opt);
+                    parent.appendChild(opt);
                 });
-                selector.addEventListener('change', () => fetchHistory(1));
-            }
+            });
         } catch (msgError) {
             console.log('Could not load spaces:', msgError.message);
         }
@@ -1504,6 +2002,17 @@ async function loadSpaces() {
     }
 }
 
+function onSpaceSelected() {
+    const selector = document.getElementById('spaceSelector');
+    // The archive is only a filter - it has no metadata to export as a unit
+    const exportable = !!selector.value && selector.selectedOptions[0]?.dataset.kind !== 'archived';
+    document.getElementById('exportSpaceBtn').disabled = !exportable;
+    document.getElementById('syncSpaceBtn').disabled = !exportable;
+    document.getElementById('obsidianSpaceBtn').disabled = !exportable;
+    document.getElementById('epubSpaceBtn').disabled = !exportable;
+    fetchHistory(1);
+}
+
 
 // ============================================
 // THREAD HISTORY
@@ -1594,11 +2103,16 @@ function renderThreadList(threads) {
                 // Use InputSanitizer for user-provided content
                 const safeTitle = InputSanitizer.clean(t.title || 'Untitled');
                 const safeUuid = InputSanitizer.clean(t.uuid);
+                const labels = [
+                    t.project && `📁 ${InputSanitizer.clean(t.project)}`,
+                    t.gpt && `🧩 ${InputSanitizer.clean(t.gpt)}`,
+                    t.archived && '🗄️ Archived'
+                ].filter(Boolean).map(label => `<span class="thread-label">${label}</span>`).join('');
                 item.innerHTML = `
                     <input type="checkbox" data-uuid="${safeUuid}" ${selectedThreads.has(t.uuid) ? 'checked' : ''} ${isExported ? 'disabled' : ''}>
                     <div class="thread-info">
                         <div class="thread-title">${safeTitle}</div>
-                        <div class="thread-date">${date}</div>
+                        <div class="thread-date">${date}${labels}</div>
                     </div>
                     ${statusHtml}
                 `;
@@ -1679,6 +2193,7 @@ async function loadAllThreads() {
 
             threadData = [];
             let offset = 0;
+            let cursor = null;
             let keepLoading = true;
             const batchSize = 50;
             const maxThreads = 10000;
@@ -1699,7 +2214,7 @@ async function loadAllThreads() {
                 const result = await new Promise((resolve) => {
                     chrome.tabs.sendMessage(tab.id, {
                         type: 'GET_THREAD_LIST_OFFSET',
-                        payload: { offset, limit: batchSize }
+                        payload: { offset, limit: batchSize, cursor }
                     }, (response) => {
                         if (chrome.runtime.lastError) {
                             chrome.tabs.sendMessage(tab.id, {
@@ -1712,7 +2227,7 @@ async function loadAllThreads() {
                     });
                 });
 
-                if (result && result.success && result.data && result.data.threads && result.data.threads.length > 0) {
+                if (result && result.success && result.data && result.data.threads && (result.data.threads.length > 0 || result.data.cursor)) {
                     const newThreads = result.data.threads;
                     threadData = [...threadData, ...newThreads];
 
@@ -1722,8 +2237,10 @@ async function loadAllThreads() {
                         loadingText.textContent = `${platformEmoji} Loaded ${threadData.length} threads...`;
                     }
 
+                    // ChatGPT continues with archived and project chats through a cursor
                     offset += newThreads.length;
-                    if (newThreads.length < batchSize) keepLoading = false;
+                    cursor = result.data.cursor || null;
+                    if (!cursor && (newThreads.length < batchSize || result.data.done)) keepLoading = false;
                     await new Promise(r => setTimeout(r, delayMs));
                 } else {
                     keepLoading = false;
@@ -1784,6 +2301,14 @@ function updateSelection(uuid, checked) {
     document.getElementById('bulkExportBtn').disabled = count === 0;
     document.getElementById('bulkMdBtn').textContent = `Export MD (${count})`;
     document.getElementById('bulkMdBtn').disabled = count === 0;
+    document.getElementById('bulkPdfBtn').textContent = `Export PDF (${count})`;
+    document.getElementById('bulkPdfBtn').disabled = count === 0;
+    document.getElementById('bulkZipBtn').textContent = `Export ZIP (${count})`;
+    document.getElementById('bulkZipBtn').disabled = count === 0;
+    document.getElementById('bulkEpubBtn').textContent = `Export EPUB (${count})`;
+    document.getElementById('bulkEpubBtn').disabled = count === 0;
+    document.getElementById('bulkDatasetBtn').textContent = `Export Dataset (${count})`;
+    document.getElementById('bulkDatasetBtn').disabled = count === 0;
 }
 
 // ============================================
@@ -1850,7 +2375,7 @@ async function syncSingleThread(thread, forceReExport = false) {
                 log(`⚠️ ${thread.title}: Only ${validation.completeness}% complete`, 'warning');
             }
 
-            await syncToNotion(response.data);
+            await syncToNotion(response.data, { threadUpdatedAt: thread.last_query_datetime });
 
             // Save fingerprint after successful sync
             await DuplicateDetector.saveFingerprint(thread.uuid, fingerprint);
@@ -1978,13 +2503,14 @@ async function bulkSyncToNotion() {
 // ============================================
 // NOTION SYNC - Full API Integration
 // ============================================
-async function syncToNotion(data) {
+async function syncToNotion(data, options = {}) {
     // Load credentials from storage
-    const storage = await chrome.storage.local.get(['notionDbId']);
-    const dbId = storage.notionDbId;
+    const storage = await chrome.storage.local.get([...NotionPageSync.SETTINGS, 'notionResyncMode']);
+    const destination = NotionPageSync.destination(storage);
+    const dbId = destination.databaseId;
 
-    if (!dbId) {
-        log('Notion not configured. Go to Settings to add API Key and Database ID.', 'error');
+    if (!dbId && !destination.pageId) {
+        log('Notion not configured. Go to Settings to connect Notion and choose a database or parent page.', 'error');
         throw new Error('Notion not configured');
     }
 
@@ -1992,186 +2518,37 @@ async function syncToNotion(data) {
 
 
     try {
-        // Build content blocks from conversation entries
-        const entries = data.detail?.entries || [];
-        const children = [];
-
-        console.log('[OmniExporter] syncToNotion - entries:', entries.length);
-
-        // Add metadata header
-        children.push({
-            type: "callout",
-            callout: {
-                icon: { emoji: "🤖" },
-                color: "blue_background",
-                rich_text: [{
-                    type: "text",
-                    text: { content: `Exported from ${currentPlatform} on ${new Date().toLocaleString()}` }
-                }]
-            }
-        });
-        children.push({ type: "divider", divider: {} });
-
-        // Add each Q&A entry
-        entries.forEach((entry, index) => {
-            // Question/Query
-            const query = entry.query || entry.query_str || '';
-            if (query) {
-                children.push({
-                    type: "heading_2",
-                    heading_2: {
-                        rich_text: [{
-                            type: "text",
-                            text: { content: `🙋 ${query}`.slice(0, 2000) }
-                        }]
-                    }
-                });
-            }
-
-            // Answer extraction - handle Perplexity's block structure
-            let answer = '';
-            let sources = [];
-
-            if (entry.blocks && Array.isArray(entry.blocks)) {
-                entry.blocks.forEach(block => {
-                    if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                        if (block.markdown_block.answer) {
-                            answer += block.markdown_block.answer + '\n\n';
-                        } else if (block.markdown_block.chunks && Array.isArray(block.markdown_block.chunks)) {
-                            answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                        }
-                    }
-                    if (block.intended_usage === 'web_results' && block.web_result_block) {
-                        const webResults = block.web_result_block.web_results || [];
-                        webResults.forEach(wr => {
-                            if (wr.url && wr.name) {
-                                sources.push({ name: wr.name, url: wr.url });
-                            }
-                        });
-                    }
-                });
-            }
-
-            // Fallback for simple format
-            if (!answer.trim()) {
-                answer = entry.answer || entry.text || '';
-            }
-
-            // Add answer paragraphs (chunked for Notion's 2000 char limit)
-            if (answer.trim()) {
-                const chunks = splitTextIntoChunks(answer.trim(), 1900);
-                chunks.forEach(chunk => {
-                    children.push({
-                        type: "paragraph",
-                        paragraph: {
-                            rich_text: [{
-                                type: "text",
-                                text: { content: chunk }
-                            }]
-                        }
-                    });
-                });
-            }
-
-            // Add sources as bulleted list
-            if (sources.length > 0) {
-                children.push({
-                    type: "heading_3",
-                    heading_3: {
-                        rich_text: [{
-                            type: "text",
-                            text: { content: "📚 Sources" }
-                        }]
-                    }
-                });
-
-                const uniqueSources = sources.filter((s, i, arr) => i === arr.findIndex(x => x.url === s.url));
-                uniqueSources.slice(0, 10).forEach(source => {
-                    children.push({
-                        type: "bulleted_list_item",
-                        bulleted_list_item: {
-                            rich_text: [{
-                                type: "text",
-                                text: {
-                                    content: source.name.slice(0, 200),
-                                    link: { url: source.url }
-                                }
-                            }]
-                        }
-                    });
-                });
-            }
-
-            // Add related questions if available
-            if (entry.related_queries && entry.related_queries.length > 0) {
-                children.push({
-                    type: "heading_3",
-                    heading_3: {
-                        rich_text: [{
-                            type: "text",
-                            text: { content: "🔗 Related Questions" }
-                        }]
-                    }
-                });
-
-                entry.related_queries.slice(0, 5).forEach(q => {
-                    children.push({
-                        type: "bulleted_list_item",
-                        bulleted_list_item: {
-                            rich_text: [{
-                                type: "text",
-                                text: { content: q.slice(0, 200) }
-                            }]
-                        }
-                    });
-                });
-            }
-
-            // Add divider between entries
-            if (index < entries.length - 1) {
-                children.push({ type: "divider", divider: {} });
-            }
+        // Question, answer, toggles and sources of each turn (one block list per turn, so re-syncs can append new turns)
+        const { header, turns, complete } = NotionBlocks.fromConversation(data, currentPlatform);
+
+        // Create the page, or update the one synced before, with dynamic properties and throttling
+        const properties = dbId
+            ? await buildNotionProperties(data, dbId, apiKey, options)
+            : NotionSchema.pageProperties(data, null, { platform: currentPlatform });
+        const pages = new NotionPageSync({
+            token: apiKey,
+            databaseId: dbId,
+            pageId: destination.pageId,
+            send: (request) => withRetry(() => notionRateLimiter.throttle(request)),
+            mapError: (error) => NotionErrorMapper.map(error)
         });
-
-        // Create page in Notion database with dynamic properties and throttling
-        const properties = await buildNotionProperties(data, dbId, apiKey, entries);
-        const notionUrl = 'https://api.notion.com/v1/pages';
-
-        const response = await withRetry(async () => {
-            return await notionRateLimiter.throttle(async () => {
-                return await fetch(notionUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Content-Type': 'application/json',
-                        'Notion-Version': '2022-06-28'
-                    },
-                    body: JSON.stringify({
-                        parent: { database_id: dbId },
-                        properties: properties,
-                        children: children.slice(0, 100)
-                    })
-                });
-            });
+        const { page: result, action } = await pages.save(data.uuid, {
+            properties,
+            header,
+            turns,
+            complete,
+            mode: storage.notionResyncMode,
+            schema: dbId ? await getNotionDatabaseSchema(dbId, apiKey) : null,
+            threadUpdatedAt: options.threadUpdatedAt,
+            group: NotionSchema.groupTitle(data, destination.grouping, { platform: currentPlatform })
         });
 
-        if (!response.ok) {
-            const error = await response.json();
-            console.error('[OmniExporter] Notion API error:', error);
-            throw new Error(NotionErrorMapper.map(error));
-        }
-
-        const result = await response.json();
-        const pageId = result.id;
-
-        // If content has more than 100 blocks, append remaining in chunks
-        if (children.length > 100) {
-            log(`📄 Appending ${children.length - 100} additional blocks...`, 'info');
-            await appendBlocksToPage(apiKey, pageId, children.slice(100));
+        if (action === 'created') {
+            log(`✅ Synced to Notion: ${data.title || 'Thread'}`, 'success');
+        } else {
+            log(`✅ Updated Notion page (${action === 'appended' ? 'new turns appended' : 'rewritten'}): ${data.title || 'Thread'}`, 'success');
         }
-
-        log(`✅ Synced to Notion: ${data.title || 'Thread'}`, 'success');
-        console.log('[OmniExporter] Notion page created:', result.url);
+        console.log(`[OmniExporter] Notion page ${action}:`, result.url);
 
         return result;
 
@@ -2245,12 +2622,221 @@ function splitTextIntoChunks(text, maxLength = 1900) {
 }
 
 async function bulkExportMarkdown() {
+    await bulkExportFiles('markdown');
+}
+
+async function bulkExportPdf() {
+    await bulkExportFiles('pdf');
+}
+
+async function bulkExportZip() {
+    await bulkExportFiles(document.getElementById('bulkFormat').value);
+}
+
+/**
+ * Export the selected threads as one EPUB book, a chapter per thread
+ */
+async function bulkExportEpub() {
     const uuids = Array.from(selectedThreads);
+    if (uuids.length === 0) return;
+
+    const progressContainer = document.getElementById('exportProgress');
+    const progressFill = document.getElementById('progressBarFill');
+    const progressText = document.getElementById('progressText');
+
+    try {
+        await reqDeduplication.run('bulkEpub', async () => {
+            const tab = await getAITab();
+            if (!tab) {
+                log('No AI platform tab found', 'error');
+                return;
+            }
+
+            progressContainer.classList.remove('hidden');
+            exportStartTime = Date.now();
+            log(`Building an EPUB of ${uuids.length} threads...`);
+
+            const chapters = [];
+            let failed = 0;
+            for (let i = 0; i < uuids.length; i++) {
+                progressFill.style.width = `${Math.round((i / uuids.length) * 100)}%`;
+                progressText.textContent = `Fetching: ${i + 1}/${uuids.length}`;
+                try {
+                    const response = await sendMessageWithTimeout(tab.id, {
+                        type: 'EXTRACT_CONTENT_BY_UUID',
+                        payload: { uuid: uuids[i] }
+                    }, 30000);
+                    chapters.push(response.data);
+                } catch (e) {
+                    failed++;
+                    reportFailure(uuids[i], e.message, threadData.find(t => t.uuid === uuids[i])?.title || 'Unknown');
+                }
+                await new Promise(r => setTimeout(r, 300));
+            }
+            if (chapters.length === 0) throw new Error('No threads could be loaded');
 
-    for (const uuid of uuids) {
-        const thread = threadData.find(t => t.uuid === uuid);
-        if (thread) await exportSingleThread(thread);
+            progressText.textContent = 'Writing book...';
+            const result = await ExportManager.exportBook(chapters, currentPlatform);
+
+            progressFill.style.width = '100%';
+            progressText.textContent = 'Completed!';
+            recordExportJob(uuids.length, chapters.length, failed);
+            log(`📚 ${result.filename}: ${chapters.length}/${uuids.length} chapters`, failed ? 'error' : 'success');
+
+            setTimeout(() => progressContainer.classList.add('hidden'), 2000);
+        });
+    } catch (e) {
+        progressContainer.classList.add('hidden');
+        log(`❌ EPUB export failed: ${e.message}`, 'error');
     }
+
+    selectedThreads.clear();
+    updateSelection(null, false);
+}
+
+/**
+ * Export the selected threads as one ZIP (files, attachments, manifest.json,
+ * index.html) instead of one download per thread
+ */
+async function bulkExportFiles(format) {
+    const uuids = Array.from(selectedThreads);
+    if (uuids.length === 0) return;
+
+    const progressContainer = document.getElementById('exportProgress');
+    const progressFill = document.getElementById('progressBarFill');
+    const progressText = document.getElementById('progressText');
+
+    // Stream the ZIP straight into a file the user picks; without the File
+    // System Access API (or when the picker is refused) it is built as a Blob
+    let handle = null;
+    if (typeof window.showSaveFilePicker === 'function') {
+        try {
+            handle = await window.showSaveFilePicker({
+                suggestedName: ExportManager.generateFilename(`OmniExporter ${uuids.length} threads`, '.zip'),
+                types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+            });
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.warn('[OmniExporter] Save picker unavailable, bundling in memory:', e.message);
+        }
+    }
+
+    try {
+        await reqDeduplication.run('bulkFiles', async () => {
+            const tab = await getAITab();
+            if (!tab) {
+                log('No AI platform tab found', 'error');
+                return;
+            }
+            const writable = handle ? await handle.createWritable() : null;
+
+            progressContainer.classList.remove('hidden');
+            exportStartTime = Date.now();
+            log(`Bundling ${uuids.length} threads as ${ExportManager.formats[format].name} ZIP...`);
+
+            const threads = uuids.map(uuid => threadData.find(t => t.uuid === uuid) || { uuid });
+            const result = await ExportManager.exportBundle(threads, async (thread) => {
+                const response = await sendMessageWithTimeout(tab.id, {
+                    type: 'EXTRACT_CONTENT_BY_UUID',
+                    payload: { uuid: thread.uuid }
+                }, 30000);
+                await new Promise(r => setTimeout(r, 300));
+                return response.data;
+            }, format, {
+                platform: currentPlatform,
+                writable,
+                filename: handle?.name,
+                onProgress: (i, total) => {
+                    progressFill.style.width = `${Math.round((i / total) * 100)}%`;
+                    progressText.textContent = `Bundling: ${i + 1}/${total}`;
+                }
+            });
+
+            result.failed.forEach(f => reportFailure(f.uuid, f.error, f.title || 'Unknown'));
+            result.warnings.forEach(warning => log(`⚠️ ${warning}`, 'warning'));
+            progressFill.style.width = '100%';
+            progressText.textContent = 'Completed!';
+            recordExportJob(threads.length, result.exported, result.failed.length);
+            log(`📦 ${result.filename}: ${result.exported}/${threads.length} threads`, result.failed.length ? 'error' : 'success');
+
+            setTimeout(() => progressContainer.classList.add('hidden'), 2000);
+        });
+    } catch (e) {
+        progressContainer.classList.add('hidden');
+        log(`❌ Bundle export failed: ${e.message}`, 'error');
+    }
+
+    selectedThreads.clear();
+    updateSelection(null, false);
+}
+
+/**
+ * Export the selected threads as a fine-tuning JSONL dataset. Threads that
+ * fail validation or score below the completeness threshold are left out.
+ */
+async function bulkExportDataset() {
+    const uuids = Array.from(selectedThreads);
+    if (uuids.length === 0) return;
+
+    const progressContainer = document.getElementById('exportProgress');
+    const progressFill = document.getElementById('progressBarFill');
+    const progressText = document.getElementById('progressText');
+    const options = readDatasetOptions();
+
+    try {
+        await reqDeduplication.run('bulkDataset', async () => {
+            const tab = await getAITab();
+            if (!tab) {
+                log('No AI platform tab found', 'error');
+                return;
+            }
+
+            progressContainer.classList.remove('hidden');
+            exportStartTime = Date.now();
+            log(`Building ${ExportManager.DATASET_FORMATS[options.format].name} dataset from ${uuids.length} threads...`);
+
+            const items = [];
+            let failed = 0;
+            let lowQuality = 0;
+            for (let i = 0; i < uuids.length; i++) {
+                progressFill.style.width = `${Math.round((i / uuids.length) * 100)}%`;
+                progressText.textContent = `Fetching: ${i + 1}/${uuids.length}`;
+                try {
+                    const response = await sendMessageWithTimeout(tab.id, {
+                        type: 'EXTRACT_CONTENT_BY_UUID',
+                        payload: { uuid: uuids[i] }
+                    }, 30000);
+                    const validation = DataValidator.validateThreadData(response.data, currentPlatform);
+                    if (DataValidator.meetsMinimumQuality(validation, options.minCompleteness)) {
+                        items.push({ data: response.data, platform: currentPlatform });
+                    } else {
+                        lowQuality++;
+                        log(`Skipped "${response.data.title || uuids[i]}": ${DataValidator.generateReport(validation)}`, 'info');
+                    }
+                } catch (e) {
+                    failed++;
+                    reportFailure(uuids[i], e.message, threadData.find(t => t.uuid === uuids[i])?.title || 'Unknown');
+                }
+                await new Promise(r => setTimeout(r, 300));
+            }
+
+            const result = ExportManager.exportDataset(items, options);
+            const dropped = Object.entries(result.skipped).filter(([, n]) => n > 0).map(([reason, n]) => `${n} ${reason}`);
+
+            progressFill.style.width = '100%';
+            progressText.textContent = 'Completed!';
+            recordExportJob(uuids.length, items.length, failed);
+            log(`🧪 ${result.filename}: ${result.examples} examples from ${items.length} threads` +
+                (lowQuality ? `, ${lowQuality} threads below ${options.minCompleteness}%` : '') +
+                (dropped.length ? ` (turns skipped: ${dropped.join(', ')})` : ''), 'success');
+
+            setTimeout(() => progressContainer.classList.add('hidden'), 2000);
+        });
+    } catch (e) {
+        progressContainer.classList.add('hidden');
+        log(`❌ Dataset export failed: ${e.message}`, 'error');
+    }
+
     selectedThreads.clear();
     updateSelection(null, false);
 }
@@ -2262,6 +2848,237 @@ async function exportAllThreads() {
     await bulkSyncToNotion();
 }
 
+// ============================================
+// SPACE / PROJECT EXPORT (a whole collection as one unit)
+// ============================================
+
+/**
+ * Export every thread of the selected Space (Perplexity) or Project (Claude)
+ * together with its metadata: as one folder of files, as linked Obsidian
+ * notes ('obsidian'), as an EPUB book ('epub'), or as a Space page in Notion
+ * that links (and relates) all of its thread pages
+ */
+async function exportWholeSpace(target = 'files') {
+    const spaceId = document.getElementById('spaceSelector').value;
+    if (!spaceId) {
+        log('Select a Space or Project first.', 'error');
+        return;
+    }
+
+    // Folder paths need the optional downloads permission, requested while the click is active
+    if (['files', 'obsidian'].includes(target) && chrome.permissions) {
+        const granted = await chrome.permissions.request({ permissions: ['downloads'] }).catch(() => false);
+        if (!granted) log('Downloads permission not granted - files will be saved without a folder.', 'info');
+    }
+
+    const progressContainer = document.getElementById('exportProgress');
+    const progressFill = document.getElementById('progressBarFill');
+    const progressText = document.getElementById('progressText');
+
+    try {
+        await reqDeduplication.run('spaceExport', async () => {
+            const tab = await getAITab();
+            if (!tab) {
+                log('No AI platform tab found', 'error');
+                return;
+            }
+
+            progressContainer.classList.remove('hidden');
+            progressFill.style.width = '0%';
+            progressText.textContent = 'Loading Space...';
+            exportStartTime = Date.now();
+
+            const detail = await sendMessageWithTimeout(tab.id, {
+                type: 'GET_SPACE_DETAIL',
+                payload: { spaceId }
+            }, 20000);
+            const space = detail.data;
+            log(`📁 Exporting ${space.kind} "${space.name}"...`);
+
+            const threads = await fetchSpaceThreads(tab.id, spaceId);
+            const items = [];
+            let failed = 0;
+
+            for (let i = 0; i < threads.length; i++) {
+                progressFill.style.width = `${Math.round((i / threads.length) * 100)}%`;
+                progressText.textContent = `Fetching: ${i + 1}/${threads.length}`;
+
+                try {
+                    const response = await sendMessageWithTimeout(tab.id, {
+                        type: 'EXTRACT_CONTENT_BY_UUID',
+                        payload: { uuid: threads[i].uuid }
+                    }, 30000);
+                    items.push({ ...response.data, spaceName: space.name });
+                } catch (e) {
+                    failed++;
+                    reportFailure(threads[i].uuid, e.message, threads[i].title);
+                }
+
+                await new Promise(r => setTimeout(r, 500));
+            }
+
+            if (target === 'notion') {
+                progressText.textContent = 'Syncing to Notion...';
+                failed += await syncSpaceToNotion(space, items);
+            } else if (target === 'epub') {
+                progressText.textContent = 'Writing book...';
+                await ExportManager.exportBook(items, currentPlatform, { collection: space });
+            } else {
+                await ExportManager.exportCollection(space, items, target === 'obsidian' ? 'obsidian' : 'markdown', currentPlatform);
+            }
+
+            progressFill.style.width = '100%';
+            progressText.textContent = 'Completed!';
+            recordExportJob(threads.length, threads.length - failed, failed);
+            log(`✅ ${space.name}: ${threads.length - failed}/${threads.length} threads exported`, 'success');
+
+            setTimeout(() => progressContainer.classList.add('hidden'), 2000);
+        });
+    } catch (e) {
+        progressContainer.classList.add('hidden');
+        log(`❌ Export failed: ${e.message}`, 'error');
+    }
+}
+
+/**
+ * Every thread of a Space, paging through the thread list
+ */
+async function fetchSpaceThreads(tabId, spaceId) {
+    const threads = [];
+    const limit = 50;
+
+    for (let page = 1; threads.length < 2000; page++) {
+        const response = await sendMessageWithTimeout(tabId, {
+            type: 'GET_THREAD_LIST',
+            payload: { page, limit, spaceId }
+        }, 15000);
+
+        const batch = response.data?.threads || [];
+        threads.push(...batch);
+        if (batch.length < limit) break;
+    }
+
+    return threads;
+}
+
+/**
+ * Create the Space page, sync each thread related to it, then list the
+ * threads on the Space page. Returns the number of threads that failed.
+ */
+async function syncSpaceToNotion(space, items) {
+    const destination = NotionPageSync.destination(await chrome.storage.local.get(NotionPageSync.SETTINGS));
+    if (!destination.databaseId && !destination.pageId) throw new Error('Notion not configured');
+    const apiKey = await resolveNotionToken();
+
+    const spacePage = await createNotionSpacePage(space, destination, apiKey);
+    const links = [];
+    let failed = 0;
+
+    for (const data of items) {
+        try {
+            const page = await syncToNotion(data, { spacePageId: spacePage.id });
+            links.push({ type: "link_to_page", link_to_page: { type: "page_id", page_id: page.id } });
+            syncStatusMap[data.uuid] = 'synced';
+            exportedUuids.add(data.uuid);
+        } catch (e) {
+            failed++;
+            syncStatusMap[data.uuid] = 'failed';
+            reportFailure(data.uuid, e.message, data.title);
+        }
+    }
+    saveExportedUuids();
+
+    if (links.length > 0) {
+        await appendBlocksToPage(apiKey, spacePage.id, [
+            { type: "heading_2", heading_2: { rich_text: [{ type: "text", text: { content: `💬 Threads (${links.length})` } }] } },
+            ...links
+        ]);
+    }
+
+    return failed;
+}
+
+/**
+ * Page holding a Space's description, instructions and files, in the
+ * export database or under the parent page
+ */
+async function createNotionSpacePage(space, destination, apiKey) {
+    const dbId = destination.databaseId;
+    const paragraphs = (text) => splitTextIntoChunks(text).map(chunk => ({
+        type: "paragraph",
+        paragraph: { rich_text: [{ type: "text", text: { content: chunk } }] }
+    }));
+    const heading = (text) => ({ type: "heading_2", heading_2: { rich_text: [{ type: "text", text: { content: text } }] } });
+
+    const children = [{
+        type: "callout",
+        callout: {
+            icon: { emoji: space.emoji || "📁" },
+            color: "gray_background",
+            rich_text: [{
+                type: "text",
+                text: { content: `${currentPlatform} ${space.kind} exported on ${new Date().toLocaleString()}` }
+            }]
+        }
+    }];
+
+    if (space.description) children.push(...paragraphs(space.description));
+    if (space.instructions) children.push(heading('📋 Instructions'), ...paragraphs(space.instructions));
+    if (space.files.length > 0) {
+        children.push(heading('📎 Files'));
+        space.files.forEach(file => {
+            const text = file.url ? { content: file.name.slice(0, 1900), link: { url: file.url } } : { content: file.name.slice(0, 1900) };
+            if (file.extractedText) {
+                // Knowledge documents keep their text in a collapsed toggle
+                children.push({
+                    type: "toggle",
+                    toggle: { rich_text: [{ type: "text", text }], children: paragraphs(file.extractedText).slice(0, 100) }
+                });
+            } else {
+                children.push({ type: "bulleted_list_item", bulleted_list_item: { rich_text: [{ type: "text", text }] } });
+            }
+        });
+    }
+
+    const spaceData = {
+        title: `📁 ${space.name}`,
+        spaceName: space.name,
+        datetime: space.updatedAt || space.createdAt
+    };
+    const properties = dbId
+        ? await buildNotionProperties(spaceData, dbId, apiKey)
+        : NotionPageSync.titleProperty(NotionSchema.pageProperties(spaceData, null));
+    if (properties.URL) delete properties.URL;
+
+    const response = await withRetry(async () => {
+        return await notionRateLimiter.throttle(async () => {
+            return await fetch('https://api.notion.com/v1/pages', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json',
+                    'Notion-Version': '2022-06-28'
+                },
+                body: JSON.stringify({
+                    parent: dbId ? { database_id: dbId } : { page_id: destination.pageId },
+                    icon: { emoji: space.emoji || "📁" },
+                    properties,
+                    children: children.slice(0, 100)
+                })
+            });
+        });
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(NotionErrorMapper.map(error));
+    }
+
+    const page = await response.json();
+    if (children.length > 100) await appendBlocksToPage(apiKey, page.id, children.slice(100));
+    return page;
+}
+
 // ============================================
 // EXPORT HISTORY TRACKING  
 // ============================================
@@ -2361,67 +3178,14 @@ async function getNotionDatabaseSchema(dbId, apiKey) {
 }
 
 /**
- * Dynamically builds Notion properties based on available columns
+ * Page properties for the columns the export database has, following the
+ * property mapping (notion-schema.js)
  */
-async function buildNotionProperties(data, dbId, apiKey, entries = []) {
-    // Required Title property
-    const properties = {
-        title: {
-            title: [{
-                type: "text",
-                text: { content: (data.title || 'Untitled Chat').slice(0, 2000) }
-            }]
-        }
-    };
-
-    try {
-        const schema = await getNotionDatabaseSchema(dbId, apiKey);
-        if (!schema || !schema.properties) return properties;
-
-        const availableProps = schema.properties;
-
-        // URL column
-        if (availableProps['URL'] && data.uuid) {
-            properties.URL = { url: `https://www.perplexity.ai/search/${data.uuid}` };
-        }
-
-        // Chat Time column
-        const threadTime = entries[0]?.updated_datetime || entries[0]?.created_datetime || data.datetime;
-        if (availableProps['Chat Time'] && threadTime) {
-            try {
-                properties['Chat Time'] = {
-                    date: { start: new Date(threadTime).toISOString() }
-                };
-            } catch (e) { /* Invalid date */ }
-        }
-
-        // Space Name column
-        if (availableProps['Space Name'] && data.spaceName) {
-            properties['Space Name'] = {
-                rich_text: [{ type: "text", text: { content: data.spaceName } }]
-            };
-        }
-
-        // Platform column
-        if (availableProps['Platform']) {
-            properties.Platform = {
-                select: { name: currentPlatform || 'Unknown' }
-            };
-        }
-
-        // Tags column (if it exists)
-        if (availableProps['Tags']) {
-            properties.Tags = {
-                multi_select: [{ name: currentPlatform || 'AI' }]
-            };
-        }
-
-    } catch (error) {
-        console.warn('[OmniExporter] Property build failed:', error.message);
-        if (typeof log === 'function') log('Using minimal properties due to schema fetch failure', 'info');
-    }
-
-    return properties;
+async function buildNotionProperties(data, dbId, apiKey, options = {}) {
+    const schema = await getNotionDatabaseSchema(dbId, apiKey);
+    if (!schema) log('Using minimal properties due to schema fetch failure', 'info');
+    const { notionPropertyMap: mapping = {} } = await chrome.storage.local.get('notionPropertyMap');
+    return NotionSchema.pageProperties(data, schema, { platform: currentPlatform, spacePageId: options.spacePageId, mapping });
 }
 
 // YAML value escaper for frontmatter
@@ -2547,12 +3311,13 @@ function clearAllData() {
 }
 
 function formatToMarkdown(data) {
-    const entries = data.detail?.entries || [];
-    const firstEntry = entries[0] || {};
+    const conversation = ConversationSchema.from(data, { platform: currentPlatform });
+    const entries = ConversationSchema.toTurns(conversation);
+    const when = conversation.updatedAt || entries[0]?.createdAt;
 
     const title = escapeYamlValue(data.title || 'Untitled Chat');
-    const date = firstEntry.updated_datetime
-        ? new Date(firstEntry.updated_datetime).toISOString().split('T')[0]
+    const date = when
+        ? new Date(when).toISOString().split('T')[0]
         : new Date().toISOString().split('T')[0];
     const url = `https://www.perplexity.ai/search/${data.uuid || ''}`;
 
@@ -2564,23 +3329,8 @@ function formatToMarkdown(data) {
     md += '---\n\n';
 
     entries.forEach(entry => {
-        const query = entry.query || entry.query_str || '';
-        if (query) md += `## ${query}\n\n`;
-
-        let answer = '';
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                    }
-                }
-            });
-        }
-        if (!answer.trim()) answer = entry.answer || entry.text || '';
-        if (answer.trim()) md += `${answer.trim()}\n\n`;
+        if (entry.query) md += `## ${entry.query}\n\n`;
+        if (entry.answer) md += `${entry.answer}\n\n`;
 
         md += '---\n\n';
     });
@@ -0,0 +1,854 @@
+// OmniExporter AI - PDF Writer
+// Builds real .pdf files in the extension (no print dialog): paged layout
+// with running headers/footers, wrapped text, code blocks, clickable links
+// and embedded, subset TrueType fonts (DejaVu, bundled in fonts/).
+// Falls back to the standard Helvetica/Courier fonts when the font files
+// cannot be loaded.
+
+// ============================================
+// TRUETYPE FONT (parse + subset for embedding)
+// ============================================
+class PdfTrueTypeFont {
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.data = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.tables = {};
+
+        const numTables = this.data.getUint16(4);
+        for (let i = 0; i < numTables; i++) {
+            const record = 12 + i * 16;
+            const tag = String.fromCharCode(...this.bytes.subarray(record, record + 4));
+            this.tables[tag] = { offset: this.data.getUint32(record + 8), length: this.data.getUint32(record + 12) };
+        }
+
+        const head = this.tables.head.offset;
+        this.unitsPerEm = this.data.getUint16(head + 18);
+        this.bbox = [0, 1, 2, 3].map(i => this.scale(this.data.getInt16(head + 36 + i * 2)));
+        this.longLoca = this.data.getInt16(head + 50) === 1;
+
+        const hhea = this.tables.hhea.offset;
+        this.ascent = this.scale(this.data.getInt16(hhea + 4));
+        this.descent = this.scale(this.data.getInt16(hhea + 6));
+        this.numberOfHMetrics = this.data.getUint16(hhea + 34);
+        this.numGlyphs = this.data.getUint16(this.tables.maxp.offset + 4);
+
+        const os2 = this.tables['OS/2'];
+        this.capHeight = os2 && this.data.getUint16(os2.offset) >= 2
+            ? this.scale(this.data.getInt16(os2.offset + 88))
+            : this.ascent;
+        this.fixedPitch = !!this.tables.post && this.data.getUint32(this.tables.post.offset + 12) !== 0;
+
+        this.cmap = this.parseCmap();
+    }
+
+    scale(value) {
+        return Math.round(value * 1000 / this.unitsPerEm);
+    }
+
+    /**
+     * Unicode code point -> glyph id, from the (3,10) or (3,1) cmap subtable
+     */
+    parseCmap() {
+        const map = new Map();
+        if (!this.tables.cmap) return map; // e.g. our own subsets
+        const cmap = this.tables.cmap.offset;
+        const count = this.data.getUint16(cmap + 2);
+        let format4 = null;
+        let format12 = null;
+
+        for (let i = 0; i < count; i++) {
+            const record = cmap + 4 + i * 8;
+            const platform = this.data.getUint16(record);
+            const encoding = this.data.getUint16(record + 2);
+            const offset = cmap + this.data.getUint32(record + 4);
+            const format = this.data.getUint16(offset);
+            if (format === 12 && (platform === 3 || platform === 0)) format12 = offset;
+            if (format === 4 && ((platform === 3 && encoding === 1) || platform === 0)) format4 = format4 ?? offset;
+        }
+
+        if (format12 !== null) {
+            const groups = this.data.getUint32(format12 + 12);
+            for (let i = 0; i < groups; i++) {
+                const group = format12 + 16 + i * 12;
+                const start = this.data.getUint32(group);
+                const end = this.data.getUint32(group + 4);
+                const glyph = this.data.getUint32(group + 8);
+                for (let c = start; c <= end && c - start < 0x10000; c++) map.set(c, glyph + c - start);
+            }
+        } else if (format4 !== null) {
+            const segments = this.data.getUint16(format4 + 6) / 2;
+            const ends = format4 + 14;
+            const starts = ends + segments * 2 + 2;
+            const deltas = starts + segments * 2;
+            const rangeOffsets = deltas + segments * 2;
+
+            for (let s = 0; s < segments; s++) {
+                const start = this.data.getUint16(starts + s * 2);
+                const end = this.data.getUint16(ends + s * 2);
+                const delta = this.data.getInt16(deltas + s * 2);
+                const rangeOffset = this.data.getUint16(rangeOffsets + s * 2);
+
+                for (let c = start; c <= end && c !== 0xFFFF; c++) {
+                    let glyph;
+                    if (rangeOffset === 0) {
+                        glyph = (c + delta) & 0xFFFF;
+                    } else {
+                        glyph = this.data.getUint16(rangeOffsets + s * 2 + rangeOffset + (c - start) * 2);
+                        if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+                    }
+                    if (glyph !== 0) map.set(c, glyph);
+                }
+            }
+        }
+
+        return map;
+    }
+
+    glyphId(codePoint) {
+        return this.cmap.get(codePoint) || 0;
+    }
+
+    /**
+     * Advance width of a glyph in 1/1000 em
+     */
+    advance(glyph) {
+        const index = Math.min(glyph, this.numberOfHMetrics - 1);
+        return this.scale(this.data.getUint16(this.tables.hmtx.offset + index * 4));
+    }
+
+    glyphRange(glyph) {
+        const loca = this.tables.loca.offset;
+        if (this.longLoca) {
+            return [this.data.getUint32(loca + glyph * 4), this.data.getUint32(loca + glyph * 4 + 4)];
+        }
+        return [this.data.getUint16(loca + glyph * 2) * 2, this.data.getUint16(loca + glyph * 2 + 2) * 2];
+    }
+
+    table(tag) {
+        const table = this.tables[tag];
+        return table ? this.bytes.slice(table.offset, table.offset + table.length) : null;
+    }
+
+    /**
+     * Font file keeping only the outlines of the given glyphs. Glyph ids are
+     * unchanged (unused glyphs become empty) so text can use them directly.
+     */
+    subset(used) {
+        const glyf = this.tables.glyf.offset;
+        const keep = new Set([0, ...used]);
+
+        // Composite glyphs pull in their components
+        const queue = [...keep];
+        while (queue.length > 0) {
+            const [start, end] = this.glyphRange(queue.pop());
+            if (end - start < 10 || this.data.getInt16(glyf + start) >= 0) continue;
+
+            let p = glyf + start + 10;
+            let flags;
+            do {
+                flags = this.data.getUint16(p);
+                const component = this.data.getUint16(p + 2);
+                if (!keep.has(component)) {
+                    keep.add(component);
+                    queue.push(component);
+                }
+                p += 4 + (flags & 0x0001 ? 4 : 2) +
+                    (flags & 0x0008 ? 2 : flags & 0x0040 ? 4 : flags & 0x0080 ? 8 : 0);
+            } while (flags & 0x0020);
+        }
+
+        const loca = new DataView(new ArrayBuffer((this.numGlyphs + 1) * 4));
+        const outlines = [];
+        let offset = 0;
+        for (let glyph = 0; glyph < this.numGlyphs; glyph++) {
+            loca.setUint32(glyph * 4, offset);
+            if (!keep.has(glyph)) continue;
+
+            const [start, end] = this.glyphRange(glyph);
+            const padded = new Uint8Array((end - start + 3) & ~3);
+            padded.set(this.bytes.subarray(glyf + start, glyf + end));
+            outlines.push(padded);
+            offset += padded.length;
+        }
+        loca.setUint32(this.numGlyphs * 4, offset);
+
+        const head = this.table('head');
+        const headView = new DataView(head.buffer);
+        headView.setUint32(8, 0);   // checkSumAdjustment
+        headView.setInt16(50, 1);   // long loca offsets
+
+        const tables = {
+            head,
+            hhea: this.table('hhea'),
+            maxp: this.table('maxp'),
+            hmtx: this.table('hmtx'),
+            loca: new Uint8Array(loca.buffer),
+            glyf: PdfWriter.concat(outlines),
+            'cvt ': this.table('cvt '),
+            fpgm: this.table('fpgm'),
+            prep: this.table('prep')
+        };
+        return PdfTrueTypeFont.build(tables);
+    }
+
+    /**
+     * Assemble an sfnt file from table data
+     */
+    static build(tables) {
+        const tags = Object.keys(tables).filter(tag => tables[tag]).sort();
+        const headerLength = 12 + tags.length * 16;
+        const padded = tags.map(tag => {
+            const data = new Uint8Array((tables[tag].length + 3) & ~3);
+            data.set(tables[tag]);
+            return data;
+        });
+
+        const out = new Uint8Array(headerLength + padded.reduce((sum, t) => sum + t.length, 0));
+        const view = new DataView(out.buffer);
+        const power = 2 ** Math.floor(Math.log2(tags.length));
+        view.setUint32(0, 0x00010000);
+        view.setUint16(4, tags.length);
+        view.setUint16(6, power * 16);
+        view.setUint16(8, Math.log2(power));
+        view.setUint16(10, tags.length * 16 - power * 16);
+
+        let offset = headerLength;
+        tags.forEach((tag, i) => {
+            const data = padded[i];
+            const dataView = new DataView(data.buffer);
+            let checksum = 0;
+            for (let p = 0; p < data.length; p += 4) checksum = (checksum + dataView.getUint32(p)) >>> 0;
+
+            const record = 12 + i * 16;
+            for (let c = 0; c < 4; c++) out[record + c] = tag.charCodeAt(c);
+            view.setUint32(record + 4, checksum);
+            view.setUint32(record + 8, offset);
+            view.setUint32(record + 12, tables[tag].length);
+            out.set(data, offset);
+            offset += data.length;
+        });
+
+        return out;
+    }
+}
+
+// ============================================
+// FONTS AS USED BY THE WRITER
+// ============================================
+
+/**
+ * Embedded TrueType font, written as a Type0 / CIDFontType2 font with
+ * Identity-H encoding (2-byte glyph ids) and a ToUnicode map for copy/search
+ */
+class PdfEmbeddedFont {
+    constructor(key, name, font) {
+        this.key = key;
+        this.name = name;
+        this.font = font;
+        this.used = new Map(); // glyph id -> code point
+    }
+
+    glyphs(text) {
+        const glyphs = [];
+        for (const char of text) {
+            const codePoint = char.codePointAt(0);
+            const glyph = this.font.glyphId(codePoint);
+            // Characters the font lacks (emoji...) are left out
+            if (glyph) glyphs.push([glyph, codePoint]);
+        }
+        return glyphs;
+    }
+
+    measure(text, size) {
+        return this.glyphs(text).reduce((width, [glyph]) => width + this.font.advance(glyph), 0) * size / 1000;
+    }
+
+    encode(text) {
+        return '<' + this.glyphs(text).map(([glyph, codePoint]) => {
+            if (!this.used.has(glyph)) this.used.set(glyph, codePoint);
+            return glyph.toString(16).padStart(4, '0');
+        }).join('') + '>';
+    }
+
+    async write(writer) {
+        const font = this.font;
+        const tag = PdfWriter.subsetTag(this.name);
+        const baseFont = `${tag}+${this.name}`;
+
+        const file = await writer.addStream({ Length1: 0 }, font.subset(this.used.keys()), { Length1: true });
+        const descriptor = writer.addObject(
+            `<< /Type /FontDescriptor /FontName /${baseFont} /Flags ${font.fixedPitch ? 33 : 32} ` +
+            `/FontBBox [${font.bbox.join(' ')}] /ItalicAngle 0 /Ascent ${font.ascent} /Descent ${font.descent} ` +
+            `/CapHeight ${font.capHeight} /StemV 80 /FontFile2 ${file} 0 R >>`);
+
+        const glyphs = [...this.used.keys()].sort((a, b) => a - b);
+        const widths = glyphs.map(glyph => `${glyph} [${font.advance(glyph)}]`).join(' ');
+        const cidFont = writer.addObject(
+            `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont} ` +
+            `/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ` +
+            `/FontDescriptor ${descriptor} 0 R /DW 1000 /W [${widths}] /CIDToGIDMap /Identity >>`);
+
+        const toUnicode = await writer.addStream({}, PdfWriter.latin1(this.toUnicodeCMap(glyphs)));
+        return writer.addObject(
+            `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H ` +
+            `/DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`);
+    }
+
+    toUnicodeCMap(glyphs) {
+        const hex = (codePoint) => Array.from(String.fromCodePoint(codePoint))
+            .map(c => c.charCodeAt(0).toString(16).padStart(4, '0')).join('');
+
+        let cmap = '/CIDInit /ProcSet findresource begin\n12 dict begin\nbegincmap\n' +
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def\n' +
+            '/CMapName /Adobe-Identity-UCS def\n/CMapType 2 def\n' +
+            '1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange\n';
+        for (let i = 0; i < glyphs.length; i += 100) {
+            const chunk = glyphs.slice(i, i + 100);
+            cmap += `${chunk.length} beginbfchar\n`;
+            chunk.forEach(glyph => {
+                cmap += `<${glyph.toString(16).padStart(4, '0')}> <${hex(this.used.get(glyph))}>\n`;
+            });
+            cmap += 'endbfchar\n';
+        }
+        return cmap + 'endcmap\nCMapName currentdict /CMap defineresource pop\nend\nend\n';
+    }
+}
+
+/**
+ * One of the 14 standard PDF fonts with WinAnsi encoding (not embedded)
+ */
+class PdfStandardFont {
+    // Helvetica / Helvetica-Bold advance widths for ASCII 32-126
+    static HELVETICA = [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722,
+        722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944,
+        667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+        222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584];
+    static HELVETICA_BOLD = [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722,
+        722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944,
+        667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556,
+        278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584];
+
+    // Unicode -> WinAnsi (cp1252) for the 0x80-0x9F range
+    static WIN_ANSI = {
+        0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+        0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+        0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+        0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+    };
+
+    constructor(key, baseFont, widths = null) {
+        this.key = key;
+        this.baseFont = baseFont;
+        this.widths = widths;
+    }
+
+    codes(text) {
+        const codes = [];
+        for (const char of text) {
+            const c = char.codePointAt(0);
+            if ((c >= 32 && c <= 126) || (c >= 160 && c <= 255)) codes.push(c);
+            else if (PdfStandardFont.WIN_ANSI[c]) codes.push(PdfStandardFont.WIN_ANSI[c]);
+            else if (c === 9) codes.push(32);
+            else if (c > 255 && !/\p{Extended_Pictographic}/u.test(char)) codes.push(63); // '?'
+        }
+        return codes;
+    }
+
+    measure(text, size) {
+        return this.codes(text).reduce((width, c) =>
+            width + (this.widths ? (this.widths[c - 32] ?? 556) : 600), 0) * size / 1000;
+    }
+
+    encode(text) {
+        return '<' + this.codes(text).map(c => c.toString(16).padStart(2, '0')).join('') + '>';
+    }
+
+    async write(writer) {
+        return writer.addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${this.baseFont} /Encoding /WinAnsiEncoding >>`);
+    }
+}
+
+// ============================================
+// PDF WRITER (layout + serialization)
+// ============================================
+class PdfWriter {
+    static PAGE_SIZES = { a4: [595.28, 841.89], letter: [612, 792] };
+
+    static FONT_FILES = {
+        regular: { name: 'DejaVuSans', path: 'fonts/DejaVuSans.ttf' },
+        bold: { name: 'DejaVuSans-Bold', path: 'fonts/DejaVuSans-Bold.ttf' },
+        mono: { name: 'DejaVuSansMono', path: 'fonts/DejaVuSansMono.ttf' }
+    };
+
+    // Parsed font files, shared between documents (bulk exports)
+    static fontCache = new Map();
+
+    static COLORS = {
+        text: [0.12, 0.12, 0.14],
+        muted: [0.45, 0.45, 0.5],
+        link: [0.1, 0.35, 0.75],
+        codeBackground: [0.95, 0.95, 0.96],
+        rule: [0.82, 0.82, 0.85]
+    };
+
+    constructor(options = {}) {
+        this.options = {
+            pageSize: 'a4',
+            margin: 56,
+            fontSize: 10.5,
+            title: '',
+            author: 'OmniExporter AI',
+            header: '',
+            headerRight: '',
+            footer: '',
+            ...options
+        };
+        [this.width, this.height] = PdfWriter.PAGE_SIZES[this.options.pageSize] || PdfWriter.PAGE_SIZES.a4;
+        this.left = this.options.margin;
+        this.right = this.width - this.options.margin;
+        this.top = this.height - this.options.margin - 12;
+        this.bottom = this.options.margin + 8;
+
+        this.fonts = null;
+        this.fontError = null;
+        this.pages = [];
+        this.page = null;
+        this.y = this.top;
+    }
+
+    // ============================================
+    // FONTS
+    // ============================================
+
+    /**
+     * Load the bundled TrueType fonts; standard fonts are used if any fails
+     * and the reason is kept in `fontError` for the caller to report
+     */
+    async loadFonts(files = PdfWriter.FONT_FILES) {
+        try {
+            const fonts = {};
+            let index = 1;
+            for (const [style, file] of Object.entries(files)) {
+                if (!PdfWriter.fontCache.has(file.path)) {
+                    const url = typeof chrome !== 'undefined' && chrome.runtime?.getURL ? chrome.runtime.getURL(file.path) : file.path;
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    PdfWriter.fontCache.set(file.path, new PdfTrueTypeFont(await response.arrayBuffer()));
+                }
+                fonts[style] = new PdfEmbeddedFont(`F${index++}`, file.name, PdfWriter.fontCache.get(file.path));
+            }
+            this.fonts = fonts;
+        } catch (e) {
+            console.warn('[PdfWriter] Font files unavailable, using standard fonts:', e.message);
+            this.fontError = e.message;
+            this.useStandardFonts();
+        }
+        return this;
+    }
+
+    useStandardFonts() {
+        this.fonts = {
+            regular: new PdfStandardFont('F1', 'Helvetica', PdfStandardFont.HELVETICA),
+            bold: new PdfStandardFont('F2', 'Helvetica-Bold', PdfStandardFont.HELVETICA_BOLD),
+            mono: new PdfStandardFont('F3', 'Courier')
+        };
+        return this;
+    }
+
+    /**
+     * Font for a run style: bold, mono, or regular (italic is a slanted regular)
+     */
+    fontFor(style) {
+        if (!this.fonts) this.useStandardFonts();
+        if (style === 'bold') return this.fonts.bold;
+        if (style === 'mono') return this.fonts.mono;
+        return this.fonts.regular;
+    }
+
+    measure(text, style, size) {
+        return this.fontFor(style).measure(text, size);
+    }
+
+    // ============================================
+    // PAGES
+    // ============================================
+    addPage() {
+        this.page = { ops: [], annots: [] };
+        this.pages.push(this.page);
+        this.y = this.top;
+        return this;
+    }
+
+    /**
+     * Start a new page unless the current one is still empty
+     */
+    pageBreak() {
+        if (!this.page || this.y < this.top) this.addPage();
+        return this;
+    }
+
+    ensureSpace(height) {
+        if (!this.page || this.y - height < this.bottom) this.addPage();
+    }
+
+    space(points) {
+        if (this.page && this.y < this.top) this.y -= points;
+        return this;
+    }
+
+    // ============================================
+    // DRAWING PRIMITIVES
+    // ============================================
+    drawText(text, x, y, { style = 'regular', size = this.options.fontSize, color = PdfWriter.COLORS.text } = {}, page = this.page) {
+        const font = this.fontFor(style);
+        const matrix = style === 'italic' ? `1 0 0.2 1 ${PdfWriter.num(x)} ${PdfWriter.num(y)} Tm` : `${PdfWriter.num(x)} ${PdfWriter.num(y)} Td`;
+        page.ops.push(`BT /${font.key} ${PdfWriter.num(size)} Tf ${color.map(PdfWriter.num).join(' ')} rg ${matrix} ${font.encode(text)} Tj ET`);
+    }
+
+    drawRect(x, y, w, h, color, page = this.page) {
+        page.ops.push(`${color.map(PdfWriter.num).join(' ')} rg ${[x, y, w, h].map(PdfWriter.num).join(' ')} re f`);
+    }
+
+    drawLine(x1, y1, x2, y2, color = PdfWriter.COLORS.rule, page = this.page) {
+        page.ops.push(`${color.map(PdfWriter.num).join(' ')} RG 0.6 w ${[x1, y1].map(PdfWriter.num).join(' ')} m ${[x2, y2].map(PdfWriter.num).join(' ')} l S`);
+    }
+
+    addLink(x, y, w, h, url) {
+        this.page.annots.push({ rect: [x, y, x + w, y + h], url });
+    }
+
+    // ============================================
+    // BLOCKS
+    // ============================================
+
+    /**
+     * Break runs ({ text, style, link, color }) into lines fitting `width`.
+     * Newlines in run text force a break; over-long words are split.
+     */
+    layoutRuns(runs, size, width) {
+        const lines = [[]];
+        let lineWidth = 0;
+        const push = (fragment) => {
+            const line = lines[lines.length - 1];
+            const last = line[line.length - 1];
+            if (last && last.style === fragment.style && last.link === fragment.link && last.color === fragment.color) {
+                last.text += fragment.text;
+                last.width += fragment.width;
+            } else {
+                line.push(fragment);
+            }
+            lineWidth += fragment.width;
+        };
+        const newLine = () => {
+            const line = lines[lines.length - 1];
+            const last = line[line.length - 1];
+            if (last && /\s$/.test(last.text)) {
+                const trimmed = last.text.replace(/\s+$/, '');
+                last.width = this.measure(trimmed, last.style, size);
+                last.text = trimmed;
+            }
+            lines.push([]);
+            lineWidth = 0;
+        };
+
+        runs.forEach(run => {
+            const style = run.style || 'regular';
+            String(run.text ?? '').split(/(\n|[ \t]+)/).forEach(token => {
+                if (!token) return;
+                if (token === '\n') return newLine();
+
+                const fragment = (text) => ({ text, style, link: run.link || null, color: run.color || null, width: this.measure(text, style, size) });
+                const piece = fragment(token);
+
+                if (/^[ \t]+$/.test(token)) {
+                    if (lineWidth > 0) push(piece);
+                    return;
+                }
+                if (lineWidth + piece.width <= width) return push(piece);
+                if (lineWidth > 0) newLine();
+                if (piece.width <= width) return push(piece);
+
+                // Word longer than a line: split it by characters
+                let chunk = '';
+                for (const char of token) {
+                    if (chunk && this.measure(chunk + char, style, size) > width) {
+                        push(fragment(chunk));
+                        newLine();
+                        chunk = '';
+                    }
+                    chunk += char;
+                }
+                if (chunk) push(fragment(chunk));
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Wrapped paragraph of runs (or a plain string)
+     */
+    paragraph(runs, { size = this.options.fontSize, indent = 0, spaceAfter = 6, bullet = null, color = null, style = null } = {}) {
+        if (typeof runs === 'string') runs = [{ text: runs }];
+        runs = runs.map(run => ({ ...run, style: run.style || style || 'regular', color: run.color || color }));
+
+        const lineHeight = size * 1.45;
+        const x = this.left + indent + (bullet ? 14 : 0);
+        const lines = this.layoutRuns(runs, size, this.right - x);
+
+        lines.forEach((line, i) => {
+            this.ensureSpace(lineHeight);
+            this.y -= lineHeight;
+            if (bullet && i === 0) this.drawText(bullet, x - 14, this.y, { size, color: color || PdfWriter.COLORS.text });
+
+            let cursor = x;
+            line.forEach(fragment => {
+                const fragmentColor = fragment.color || (fragment.link ? PdfWriter.COLORS.link : PdfWriter.COLORS.text);
+                this.drawText(fragment.text, cursor, this.y, { style: fragment.style, size, color: fragmentColor });
+                if (fragment.link) this.addLink(cursor, this.y - size * 0.25, fragment.width, size * 1.15, fragment.link);
+                cursor += fragment.width;
+            });
+        });
+
+        this.y -= spaceAfter;
+        return this;
+    }
+
+    heading(text, level = 2) {
+        const size = { 1: 20, 2: 15, 3: 12.5, 4: 11 }[level] || 11;
+        // Keep the heading with at least a couple of lines of what follows
+        this.ensureSpace(size * 1.5 + this.options.fontSize * 3);
+        this.space(level <= 2 ? 10 : 6);
+        return this.paragraph([{ text, style: 'bold' }], { size, spaceAfter: level <= 2 ? 6 : 3 });
+    }
+
+    listItem(runs, { bullet = '•', indent = 0, size } = {}) {
+        return this.paragraph(runs, { bullet, indent: indent + 4, size, spaceAfter: 2 });
+    }
+
+    /**
+     * Code block on a shaded background; whitespace is preserved
+     */
+    codeBlock(code, caption = null) {
+        const size = 8.5;
+        const lineHeight = 11.5;
+        const padding = 6;
+        const width = this.right - this.left;
+
+        if (caption) this.paragraph([{ text: caption, style: 'bold' }], { size: 8.5, spaceAfter: 2, color: PdfWriter.COLORS.muted });
+
+        const lines = [];
+        String(code).replace(/\t/g, '    ').replace(/\n$/, '').split('\n').forEach(line => {
+            const wrapped = this.layoutRuns([{ text: line, style: 'mono' }], size, width - padding * 2);
+            wrapped.forEach(parts => lines.push(parts.map(p => p.text).join('')));
+        });
+
+        this.ensureSpace(lineHeight + padding);
+        this.drawRect(this.left, this.y - padding / 2, width, padding / 2, PdfWriter.COLORS.codeBackground);
+        lines.forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.drawRect(this.left, this.y - lineHeight, width, lineHeight, PdfWriter.COLORS.codeBackground);
+            this.y -= lineHeight;
+            this.drawText(line, this.left + padding, this.y + 3, { style: 'mono', size });
+        });
+        this.drawRect(this.left, this.y - padding / 2, width, padding / 2, PdfWriter.COLORS.codeBackground);
+        this.y -= padding / 2 + 8;
+        return this;
+    }
+
+    rule() {
+        this.ensureSpace(12);
+        this.y -= 6;
+        this.drawLine(this.left, this.y, this.right, this.y);
+        this.y -= 6;
+        return this;
+    }
+
+    /**
+     * Running header and footer ("Page n of N") on every page
+     */
+    decoratePages() {
+        const { header, headerRight, footer } = this.options;
+        const size = 8;
+        const muted = { size, color: PdfWriter.COLORS.muted };
+        const fit = (text, width) => {
+            let out = String(text || '');
+            while (out && this.measure(out, 'regular', size) > width) out = out.slice(0, -2) + '…';
+            return out;
+        };
+
+        this.pages.forEach((page, i) => {
+            const headerY = this.height - this.options.margin + 14;
+            const rightText = fit(headerRight, 150);
+            const rightWidth = this.measure(rightText, 'regular', size);
+            this.drawText(fit(header, this.right - this.left - rightWidth - 20), this.left, headerY, muted, page);
+            this.drawText(rightText, this.right - rightWidth, headerY, muted, page);
+            this.drawLine(this.left, headerY - 5, this.right, headerY - 5, PdfWriter.COLORS.rule, page);
+
+            const footerY = this.options.margin - 24;
+            const pageLabel = `Page ${i + 1} of ${this.pages.length}`;
+            this.drawText(fit(footer, 300), this.left, footerY, muted, page);
+            this.drawText(pageLabel, this.right - this.measure(pageLabel, 'regular', size), footerY, muted, page);
+        });
+    }
+
+    // ============================================
+    // SERIALIZATION
+    // ============================================
+    addObject(body) {
+        this.objects.push(typeof body === 'string' ? PdfWriter.latin1(body) : body);
+        return this.objects.length;
+    }
+
+    /**
+     * Add a (deflated when possible) stream object; `extra` adds dictionary
+     * entries, `lengthOf` entries take the uncompressed length (Length1)
+     */
+    async addStream(extra, bytes, lengthOf = {}) {
+        const compressed = await PdfWriter.deflate(bytes);
+        const data = compressed || bytes;
+        const entries = Object.entries(extra).map(([key, value]) => `/${key} ${lengthOf[key] ? bytes.length : value}`);
+        if (compressed) entries.push('/Filter /FlateDecode');
+        entries.push(`/Length ${data.length}`);
+
+        return this.addObject(PdfWriter.concat([
+            PdfWriter.latin1(`<< ${entries.join(' ')} >>\nstream\n`),
+            data,
+            PdfWriter.latin1('\nendstream')
+        ]));
+    }
+
+    async toBytes() {
+        if (this.pages.length === 0) this.addPage();
+        this.decoratePages();
+
+        this.objects = [];
+        const catalog = this.addObject('');
+        const pagesRef = this.addObject('');
+
+        const fontRefs = [];
+        for (const font of Object.values(this.fonts)) {
+            fontRefs.push(`/${font.key} ${await font.write(this)} 0 R`);
+        }
+
+        const kids = [];
+        for (const page of this.pages) {
+            const content = await this.addStream({}, PdfWriter.latin1(page.ops.join('\n')));
+            const annots = page.annots.map(a => this.addObject(
+                `<< /Type /Annot /Subtype /Link /Rect [${a.rect.map(PdfWriter.num).join(' ')}] /Border [0 0 0] ` +
+                `/A << /Type /Action /S /URI /URI ${PdfWriter.literal(PdfWriter.safeUrl(a.url))} >> >>`));
+            kids.push(this.addObject(
+                `<< /Type /Page /Parent ${pagesRef} 0 R /Resources << /Font << ${fontRefs.join(' ')} >> >> ` +
+                `/Contents ${content} 0 R${annots.length ? ` /Annots [${annots.map(r => `${r} 0 R`).join(' ')}]` : ''} >>`));
+        }
+
+        this.objects[catalog - 1] = PdfWriter.latin1(`<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+        this.objects[pagesRef - 1] = PdfWriter.latin1(
+            `<< /Type /Pages /Kids [${kids.map(r => `${r} 0 R`).join(' ')}] /Count ${kids.length} ` +
+            `/MediaBox [0 0 ${PdfWriter.num(this.width)} ${PdfWriter.num(this.height)}] >>`);
+
+        const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        const info = this.addObject(
+            `<< /Title ${PdfWriter.textString(this.options.title)} /Author ${PdfWriter.textString(this.options.author)} ` +
+            `/Producer (OmniExporter AI) /CreationDate (D:${now}Z) >>`);
+
+        // Header, objects, cross-reference table, trailer
+        const chunks = [PdfWriter.latin1('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n')];
+        let offset = chunks[0].length;
+        const offsets = this.objects.map((body, i) => {
+            const at = offset;
+            const object = PdfWriter.concat([PdfWriter.latin1(`${i + 1} 0 obj\n`), body, PdfWriter.latin1('\nendobj\n')]);
+            chunks.push(object);
+            offset += object.length;
+            return at;
+        });
+
+        let xref = `xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(at => { xref += `${String(at).padStart(10, '0')} 00000 n \n`; });
+        xref += `trailer\n<< /Size ${this.objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+        chunks.push(PdfWriter.latin1(xref));
+
+        return PdfWriter.concat(chunks);
+    }
+
+    async toBlob() {
+        return new Blob([await this.toBytes()], { type: 'application/pdf' });
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    static num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    static latin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+        return bytes;
+    }
+
+    static concat(parts) {
+        const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+        let offset = 0;
+        parts.forEach(p => {
+            out.set(p, offset);
+            offset += p.length;
+        });
+        return out;
+    }
+
+    /**
+     * PDF literal string (ASCII only) with ( ) \ escaped
+     */
+    static literal(text) {
+        return '(' + String(text).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7E]/g, '') + ')';
+    }
+
+    /**
+     * UTF-16BE text string for document metadata
+     */
+    static textString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < String(text).length; i++) hex += String(text).charCodeAt(i).toString(16).padStart(4, '0');
+        return `<${hex}>`;
+    }
+
+    static safeUrl(url) {
+        try {
+            return encodeURI(decodeURI(url));
+        } catch (e) {
+            return encodeURI(url);
+        }
+    }
+
+    /**
+     * Six-letter tag marking an embedded font subset (e.g. "KQJPAB+DejaVuSans")
+     */
+    static subsetTag(seed) {
+        let hash = 0;
+        for (const char of seed + Date.now()) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        let tag = '';
+        for (let i = 0; i < 6; i++) {
+            tag += String.fromCharCode(65 + (hash % 26));
+            hash = Math.floor(hash / 26) + i * 7;
+        }
+        return tag;
+    }
+
+    /**
+     * zlib-deflate bytes (FlateDecode); null when CompressionStream is unavailable
+     */
+    static async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PdfWriter, PdfTrueTypeFont, PdfEmbeddedFont, PdfStandardFont };
+}
@@ -27,6 +27,14 @@ const PLATFORM_CONFIGS = {
             spaces: {
                 primary: '/rest/collections/list',
                 fallback: '/api/collections'
+            },
+            spaceDetail: {
+                primary: '/rest/collections/get_collection?collection_slug={slug}',
+                fallback: '/api/collections/{slug}'
+            },
+            spaceFiles: {
+                primary: '/rest/file-repository/list-files',
+                fallback: '/api/file-repository/list-files'
             }
         },
         patterns: {
@@ -64,6 +72,22 @@ const PLATFORM_CONFIGS = {
             conversationDetail: {
                 primary: '/api/organizations/{org}/chat_conversations/{uuid}',
                 fallback: '/api/v1/organizations/{org}/conversations/{uuid}'
+            },
+            projects: {
+                primary: '/api/organizations/{org}/projects',
+                fallback: '/api/v1/organizations/{org}/projects'
+            },
+            projectDetail: {
+                primary: '/api/organizations/{org}/projects/{project}',
+                fallback: '/api/v1/organizations/{org}/projects/{project}'
+            },
+            projectDocs: {
+                primary: '/api/organizations/{org}/projects/{project}/docs',
+                fallback: '/api/v1/organizations/{org}/projects/{project}/docs'
+            },
+            projectFiles: {
+                primary: '/api/organizations/{org}/projects/{project}/files',
+                fallback: '/api/v1/organizations/{org}/projects/{project}/files'
             }
         },
         patterns: {
@@ -95,6 +119,22 @@ const PLATFORM_CONFIGS = {
             conversationDetail: {
                 primary: '/backend-api/conversation/{uuid}',
                 fallback: '/api/conversation/{uuid}'
+            },
+            projects: {
+                primary: '/backend-api/gizmos/snorlax/sidebar?conversations_per_gizmo=0',
+                fallback: '/backend-api/gizmos/snorlax/sidebar'
+            },
+            projectConversations: {
+                primary: '/backend-api/gizmos/{id}/conversations?cursor={cursor}',
+                fallback: '/backend-api/gizmos/{id}/conversations?offset={cursor}'
+            },
+            gizmo: {
+                primary: '/backend-api/gizmos/{id}',
+                fallback: '/public-api/gizmos/{id}'
+            },
+            recentGizmos: {
+                primary: '/backend-api/gizmos/discovery/recent',
+                fallback: '/backend-api/gizmos/pinned'
             }
         },
         patterns: {
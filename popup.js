@@ -425,7 +425,7 @@ async function ensureContentScript(tabId) {
     try {
         await chrome.scripting.executeScript({
             target: { tabId },
-            files: ['platform-config.js', 'content.js']
+            files: ['platform-config.js', 'conversation-schema.js', 'content.js']
         });
         logPopup('debug', 'Content script injected');
         return true;
@@ -535,12 +535,15 @@ async function exportCurrentChat(format = 'markdown') {
                     // Use ExportManager if available, fallback to old method
                     if (typeof ExportManager !== 'undefined') {
                         try {
-                            const result = ExportManager.export(response.data, format, currentPlatform);
+                            const result = await ExportManager.export(response.data, format, currentPlatform);
                             setStatus(`Exported as ${result.format}!`, 'success');
                             if (loadingToastId && typeof Toast !== 'undefined') {
                                 Toast.dismiss(loadingToastId);
                                 Toast.success(`Exported as ${result.format}`);
                             }
+                            if (result.warnings?.length && typeof Toast !== 'undefined') {
+                                result.warnings.forEach(warning => Toast.warning(warning, 8000));
+                            }
                         } catch (exportErr) {
                             setStatus(`Export error: ${exportErr.message}`, 'error');
                             if (loadingToastId && typeof Toast !== 'undefined') {
@@ -580,8 +583,8 @@ async function saveToNotion() {
             LoadingManager.show('saveToNotionBtn', '⏳');
             logPopup('info', 'Starting Notion sync');
 
-            const storage = await chrome.storage.local.get(['notionDbId']);
-            if (!storage.notionDbId) {
+            const destination = NotionPageSync.destination(await chrome.storage.local.get(NotionPageSync.SETTINGS));
+            if (!destination.databaseId && !destination.pageId) {
                 setStatus('Configure Notion in Settings', 'error');
                 LoadingManager.hide('saveToNotionBtn');
                 return;
@@ -622,8 +625,8 @@ async function saveToNotion() {
                     }
 
                     try {
-                        await syncToNotionAPI(response.data, token, storage.notionDbId);
-                        setStatus('✅ Saved to Notion!', 'success');
+                        const { action } = await syncToNotionAPI(response.data, token, destination);
+                        setStatus(action === 'created' ? '✅ Saved to Notion!' : '✅ Notion page updated!', 'success');
                     } catch (notionErr) {
                         setStatus(`Error: ${notionErr.message}`, 'error');
                     }
@@ -639,173 +642,36 @@ async function saveToNotion() {
     }
 }
 
-/**
- * Build Notion page properties based on database schema
- * Supports common property types: Title, URL, Date, Select, Multi-Select
- */
-async function buildNotionProperties(data, dbId, apiKey, entries) {
-    // Build title - always required
-    const title = data.title || data.query_str || 'Untitled Chat';
-
-    // Build URL based on platform
-    const platformUrls = {
-        'Perplexity': `https://www.perplexity.ai/search/${data.uuid}`,
-        'ChatGPT': `https://chatgpt.com/c/${data.uuid}`,
-        'Claude': `https://claude.ai/chat/${data.uuid}`,
-        'Gemini': `https://gemini.google.com/app/${data.uuid}`,
-        'Grok': `https://grok.com/chat/${data.uuid}`,
-        'DeepSeek': `https://chat.deepseek.com/a/chat/s/${data.uuid}`
-    };
-    const chatUrl = platformUrls[currentPlatform] || platformUrls['Perplexity'];
-
-    // Build date - use last_query_datetime or current date
-    const chatDate = data.last_query_datetime || data.updated_at || new Date().toISOString();
-
-    // Build properties object - Notion property names are case-sensitive
-    // We include common property names that databases might have
-    const properties = {
-        // Title is always required (case-insensitive match)
-        'Title': {
-            title: [{ type: 'text', text: { content: title.slice(0, 2000) } }]
-        }
-    };
-
-    // Add URL property (common names: URL, Link, Source)
-    properties['URL'] = { url: chatUrl };
-
-    // Add Tags/Platform property (common names: Tags, Platform, Source)
-    properties['Tags'] = {
-        multi_select: [{ name: currentPlatform || 'AI' }]
-    };
-
-    // Add Chat Time/Date property (common names: Chat Time, Date, Created)
-    properties['Chat Time'] = {
-        date: { start: chatDate.split('T')[0] } // Format: YYYY-MM-DD
-    };
-
-    // Add Space Name if available
-    if (data.space_name) {
-        properties['Space Name'] = {
-            rich_text: [{ type: 'text', text: { content: data.space_name } }]
-        };
-    }
-
-    return properties;
-}
-
-// Sync to Notion API
-async function syncToNotionAPI(data, apiKey, dbId) {
-    const entries = data.detail?.entries || [];
-    const children = [];
-
-    // Add metadata header
-    children.push({
-        type: "callout",
-        callout: {
-            icon: { emoji: "🤖" },
-            color: "blue_background",
-            rich_text: [{
-                type: "text",
-                text: { content: `Exported from ${currentPlatform} on ${new Date().toLocaleString()}` }
-            }]
-        }
+// Sync to Notion API: creates the thread's page, or updates the one synced before,
+// in the database or under the parent page of `destination`. Resolves to { page, action }.
+async function syncToNotionAPI(data, apiKey, destination) {
+    const dbId = destination.databaseId;
+    const { header, turns, complete } = NotionBlocks.fromConversation(data, currentPlatform);
+
+    // Create or update the page with dynamic properties and throttling
+    const properties = dbId
+        ? await buildNotionProperties(data, dbId, apiKey)
+        : NotionSchema.pageProperties(data, null, { platform: currentPlatform });
+    const { notionResyncMode } = await chrome.storage.local.get('notionResyncMode');
+    const pages = new NotionPageSync({
+        token: apiKey,
+        databaseId: dbId,
+        pageId: destination.pageId,
+        send: (request) => withRetry(() => notionRateLimiter.throttle(request)),
+        mapError: (error) => NotionErrorMapper.map(error)
     });
-    children.push({ type: "divider", divider: {} });
-
-    // Add each Q&A entry
-    entries.forEach((entry, index) => {
-        const query = entry.query || entry.query_str || '';
-        if (query) {
-            children.push({
-                type: "heading_2",
-                heading_2: {
-                    rich_text: [{ type: "text", text: { content: `🙋 ${query}`.slice(0, 2000) } }]
-                }
-            });
-        }
 
-        // Extract answer
-        let answer = '';
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                    }
-                }
-            });
-        }
-        if (!answer.trim()) answer = entry.answer || entry.text || '';
-
-        // Add answer (chunked)
-        if (answer.trim()) {
-            const chunks = splitTextForNotion(answer.trim(), 1900);
-            chunks.forEach(chunk => {
-                children.push({
-                    type: "paragraph",
-                    paragraph: { rich_text: [{ type: "text", text: { content: chunk } }] }
-                });
-            });
-        }
-
-        if (index < entries.length - 1) {
-            children.push({ type: "divider", divider: {} });
-        }
-    });
-
-    // Create Notion page with dynamic properties and throttling
-    const properties = await buildNotionProperties(data, dbId, apiKey, entries);
-
-    const response = await withRetry(async () => {
-        return await notionRateLimiter.throttle(async () => {
-            return await fetch('https://api.notion.com/v1/pages', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'Notion-Version': '2022-06-28'
-                },
-                body: JSON.stringify({
-                    parent: { database_id: dbId },
-                    properties: properties,
-                    children: children.slice(0, 100)
-                })
-            });
-        });
+    return await pages.save(data.uuid, {
+        properties,
+        header,
+        turns,
+        complete,
+        mode: notionResyncMode,
+        schema: dbId ? await getNotionDatabaseSchema(dbId, apiKey) : null,
+        group: NotionSchema.groupTitle(data, destination.grouping, { platform: currentPlatform })
     });
-
-
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(NotionErrorMapper.map(error));
-    }
-
-    return await response.json();
-}
-
-// Split text for Notion's 2000 char limit
-function splitTextForNotion(text, maxLength = 1900) {
-    const chunks = [];
-    let remaining = text;
-    while (remaining.length > 0) {
-        if (remaining.length <= maxLength) {
-            chunks.push(remaining);
-            break;
-        }
-        let bp = remaining.lastIndexOf('\n', maxLength);
-        if (bp < maxLength / 2) bp = remaining.lastIndexOf('. ', maxLength);
-        if (bp < maxLength / 2) bp = remaining.lastIndexOf(' ', maxLength);
-        if (bp < maxLength / 2) bp = maxLength;
-        chunks.push(remaining.slice(0, bp + 1).trim());
-        remaining = remaining.slice(bp + 1);
-    }
-    return chunks;
 }
 
-
 // OPEN DASHBOARD
 // ============================================
 function openDashboard() {
@@ -852,11 +718,12 @@ function updateSyncUI(isEnabled) {
 // UTILITIES
 // ============================================
 function formatToMarkdown(data) {
-    const entries = data.detail?.entries || [];
-    const firstEntry = entries[0] || {};
+    const conversation = ConversationSchema.from(data, { platform: currentPlatform });
+    const entries = ConversationSchema.toTurns(conversation);
+    const when = conversation.updatedAt || entries[0]?.createdAt;
     const title = data.title || 'Untitled Chat';
-    const date = firstEntry.updated_datetime
-        ? new Date(firstEntry.updated_datetime).toISOString().split('T')[0]
+    const date = when
+        ? new Date(when).toISOString().split('T')[0]
         : new Date().toISOString().split('T')[0];
     const url = `https://www.perplexity.ai/search/${data.uuid || ''}`;
 
@@ -868,23 +735,8 @@ function formatToMarkdown(data) {
     md += '---\n\n';
 
     entries.forEach(entry => {
-        const query = entry.query || entry.query_str || '';
-        if (query) md += `## 🙋 ${query}\n\n`;
-
-        let answer = '';
-        if (entry.blocks && Array.isArray(entry.blocks)) {
-            entry.blocks.forEach(block => {
-                if (block.intended_usage === 'ask_text' && block.markdown_block) {
-                    if (block.markdown_block.answer) {
-                        answer += block.markdown_block.answer + '\n\n';
-                    } else if (block.markdown_block.chunks) {
-                        answer += block.markdown_block.chunks.join('\n') + '\n\n';
-                    }
-                }
-            });
-        }
-        if (!answer.trim()) answer = entry.answer || entry.text || '';
-        if (answer.trim()) md += `${answer.trim()}\n\n`;
+        if (entry.query) md += `## 🙋 ${entry.query}\n\n`;
+        if (entry.answer) md += `${entry.answer}\n\n`;
         md += '---\n\n';
     });
     return md;
@@ -935,31 +787,12 @@ async function getNotionDatabaseSchema(dbId, apiKey) {
     }
 }
 
-async function buildNotionProperties(data, dbId, apiKey, entries = []) {
-    const properties = {
-        title: { title: [{ type: "text", text: { content: (data.title || 'Chat').slice(0, 2000) } }] }
-    };
-    try {
-        const schema = await getNotionDatabaseSchema(dbId, apiKey);
-        if (!schema || !schema.properties) return properties;
-        const availableProps = schema.properties;
-        if (availableProps['URL'] && data.uuid) {
-            properties.URL = { url: `https://www.perplexity.ai/search/${data.uuid}` };
-        }
-        const threadTime = (entries && entries[0]) ? (entries[0].updated_datetime || entries[0].created_datetime) : null;
-        if (availableProps['Chat Time'] && threadTime) {
-            try {
-                properties['Chat Time'] = { date: { start: new Date(threadTime).toISOString() } };
-            } catch (e) { }
-        }
-        if (availableProps['Space Name'] && data.spaceName) {
-            properties['Space Name'] = { rich_text: [{ type: "text", text: { content: data.spaceName } }] };
-        }
-        if (availableProps['Platform']) {
-            properties.Platform = { select: { name: currentPlatform || 'Unknown' } };
-        }
-    } catch (error) {
-        console.warn('[OmniExporter] Property build failed:', error.message);
-    }
-    return properties;
+/**
+ * Page properties for the columns the export database has, following the
+ * property mapping (notion-schema.js)
+ */
+async function buildNotionProperties(data, dbId, apiKey) {
+    const schema = await getNotionDatabaseSchema(dbId, apiKey);
+    const { notionPropertyMap: mapping = {} } = await chrome.storage.local.get('notionPropertyMap');
+    return NotionSchema.pageProperties(data, schema, { platform: currentPlatform, mapping });
 }
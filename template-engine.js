@@ -0,0 +1,423 @@
+// OmniExporter AI - Template Engine
+// Small, logic-light template language behind the Markdown, HTML and plain
+// text exports. The built-in layouts are templates too
+// (ExportManager.DEFAULT_TEMPLATES); users can replace them per format in
+// Settings → Export Templates.
+//
+// Syntax
+// ------
+//   {{ entry.query }}                    value (HTML-escaped in HTML templates)
+//   {{{ entry.answerHtml }}}             raw value, never escaped
+//   {{ title | upper }}                  filters, chained left to right
+//   {{ exportedAt | date: "YYYY-MM-DD HH:mm" }}
+//   {{#if entry.sources}} … {{else}} … {{/if}}
+//   {{#if not entry.incomplete and entry.model == "gpt-4o"}} … {{/if}}
+//   {{#unless entry.reasoning}} … {{/unless}}
+//   {{#each entry.sources as source}} {{ @number }}. {{ source.url }} {{/each}}
+//   {{! comment }}
+//
+// Inside #each: @index (0-based), @number (1-based), @first, @last and, for
+// objects, @key; without `as name` the item is `this`. Empty lists, empty
+// strings, 0, false and null are falsy. A block tag alone on its line is
+// removed together with that line, so templates can be laid out readably.
+
+class TemplateEngine {
+    static FILTERS = {
+        upper: (value) => TemplateEngine.toText(value).toUpperCase(),
+        lower: (value) => TemplateEngine.toText(value).toLowerCase(),
+        trim: (value) => TemplateEngine.toText(value).trim(),
+        default: (value, fallback = '') => TemplateEngine.truthy(value) ? value : fallback,
+        date: (value, pattern = 'locale') => TemplateEngine.formatDate(value, pattern),
+        join: (value, separator = ', ') => Array.isArray(value) ? value.map(v => TemplateEngine.toText(v)).join(separator) : value,
+        length: (value) => {
+            if (value == null) return 0;
+            if (Array.isArray(value)) return value.length;
+            return typeof value === 'object' ? Object.keys(value).length : TemplateEngine.toText(value).length;
+        },
+        first: (value) => Array.isArray(value) ? value[0] : value,
+        last: (value) => Array.isArray(value) ? value[value.length - 1] : value,
+        truncate: (value, length = 80, suffix = '…') => {
+            const text = TemplateEngine.toText(value);
+            return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+        },
+        replace: (value, search, replacement = '') => TemplateEngine.toText(value).split(TemplateEngine.toText(search)).join(replacement),
+        indent: (value, width = 2) => TemplateEngine.toText(value).split('\n').map(line => ' '.repeat(width) + line).join('\n'),
+        quote: (value) => TemplateEngine.toText(value).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'),
+        escape: (value) => TemplateEngine.escapeHtml(value),
+        nl2br: (value) => TemplateEngine.toText(value).replace(/\n/g, '<br>'),
+        json: (value) => JSON.stringify(value ?? null),
+        urlencode: (value) => encodeURIComponent(TemplateEngine.toText(value))
+    };
+
+    static BLOCKS = ['if', 'unless', 'each'];
+    static cache = new Map();
+
+    /**
+     * Render `source` with `context`. `escape` is applied to every {{ }}
+     * output (not {{{ }}}); `filters` adds or overrides filters.
+     */
+    static render(source, context = {}, { escape = null, filters = {} } = {}) {
+        const env = { escape, filters: { ...this.FILTERS, ...filters } };
+        return this.renderNodes(this.compile(source), [context], env);
+    }
+
+    /**
+     * Error message for an invalid template, or null
+     */
+    static validate(source) {
+        try {
+            this.compile(source);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    }
+
+    // ============================================
+    // PARSING
+    // ============================================
+
+    static compile(source) {
+        source = String(source ?? '');
+        if (this.cache.has(source)) return this.cache.get(source);
+
+        const root = { type: 'root', body: [] };
+        const stack = [root];
+        const tagPattern = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+        let cursor = 0;
+        let match;
+
+        const lineOf = (index) => source.slice(0, index).split('\n').length;
+        const fail = (message, index) => {
+            throw new Error(`Template error (line ${lineOf(index)}): ${message}`);
+        };
+        const target = () => {
+            const node = stack[stack.length - 1];
+            return node.inElse ? node.elseBody : node.body;
+        };
+        const pushText = (text) => {
+            if (text) target().push({ type: 'text', value: text });
+        };
+
+        while ((match = tagPattern.exec(source))) {
+            const raw = match[1] !== undefined;
+            const tag = (raw ? match[1] : match[2]).trim();
+            const end = match.index + match[0].length;
+            const isBlock = !raw && /^(#|\/|!|else\b)/.test(tag);
+
+            // A block tag alone on its line takes the line with it
+            let textEnd = match.index;
+            let next = end;
+            if (isBlock) {
+                const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+                const newline = source.indexOf('\n', end);
+                const lineEnd = newline === -1 ? source.length : newline;
+                if (lineStart >= cursor && !source.slice(lineStart, match.index).trim() && !source.slice(end, lineEnd).trim()) {
+                    textEnd = lineStart;
+                    next = newline === -1 ? source.length : newline + 1;
+                }
+            }
+            pushText(source.slice(cursor, textEnd));
+            cursor = next;
+            tagPattern.lastIndex = Math.max(end, next);
+
+            if (raw) {
+                target().push({ type: 'output', expr: this.parseExpression(tag, (m) => fail(m, match.index)), raw: true });
+            } else if (tag.startsWith('!')) {
+                continue;
+            } else if (tag.startsWith('#')) {
+                const [, name, rest = ''] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+                if (!this.BLOCKS.includes(name)) fail(`Unknown block "#${name || tag.slice(1)}"`, match.index);
+                const node = { type: name, body: [], elseBody: [], inElse: false, index: match.index };
+                let expression = rest.trim();
+                if (name === 'each') {
+                    const alias = expression.match(/^([\s\S]+?)\s+as\s+([A-Za-z_$][\w$]*)$/);
+                    if (alias) [, expression, node.alias] = alias;
+                }
+                if (!expression) fail(`"#${name}" needs an expression`, match.index);
+                node.expr = this.parseExpression(expression, (m) => fail(m, match.index));
+                target().push(node);
+                stack.push(node);
+            } else if (/^else\b/.test(tag)) {
+                const node = stack[stack.length - 1];
+                if (node === root || node.inElse) fail('Unexpected {{else}}', match.index);
+                node.inElse = true;
+            } else if (tag.startsWith('/')) {
+                const name = tag.slice(1).trim();
+                const node = stack.pop();
+                if (node === root) fail(`Unexpected {{/${name}}}`, match.index);
+                if (node.type !== name) fail(`{{/${name}}} closes {{#${node.type}}} (line ${lineOf(node.index)})`, match.index);
+            } else {
+                if (!tag) fail('Empty tag', match.index);
+                target().push({ type: 'output', expr: this.parseExpression(tag, (m) => fail(m, match.index)), raw: false });
+            }
+        }
+        pushText(source.slice(cursor));
+
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1];
+            fail(`{{#${open.type}}} is never closed`, open.index);
+        }
+
+        if (this.cache.size > 20) this.cache.clear();
+        this.cache.set(source, root.body);
+        return root.body;
+    }
+
+    /**
+     * Expression grammar:
+     *   or    := and ('or' and)*
+     *   and   := unary ('and' unary)*
+     *   unary := ('not' | '!') unary | value (('==' | '!=' | '<' | '<=' | '>' | '>=') value)?
+     *   value := primary ('|' filter (':' primary (',' primary)*)?)*
+     */
+    static parseExpression(text, fail) {
+        const tokens = [];
+        const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|(==|!=|<=|>=|<|>|\||:|,|!)|(@?[A-Za-z_$][\w$]*(?:\.[\w$]+)*))/y;
+        let position = 0;
+        while (position < text.length) {
+            if (!text.slice(position).trim()) break;
+            pattern.lastIndex = position;
+            const m = pattern.exec(text);
+            if (!m) fail(`Cannot parse "${text.slice(position).trim()}"`);
+            position = pattern.lastIndex;
+            if (m[1] !== undefined) tokens.push({ kind: 'literal', value: m[1].slice(1, -1).replace(/\\(.)/g, (_, c) => ({ n: '\n', t: '\t' })[c] ?? c) });
+            else if (m[2] !== undefined) tokens.push({ kind: 'literal', value: Number(m[2]) });
+            else if (m[3] !== undefined) tokens.push({ kind: 'op', value: m[3] });
+            else if (['true', 'false', 'null'].includes(m[4])) tokens.push({ kind: 'literal', value: JSON.parse(m[4]) });
+            else if (['and', 'or', 'not'].includes(m[4])) tokens.push({ kind: 'op', value: m[4] });
+            else tokens.push({ kind: 'path', value: m[4] });
+        }
+
+        let i = 0;
+        const peek = (value) => tokens[i] && tokens[i].kind === 'op' && tokens[i].value === value;
+        const primary = () => {
+            const token = tokens[i++];
+            if (!token || token.kind === 'op') fail(`Expected a value in "${text}"`);
+            return token.kind === 'literal' ? { type: 'literal', value: token.value } : { type: 'path', path: token.value.split('.') };
+        };
+        const value = () => {
+            let node = primary();
+            while (peek('|')) {
+                i++;
+                const name = tokens[i++];
+                if (!name || name.kind !== 'path') fail(`Expected a filter name in "${text}"`);
+                const args = [];
+                if (peek(':')) {
+                    i++;
+                    args.push(primary());
+                    while (peek(',')) {
+                        i++;
+                        args.push(primary());
+                    }
+                }
+                node = { type: 'filter', name: name.value, input: node, args };
+            }
+            return node;
+        };
+        const unary = () => {
+            if (peek('not') || peek('!')) {
+                i++;
+                return { type: 'not', input: unary() };
+            }
+            const left = value();
+            const op = tokens[i];
+            if (op && op.kind === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(op.value)) {
+                i++;
+                return { type: 'compare', op: op.value, left, right: value() };
+            }
+            return left;
+        };
+        const and = () => {
+            let node = unary();
+            while (peek('and')) {
+                i++;
+                node = { type: 'and', left: node, right: unary() };
+            }
+            return node;
+        };
+        const or = () => {
+            let node = and();
+            while (peek('or')) {
+                i++;
+                node = { type: 'or', left: node, right: and() };
+            }
+            return node;
+        };
+
+        const expr = or();
+        if (i < tokens.length) fail(`Unexpected "${tokens[i].value}" in "${text}"`);
+        return expr;
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    static renderNodes(nodes, scopes, env) {
+        let out = '';
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    out += node.value;
+                    break;
+                case 'output': {
+                    const text = this.toText(this.evaluate(node.expr, scopes, env));
+                    out += !node.raw && env.escape ? env.escape(text) : text;
+                    break;
+                }
+                case 'if':
+                case 'unless': {
+                    const truthy = this.truthy(this.evaluate(node.expr, scopes, env));
+                    out += this.renderNodes(truthy === (node.type === 'if') ? node.body : node.elseBody, scopes, env);
+                    break;
+                }
+                case 'each': {
+                    const value = this.evaluate(node.expr, scopes, env);
+                    const items = Array.isArray(value) ? value.map((item, index) => [index, item])
+                        : value && typeof value === 'object' ? Object.entries(value) : [];
+                    if (items.length === 0) {
+                        out += this.renderNodes(node.elseBody, scopes, env);
+                        break;
+                    }
+                    items.forEach(([key, item], index) => {
+                        const scope = {
+                            this: item,
+                            '@index': index,
+                            '@number': index + 1,
+                            '@first': index === 0,
+                            '@last': index === items.length - 1,
+                            '@key': key
+                        };
+                        if (node.alias) scope[node.alias] = item;
+                        // Without an alias the item's own fields are in scope
+                        const itemScope = !node.alias && item && typeof item === 'object' ? [item] : [];
+                        out += this.renderNodes(node.body, [...scopes, ...itemScope, scope], env);
+                    });
+                    break;
+                }
+            }
+        });
+        return out;
+    }
+
+    static evaluate(expr, scopes, env) {
+        switch (expr.type) {
+            case 'literal':
+                return expr.value;
+            case 'path':
+                return this.lookup(expr.path, scopes);
+            case 'not':
+                return !this.truthy(this.evaluate(expr.input, scopes, env));
+            case 'and':
+                return this.truthy(this.evaluate(expr.left, scopes, env)) && this.truthy(this.evaluate(expr.right, scopes, env));
+            case 'or':
+                return this.truthy(this.evaluate(expr.left, scopes, env)) || this.truthy(this.evaluate(expr.right, scopes, env));
+            case 'compare': {
+                const left = this.evaluate(expr.left, scopes, env);
+                const right = this.evaluate(expr.right, scopes, env);
+                switch (expr.op) {
+                    case '==': return this.equals(left, right);
+                    case '!=': return !this.equals(left, right);
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    default: return left >= right;
+                }
+            }
+            case 'filter': {
+                const filter = env.filters[expr.name];
+                if (!filter) throw new Error(`Template error: unknown filter "${expr.name}"`);
+                return filter(this.evaluate(expr.input, scopes, env), ...expr.args.map(arg => this.evaluate(arg, scopes, env)));
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Resolve a dotted path against the innermost scope that defines its
+     * first segment; only own properties (and `length`) are reachable
+     */
+    static lookup(path, scopes) {
+        const [head, ...rest] = path;
+        const scope = [...scopes].reverse().find(s => s && typeof s === 'object' && Object.prototype.hasOwnProperty.call(s, head));
+        let value = scope ? scope[head] : undefined;
+        for (const key of rest) {
+            if (value == null) return undefined;
+            if (key === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+                value = value.length;
+            } else {
+                value = typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+            }
+        }
+        return value;
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    static truthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return !!value;
+    }
+
+    /**
+     * Template `==`: a number matches its digits (entry.index == "2") and a
+     * missing value matches another missing one; anything else must be identical
+     */
+    static equals(left, right) {
+        if (left == null || right == null) return left == null && right == null;
+        if (typeof left === 'number' || typeof right === 'number') return Number(left) === Number(right);
+        return left === right;
+    }
+
+    static toText(value) {
+        if (value == null) return '';
+        if (Array.isArray(value)) return value.map(v => this.toText(v)).join(', ');
+        if (value instanceof Date) return isNaN(value) ? '' : value.toLocaleString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    static escapeHtml(value) {
+        return TemplateEngine.toText(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * `pattern`: 'locale', 'date' (locale date), 'time' (locale time), 'iso',
+     * or tokens YYYY, MM, DD, HH, mm, ss (local time)
+     */
+    static formatDate(value, pattern = 'locale') {
+        if (value == null || value === '') return '';
+        const date = value instanceof Date ? value : new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+        if (isNaN(date)) return value;
+
+        switch (pattern) {
+            case 'locale': return date.toLocaleString();
+            case 'date': return date.toLocaleDateString();
+            case 'time': return date.toLocaleTimeString();
+            case 'iso': return date.toISOString();
+        }
+        const pad = (n) => String(n).padStart(2, '0');
+        const parts = {
+            YYYY: String(date.getFullYear()),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+        return String(pattern).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateEngine;
+}
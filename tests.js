@@ -6,6 +6,58 @@
  * Or run specific suites: TestSuite.testLogger(), TestSuite.testPlatforms(), etc.
  */
 
+// ============================================
+// FIXTURES: message pairing (platform-shaped roles)
+// ============================================
+const MessagePairingFixtures = [
+    {
+        name: 'Gemini: unanswered final prompt',
+        messages: [
+            { role: 0, content: 'Summarize this article' },
+            { role: 1, content: 'Here is a summary...' },
+            { role: 0, content: 'Now translate it' }
+        ],
+        expect: { turns: 2, incomplete: [2], queries: ['Summarize this article', 'Now translate it'] }
+    },
+    {
+        name: 'Grok: two prompts in a row (follow-up clarification)',
+        messages: [
+            { role: 'human', content: 'Plan a trip to Rome' },
+            { role: 'human', content: 'Actually make it Florence' },
+            { role: 'assistant', content: 'Day 1 in Florence...' }
+        ],
+        expect: { turns: 2, incomplete: [1], queries: ['Plan a trip to Rome', 'Actually make it Florence'] }
+    },
+    {
+        name: 'DeepSeek: interrupted generation (empty reply)',
+        messages: [
+            { role: 'USER', content: 'Prove the theorem' },
+            { role: 'ASSISTANT', content: '' },
+            { role: 'USER', content: 'Continue' },
+            { role: 'ASSISTANT', content: 'Proof: ...' }
+        ],
+        expect: { turns: 2, incomplete: [1], queries: ['Prove the theorem', 'Continue'] }
+    },
+    {
+        name: 'Claude: consecutive assistant messages stay in one turn',
+        messages: [
+            { role: 'human', content: 'Write a poem' },
+            { role: 'assistant', content: 'First stanza' },
+            { role: 'assistant', content: 'Second stanza' }
+        ],
+        expect: { turns: 1, incomplete: [], queries: ['Write a poem'], answers: ['First stanza\n\nSecond stanza'] }
+    },
+    {
+        name: 'Reply before any prompt is kept',
+        messages: [
+            { role: 'model', content: 'Welcome back!' },
+            { role: 'user', content: 'Hi' },
+            { role: 'model', content: 'Hello' }
+        ],
+        expect: { turns: 2, incomplete: [], queries: ['', 'Hi'] }
+    }
+];
+
 const TestSuite = {
     results: [],
     passed: 0,
@@ -364,6 +416,19 @@ const TestSuite = {
             this.assertEqual(parsed.meta.platform, 'DeepSeek');
         });
 
+        await this.test('JSON leaves out downloaded image and file bytes', () => {
+            const conversation = ConversationSchema.createConversation({
+                title: 'Plot', platform: 'ChatGPT',
+                messages: [
+                    { role: 'user', content: 'Chart this', attachments: [{ name: 'data.csv', mimeType: 'text/csv', data: btoa('a,b') }] },
+                    { role: 'assistant', parts: [{ type: 'image', url: 'https://files.example/y', mimeType: 'image/png', data: btoa('PNG') }] }
+                ]
+            });
+            const result = ExportManager.toJSON({ title: 'Plot', conversation }, 'ChatGPT');
+            this.assert(!result.includes(btoa('a,b')) && !result.includes(btoa('PNG')), 'Base64 data exported');
+            this.assert(result.includes('data.csv') && result.includes('https://files.example/y'), 'Asset details dropped');
+        });
+
         await this.test('ExportManager.toHTML returns valid HTML', () => {
             const result = ExportManager.toHTML(testData, 'Perplexity');
             this.assert(result.includes('<!DOCTYPE html>'), '<!DOCTYPE> missing');
@@ -400,18 +465,779 @@ const TestSuite = {
             this.assert(result.includes('Direct answer text'), 'Direct answer not extracted');
         });
 
+        await this.test('ExportManager.getArtifactFiles returns prefixed files', () => {
+            const conversation = ConversationSchema.createConversation({
+                artifacts: [{ id: 'a1', title: 'Chart', filename: 'chart.svg', content: '<svg></svg>' }]
+            });
+            const files = ExportManager.getArtifactFiles({ conversation }, 'Claude', 'Chat_2024-01-01');
+            this.assertEqual(files.length, 1);
+            this.assertEqual(files[0].filename, 'Chat_2024-01-01_chart.svg');
+            this.assertEqual(files[0].mimeType, 'image/svg+xml');
+        });
+
+        await this.test('Claude artifact updates keep $ sequences literally', () => {
+            const artifacts = new Map();
+            upsertClaudeArtifact(artifacts, { id: 'sh', command: 'create', content: 'echo NAME' }, 'm1');
+            const artifact = upsertClaudeArtifact(artifacts, { id: 'sh', command: 'update', old_str: 'NAME', new_str: '"$&" $$ $1' }, 'm2');
+            this.assertEqual(artifact.content, 'echo "$&" $$ $1');
+            this.assertEqual(artifact.version, 2);
+        }, typeof upsertClaudeArtifact === 'undefined');
+
+        await this.test('Gemini reads grounding sources from the response source slot only', () => {
+            // One hNvQHb turn: ids, prompt, candidate [choiceId, [text], [sources], ..., [image results]], timestamp
+            const fixture = '[[["c_5f2a","r_81c4"],["c_5f2a","r_81c4","rc_93d0"],[["What is RAG?"],1,null,0],'
+                + '[[["rc_93d0",["RAG pairs retrieval with generation [1][2]."],'
+                + '[[null,["https://en.wikipedia.org/wiki/Retrieval-augmented_generation","Retrieval-augmented generation - Wikipedia"]],'
+                + '[null,["https://www.gstatic.com/favicon.png"],["https://arxiv.org/abs/2005.11401","Retrieval-Augmented Generation for NLP"]]],'
+                + 'null,null,null,null,null,null,null,null,null,[null,["https://images.example.com/rag.jpg","Diagram"]]]]],'
+                + '[1736500000,0]]]';
+            const messages = GeminiAdapter._parseTurn(JSON.parse(fixture)[0]);
+
+            this.assertEqual(messages.map(m => m.role).join(','), 'user,assistant');
+            this.assertEqual(messages[0].content, 'What is RAG?');
+            this.assertEqual(messages[1].citations.map(c => c.url).join(' '),
+                'https://en.wikipedia.org/wiki/Retrieval-augmented_generation https://arxiv.org/abs/2005.11401');
+            this.assertEqual(messages[1].citations[1].title, 'Retrieval-Augmented Generation for NLP');
+        }, typeof GeminiAdapter === 'undefined');
+
+        await this.test('ExportManager.toPDF returns a PDF Blob', async () => {
+            const blob = await ExportManager.toPDF(testData, 'Perplexity');
+            this.assertEqual(blob.type, 'application/pdf');
+            const text = new TextDecoder('latin1').decode(await blob.arrayBuffer());
+            this.assert(text.startsWith('%PDF-'), 'Missing PDF header');
+            this.assert(text.includes('/URI (https://en.wikipedia.org/wiki/AI)'), 'Source link not clickable');
+            this.assert(text.trimEnd().endsWith('%%EOF'), 'Missing PDF trailer');
+        }, typeof PdfWriter === 'undefined');
+
+        await this.test('PdfWriter reports fonts that fail to load', async () => {
+            const pdf = await new PdfWriter().loadFonts({ regular: { path: 'fonts/Missing.ttf', name: 'Missing' } });
+            this.assertExists(pdf.fontError, 'Font failure not reported');
+            this.assert(pdf.fonts.regular instanceof PdfStandardFont, 'No standard font fallback');
+        }, typeof PdfWriter === 'undefined');
+
+        await this.test('ExportManager.getCollectionFiles exports a Space as one folder', () => {
+            const space = ConversationSchema.createCollection({
+                id: 'space-1', name: 'Research Notes', instructions: 'Cite sources.', platform: 'Perplexity',
+                files: [{ name: 'brief.pdf', url: 'https://example.com/brief.pdf' }]
+            });
+            const threads = [
+                { title: 'Same Title', uuid: 'aaaaaaaa-1', detail: { entries: [{ query: 'Q1', answer: 'A1' }] } },
+                { title: 'Same Title', uuid: 'bbbbbbbb-2', detail: { entries: [{ query: 'Q2', answer: 'A2' }] } }
+            ];
+            const files = ExportManager.getCollectionFiles(space, threads, 'markdown', 'Perplexity');
+            const names = files.map(f => f.filename);
+
+            this.assert(names.every(n => n.startsWith('Research_Notes/')), 'Files not in the Space folder');
+            this.assert(names.includes('Research_Notes/README.md'), 'Index missing');
+            this.assert(names.includes('Research_Notes/instructions.md'), 'Instructions missing');
+            this.assert(names.includes('Research_Notes/Same_Title.md'), 'Thread file missing');
+            this.assert(names.includes('Research_Notes/Same_Title_bbbbbbbb.md'), 'Duplicate title not disambiguated');
+
+            const manifest = JSON.parse(files.find(f => f.filename.endsWith('collection.json')).content);
+            this.assertEqual(manifest.collection.name, 'Research Notes');
+            this.assertEqual(manifest.threads.length, 2);
+            this.assert(files.find(f => f.filename.endsWith('README.md')).content.includes('brief.pdf'), 'Space files not listed');
+            this.assert(files.find(f => f.filename.endsWith('Same_Title.md')).content.includes('space: "Research Notes"'), 'Thread not tagged with its Space');
+        });
+
+        await this.test('ExportManager.getCollectionFiles saves project knowledge documents', () => {
+            const project = ConversationSchema.createCollection({
+                id: 'p1', kind: 'project', name: 'API Design', platform: 'Claude',
+                files: [
+                    { name: 'style-guide.md', extractedText: '# Style' },
+                    { name: 'diagram.png', url: null }
+                ]
+            });
+            const files = ExportManager.getCollectionFiles(project, [], 'markdown', 'Claude');
+            const doc = files.find(f => f.filename === 'API_Design/knowledge/style-guide.md');
+
+            this.assertExists(doc, 'Knowledge document not saved');
+            this.assertEqual(doc.content, '# Style');
+            this.assertEqual(files.filter(f => f.filename.includes('/knowledge/')).length, 1);
+            this.assert(files[0].content.includes('[style-guide.md](knowledge/style-guide.md)'), 'Index does not link the document');
+        });
+
+        await this.test('ExportManager.toDOCX returns a Word package', async () => {
+            const blob = await ExportManager.toDOCX(testData, 'Perplexity');
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            const text = new TextDecoder('latin1').decode(bytes);
+
+            this.assertEqual(blob.type, ExportManager.formats.docx.mimeType);
+            this.assertEqual(text.slice(0, 2), 'PK');
+            this.assert(text.includes('word/document.xml'), 'Missing main document part');
+        }, typeof DocxWriter === 'undefined' || typeof ZipWriter === 'undefined');
+
+        await this.test('ExportManager.toEPUB writes a book with chapters and a TOC', async () => {
+            const blob = await ExportManager.toEPUB([testData, { ...testData, title: 'Second Chat' }], 'Perplexity');
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            const text = new TextDecoder('latin1').decode(bytes);
+
+            this.assertEqual(blob.type, 'application/epub+zip');
+            this.assertEqual(text.slice(30, 58), 'mimetypeapplication/epub+zip');
+            this.assertEqual(bytes[8], 0, 'mimetype must be stored uncompressed');
+            this.assert(text.includes('OEBPS/nav.xhtml'), 'Missing navigation document');
+            this.assert(text.includes('OEBPS/chapter-002.xhtml'), 'Missing second chapter');
+        }, typeof ZipWriter === 'undefined');
+
+        await this.test('ExportManager.toDataset writes fine-tuning JSONL with filters', () => {
+            const items = [{ data: testData, platform: 'Perplexity' }, { data: testData, platform: 'Perplexity' }];
+            const openai = ExportManager.toDataset(items, { systemPrompt: 'Be brief.' });
+            const first = JSON.parse(openai.content.split('\n')[0]);
+
+            this.assertEqual(openai.examples, 1, 'Duplicate conversation was not removed');
+            this.assertEqual(openai.skipped.duplicate, 2);
+            this.assertEqual(first.messages.map(m => m.role).join(','), 'system,user,assistant,user,assistant');
+
+            const alpaca = ExportManager.toDataset(items, { format: 'alpaca', dedupe: false, minAnswerLength: 40 });
+            this.assertEqual(alpaca.examples, 2, 'Short answers were not filtered');
+            this.assertEqual(JSON.parse(alpaca.content.split('\n')[0]).instruction, 'What is artificial intelligence?');
+
+            const sharegpt = ExportManager.toDataset(items, { format: 'sharegpt', platforms: ['ChatGPT'] });
+            this.assertEqual(sharegpt.examples, 0, 'Platform filter ignored');
+
+            // A short answer cuts the conversation there instead of leaving a gap
+            const longer = { ...testData, detail: { entries: [...testData.detail.entries, { query: 'And deep learning?', answer: 'Deep learning stacks many layers of neural networks.' }] } };
+            const cut = ExportManager.toDataset([{ data: longer }], { minAnswerLength: 40 });
+            this.assertEqual(JSON.parse(cut.content).messages.length, 2, 'Turn dropped from the middle of a conversation');
+            this.assertEqual(cut.skipped.truncated, 1);
+            const prefixed = ExportManager.toDataset([{ data: longer }, { data: testData }]);
+            this.assertEqual(prefixed.examples, 1, 'Conversation prefix not deduplicated');
+        });
+
+        await this.test('TemplateEngine renders variables, loops, conditionals and filters', () => {
+            const template = '{{#each items as item}}\n{{ @number }}. {{ item.name | upper }}{{#if item.tags}} [{{ item.tags | join: "/" }}]{{/if}}\n{{/each}}\n{{ when | date: "YYYY-MM-DD" }} {{ html }} {{{ html }}}';
+            const out = TemplateEngine.render(template, {
+                items: [{ name: 'a', tags: ['x', 'y'] }, { name: 'b', tags: [] }],
+                when: new Date(2024, 0, 2),
+                html: '<b>'
+            }, { escape: TemplateEngine.escapeHtml });
+
+            this.assertEqual(out, '1. A [x/y]\n2. B\n2024-01-02 &lt;b&gt; <b>');
+            this.assert(TemplateEngine.validate('{{#if a}}open') !== null, 'Unclosed block not reported');
+            this.assertEqual(TemplateEngine.render('{{#if n == "2"}}a{{/if}}{{#if x != 0}}b{{/if}}{{#if s == 2}}c{{/if}}', { n: 2, s: 'two' }), 'ab');
+        }, typeof TemplateEngine === 'undefined');
+
+        await this.test('MarkdownRenderer renders tables, code, math and flowcharts', () => {
+            const markdown = '## Setup\n\n| A | B |\n|---|--:|\n| 1 | 2 |\n\n```js\nconst x = 1;\n```\n\n'
+                + 'Energy $E = mc^2$ costs $5 [1]\n\n```mermaid\ngraph LR\n  A[Start] --> B{Done?}\n```';
+            const { html, headings } = MarkdownRenderer.render(markdown, { citations: [{ index: 1, url: 'https://example.com' }], idPrefix: 'q1-' });
+
+            this.assertEqual(JSON.stringify(headings), JSON.stringify([{ level: 2, text: 'Setup', id: 'q1-setup' }]));
+            this.assert(html.includes('<td style="text-align: right">2</td>'), 'Table alignment missing');
+            this.assert(html.includes('<span class="tok-keyword">const</span>') && html.includes('class="copy-btn"'), 'Code not highlighted');
+            this.assert(html.includes('<msup><mi>c</mi><mn>2</mn></msup>') && html.includes('costs $5'), 'Math not rendered');
+            this.assert(html.includes('href="https://example.com"'), 'Citation not linked');
+            this.assert(html.includes('<svg') && html.includes('Done?'), 'Flowchart not drawn');
+            this.assertEqual(MarkdownRenderer.texToText('\\frac{a}{b} + x^2'), 'a/b + x²');
+        }, typeof MarkdownRenderer === 'undefined');
+
+        await this.test('Link destinations keep balanced parentheses', () => {
+            const markdown = 'See [Foo](https://en.wikipedia.org/wiki/Foo_(bar)) or [x](javascript:alert(1)).';
+            const { html } = MarkdownRenderer.render(markdown);
+            this.assert(html.includes('href="https://en.wikipedia.org/wiki/Foo_(bar)"'), 'URL cut at the first )');
+            this.assert(html.includes('href="#"') && !html.includes('alert') && !html.includes(').'), 'javascript: link leaked');
+
+            const text = NotionBlocks.richText(markdown);
+            this.assertEqual(text[1].text.link.url, 'https://en.wikipedia.org/wiki/Foo_(bar)');
+            this.assertEqual(text.map(t => t.text.content).join(''), 'See Foo or x.');
+        }, typeof MarkdownRenderer === 'undefined' || typeof NotionBlocks === 'undefined');
+
+        await this.test('Links hiding a scheme behind control characters are dropped', () => {
+            ['\x01javascript:alert(1)', ' \x00javascript:alert(1)', 'java\tscript:alert(1)', 'java\nscript:alert(1)']
+                .forEach(url => this.assertEqual(MarkdownRenderer.safeUrl(url), '#', JSON.stringify(url)));
+            this.assertEqual(MarkdownRenderer.safeUrl(' https://example.com/a '), 'https://example.com/a');
+            this.assert(!MarkdownRenderer.render('[x](\x01javascript:alert(1))').html.includes('alert'), 'javascript: link leaked');
+        }, typeof MarkdownRenderer === 'undefined');
+
+        await this.test('HTML export renders answers as markdown with a table of contents', () => {
+            const html = ExportManager.toHTML(testData, 'Perplexity');
+
+            this.assert(html.includes('<nav class="toc">') && html.includes('href="#q2"'), 'Table of contents missing');
+            this.assert(html.includes('<div class="markdown"><p>AI is the simulation'), 'Answer not rendered as markdown');
+            this.assert(html.includes('.copy-btn') && html.includes('<script>'), 'Inline assets missing');
+        }, typeof MarkdownRenderer === 'undefined');
+
+        await this.test('NotionBlocks converts answer markdown to native blocks', () => {
+            const markdown = '# Plan\n\nUse **bold** and `x` per [1] with $a^2$\n\n```py\nprint(1)\n```\n\n'
+                + '- [x] done\n  1. step\n\n| A | B |\n|---|---|\n| 1 | 2 |\n\n$$\nE = mc^2\n$$\n\n> quoted';
+            const blocks = NotionBlocks.fromMarkdown(markdown, { citations: [{ index: 1, url: 'https://example.com' }] });
+
+            this.assertEqual(blocks.map(b => b.type).join(','), 'heading_1,paragraph,code,to_do,table,equation,quote');
+            const text = blocks[1].paragraph.rich_text;
+            this.assert(text.some(t => t.annotations?.bold && t.text.content === 'bold'), 'Bold annotation missing');
+            this.assert(text.some(t => t.annotations?.code && t.text.content === 'x'), 'Code annotation missing');
+            this.assert(text.some(t => t.text?.link?.url === 'https://example.com'), 'Citation not linked');
+            this.assert(text.some(t => t.type === 'equation' && t.equation.expression === 'a^2'), 'Inline math missing');
+            this.assertEqual(blocks[2].code.language, 'python');
+            this.assert(blocks[3].to_do.checked && blocks[3].to_do.children[0].type === 'numbered_list_item', 'Nested list lost');
+            this.assertEqual(blocks[4].table.children.length, 2);
+        }, typeof NotionBlocks === 'undefined');
+
+        await this.test('NotionBlocks stays within Notion limits', () => {
+            const long = NotionBlocks.fromMarkdown('x'.repeat(4500));
+            this.assert(long[0].paragraph.rich_text.every(t => t.text.content.length <= 2000), 'Text object over 2,000 characters');
+
+            const depth = (blocks) => Math.max(0, ...blocks.map(b => 1 + depth(b[b.type].children || [])));
+            this.assertEqual(depth(NotionBlocks.fromMarkdown('- a\n  - b\n    - c\n      - d')), 3);
+            this.assertEqual(depth(NotionBlocks.fromMarkdown('- a\n  - b\n    - c', { depth: 1 })), 2);
+        }, typeof NotionBlocks === 'undefined');
+
+        await this.test('NotionBlocks.fromConversation builds the page the Notion writers share', () => {
+            const { header, turns, complete } = NotionBlocks.fromConversation(testData, 'Perplexity', { note: 'Synced' });
+
+            this.assertEqual(header[0].callout.rich_text[0].text.content, 'Synced');
+            this.assertEqual(turns.length, testData.detail.entries.length);
+            this.assertEqual(turns[0][0].type, 'heading_2');
+            this.assert(turns[0].some(b => b.heading_3?.rich_text[0].text.content === '📚 Sources'), 'Sources missing');
+            this.assert(complete, 'Answered thread marked incomplete');
+        }, typeof NotionBlocks === 'undefined');
+
+        await this.test('NotionBlocks.fromConversation keeps long questions whole', () => {
+            const query = 'Why? '.repeat(900);
+            const { turns } = NotionBlocks.fromConversation({ title: 'Long', entries: [{ query, answer: 'Because.' }] }, 'ChatGPT');
+            const items = turns[0][0].heading_2.rich_text;
+
+            this.assert(items.length > 1 && items.every(t => t.text.content.length <= NotionBlocks.MAX_TEXT), 'Question not split');
+            this.assertEqual(items.map(t => t.text.content).join(''), `🙋 ${query}`.trim());
+        }, typeof NotionBlocks === 'undefined');
+
+        await this.test('NotionPageSync updates the page synced before', async () => {
+            const { pageMap, remember } = NotionPageSync;
+            const map = { t1: { pageId: 'p1', turns: 1, complete: true } };
+            const calls = [];
+            const sync = new NotionPageSync({ token: 'x', databaseId: 'db-1' });
+            sync.request = async (method, path) => {
+                calls.push(`${method} ${path.split('?')[0]}`);
+                if (method === 'GET' && path === '/pages/p1') return { id: 'p1', parent: { database_id: 'db1' } };
+                if (method === 'GET') return { results: [{ id: 'b1' }], has_more: false };
+                return { id: 'p1' };
+            };
+            const turn = [{ type: 'paragraph', paragraph: { rich_text: [] } }];
+            try {
+                NotionPageSync.pageMap = async () => map;
+                NotionPageSync.remember = async (uuid, entry) => { map[uuid] = entry; };
+
+                const appended = await sync.save('t1', { properties: {}, turns: [turn, turn] });
+                this.assertEqual(appended.action, 'appended');
+                this.assertEqual(calls.join(','), 'GET /pages/p1,PATCH /pages/p1,PATCH /blocks/p1/children');
+                this.assertEqual(map.t1.turns, 2);
+
+                calls.length = 0;
+                const rewritten = await sync.save('t1', { properties: {}, turns: [turn, turn], mode: 'rewrite' });
+                this.assertEqual(rewritten.action, 'rewritten');
+                this.assert(calls.includes('DELETE /blocks/b1'), 'Old blocks not removed');
+            } finally {
+                Object.assign(NotionPageSync, { pageMap, remember });
+            }
+
+            const filter = NotionPageSync.lookupFilter('t1', { properties: { URL: { type: 'url' }, 'Thread ID': { type: 'rich_text' } } });
+            this.assertEqual(filter.or.length, 2);
+        }, typeof NotionPageSync === 'undefined');
+
+        await this.test('NotionPageSync keeps each request within 1,000 nested blocks', async () => {
+            const paragraph = { type: 'paragraph', paragraph: { rich_text: [] } };
+            const toggle = (children) => ({ type: 'toggle', toggle: { rich_text: [], children } });
+            const big = toggle(Array.from({ length: 100 }, () => toggle(Array(20).fill(paragraph))));
+            const blocks = [...Array.from({ length: 12 }, () => toggle(Array(100).fill(paragraph))), big];
+
+            const batches = NotionPageSync.batches(blocks);
+            batches.forEach(batch => {
+                const total = batch.blocks.reduce((n, b) => n + NotionPageSync.countBlocks(b), 0);
+                this.assert(total <= 1000 && batch.blocks.length <= 100, `Batch of ${total} blocks`);
+            });
+            this.assertEqual(batches.flatMap(b => b.blocks).length, 13);
+            const last = batches[batches.length - 1];
+            this.assertEqual(last.deferred.get(last.blocks.length - 1)?.length, 100, 'Oversized toggle not split');
+
+            const calls = [];
+            const sync = new NotionPageSync({ token: 'x', databaseId: 'db' });
+            sync.request = async (method, path, body) => {
+                calls.push(path);
+                return { results: body.children.map((b, i) => ({ id: `${path}#${i}` })) };
+            };
+            await sync.append('page', [big]);
+            this.assertEqual(calls[0], '/blocks/page/children');
+            this.assertEqual(calls[1], '/blocks//blocks/page/children#0/children', 'Children not appended to the new block');
+        }, typeof NotionPageSync === 'undefined');
+
+        await this.test('NotionPageSync appends toggle children past the first 100', async () => {
+            const answer = Array.from({ length: 150 }, (_, i) => `Step ${i + 1}.`).join('\n\n');
+            const { turns } = NotionBlocks.fromConversation({ title: 'Long', entries: [{ query: 'How?', answer: 'Done.', reasoning: answer }] }, 'ChatGPT');
+            const reasoning = turns[0].find(b => b.type === 'toggle');
+            this.assertEqual(reasoning.toggle.children.length, 150);
+
+            const [batch] = NotionPageSync.batches(turns[0]);
+            const index = batch.blocks.findIndex(b => b.type === 'toggle');
+            this.assertEqual(batch.blocks[index].toggle.children.length, 100);
+            this.assertEqual(batch.deferred.get(index).length, 50);
+            this.assertEqual(batch.deferred.get(index)[49].paragraph.rich_text[0].text.content, 'Step 150.');
+        }, typeof NotionPageSync === 'undefined' || typeof NotionBlocks === 'undefined');
+
+        await this.test('NotionPageSync files pages under a parent page', async () => {
+            const { pageMap, remember } = NotionPageSync;
+            const bodies = [];
+            const sync = new NotionPageSync({ token: 'x', pageId: 'root' });
+            sync.request = async (method, path, body) => {
+                bodies.push({ method, path, body });
+                if (method === 'GET') return { results: [{ id: 'g1', type: 'child_page', child_page: { title: 'Claude' } }], has_more: false };
+                return { id: 'new' };
+            };
+            try {
+                NotionPageSync.pageMap = async () => ({});
+                NotionPageSync.remember = async () => {};
+
+                const properties = { Name: { title: [{ type: 'text', text: { content: 'T' } }] }, Platform: { select: { name: 'Claude' } } };
+                await sync.save('t1', { properties, group: 'Claude' });
+                await sync.save('t2', { properties, group: 'Claude' });
+                const created = bodies.filter(b => b.method === 'POST');
+                this.assertEqual(created.length, 2);
+                this.assertEqual(created[0].body.parent.page_id, 'g1');
+                this.assertEqual(Object.keys(created[0].body.properties).join(','), 'title');
+                this.assertEqual(bodies.filter(b => b.method === 'GET').length, 1, 'Sub-page not reused');
+
+                // Regrouped: the page filed under the old sub-page is archived, not duplicated
+                bodies.length = 0;
+                NotionPageSync.pageMap = async () => ({ t1: { pageId: 'old', turns: 1, complete: true } });
+                sync.request = async (method, path, body) => {
+                    bodies.push({ method, path, body });
+                    if (path === '/pages/old' && method === 'GET') return { id: 'old', parent: { type: 'page_id', page_id: 'root' } };
+                    return { id: 'new' };
+                };
+                await sync.save('t1', { properties, group: 'Claude' });
+                this.assert(bodies.some(b => b.method === 'PATCH' && b.path === '/pages/old' && b.body.archived), 'Old page not archived');
+            } finally {
+                Object.assign(NotionPageSync, { pageMap, remember });
+            }
+
+            const destination = NotionPageSync.destination({ notionDestination: 'page', notionDbId: 'db', notionParentPageId: 'p' });
+            this.assertEqual(destination.databaseId, null);
+            this.assertEqual(destination.pageId, 'p');
+        }, typeof NotionPageSync === 'undefined');
+
+        await this.test('NotionSchema repairs a database and fills only its columns', () => {
+            const database = { properties: {
+                Name: { type: 'title' },
+                Platform: { type: 'select', select: { options: [{ id: 'o1', name: 'Perplexity', color: 'blue' }] } },
+                URL: { type: 'checkbox' },
+                'Word Count': { type: 'number' }
+            } };
+            const plan = NotionSchema.repairPlan(database);
+            this.assert(plan.added.includes('Model') && plan.added.includes('Thread ID'), 'Missing columns not added');
+            this.assert(plan.options.includes('DeepSeek') && !plan.options.includes('Perplexity'), 'Wrong Platform options');
+            this.assertEqual(plan.properties.Platform.select.options[0].id, 'o1');
+            this.assertEqual(plan.conflicts.length, 1);
+
+            const properties = NotionSchema.pageProperties(testData, database, { platform: 'Perplexity' });
+            this.assertEqual(Object.keys(properties).sort().join(','), 'Name,Platform,Word Count');
+            this.assert(properties['Word Count'].number > 0, 'Words not counted');
+        }, typeof NotionSchema === 'undefined');
+
+        await this.test('NotionSchema follows a custom property mapping', () => {
+            const schema = { properties: {
+                Name: { type: 'title' },
+                Source: { type: 'select' },
+                Assistant: { type: 'rich_text' },
+                Created: { type: 'date' }
+            } };
+            const mapping = { platform: 'Source', model: 'Assistant', exported: 'Created' };
+            this.assertEqual(NotionSchema.validateMapping(mapping, schema).length, 0);
+
+            const properties = NotionSchema.pageProperties(testData, schema, { platform: 'Perplexity', mapping });
+            this.assertEqual(properties.Source.select.name, 'Perplexity');
+            this.assert(properties.Created.date.start, 'Export date not mapped');
+            this.assert(!NotionSchema.repairPlan(schema, mapping).added.includes('Exported'), 'Mapped field re-added');
+
+            const errors = NotionSchema.validateMapping({ model: 'Created', url: 'Link' }, schema);
+            this.assertEqual(errors.length, 2);
+        }, typeof NotionSchema === 'undefined');
+
+        await this.test('ExportManager uses a custom template and falls back when it breaks', () => {
+            const saved = ExportManager.templates;
+            try {
+                ExportManager.templates = { markdown: '# {{ title }}\n{{#each entries as e}}- {{ e.query }}\n{{/each}}' };
+                this.assertEqual(ExportManager.toMarkdown(testData, 'Perplexity'),
+                    '# Test Conversation\n- What is artificial intelligence?\n- Explain machine learning\n');
+
+                ExportManager.templates = { markdown: '{{ title | nope }}' };
+                this.assert(ExportManager.toMarkdown(testData, 'Perplexity').includes('## 🙋 Question 1'), 'No fallback to built-in layout');
+            } finally {
+                ExportManager.templates = saved;
+            }
+        }, typeof TemplateEngine === 'undefined');
+
+        await this.test('ExportManager.parseMarkdownBlocks finds tables, lists and code', () => {
+            const blocks = ExportManager.parseMarkdownBlocks('Intro\n\n| A | B |\n|---|:-:|\n| 1 | 2 |\n\n1. first\n- item\n\n```js\nx()\n```');
+
+            this.assertEqual(blocks.map(b => b.type).join(','), 'paragraph,table,list,list,code');
+            this.assertEqual(JSON.stringify(blocks[1].rows), JSON.stringify([['A', 'B'], ['1', '2']]));
+            this.assert(blocks[2].ordered && !blocks[3].ordered, 'List kinds not detected');
+            this.assertEqual(blocks[4].language, 'js');
+        });
+
+        await this.test('ExportManager.toObsidian writes frontmatter and callouts', () => {
+            const md = ExportManager.toObsidian(testData, 'Perplexity');
+
+            this.assert(md.includes('aliases:\n  - "Test Conversation"'), 'Missing alias');
+            this.assert(md.includes('  - ai-chat/perplexity'), 'Missing platform tag');
+            this.assert(md.includes('> [!question] Question 1'), 'Question callout missing');
+            this.assert(md.includes('> [!success] Answer'), 'Answer callout missing');
+        });
+
+        await this.test('ExportManager.getObsidianFiles links threads of a Space with stable names', () => {
+            const space = ConversationSchema.createCollection({ id: 's1', name: 'Research', platform: 'Perplexity' });
+            const thread = (id, title) => ({
+                title,
+                conversation: ConversationSchema.createConversation({
+                    id, title, messages: [ConversationSchema.createMessage({ role: 'user', content: 'Hi' })]
+                })
+            });
+            const files = ExportManager.getObsidianFiles([thread('aaaa1111-x', 'First'), thread('bbbb2222-y', 'Second')], 'Perplexity', { collection: space });
+            const first = files.find(f => f.filename === 'OmniExporter/Perplexity/Research/First (aaaa1111).md');
+
+            this.assertExists(first, 'Note name is not stable');
+            this.assert(first.content.includes('[[Second (bbbb2222)|Second]]'), 'No wikilink to sibling thread');
+            this.assert(first.content.includes('space: "[[Research]]"'), 'No link to the Space note');
+            this.assertExists(files.find(f => f.filename === 'OmniExporter/Perplexity/Research/Research.md'), 'Space index note missing');
+        });
+
+        await this.test('ZipWriter writes one archive with unique paths', async () => {
+            const zip = new ZipWriter();
+            const first = await zip.add('threads/Chat.md', '# Hello '.repeat(50));
+            const second = await zip.add('threads/Chat.md', 'again');
+            const bytes = new Uint8Array(await (await zip.close()).arrayBuffer());
+            const view = new DataView(bytes.buffer);
+            const end = bytes.length - 22;
+
+            this.assertEqual(first, 'threads/Chat.md');
+            this.assertEqual(second, 'threads/Chat_2.md');
+            this.assertEqual(view.getUint32(0, true), 0x04034B50);
+            this.assertEqual(view.getUint32(end, true), 0x06054B50);
+            this.assertEqual(view.getUint16(end + 10, true), 2);
+            this.assertEqual(ZipWriter.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+        }, typeof ZipWriter === 'undefined');
+
+        await this.test('ExportManager bundles write downloaded images and files into attachments/', async () => {
+            const thread = {
+                title: 'Plot',
+                conversation: ConversationSchema.createConversation({
+                    id: 'abcdef123456', title: 'Plot', platform: 'ChatGPT',
+                    messages: [
+                        {
+                            role: 'user', content: 'Chart this',
+                            attachments: [{ name: 'data.csv', mimeType: 'text/csv', url: 'https://files.example/x?sig=1', data: btoa('a,b\n1,2') }]
+                        },
+                        {
+                            role: 'assistant',
+                            parts: [{ type: 'image', url: 'https://files.example/y?sig=2', alt: 'Chart', mimeType: 'image/png', data: btoa('PNG') }]
+                        }
+                    ]
+                })
+            };
+            const zip = new ZipWriter({ compress: false });
+            const item = await ExportManager.addToBundle(zip, thread, 'markdown', 'ChatGPT');
+            const md = await (await zip.close()).text();
+
+            this.assert(item.attachments.includes('attachments/ChatGPT/Plot_abcdef12/image.png'), 'Image not written');
+            this.assert(item.attachments.includes('attachments/ChatGPT/Plot_abcdef12/data.csv'), 'Uploaded file not written');
+            this.assert(md.includes('](../../attachments/ChatGPT/Plot_abcdef12/image.png)'), 'Image not linked relatively');
+            this.assert(!md.includes('sig=2'), 'Expiring URL still linked');
+            this.assert(md.includes('a,b\n1,2'), 'File bytes not stored');
+        }, typeof ZipWriter === 'undefined');
+
+        await this.test('ExportManager bundles keep same-named threads in separate attachment folders', async () => {
+            const thread = () => ({
+                title: 'Same title',
+                conversation: ConversationSchema.createConversation({
+                    title: 'Same title', platform: 'ChatGPT',
+                    messages: [
+                        { role: 'user', content: 'Chart this' },
+                        { role: 'assistant', parts: [{ type: 'image', name: 'chart.png', alt: 'Chart', mimeType: 'image/png', data: btoa('PNG') }] }
+                    ]
+                })
+            });
+            const zip = new ZipWriter({ compress: false });
+            const used = new Set();
+            const first = await ExportManager.addToBundle(zip, thread(), 'markdown', 'ChatGPT', used);
+            const second = await ExportManager.addToBundle(zip, thread(), 'markdown', 'ChatGPT', used);
+            const archive = await (await zip.close()).text();
+
+            this.assertEqual(first.path, 'threads/ChatGPT/Same_title.md');
+            this.assertEqual(second.path, 'threads/ChatGPT/Same_title_2.md');
+            this.assert(first.attachments.includes('attachments/ChatGPT/Same_title/chart.png'), 'First chart not written');
+            this.assert(second.attachments.includes('attachments/ChatGPT/Same_title_2/chart.png'), 'Second chart not in its own folder');
+            this.assert(archive.includes('](../../attachments/ChatGPT/Same_title_2/chart.png)'), 'Second thread links to the first thread\'s chart');
+        }, typeof ZipWriter === 'undefined');
+
+        await this.test('ExportManager.bundleToHTML groups threads by platform and date', () => {
+            const item = (title, platform, date) => ({
+                title, platform, date, models: [], messageCount: 2, attachments: [], path: `threads/${platform}/${title}.md`
+            });
+            const html = ExportManager.bundleToHTML([
+                item('Old', 'Claude', '2024-01-01'),
+                item('New', 'Claude', '2024-02-01'),
+                item('Search', 'Perplexity', '2024-01-15')
+            ]);
+
+            this.assert(html.indexOf('Claude') < html.indexOf('Perplexity'), 'Platforms not grouped');
+            this.assert(html.indexOf('2024-02-01') < html.indexOf('2024-01-01'), 'Dates not newest first');
+            this.assert(html.includes('href="threads/Claude/New.md"'), 'Thread file not linked');
+        });
+
         await this.test('ExportManager.generateFilename creates valid name', () => {
             const result = ExportManager.generateFilename('Test Chat!@#$%', '.md');
             this.assert(!result.includes('!'), 'Special chars not removed');
             this.assert(result.endsWith('.md'), 'Extension missing');
         });
 
+        await this.test('ExportManager file names keep Unicode titles and follow the naming pattern', () => {
+            this.assertEqual(ExportManager.sanitizeTitle('如何学习中文？'), '如何学习中文');
+            this.assertEqual(ExportManager.sanitizeTitle('🚀 Launch: v2/final'), '🚀_Launch_v2_final');
+
+            const saved = ExportManager.filenamePattern;
+            try {
+                const thread = {
+                    title: 'مرحبا',
+                    conversation: ConversationSchema.createConversation({ id: 'abcdef123456', createdAt: '2024-03-05T10:00:00Z' })
+                };
+                ExportManager.filenamePattern = '{platform}/{yyyy}/{mm}/{title}-{uuid8}';
+                this.assertEqual(ExportManager.getThreadPath(thread, 'Claude'), 'Claude/2024/03/مرحبا-abcdef12');
+
+                ExportManager.filenamePattern = '';
+                this.assert(ExportManager.getThreadPath({ ...thread, title: '???' }, 'Claude').startsWith('Chat_abcdef12_'), 'Untitled threads collide');
+                this.assert(ExportManager.validateFilenamePattern('{title}/{nope}') !== null, 'Unknown token accepted');
+            } finally {
+                ExportManager.filenamePattern = saved;
+            }
+        });
+
         await this.test('ExportManager.escapeHtml escapes < >', () => {
             const result = ExportManager.escapeHtml('<script>alert("xss")</script>');
             this.assert(!result.includes('<script>'), 'Script tag not escaped');
         });
     },
 
+    // ============================================
+    // 4b. CONVERSATION SCHEMA TESTS
+    // ============================================
+    async testConversationSchema() {
+        console.log('\n🧬 CONVERSATION SCHEMA TESTS\n' + '─'.repeat(40));
+
+        const legacyEntries = [
+            {
+                query_str: 'What is a qubit?',
+                created_datetime: '2024-05-01T10:00:00Z',
+                blocks: [
+                    { intended_usage: 'ask_text', markdown_block: { answer: 'A qubit is a quantum bit.' } },
+                    {
+                        intended_usage: 'web_results',
+                        web_result_block: { web_results: [{ name: 'Qubit', url: 'https://en.wikipedia.org/wiki/Qubit' }] }
+                    }
+                ]
+            },
+            { query: 'And a qutrit?', answer: 'A three-level quantum system.' }
+        ];
+
+        await this.test('ConversationSchema module exists', () => {
+            this.assertExists(ConversationSchema, 'ConversationSchema not defined');
+            this.assertEqual(ConversationSchema.VERSION, 1);
+        });
+
+        await this.test('fromEntries builds user/assistant messages', () => {
+            const conv = ConversationSchema.fromEntries(legacyEntries, { id: 'abc', platform: 'Perplexity' });
+            this.assert(ConversationSchema.isConversation(conv), 'Not a canonical conversation');
+            this.assertEqual(conv.messages.length, 4);
+            this.assertEqual(conv.messages[0].role, 'user');
+            this.assertEqual(conv.messages[1].role, 'assistant');
+            this.assertEqual(conv.messages[1].citations[0].url, 'https://en.wikipedia.org/wiki/Qubit');
+            this.assertEqual(conv.createdAt, '2024-05-01T10:00:00.000Z');
+        });
+
+        await this.test('from() accepts role-based messages', () => {
+            const conv = ConversationSchema.from({
+                title: 'Roles',
+                messages: [{ role: 'human', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]
+            }, { platform: 'Claude' });
+            this.assertEqual(conv.platform, 'Claude');
+            this.assertEqual(conv.messages[0].role, 'user');
+            this.assertEqual(ConversationSchema.messageText(conv.messages[1]), 'Hello');
+        });
+
+        await this.test('toTurns groups messages into Q&A turns', () => {
+            const turns = ConversationSchema.toTurns(ConversationSchema.fromEntries(legacyEntries));
+            this.assertEqual(turns.length, 2);
+            this.assertEqual(turns[0].query, 'What is a qubit?');
+            this.assertEqual(turns[1].answer, 'A three-level quantum system.');
+            this.assertEqual(turns[0].sources.length, 1);
+        });
+
+        await this.test('toExportData round-trips through legacy entries', () => {
+            const conv = ConversationSchema.fromEntries(legacyEntries, { id: 'abc', title: 'Qubits' });
+            const payload = ConversationSchema.toExportData(conv);
+            this.assertEqual(payload.uuid, 'abc');
+            this.assertEqual(payload.detail.entries.length, 2);
+            this.assertEqual(ConversationSchema.from(payload), conv);
+            const rebuilt = ConversationSchema.fromEntries(payload.detail.entries);
+            this.assertEqual(rebuilt.messages.length, conv.messages.length);
+        });
+
+        await this.test('toTurns labels alternate branches as variants', () => {
+            const conv = ConversationSchema.createConversation({
+                messages: [
+                    { role: 'user', content: 'Name a color' },
+                    {
+                        role: 'assistant',
+                        content: 'Blue',
+                        branch: { index: 2, count: 2 },
+                        alternates: [{ index: 1, count: 2, messages: [{ role: 'assistant', content: 'Red' }] }]
+                    }
+                ]
+            });
+            const turn = ConversationSchema.toTurns(conv)[0];
+            this.assertEqual(turn.answer, 'Blue');
+            this.assertEqual(turn.variants.length, 1);
+            this.assert(turn.variants[0].label.includes('Variant 1 of 2'), 'Variant label missing');
+            this.assert(ConversationSchema.variantText(turn.variants[0]).includes('Red'), 'Variant text missing');
+        });
+
+        await this.test('messageText renders code, captions and images', () => {
+            const text = ConversationSchema.messageText({
+                parts: [
+                    { type: 'code', language: 'python', code: 'print(1)', caption: 'Tool call: python' },
+                    { type: 'image', url: null, alt: 'Chart' },
+                    { type: 'image', url: 'https://example.com/a.png', alt: 'Photo' }
+                ]
+            });
+            this.assert(text.includes('*Tool call: python*'), 'Caption missing');
+            this.assert(text.includes('```python\nprint(1)\n```'), 'Code fence missing');
+            this.assert(text.includes('*[Image: Chart]*'), 'Unresolved image placeholder missing');
+            this.assert(text.includes('![Photo](https://example.com/a.png)'), 'Image link missing');
+        });
+
+        await this.test('Reasoning is kept out of the answer and can be stripped', () => {
+            const conv = ConversationSchema.fromEntries([
+                { query: 'Why?', answer: 'Because.', reasoning: 'Let me think...' }
+            ]);
+            const turn = ConversationSchema.toTurns(conv)[0];
+            this.assertEqual(turn.answer, 'Because.');
+            this.assertEqual(turn.reasoning, 'Let me think...');
+            const stripped = ConversationSchema.toTurns(ConversationSchema.withoutReasoning(conv))[0];
+            this.assertEqual(stripped.reasoning, '');
+            this.assertEqual(stripped.answer, 'Because.');
+        });
+
+        for (const fixture of MessagePairingFixtures) {
+            await this.test(`Pairing fixture - ${fixture.name}`, () => {
+                const conv = ConversationSchema.fromMessages(fixture.messages, { platform: 'Test' });
+                const turns = ConversationSchema.toTurns(conv);
+                this.assertEqual(turns.length, fixture.expect.turns, 'Turn count');
+                this.assertEqual(
+                    turns.filter(t => t.incomplete).map(t => t.index).join(','),
+                    fixture.expect.incomplete.join(','),
+                    'Incomplete turns'
+                );
+                fixture.expect.queries.forEach((q, i) => this.assertEqual(turns[i].query, q));
+                (fixture.expect.answers || []).forEach((a, i) => this.assertEqual(turns[i].answer, a));
+            });
+        }
+
+        await this.test('normalizeRole maps platform role labels', () => {
+            this.assertEqual(ConversationSchema.normalizeRole('HUMAN'), 'user');
+            this.assertEqual(ConversationSchema.normalizeRole('grok'), 'assistant');
+            this.assertEqual(ConversationSchema.normalizeRole(0), 'user');
+            this.assertEqual(ConversationSchema.normalizeRole('unknown', null), null);
+        });
+
+        await this.test('Turns carry timestamps, model and message ids', () => {
+            const conv = ConversationSchema.fromMessages([
+                { id: 'm1', role: 'user', content: 'Hi', createdAt: 1700000000 },
+                { id: 'm2', role: 'assistant', content: 'Hello', createdAt: 1700000005, model: 'gpt-4o' },
+                { id: 'm3', role: 'user', content: 'Again' },
+                { id: 'm4', role: 'assistant', content: 'Sure', model: 'o1' }
+            ]);
+            const turn = ConversationSchema.toTurns(conv)[0];
+            this.assertEqual(turn.createdAt, '2023-11-14T22:13:20.000Z');
+            this.assertEqual(turn.updatedAt, '2023-11-14T22:13:25.000Z');
+            this.assertEqual(turn.model, 'gpt-4o');
+            this.assertEqual(turn.messageIds.join(','), 'm1,m2');
+            this.assertEqual(ConversationSchema.models(conv).join(','), 'gpt-4o,o1');
+        });
+
+        await this.test('Citation markers resolve to sources (code spans untouched)', () => {
+            const citations = [
+                { index: 1, title: 'One', url: 'https://one.example' },
+                { index: 2, title: 'Two', url: 'https://two.example' }
+            ];
+            const out = ConversationSchema.replaceCitationMarkers(
+                'Fact[1][2] and `arr[1]` plus [3].', citations, (c, n) => `<${n}:${c.title}>`
+            );
+            this.assertEqual(out, 'Fact<1:One><2:Two> and `arr[1]` plus [3].');
+        });
+
+        await this.test('Tool citations in a turn do not shadow answer markers', () => {
+            const conv = ConversationSchema.fromMessages([
+                { role: 'user', content: 'Look it up' },
+                { role: 'tool', content: 'Found[1]', citations: [{ index: 1, title: 'Tool', url: 'https://tool.example' }] },
+                { role: 'assistant', content: 'Answer[1]', citations: [{ index: 1, title: 'Real', url: 'https://real.example' }] }
+            ]);
+            const turn = ConversationSchema.toTurns(conv)[0];
+            this.assertEqual(turn.sources.map(s => `${s.index}:${s.url}`).join(' '),
+                '1:https://real.example 2:https://tool.example');
+            const out = ConversationSchema.replaceCitationMarkers(turn.answer, turn.citations, c => `<${c.url}>`);
+            this.assertEqual(out, 'Found<https://tool.example>\n\nAnswer<https://real.example>');
+        });
+
+        await this.test('Markdown export turns [n] markers into footnotes', () => {
+            const md = ExportManager.toMarkdown({
+                title: 'Cited',
+                detail: {
+                    entries: [{
+                        query: 'Q',
+                        blocks: [
+                            { intended_usage: 'ask_text', markdown_block: { answer: 'Answer[1].' } },
+                            { intended_usage: 'web_results', web_result_block: { web_results: [{ name: 'Src', url: 'https://src.example' }] } }
+                        ]
+                    }]
+                }
+            }, 'Perplexity');
+            this.assert(md.includes('Answer[^1-1].'), 'Footnote reference missing');
+            this.assert(md.includes('[^1-1]: [Src](https://src.example)'), 'Footnote definition missing');
+        });
+
+        await this.test('Conversations keep a reference to their Space/Project', () => {
+            const space = ConversationSchema.createCollection({ uuid: 's1', title: 'Travel', description: 'Trips' });
+            this.assertEqual(space.kind, 'space');
+            this.assertEqual(space.name, 'Travel');
+            this.assertEqual(space.files.length, 0);
+
+            const conversation = ConversationSchema.createConversation({ id: 't1', collection: space });
+            this.assertEqual(conversation.collection.id, 's1');
+            this.assertEqual(conversation.collection.name, 'Travel');
+            this.assert(!('description' in conversation.collection), 'Conversation should only keep a reference');
+            this.assertEqual(ConversationSchema.toExportData(conversation).spaceName, 'Travel');
+        });
+
+        await this.test('labels() exposes project, GPT and archived flags', () => {
+            const gptChat = ConversationSchema.createConversation({
+                collection: { id: 'g-abc', name: 'Data Analyst', kind: 'gpt' },
+                metadata: { archived: true }
+            });
+            const labels = ConversationSchema.labels(gptChat);
+            this.assertEqual(labels.gpt, 'Data Analyst');
+            this.assertEqual(labels.project, null);
+            this.assertEqual(labels.archived, true);
+
+            const md = ExportManager.toMarkdown({ title: 'T', conversation: gptChat }, 'ChatGPT');
+            this.assert(md.includes('gpt: "Data Analyst"'), 'GPT missing from frontmatter');
+            this.assert(md.includes('archived: true'), 'Archived flag missing from frontmatter');
+        });
+
+        await this.test('toIsoDate handles seconds and milliseconds', () => {
+            this.assertEqual(ConversationSchema.toIsoDate(1700000000), '2023-11-14T22:13:20.000Z');
+            this.assertEqual(ConversationSchema.toIsoDate(1700000000000), '2023-11-14T22:13:20.000Z');
+            this.assertEqual(ConversationSchema.toIsoDate('not a date'), null);
+        });
+    },
+
     // ============================================
     // 5. PLATFORM ADAPTER TESTS
     // ============================================
@@ -583,6 +1409,7 @@ const TestSuite = {
             await this.testStorage();
             await this.testNotionOAuth();
             await this.testExportManager();
+            await this.testConversationSchema();
             await this.testPlatformAdapters();
             await this.testUIComponents();
             await this.testE2EWorkflows();
@@ -637,6 +1464,7 @@ const testLogger = () => { TestSuite.reset(); return TestSuite.testLogger(); };
 const testStorage = () => { TestSuite.reset(); return TestSuite.testStorage(); };
 const testOAuth = () => { TestSuite.reset(); return TestSuite.testNotionOAuth(); };
 const testExport = () => { TestSuite.reset(); return TestSuite.testExportManager(); };
+const testSchema = () => { TestSuite.reset(); return TestSuite.testConversationSchema(); };
 const testUI = () => { TestSuite.reset(); return TestSuite.testUIComponents(); };
 const testE2E = () => { TestSuite.reset(); return TestSuite.testE2EWorkflows(); };
 
@@ -0,0 +1,184 @@
+// OmniExporter AI - ZIP Writer
+// Streams files into a single .zip: each entry is deflated and appended as
+// soon as it is added, then only its central-directory record is kept, so
+// bundles of thousands of threads never hold every file in memory at once.
+// Output goes to a WritableStream (e.g. a file picked with
+// showSaveFilePicker) or to Blob parts, which the browser can page to disk.
+
+class ZipWriter {
+    static CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    // ZIP32 limits (no ZIP64 support)
+    static MAX_SIZE = 0xFFFFFFFF;
+    static MAX_ENTRIES = 0xFFFF;
+
+    constructor({ writable = null, compress = true } = {}) {
+        this.writer = writable ? writable.getWriter() : null;
+        this.compress = compress;
+        this.parts = [];
+        this.entries = [];
+        this.paths = new Set();
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file. `content` is a string, Uint8Array, ArrayBuffer or Blob;
+     * `store` keeps it uncompressed (e.g. an EPUB's mimetype entry).
+     * Returns the path actually used (made unique when already taken).
+     */
+    async add(path, content, { date = new Date(), store = false } = {}) {
+        if (this.entries.length >= ZipWriter.MAX_ENTRIES) throw new Error('Too many files for one ZIP');
+
+        path = this.uniquePath(String(path).replace(/\\/g, '/').replace(/^\/+/, ''));
+        const data = await ZipWriter.toBytes(content);
+        const crc = ZipWriter.crc32(data);
+        // Already-compressed formats (PDF streams, images) gain little from deflate
+        const deflated = this.compress && !store && data.length > 64 ? await ZipWriter.deflateRaw(data) : null;
+        const stored = !deflated || deflated.length >= data.length;
+        const body = stored ? data : deflated;
+
+        if (this.offset + body.length + 1024 > ZipWriter.MAX_SIZE) throw new Error('ZIP bundle exceeds 4 GB');
+
+        const name = new TextEncoder().encode(path);
+        const [time, day] = ZipWriter.dosDateTime(date);
+        const entry = {
+            name, crc, time, day,
+            method: stored ? 0 : 8,
+            size: data.length,
+            compressedSize: body.length,
+            offset: this.offset
+        };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);             // version needed
+        header.setUint16(6, 0x0800, true);         // UTF-8 names
+        header.setUint16(8, entry.method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, body.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        await this.write([new Uint8Array(header.buffer), name, body]);
+        this.entries.push(entry);
+        return path;
+    }
+
+    /**
+     * Write the central directory; resolves to the ZIP Blob (or null when
+     * streaming to a WritableStream, which is closed)
+     */
+    async close() {
+        const start = this.offset;
+        const records = this.entries.map(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true);
+            record.setUint16(4, 20, true);          // version made by
+            record.setUint16(6, 20, true);          // version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, entry.method, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.day, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.compressedSize, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.name.length, true);
+            record.setUint32(42, entry.offset, true);
+            return [new Uint8Array(record.buffer), entry.name];
+        }).flat();
+        await this.write(records);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, this.offset - start, true);
+        end.setUint32(16, start, true);
+        await this.write([new Uint8Array(end.buffer)]);
+
+        if (this.writer) {
+            await this.writer.close();
+            return null;
+        }
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+
+    /**
+     * Give up on the archive; a WritableStream is aborted so no truncated file is kept
+     */
+    async abort(reason) {
+        if (this.writer) await this.writer.abort(reason);
+        this.parts = [];
+    }
+
+    async write(chunks) {
+        chunks.forEach(chunk => { this.offset += chunk.length; });
+        if (this.writer) {
+            for (const chunk of chunks) await this.writer.write(chunk);
+        } else {
+            this.parts.push(new Blob(chunks));
+        }
+    }
+
+    uniquePath(path) {
+        let candidate = path;
+        const dot = path.lastIndexOf('.');
+        const [stem, extension] = dot > path.lastIndexOf('/') ? [path.slice(0, dot), path.slice(dot)] : [path, ''];
+        for (let n = 2; this.paths.has(candidate.toLowerCase()); n++) candidate = `${stem}_${n}${extension}`;
+        this.paths.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    static async toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        if (typeof Blob !== 'undefined' && content instanceof Blob) return new Uint8Array(await content.arrayBuffer());
+        return new TextEncoder().encode(String(content ?? ''));
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Raw deflate (ZIP method 8); null when CompressionStream is unavailable
+     */
+    static async deflateRaw(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * [time, date] in MS-DOS format (local time, 2-second precision)
+     */
+    static dosDateTime(date) {
+        const d = date instanceof Date && !isNaN(date) ? date : new Date();
+        const year = Math.min(Math.max(d.getFullYear(), 1980), 2107);
+        return [
+            (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        ];
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}